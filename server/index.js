@@ -0,0 +1,58 @@
+/**
+ * ArchFlow AI API server
+ * Holds provider API keys and proxies AI and compliance requests for the React app.
+ * In production it also serves the built frontend from dist/.
+ */
+
+import { existsSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import express from 'express'
+import { createApiRouter } from './routes.js'
+import { LLMProviderError } from '../src/services/llmClients.js'
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const envFile = path.join(rootDir, '.env')
+
+if (existsSync(envFile)) {
+  process.loadEnvFile(envFile)
+}
+
+const app = express()
+const port = Number(process.env.PORT) || 8787
+const distDir = path.join(rootDir, 'dist')
+
+app.set('trust proxy', process.env.TRUST_PROXY === 'true')
+app.use(express.json({ limit: '1mb' }))
+app.use('/api', createApiRouter())
+
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: `Unknown endpoint: ${req.method} ${req.originalUrl}`, code: 'NOT_FOUND' })
+})
+
+app.use('/api', (error, req, res, next) => {
+  // The AI provider is missing, misconfigured or failing: 502/503 with a code the app can show
+  if (error instanceof LLMProviderError) {
+    console.warn('AI provider error:', error.message)
+    return res.status(error.status).json({ error: error.message, code: error.code })
+  }
+
+  // Malformed JSON bodies and oversized payloads arrive here with a 4xx status
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: 'INVALID_REQUEST' })
+  }
+
+  console.error('API error:', error)
+  res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' })
+})
+
+if (existsSync(distDir)) {
+  app.use(express.static(distDir))
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(distDir, 'index.html'))
+  })
+}
+
+app.listen(port, () => {
+  console.log(`ArchFlow AI server listening on http://localhost:${port}`)
+})
@@ -0,0 +1,54 @@
+/**
+ * Per-client fixed-window rate limiter
+ * Clients are identified by IP address (behind a proxy, set TRUST_PROXY so req.ip is the
+ * client's). Headers are not used, as the client could send a new value for a fresh quota.
+ */
+
+export function getRequestClientKey(req) {
+  return req.ip
+}
+
+/**
+ * Create rate limiting middleware
+ * @param {Object} options - { windowMs, max, name, cost }
+ *   cost: optional (req) => number of units a request consumes (default 1)
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ windowMs = 60_000, max = 60, name = 'default', cost = () => 1 } = {}) {
+  const windows = new Map()
+
+  return (req, res, next) => {
+    const clientKey = getRequestClientKey(req)
+    const now = Date.now()
+    let entry = windows.get(clientKey)
+
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs }
+      windows.set(clientKey, entry)
+    }
+
+    entry.count += cost(req)
+
+    res.set('RateLimit-Limit', String(max))
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)))
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)))
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000)
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({
+        error: `Rate limit exceeded for ${name} requests. Try again in ${retryAfter}s.`,
+        code: 'RATE_LIMITED'
+      })
+    }
+
+    // Drop expired windows occasionally so the map does not grow without bound
+    if (windows.size > 10_000) {
+      for (const [key, value] of windows) {
+        if (now >= value.resetAt) windows.delete(key)
+      }
+    }
+
+    next()
+  }
+}
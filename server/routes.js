@@ -0,0 +1,166 @@
+/**
+ * API routes
+ * Thin HTTP layer over the shared services in src/services
+ */
+
+import { Router } from 'express'
+import {
+  generateLayoutFromSchedule,
+  generateLayoutAlternatives,
+  optimizeLayoutParameters
+} from '../src/services/aiService.js'
+import { MIN_ALTERNATIVES, MAX_ALTERNATIVES } from '../src/services/layoutStrategies.js'
+import { checkBuildingCodeCompliance } from '../src/services/buildingCodesService.js'
+import { validateLayout } from '../src/services/layoutSchema.js'
+import { createRateLimiter } from './rateLimit.js'
+
+const env = process.env
+
+/**
+ * Check the shape of building code settings; their contents (unknown codes, invalid code
+ * packs) are reported by the compliance results instead
+ * @param {*} settings - normSettings or codeSettings from a request body
+ * @param {string} field - Body field name, for the message
+ * @returns {string|null} Problem found, or null
+ */
+function validateCodeSettings(settings, field) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return `${field} must be an object`
+  }
+  const { country, codes, codePacks } = settings
+  if (country !== undefined && typeof country !== 'string') {
+    return `${field}.country must be a string`
+  }
+  if (codes !== undefined && !(Array.isArray(codes) && codes.every(code => typeof code === 'string'))) {
+    return `${field}.codes must be an array of code names`
+  }
+  if (codePacks !== undefined && !Array.isArray(codePacks)) {
+    return `${field}.codePacks must be an array of code packs`
+  }
+  return null
+}
+
+export function createApiRouter() {
+  const router = Router()
+
+  // Model calls cost money, so generation gets a tighter budget than the other endpoints.
+  // Each requested alternative is a separate generation and is charged as one.
+  const aiLimiter = createRateLimiter({
+    name: 'layout generation',
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60_000,
+    max: Number(env.RATE_LIMIT_AI_MAX) || 10,
+    cost: (req) => req.path === '/layouts/alternatives'
+      ? Math.min(Math.max(Number(req.body?.count) || MIN_ALTERNATIVES, MIN_ALTERNATIVES), MAX_ALTERNATIVES)
+      : 1
+  })
+  const apiLimiter = createRateLimiter({
+    name: 'API',
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60_000,
+    max: Number(env.RATE_LIMIT_MAX) || 60
+  })
+
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok' })
+  })
+
+  router.post('/layouts/generate', aiLimiter, async (req, res, next) => {
+    try {
+      const { scheduleData, normSettings = {}, provider, maxComplianceIterations, performanceSettings } = req.body || {}
+
+      if (typeof scheduleData !== 'string' || scheduleData.trim() === '') {
+        return res.status(400).json({ error: 'scheduleData must be a non-empty string', code: 'INVALID_REQUEST' })
+      }
+
+      const settingsError = validateCodeSettings(normSettings, 'normSettings')
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError, code: 'INVALID_REQUEST' })
+      }
+
+      const layout = await generateLayoutFromSchedule(scheduleData, normSettings, {
+        provider,
+        maxComplianceIterations,
+        performanceSettings
+      })
+      res.json(layout)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  router.post('/layouts/alternatives', aiLimiter, async (req, res, next) => {
+    try {
+      const {
+        scheduleData,
+        normSettings = {},
+        provider,
+        count,
+        strategies,
+        maxComplianceIterations,
+        performanceSettings
+      } = req.body || {}
+
+      if (typeof scheduleData !== 'string' || scheduleData.trim() === '') {
+        return res.status(400).json({ error: 'scheduleData must be a non-empty string', code: 'INVALID_REQUEST' })
+      }
+
+      const settingsError = validateCodeSettings(normSettings, 'normSettings')
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError, code: 'INVALID_REQUEST' })
+      }
+
+      if (strategies !== undefined && !Array.isArray(strategies)) {
+        return res.status(400).json({ error: 'strategies must be an array of strategy ids', code: 'INVALID_REQUEST' })
+      }
+
+      const result = await generateLayoutAlternatives(scheduleData, normSettings, {
+        provider,
+        count,
+        strategies,
+        maxComplianceIterations,
+        performanceSettings
+      })
+      res.json(result)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  router.post('/layouts/optimize', apiLimiter, async (req, res, next) => {
+    try {
+      const { layoutData, parameters = {} } = req.body || {}
+      const { valid, errors } = validateLayout(layoutData)
+
+      if (!valid) {
+        return res.status(400).json({ error: 'layoutData is invalid', code: 'INVALID_LAYOUT', details: errors })
+      }
+
+      const layout = await optimizeLayoutParameters(layoutData, parameters)
+      res.json(layout)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  router.post('/compliance/check', apiLimiter, async (req, res, next) => {
+    try {
+      const { layoutData, codeSettings = {} } = req.body || {}
+      const { valid, errors } = validateLayout(layoutData)
+
+      if (!valid) {
+        return res.status(400).json({ error: 'layoutData is invalid', code: 'INVALID_LAYOUT', details: errors })
+      }
+
+      const settingsError = validateCodeSettings(codeSettings, 'codeSettings')
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError, code: 'INVALID_REQUEST' })
+      }
+
+      const results = await checkBuildingCodeCompliance(layoutData, codeSettings)
+      res.json(results)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  return router
+}
@@ -1,18 +1,36 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 import { Routes, Route } from 'react-router-dom'
+import { Loader2 } from 'lucide-react'
+import { useStore } from './store/useStore'
 import { AppShell } from './components/AppShell'
 import { Dashboard } from './pages/Dashboard'
 import { ProjectPage } from './pages/ProjectPage'
 import { LayoutViewer } from './pages/LayoutViewer'
+import { ComparePage } from './pages/ComparePage'
 import { Settings } from './pages/Settings'
 
 function App() {
+  const { hydrated, hydrate } = useStore()
+
+  useEffect(() => {
+    hydrate()
+  }, [hydrate])
+
+  if (!hydrated) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="w-8 h-8 text-primary animate-spin" />
+      </div>
+    )
+  }
+
   return (
     <AppShell>
       <Routes>
         <Route path="/" element={<Dashboard />} />
         <Route path="/project/:projectId" element={<ProjectPage />} />
         <Route path="/layout/:layoutId" element={<LayoutViewer />} />
+        <Route path="/compare" element={<ComparePage />} />
         <Route path="/settings" element={<Settings />} />
       </Routes>
     </AppShell>
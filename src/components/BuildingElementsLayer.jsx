@@ -0,0 +1,61 @@
+import React from 'react'
+import { getBuildingElementGeometry } from '../services/buildingElements'
+
+export const WALL_COLORS = { exterior: '#374151', interior: '#9ca3af' }
+const DOOR_COLOR = '#374151'
+const WINDOW_COLOR = 'hsl(200, 80%, 45%)'
+
+/**
+ * SVG for walls, doors and windows (see services/buildingElements.js), for use inside
+ * FloorPlanCanvas. Walls are drawn at their real thickness with gaps for their openings.
+ * `getDoorColor(door, index)` may return a colour to highlight a door, or null.
+ */
+export function BuildingElementsLayer({ layoutData, getDoorColor }) {
+  const { walls, doors, windows } = getBuildingElementGeometry(layoutData)
+
+  return (
+    <g className="pointer-events-none">
+      {walls.flatMap(wall => wall.segments.map(([[x1, y1], [x2, y2]], index) => (
+        <line
+          key={`${wall.id}-${index}`}
+          x1={x1}
+          y1={y1}
+          x2={x2}
+          y2={y2}
+          stroke={WALL_COLORS[wall.type]}
+          strokeWidth={wall.width}
+        />
+      )))}
+
+      {windows.filter(({ wall }) => wall).map(({ window, panes }) => (
+        <g key={window.id}>
+          {panes.map(([[x1, y1], [x2, y2]], index) => (
+            <line key={index} x1={x1} y1={y1} x2={x2} y2={y2} stroke={WINDOW_COLOR} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+          ))}
+        </g>
+      ))}
+
+      {doors.filter(({ wall }) => wall).map(({ door, index, leaves, arcs }) => {
+        const color = getDoorColor?.(door, index) || DOOR_COLOR
+        return (
+          <g key={door.id}>
+            {leaves.map(([[x1, y1], [x2, y2]], leafIndex) => (
+              <line key={`leaf-${leafIndex}`} x1={x1} y1={y1} x2={x2} y2={y2} stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            ))}
+            {arcs.map((arc, arcIndex) => (
+              <path
+                key={`arc-${arcIndex}`}
+                d={`M ${arc.from[0]} ${arc.from[1]} A ${arc.radius} ${arc.radius} 0 0 1 ${arc.to[0]} ${arc.to[1]}`}
+                fill="none"
+                stroke={color}
+                strokeWidth="1"
+                strokeDasharray="3,3"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+          </g>
+        )
+      })}
+    </g>
+  )
+}
@@ -0,0 +1,239 @@
+import React, { useRef, useState } from 'react'
+import { DoorOpen, AppWindow, Plus, Trash2, Wand2 } from 'lucide-react'
+import {
+  BuildingElementsService,
+  EXTERIOR,
+  WALL_SIDES,
+  DOOR_SWINGS
+} from '../services/buildingElements'
+import { UnitService } from '../services/units'
+
+const SWING_LABELS = { left: 'Left hand', right: 'Right hand', double: 'Double', sliding: 'Sliding' }
+
+// Door, window or wall size shown in the display unit system and stored in the layout's.
+// Values below `min` are ignored, so a width can be retyped digit by digit. onChange(size,
+// editKey) gets a key that is the same for every change made while the input keeps focus, so
+// one session of typing becomes one revision and one undo step
+function SizeInput({ label, value, layoutData, unitSystem, min = 1, onChange }) {
+  const unit = UnitService.getSystem(unitSystem).detail
+  const editKeyRef = useRef(null)
+  return (
+    <label className="flex flex-col text-xs text-gray-500">
+      <span>{label} ({UnitService.getUnitLabel(unit)})</span>
+      <input
+        type="number"
+        min={min}
+        step={1}
+        value={UnitService.toDisplay(layoutData, 'detail', value, unitSystem)}
+        onFocus={() => { editKeyRef.current = null }}
+        onBlur={() => { editKeyRef.current = null }}
+        onChange={(e) => {
+          const size = parseFloat(e.target.value)
+          if (!(size >= min)) return
+          editKeyRef.current = editKeyRef.current || Date.now().toString(36)
+          onChange(UnitService.fromDisplay(layoutData, 'detail', size, unitSystem), editKeyRef.current)
+        }}
+        className="input text-sm py-1 px-2"
+      />
+    </label>
+  )
+}
+
+/**
+ * Walls, doors and windows of a layout: wall thicknesses, and the doors and windows of the
+ * selected room, with sizes in `unitSystem`. `onChange(changes, note, coalesceKey)` receives
+ * the layout data fields to replace (`doors`, `windows` or `wallThickness`).
+ */
+export function BuildingElementsPanel({ layoutData, room, unitSystem, onChange }) {
+  const [newDoorTarget, setNewDoorTarget] = useState('')
+  const sizeProps = { layoutData, unitSystem }
+  const rooms = layoutData.rooms || []
+  const roomName = id => (id === EXTERIOR ? 'Outside' : rooms.find(candidate => candidate.id === id)?.name || id)
+
+  if (!BuildingElementsService.hasElements(layoutData)) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-500">
+          This layout has rooms and circulation only. Doors and windows make compliance and daylight results more accurate.
+        </p>
+        <button
+          onClick={() => onChange(BuildingElementsService.generateDefaults(layoutData), 'Added doors and windows')}
+          className="btn-secondary flex items-center space-x-2 text-sm"
+        >
+          <Wand2 className="w-4 h-4" />
+          <span>Add doors and windows</span>
+        </button>
+      </div>
+    )
+  }
+
+  const doors = layoutData.doors || []
+  const windows = layoutData.windows || []
+  const thickness = BuildingElementsService.getWallThickness(layoutData)
+  const defaults = BuildingElementsService.getDefaultSizes(layoutData)
+  const { doors: placedDoors, windows: placedWindows } = BuildingElementsService.getGeometry(layoutData)
+
+  // editKey (from SizeInput) merges one typing session into one change; selects commit each change
+  const updateDoor = (door, changes, editKey) => onChange(
+    { doors: doors.map(candidate => (candidate.id === door.id ? { ...candidate, ...changes } : candidate)) },
+    `Edited door ${roomName(door.from)} → ${roomName(door.to)}`,
+    editKey && `door-${door.id}-${editKey}`
+  )
+  const updateWindow = (window, changes, editKey) => onChange(
+    { windows: windows.map(candidate => (candidate.id === window.id ? { ...candidate, ...changes } : candidate)) },
+    `Edited ${roomName(window.room)} window`,
+    editKey && `window-${window.id}-${editKey}`
+  )
+
+  const addDoor = () => {
+    const target = newDoorTarget || EXTERIOR
+    onChange({
+      doors: [...doors, {
+        id: BuildingElementsService.nextId(doors, 'door'),
+        from: room.id,
+        to: target,
+        width: defaults.doorWidth,
+        swing: 'left',
+        position: 0.5
+      }]
+    }, `Added door ${room.name} → ${roomName(target)}`)
+  }
+
+  const exteriorSides = room ? BuildingElementsService.getExteriorSides(layoutData, room.id) : []
+  const addWindow = () => onChange({
+    windows: [...windows, {
+      id: BuildingElementsService.nextId(windows, 'window'),
+      room: room.id,
+      side: exteriorSides[0],
+      ...defaults.window,
+      position: 0.5
+    }]
+  }, `Added ${room.name} window`)
+
+  const roomDoors = room ? placedDoors.filter(({ door }) => door.from === room.id || door.to === room.id) : []
+  const roomWindows = room ? placedWindows.filter(({ window }) => window.room === room.id) : []
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-2">
+        {['exterior', 'interior'].map(type => (
+          <SizeInput
+            key={type}
+            {...sizeProps}
+            label={`${type === 'exterior' ? 'Exterior' : 'Interior'} walls`}
+            value={thickness[type]}
+            onChange={(size, editKey) => onChange(
+              { wallThickness: { ...thickness, [type]: size } },
+              `Set ${type} wall thickness`,
+              `wall-thickness-${type}-${editKey}`
+            )}
+          />
+        ))}
+      </div>
+
+      {!room ? (
+        <p className="text-gray-500 text-sm">Click on a room to edit its doors and windows</p>
+      ) : (
+        <>
+          <div>
+            <h5 className="flex items-center space-x-2 text-sm font-medium text-text mb-2">
+              <DoorOpen className="w-4 h-4 text-gray-500" />
+              <span>Doors</span>
+            </h5>
+            <ul className="space-y-3">
+              {roomDoors.map(({ door, wall, opening }) => (
+                <li key={door.id} className="space-y-1">
+                  <div className="flex items-center justify-between text-sm text-gray-600">
+                    <span>→ {roomName(door.from === room.id ? door.to : door.from)}</span>
+                    <button
+                      onClick={() => onChange({ doors: doors.filter(candidate => candidate.id !== door.id) }, 'Removed door')}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove door"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <SizeInput {...sizeProps} label="Width" value={door.width} onChange={(width, editKey) => updateDoor(door, { width }, editKey)} />
+                    <label className="flex flex-col text-xs text-gray-500">
+                      <span>Swing</span>
+                      <select
+                        value={door.swing || 'left'}
+                        onChange={(e) => updateDoor(door, { swing: e.target.value })}
+                        className="input text-sm py-1 px-2"
+                      >
+                        {DOOR_SWINGS.map(swing => <option key={swing} value={swing}>{SWING_LABELS[swing]}</option>)}
+                      </select>
+                    </label>
+                  </div>
+                  {!wall && <p className="text-xs text-yellow-700">No wall between these rooms, so the door is not drawn</p>}
+                  {wall && !opening.fits && <p className="text-xs text-yellow-700">Wider than its wall</p>}
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center space-x-2 mt-2">
+              <select
+                value={newDoorTarget}
+                onChange={(e) => setNewDoorTarget(e.target.value)}
+                className="input text-sm py-1 flex-1"
+              >
+                <option value="">To outside</option>
+                {rooms.filter(other => other.id !== room.id).map(other => (
+                  <option key={other.id} value={other.id}>To {other.name}</option>
+                ))}
+              </select>
+              <button onClick={addDoor} className="btn-secondary p-2" title="Add door">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <h5 className="flex items-center space-x-2 text-sm font-medium text-text mb-2">
+              <AppWindow className="w-4 h-4 text-gray-500" />
+              <span>Windows</span>
+            </h5>
+            <ul className="space-y-3">
+              {roomWindows.map(({ window, wall, opening }) => (
+                <li key={window.id} className="space-y-1">
+                  <div className="flex items-center justify-between">
+                    <select
+                      value={window.side}
+                      onChange={(e) => updateWindow(window, { side: e.target.value })}
+                      className="input text-sm py-1 px-2 capitalize"
+                    >
+                      {WALL_SIDES.map(side => <option key={side} value={side}>{side}</option>)}
+                    </select>
+                    <button
+                      onClick={() => onChange({ windows: windows.filter(candidate => candidate.id !== window.id) }, 'Removed window')}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove window"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-3 gap-2">
+                    <SizeInput {...sizeProps} label="Width" value={window.width} onChange={(width, editKey) => updateWindow(window, { width }, editKey)} />
+                    <SizeInput {...sizeProps} label="Height" value={window.height ?? defaults.window.height} onChange={(height, editKey) => updateWindow(window, { height }, editKey)} />
+                    <SizeInput {...sizeProps} label="Sill" value={window.sill ?? defaults.window.sill} min={0} onChange={(sill, editKey) => updateWindow(window, { sill }, editKey)} />
+                  </div>
+                  {!wall && <p className="text-xs text-yellow-700">No exterior wall on this side, so the window is not drawn</p>}
+                  {wall && !opening.fits && <p className="text-xs text-yellow-700">Wider than its wall</p>}
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={addWindow}
+              disabled={exteriorSides.length === 0}
+              className="btn-secondary flex items-center space-x-2 text-sm mt-2 disabled:opacity-40"
+              title={exteriorSides.length ? 'Add window' : 'This room has no exterior wall'}
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add window</span>
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
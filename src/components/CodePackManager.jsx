@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+import { Upload, Trash2, FileCode } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { importCodePack, CODE_PACK_FILE_TYPES } from '../services/codePacks'
+
+/**
+ * The organisation's custom building code packs: import from JSON or YAML, list and remove.
+ * Projects select packs when they are created and keep their own copy, so removing or
+ * re-importing a pack does not change existing projects.
+ */
+export function CodePackManager() {
+  const { user, getCodePacks, saveCodePack, removeCodePack } = useStore()
+  const [status, setStatus] = useState(null)
+  const packs = getCodePacks()
+
+  const importFile = async (e) => {
+    const file = e.target.files[0]
+    // Reset so the same file can be picked again after fixing it
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const pack = await importCodePack(await file.text(), { fileName: file.name, organizationId: user.organizationId })
+      const replaced = packs.some(existing => existing.key === pack.key)
+      saveCodePack(pack)
+      setStatus({ type: 'success', message: `${replaced ? 'Replaced' : 'Imported'} ${pack.name} (${pack.key})` })
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message })
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-xl font-semibold text-text mb-2">Custom Code Packs</h2>
+          <p className="text-sm text-gray-600">
+            Additional codes and local amendments to the built-in ones, shared across your organisation
+            and selectable when creating a project. Packs are JSON or YAML files; see the README for the format.
+          </p>
+        </div>
+        <label className="btn-primary flex items-center space-x-2 cursor-pointer shrink-0">
+          <Upload className="w-4 h-4" />
+          <span>Import</span>
+          <input type="file" accept={CODE_PACK_FILE_TYPES.join(',')} onChange={importFile} className="hidden" />
+        </label>
+      </div>
+
+      {status && (
+        <div className={`mb-6 p-3 rounded-md text-sm ${status.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+          {status.message}
+        </div>
+      )}
+
+      {packs.length === 0 ? (
+        <p className="text-sm text-gray-500">No code packs imported yet.</p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {packs.map(pack => (
+            <li key={pack.id} className="flex items-center justify-between py-3">
+              <div className="flex items-start space-x-3">
+                <FileCode className="w-5 h-5 text-gray-400 mt-0.5" />
+                <div>
+                  <h3 className="font-medium text-text">
+                    {pack.name} <span className="text-sm font-normal text-gray-500">{pack.key}{pack.version !== undefined && ` · ${pack.version}`}</span>
+                  </h3>
+                  <p className="text-sm text-gray-600">
+                    {pack.country} · {pack.amends
+                      ? `Amends ${pack.amends}: ${pack.rules?.length || 0} rule${pack.rules?.length === 1 ? '' : 's'} changed or added${pack.removes?.length ? `, ${pack.removes.length} removed` : ''}`
+                      : `${pack.rules.length} rule${pack.rules.length === 1 ? '' : 's'}`}
+                    {pack.fileName && ` · ${pack.fileName}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => window.confirm(`Remove ${pack.name}? Projects that use it keep their copy.`) && removeCodePack(pack.id)}
+                className="p-2 text-gray-400 hover:text-red-600"
+                title="Remove code pack"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,76 @@
+import React from 'react'
+import { Crosshair } from 'lucide-react'
+
+// Colours shared by the issue list and the LayoutViewer overlay
+export const COMPLIANCE_COLORS = {
+  critical: { fill: 'hsl(0, 85%, 93%)', stroke: 'hsl(0, 72%, 48%)' },
+  warning: { fill: 'hsl(48, 96%, 88%)', stroke: 'hsl(40, 90%, 42%)' }
+}
+
+const GROUPS = [
+  {
+    severity: 'critical',
+    title: 'Issues Found',
+    box: 'bg-red-50 border-red-200',
+    heading: 'text-red-800',
+    text: 'text-red-700',
+    focused: 'bg-red-100'
+  },
+  {
+    severity: 'warning',
+    title: 'Warnings',
+    box: 'bg-yellow-50 border-yellow-200',
+    heading: 'text-yellow-800',
+    text: 'text-yellow-700',
+    focused: 'bg-yellow-100'
+  }
+]
+
+// "Path 2: living → kitchen" reads better with room names than with ids
+const describeTarget = (entry, layoutData) => {
+  const { target, issue } = entry
+  if (target?.kind !== 'path' && target?.kind !== 'door') return issue.location
+  const { from, to } = target.kind === 'door' ? layoutData.doors[target.index] : layoutData.circulation[target.index]
+  const name = id => layoutData.rooms.find(room => room.id === id)?.name || id
+  return `${issue.location.split(':')[0]}: ${name(from)} → ${name(to)}`
+}
+
+/**
+ * Compliance issues and warnings grouped by severity. Entries that could be located on the
+ * plan are clickable; `onIssueClick(entry)` is expected to highlight and zoom to them.
+ */
+export function ComplianceIssueList({ entries, layoutData, focusedKey, onIssueClick }) {
+  return GROUPS.map(group => {
+    const groupEntries = entries.filter(entry => entry.severity === group.severity)
+    if (groupEntries.length === 0) return null
+
+    return (
+      <div key={group.severity} className={`mt-4 p-3 border rounded-md ${group.box}`}>
+        <h4 className={`text-sm font-medium mb-2 ${group.heading}`}>
+          {group.title} ({groupEntries.length}):
+        </h4>
+        <ul className={`text-sm space-y-1 ${group.text}`}>
+          {groupEntries.map(entry => (
+            <li key={entry.key}>
+              {entry.target ? (
+                <button
+                  onClick={() => onIssueClick(entry)}
+                  className={`w-full text-left rounded px-1 -mx-1 hover:underline ${entry.key === focusedKey ? group.focused : ''}`}
+                  title="Show on plan"
+                >
+                  <span className="block">• {entry.issue.message}</span>
+                  <span className="flex items-center space-x-1 text-xs opacity-80">
+                    <Crosshair className="w-3 h-3" />
+                    <span>{describeTarget(entry, layoutData)}</span>
+                  </span>
+                </button>
+              ) : (
+                <span>• {entry.issue.message}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  })
+}
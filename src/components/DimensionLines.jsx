@@ -0,0 +1,53 @@
+import React from 'react'
+import { getDimensionGeometry } from '../services/dimensions'
+
+export const DIMENSION_COLOR = 'hsl(330, 75%, 40%)'
+
+/**
+ * SVG for dimension chains (see services/dimensions.js), for use inside FloorPlanCanvas.
+ * Lines keep a constant screen width; text is sized in drawing units like room labels.
+ * Lengths are labelled in `unitSystem`.
+ */
+export function DimensionLines({ dimensions, layoutData, unitSystem, color = DIMENSION_COLOR, opacity = 1, dashed = false }) {
+  return (
+    <g className="pointer-events-none" opacity={opacity}>
+      {dimensions.map(dimension =>
+        getDimensionGeometry(dimension, layoutData, unitSystem).map((segment, index) => {
+          const [textX, textY] = segment.text.position
+          return (
+            <g key={`${dimension.id}-${index}`}>
+              {[segment.line, ...segment.extensions, ...segment.ticks].map(([[x1, y1], [x2, y2]], lineIndex) => (
+                <line
+                  key={lineIndex}
+                  x1={x1}
+                  y1={y1}
+                  x2={x2}
+                  y2={y2}
+                  stroke={color}
+                  strokeWidth={lineIndex === 0 ? 1.5 : 1}
+                  strokeDasharray={dashed && lineIndex === 0 ? '4,3' : undefined}
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+              <text
+                x={textX}
+                y={textY}
+                transform={`rotate(${segment.text.angle} ${textX} ${textY})`}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fontSize="11"
+                fontWeight="500"
+                fill={color}
+                stroke="white"
+                strokeWidth="3"
+                paintOrder="stroke"
+              >
+                {segment.text.label}
+              </text>
+            </g>
+          )
+        })
+      )}
+    </g>
+  )
+}
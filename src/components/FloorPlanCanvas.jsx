@@ -0,0 +1,147 @@
+import React from 'react'
+import { DEFAULT_BOUNDS } from '../services/planViewport'
+import { BuildingElementsService } from '../services/buildingElements'
+import { UnitService } from '../services/units'
+import { BuildingElementsLayer } from './BuildingElementsLayer'
+
+const DEFAULT_ROOM_COLORS = {
+  fill: 'hsl(210, 90%, 98%)',
+  stroke: 'hsl(210, 30%, 85%)'
+}
+const SELECTED_ROOM_COLORS = {
+  fill: 'hsl(210, 90%, 95%)',
+  stroke: 'hsl(210, 90%, 30%)'
+}
+const DEFAULT_CIRCULATION_STYLE = { stroke: 'hsl(210, 90%, 60%)', opacity: 0.3 }
+
+export const roomCenter = (room) => ({ x: room.x + room.width / 2, y: room.y + room.height / 2 })
+
+/**
+ * SVG floor plan: grid, circulation paths, rooms and, for layouts that have them, walls,
+ * doors and windows. Overlays passed as children are drawn above the circulation and below
+ * the rooms, so rooms stay clickable; `foreground` is drawn on top of everything (e.g. edit
+ * handles). `viewBox` is the visible area in drawing units (see FloorPlanViewport for pan and
+ * zoom). `getRoomColors(room)`, `getCirculationStyle(path, index)` and `getDoorColor(door,
+ * index)` may return null to keep the default styling. Room areas are labelled in `unitSystem`.
+ */
+export function FloorPlanCanvas({
+  layoutData,
+  viewBox = DEFAULT_BOUNDS,
+  selectedRoomId = null,
+  onRoomClick,
+  onRoomPointerDown,
+  getRoomColors,
+  getCirculationStyle,
+  getDoorColor,
+  unitSystem,
+  style,
+  children,
+  foreground
+}) {
+  const rooms = layoutData.rooms || []
+
+  const roomColors = (room) => {
+    const colors = getRoomColors?.(room)
+    if (colors) return colors
+    return room.id === selectedRoomId ? SELECTED_ROOM_COLORS : DEFAULT_ROOM_COLORS
+  }
+
+  return (
+    <svg
+      className="w-full h-full"
+      viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+      style={style}
+    >
+      {/* Grid Background */}
+      <defs>
+        <pattern
+          id="grid"
+          width="50"
+          height="50"
+          patternUnits="userSpaceOnUse"
+        >
+          <path
+            d="M 50 0 L 0 0 0 50"
+            fill="none"
+            stroke="#f3f4f6"
+            strokeWidth="1"
+          />
+        </pattern>
+      </defs>
+      <rect x={viewBox.x} y={viewBox.y} width={viewBox.width} height={viewBox.height} fill="url(#grid)" />
+
+      {/* Circulation Paths */}
+      {layoutData.circulation?.map((path, index) => {
+        const fromRoom = rooms.find(r => r.id === path.from)
+        const toRoom = rooms.find(r => r.id === path.to)
+
+        if (!fromRoom || !toRoom) return null
+
+        const fromCenter = roomCenter(fromRoom)
+        const toCenter = roomCenter(toRoom)
+        const { stroke, opacity } = getCirculationStyle?.(path, index) || DEFAULT_CIRCULATION_STYLE
+
+        return (
+          <line
+            key={`circulation-${index}`}
+            x1={fromCenter.x}
+            y1={fromCenter.y}
+            x2={toCenter.x}
+            y2={toCenter.y}
+            stroke={stroke}
+            strokeWidth={path.width * 2}
+            strokeOpacity={opacity}
+            strokeDasharray="5,5"
+          />
+        )
+      })}
+
+      {children}
+
+      {/* Rooms */}
+      {rooms.map((room) => {
+        const colors = roomColors(room)
+        return (
+          <g key={room.id}>
+            <rect
+              x={room.x}
+              y={room.y}
+              width={room.width}
+              height={room.height}
+              fill={colors.fill}
+              stroke={colors.stroke}
+              strokeWidth={room.id === selectedRoomId ? "3" : "2"}
+              className={`${onRoomPointerDown ? 'cursor-move' : onRoomClick ? 'cursor-pointer' : ''} transition-colors duration-150`}
+              onClick={onRoomClick ? () => onRoomClick(room) : undefined}
+              onPointerDown={onRoomPointerDown ? (e) => onRoomPointerDown(room, e) : undefined}
+            />
+            <text
+              x={room.x + room.width / 2}
+              y={room.y + room.height / 2 - 10}
+              textAnchor="middle"
+              className="fill-current text-text font-medium pointer-events-none"
+              fontSize="14"
+            >
+              {room.name}
+            </text>
+            <text
+              x={room.x + room.width / 2}
+              y={room.y + room.height / 2 + 6}
+              textAnchor="middle"
+              className="fill-current text-gray-500 pointer-events-none"
+              fontSize="12"
+            >
+              {UnitService.formatLayoutValue(layoutData, 'area', room.area, unitSystem)}
+            </text>
+          </g>
+        )
+      })}
+
+      {BuildingElementsService.hasElements(layoutData) && (
+        <BuildingElementsLayer layoutData={layoutData} getDoorColor={getDoorColor} />
+      )}
+
+      {foreground}
+    </svg>
+  )
+}
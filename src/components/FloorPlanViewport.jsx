@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { FloorPlanCanvas } from './FloorPlanCanvas'
+import { PlanViewport } from '../services/planViewport'
+
+// Pointer travel before a press becomes a pan, so clicks still select rooms
+const DRAG_THRESHOLD_PX = 4
+const WHEEL_ZOOM_SPEED = 0.0015
+// Trackpad pinches arrive as wheel events with ctrlKey and much smaller deltas
+const PINCH_WHEEL_ZOOM_SPEED = 0.01
+const MINIMAP_WIDTH = 180
+const MINIMAP_MARGIN = 0.05
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+/**
+ * Floor plan with pointer-drag panning, cursor-anchored wheel and pinch zoom, and an
+ * optional minimap. The view is controlled: pass `view` (null to fit `bounds`) and
+ * `onViewChange`. Remaining props go to FloorPlanCanvas. `className` must position the
+ * viewport (relative or absolute) since the minimap is placed inside it.
+ */
+export function FloorPlanViewport({ view, onViewChange, bounds, minimap = false, className = '', ...canvasProps }) {
+  const containerRef = useRef(null)
+  const viewRef = useRef(view)
+  const onViewChangeRef = useRef(onViewChange)
+  const sizeRef = useRef(null)
+  const pointersRef = useRef(new Map())
+  const gestureRef = useRef(null)
+  const [isPanning, setIsPanning] = useState(false)
+
+  // Native listeners below are registered once, so they read the latest props from refs
+  viewRef.current = view
+  onViewChangeRef.current = onViewChange
+
+  const changeView = (next) => {
+    viewRef.current = next
+    onViewChangeRef.current(next)
+  }
+
+  // Track the viewport size; fit the plan the first time it is known
+  useEffect(() => {
+    const container = containerRef.current
+    const observer = new ResizeObserver(([entry]) => {
+      const size = { width: entry.contentRect.width, height: entry.contentRect.height }
+      if (!size.width || !size.height) return
+      sizeRef.current = size
+      changeView(viewRef.current ? PlanViewport.resize(viewRef.current, size) : PlanViewport.fit(bounds, size))
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  // A null view asks for a fresh fit (initial render, fit button, new layout)
+  useEffect(() => {
+    if (!view && sizeRef.current) changeView(PlanViewport.fit(bounds, sizeRef.current))
+  }, [view, bounds])
+
+  // React wheel listeners are passive, so page scrolling could not be prevented
+  useEffect(() => {
+    const container = containerRef.current
+    const handleWheel = (e) => {
+      if (!viewRef.current) return
+      e.preventDefault()
+      const rect = container.getBoundingClientRect()
+      const speed = e.ctrlKey ? PINCH_WHEEL_ZOOM_SPEED : WHEEL_ZOOM_SPEED
+      const anchor = { x: e.clientX - rect.left, y: e.clientY - rect.top }
+      changeView(PlanViewport.zoom(viewRef.current, Math.exp(-e.deltaY * speed), anchor))
+    }
+    container.addEventListener('wheel', handleWheel, { passive: false })
+    return () => container.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  const localPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 1) return
+    pointersRef.current.set(e.pointerId, localPoint(e))
+    gestureRef.current = { last: localPoint(e), origin: localPoint(e), panning: false }
+  }
+
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current
+    if (!pointers.has(e.pointerId) || !viewRef.current) return
+
+    const previous = [...pointers.values()]
+    pointers.set(e.pointerId, localPoint(e))
+    const current = [...pointers.values()]
+
+    // Two fingers: zoom about their midpoint and follow it
+    if (current.length === 2) {
+      const before = midpoint(previous[0], previous[1])
+      const after = midpoint(current[0], current[1])
+      const factor = distance(current[0], current[1]) / (distance(previous[0], previous[1]) || 1)
+      changeView(PlanViewport.pan(PlanViewport.zoom(viewRef.current, factor, after), after.x - before.x, after.y - before.y))
+      if (!e.currentTarget.hasPointerCapture(e.pointerId)) e.currentTarget.setPointerCapture(e.pointerId)
+      return
+    }
+
+    const gesture = gestureRef.current
+    const point = localPoint(e)
+    if (!gesture.panning) {
+      if (distance(point, gesture.origin) < DRAG_THRESHOLD_PX) return
+      gesture.panning = true
+      setIsPanning(true)
+      e.currentTarget.setPointerCapture(e.pointerId)
+    }
+    changeView(PlanViewport.pan(viewRef.current, point.x - gesture.last.x, point.y - gesture.last.y))
+    gesture.last = point
+  }
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId)
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId)
+    }
+    // The finger left on screen after a pinch continues as a pan from where it is
+    const remaining = [...pointersRef.current.values()][0]
+    gestureRef.current = remaining ? { last: remaining, origin: remaining, panning: true } : null
+    if (!remaining) setIsPanning(false)
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`overflow-hidden touch-none ${isPanning ? 'cursor-grabbing' : 'cursor-grab'} ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {view && (
+        <FloorPlanCanvas {...canvasProps} viewBox={PlanViewport.getViewBox(view)} />
+      )}
+      {minimap && view && PlanViewport.isClipped(view, bounds) && (
+        <FloorPlanMinimap
+          layoutData={canvasProps.layoutData}
+          bounds={bounds}
+          view={view}
+          onNavigate={(point) => changeView(PlanViewport.centerOn(viewRef.current, point))}
+        />
+      )}
+    </div>
+  )
+}
+
+// Overview of the whole plan with the visible area outlined; click or drag to move the view
+function FloorPlanMinimap({ layoutData, bounds, view, onNavigate }) {
+  const visible = PlanViewport.getViewBox(view)
+  // Framed on the plan alone, so the mapping stays put while dragging the outline
+  const margin = Math.max(bounds.width, bounds.height) * MINIMAP_MARGIN
+  const minX = bounds.x - margin
+  const minY = bounds.y - margin
+  const width = bounds.width + margin * 2
+  const height = bounds.height + margin * 2
+
+  const navigate = (e) => {
+    const svg = e.currentTarget
+    const point = svg.createSVGPoint()
+    point.x = e.clientX
+    point.y = e.clientY
+    onNavigate(point.matrixTransform(svg.getScreenCTM().inverse()))
+  }
+
+  return (
+    <div
+      className="absolute bottom-4 right-4 bg-surface rounded-lg shadow-card p-1 cursor-pointer"
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <svg
+        width={MINIMAP_WIDTH}
+        height={(MINIMAP_WIDTH * height) / width}
+        viewBox={`${minX} ${minY} ${width} ${height}`}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId)
+          navigate(e)
+        }}
+        onPointerMove={(e) => {
+          if (e.currentTarget.hasPointerCapture(e.pointerId)) navigate(e)
+        }}
+      >
+        {layoutData.rooms?.map(room => (
+          <rect
+            key={room.id}
+            x={room.x}
+            y={room.y}
+            width={room.width}
+            height={room.height}
+            fill="hsl(210, 90%, 92%)"
+            stroke="hsl(210, 30%, 70%)"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        <rect
+          x={visible.x}
+          y={visible.y}
+          width={visible.width}
+          height={visible.height}
+          fill="hsl(210, 90%, 50%)"
+          fillOpacity="0.1"
+          stroke="hsl(210, 90%, 40%)"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+    </div>
+  )
+}
@@ -0,0 +1,157 @@
+import React from 'react'
+import { GitCompare } from 'lucide-react'
+import { ROOM_CHANGE_LABELS } from '../services/layoutDiff'
+import { UnitService } from '../services/units'
+
+// Colours shared by the change table and the LayoutViewer overlay
+export const DIFF_COLORS = {
+  added: { fill: 'hsl(142, 70%, 92%)', stroke: 'hsl(142, 70%, 35%)', text: 'text-green-700' },
+  removed: { fill: 'hsl(0, 80%, 96%)', stroke: 'hsl(0, 70%, 50%)', text: 'text-red-600' },
+  changed: { fill: 'hsl(38, 95%, 90%)', stroke: 'hsl(32, 95%, 44%)', text: 'text-amber-600' },
+  unchanged: { fill: 'hsl(210, 20%, 97%)', stroke: 'hsl(210, 15%, 82%)', text: 'text-gray-500' }
+}
+
+export const getDiffColor = (status) => DIFF_COLORS[status] || DIFF_COLORS.changed
+
+// `format` turns a number into text with its unit, e.g. a layout area in display units
+const formatDelta = (value, format = number => `${number}`) => {
+  if (value === null || value === undefined) return '—'
+  if (value === 0) return format(0)
+  return `${value > 0 ? '+' : ''}${format(value)}`
+}
+
+const deltaClass = (value) => {
+  if (!value) return 'text-gray-500'
+  return value > 0 ? 'text-green-600' : 'text-red-600'
+}
+
+const describeRoomChange = (room) => {
+  const parts = []
+  if (room.delta.x || room.delta.y) parts.push(`moved ${formatDelta(room.delta.x)}, ${formatDelta(room.delta.y)}`)
+  if (room.delta.width || room.delta.height) {
+    parts.push(`${room.before.width}×${room.before.height} → ${room.after.width}×${room.after.height}`)
+  }
+  if (room.status === 'renamed') parts.push(`was ${room.before.name}`)
+  return parts.join('; ')
+}
+
+export function LayoutDiffPanel({ bases, baseKey, onBaseChange, diff, metricDeltas, layoutData, unitSystem }) {
+  const formatArea = value => UnitService.formatLayoutValue(layoutData, 'area', value, unitSystem)
+  const formatWidth = value => UnitService.formatLayoutValue(layoutData, 'length', value, unitSystem)
+  const roomNames = Object.fromEntries((diff?.rooms || []).map(room => [room.id, room.name]))
+  const edgeLabel = (path) => `${roomNames[path.from] || path.from} ↔ ${roomNames[path.to] || path.to}`
+  const changedRooms = (diff?.rooms || []).filter(room => room.status !== 'unchanged')
+  const { circulation, summary } = diff || {}
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 mb-4">
+        <GitCompare className="w-4 h-4 text-gray-500" />
+        <h3 className="font-semibold text-text">Changes</h3>
+      </div>
+
+      <label className="block text-xs text-gray-500 mb-1">Compare against</label>
+      <select
+        value={baseKey || ''}
+        onChange={(e) => onBaseChange(e.target.value)}
+        className="input text-sm mb-4"
+      >
+        {bases.map(base => (
+          <option key={base.key} value={base.key}>{base.label}</option>
+        ))}
+      </select>
+
+      {diff && !summary.hasChanges && (
+        <p className="text-sm text-gray-500">No geometry changes.</p>
+      )}
+
+      {diff && summary.hasChanges && (
+        <div className="space-y-4 text-sm">
+          <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+            <span className={DIFF_COLORS.added.text}>{summary.added} added</span>
+            <span className={DIFF_COLORS.removed.text}>{summary.removed} removed</span>
+            <span className={DIFF_COLORS.changed.text}>{summary.moved} moved</span>
+            <span className={DIFF_COLORS.changed.text}>{summary.resized} resized</span>
+            <span className="text-gray-600">
+              Area {formatArea(summary.areaBefore)} → {formatArea(summary.areaAfter)} ({formatDelta(summary.areaDelta, formatArea)})
+            </span>
+          </div>
+
+          {changedRooms.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-border">
+                  <th className="py-1 font-medium">Room</th>
+                  <th className="py-1 font-medium">Change</th>
+                  <th className="py-1 font-medium text-right">Area</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changedRooms.map(room => (
+                  <tr key={`${room.status}-${room.id}`} className="border-b border-border align-top">
+                    <td className="py-1 pr-2 text-text">{room.name}</td>
+                    <td className={`py-1 pr-2 ${getDiffColor(room.status).text}`}>
+                      {ROOM_CHANGE_LABELS[room.status]}
+                      {room.before && room.after && (
+                        <div className="text-gray-500">{describeRoomChange(room)}</div>
+                      )}
+                    </td>
+                    <td className={`py-1 text-right ${deltaClass(room.delta.area)}`}>
+                      {formatDelta(room.delta.area, formatArea)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {summary.circulationChanges > 0 && (
+            <div>
+              <h4 className="text-xs font-medium text-text mb-1">Circulation</h4>
+              <ul className="text-xs space-y-0.5">
+                {circulation.added.map(path => (
+                  <li key={`added-${path.from}-${path.to}`} className={DIFF_COLORS.added.text}>
+                    + {edgeLabel(path)} ({formatWidth(path.width)} wide)
+                  </li>
+                ))}
+                {circulation.removed.map(path => (
+                  <li key={`removed-${path.from}-${path.to}`} className={DIFF_COLORS.removed.text}>
+                    − {edgeLabel(path)}
+                  </li>
+                ))}
+                {circulation.changed.map(path => (
+                  <li key={`changed-${path.from}-${path.to}`} className={DIFF_COLORS.changed.text}>
+                    {edgeLabel(path)}: {formatWidth(path.before)} → {formatWidth(path.after)} wide
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {metricDeltas && (
+        <table className="w-full text-xs mt-4">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-border">
+              <th className="py-1 font-medium">Metric</th>
+              <th className="py-1 font-medium text-right">Before</th>
+              <th className="py-1 font-medium text-right">After</th>
+              <th className="py-1 font-medium text-right">Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {metricDeltas.map(row => (
+              <tr key={row.id} className="border-b border-border">
+                <td className="py-1 pr-2 text-text">{row.label}</td>
+                <td className="py-1 text-right text-gray-600">{row.before ?? '—'}</td>
+                <td className="py-1 text-right text-gray-600">{row.after ?? '—'}</td>
+                <td className={`py-1 text-right ${deltaClass(row.delta)}`}>{formatDelta(row.delta, number => `${number}${row.unit}`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
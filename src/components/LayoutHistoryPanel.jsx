@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { History, GitBranch, RotateCcw, CornerDownRight } from 'lucide-react'
+import { REVISION_REASONS, findLayoutRevision, getLayoutBranches } from '../services/layoutHistory'
+import { evaluateLayout } from '../services/layoutEvaluation'
+
+export function LayoutHistoryPanel({ layout, layouts, normSettings, performanceSettings, onRestore }) {
+  const revisions = [...(layout.revisions || [])].reverse()
+  const branches = getLayoutBranches(layouts, layout.id)
+  const origin = layout.branchedFrom ? findLayoutRevision(layouts, layout.branchedFrom.revisionId) : null
+
+  // Overall score of each revision, so the history shows whether a change helped
+  const scores = useMemo(() => {
+    const byRevision = {}
+    ;(layout.revisions || []).forEach(revision => {
+      byRevision[revision.id] = evaluateLayout(revision.layoutData, normSettings, performanceSettings)
+        .performanceMetrics.overallScore
+    })
+    return byRevision
+  }, [layout.revisions, normSettings, performanceSettings])
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 mb-4">
+        <History className="w-4 h-4 text-gray-500" />
+        <h3 className="font-semibold text-text">History</h3>
+      </div>
+
+      {origin && (
+        <div className="flex items-center space-x-1 text-sm text-gray-600 mb-3">
+          <GitBranch className="w-4 h-4" />
+          <span>
+            Branched from{' '}
+            <Link to={`/layout/${origin.layout.id}`} className="text-primary hover:underline">
+              {origin.layout.name}
+            </Link>{' '}
+            v{origin.revision.version}
+          </span>
+        </div>
+      )}
+
+      <ol className="space-y-3">
+        {revisions.map(revision => {
+          const isCurrent = revision.id === layout.currentRevisionId
+
+          return (
+            <li key={revision.id} className={`text-sm ${isCurrent ? '' : 'text-gray-600'}`}>
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className={`font-medium ${isCurrent ? 'text-primary' : 'text-text'}`}>
+                      v{revision.version}
+                    </span>
+                    <span>{REVISION_REASONS[revision.reason] || revision.reason}</span>
+                    {isCurrent && (
+                      <span className="px-1.5 py-0.5 text-xs rounded bg-primary text-white">current</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {revision.author?.email || 'System'} · {formatDistanceToNow(new Date(revision.createdAt), { addSuffix: true })}
+                    {scores[revision.id] !== undefined && ` · score ${scores[revision.id]}`}
+                  </div>
+                  {revision.note && (
+                    <div className="text-xs text-gray-500 truncate" title={revision.note}>
+                      {revision.note}
+                    </div>
+                  )}
+                </div>
+                {!isCurrent && (
+                  <button
+                    onClick={() => onRestore(revision.id)}
+                    className="p-1 text-gray-500 hover:text-primary flex-shrink-0"
+                    title={`Restore v${revision.version}`}
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              {branches[revision.id]?.map(branch => (
+                <Link
+                  key={branch.id}
+                  to={`/layout/${branch.id}`}
+                  className="mt-1 ml-2 flex items-center space-x-1 text-xs text-primary hover:underline"
+                >
+                  <CornerDownRight className="w-3 h-3" />
+                  <span className="truncate">{branch.name}</span>
+                </Link>
+              ))}
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
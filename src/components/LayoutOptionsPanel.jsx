@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Layers, Loader2, Trophy, Eye } from 'lucide-react'
+import { ComplianceStatusBadge } from './ComplianceStatusBadge'
+import { LAYOUT_STRATEGIES, MIN_ALTERNATIVES, MAX_ALTERNATIVES } from '../services/layoutStrategies'
+
+export function LayoutOptionsPanel({ layouts, onGenerate, isGenerating, lastDiscarded = 0, lastShortfall = 0 }) {
+  const [count, setCount] = useState(4)
+  const [selectedStrategies, setSelectedStrategies] = useState(
+    LAYOUT_STRATEGIES.slice(0, 4).map(strategy => strategy.id)
+  )
+
+  // The most recent option set for this project, best first
+  const latestSetId = layouts
+    .filter(layout => layout.optionSet)
+    .reduce((latest, layout) => (layout.optionSet.id > latest ? layout.optionSet.id : latest), '')
+  const rankedOptions = layouts
+    .filter(layout => layout.optionSet?.id === latestSetId)
+    .sort((a, b) => a.optionSet.rank - b.optionSet.rank)
+
+  const toggleStrategy = (strategyId) => {
+    setSelectedStrategies(prev => prev.includes(strategyId)
+      ? prev.filter(id => id !== strategyId)
+      : [...prev, strategyId]
+    )
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-2 mb-4">
+        <Layers className="w-5 h-5 text-primary" />
+        <h3 className="font-medium text-text">Generate Options</h3>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-text mb-2">
+            Number of Options
+          </label>
+          <select
+            value={count}
+            onChange={(e) => setCount(parseInt(e.target.value, 10))}
+            className="input"
+          >
+            {Array.from({ length: MAX_ALTERNATIVES - MIN_ALTERNATIVES + 1 }, (_, i) => MIN_ALTERNATIVES + i).map(n => (
+              <option key={n} value={n}>{n} options</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-text mb-2">
+            Preferred Strategies
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            {LAYOUT_STRATEGIES.map(strategy => (
+              <label key={strategy.id} className="flex items-center" title={strategy.guidance}>
+                <input
+                  type="checkbox"
+                  checked={selectedStrategies.includes(strategy.id)}
+                  onChange={() => toggleStrategy(strategy.id)}
+                  className="mr-2"
+                />
+                <span className="text-sm">{strategy.name}</span>
+              </label>
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            Unselected strategies fill any remaining slots.
+          </p>
+        </div>
+
+        <button
+          onClick={() => onGenerate({ count, strategies: selectedStrategies })}
+          disabled={isGenerating}
+          className="w-full btn-primary flex items-center justify-center space-x-2"
+        >
+          {isGenerating ? (
+            <Loader2 className="w-4 h-4 animate-spin" />
+          ) : (
+            <Layers className="w-4 h-4" />
+          )}
+          <span>{isGenerating ? 'Generating...' : `Generate ${count} Options`}</span>
+        </button>
+      </div>
+
+      {rankedOptions.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-border">
+          <h4 className="text-sm font-medium text-text mb-3">Ranked Options</h4>
+          <ol className="space-y-2">
+            {rankedOptions.map(layout => (
+              <li key={layout.id} className="flex items-center justify-between text-sm">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <span className={`w-6 h-6 flex-shrink-0 rounded-full flex items-center justify-center text-xs font-semibold ${
+                    layout.optionSet.rank === 1 ? 'bg-accent text-white' : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    {layout.optionSet.rank === 1 ? <Trophy className="w-3 h-3" /> : layout.optionSet.rank}
+                  </span>
+                  <span className="truncate">{layout.optionSet.strategy.name}</span>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <ComplianceStatusBadge status={layout.complianceStatus} />
+                  <span className="font-medium w-8 text-right">{layout.optionSet.score}</span>
+                  <Link to={`/layout/${layout.id}`} className="text-gray-500 hover:text-primary">
+                    <Eye className="w-4 h-4" />
+                  </Link>
+                </div>
+              </li>
+            ))}
+          </ol>
+          {lastDiscarded > 0 && (
+            <p className="mt-3 text-xs text-gray-500">
+              {lastDiscarded} near-duplicate option{lastDiscarded !== 1 ? 's were' : ' was'} discarded.
+            </p>
+          )}
+          {lastShortfall > 0 && (
+            <p className="mt-1 text-xs text-yellow-700">
+              {lastShortfall} fewer option{lastShortfall !== 1 ? 's' : ''} than requested: every strategy was tried without finding another distinct layout.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Maximize } from 'lucide-react'
+import { MassingModelService, buildMassingModel, projectMassingModel } from '../services/massingModel'
+
+const ORBIT_SPEED = 0.008 // radians per pixel
+const WHEEL_ZOOM_SPEED = 0.0015
+const CLICK_THRESHOLD_PX = 4
+
+const ROOM_COLOR = { hue: 210, saturation: 60, lightness: 82 }
+const SELECTED_ROOM_COLOR = { hue: 210, saturation: 85, lightness: 62 }
+const CORRIDOR_COLOR = { hue: 210, saturation: 90, lightness: 60 }
+
+const shade = ({ hue, saturation, lightness }, light) =>
+  `hsl(${hue}, ${saturation}%, ${Math.round(lightness * light)}%)`
+
+/**
+ * 3D massing of a layout drawn on a 2D canvas (no WebGL). Drag to orbit, Shift-drag or
+ * right-drag to pan, scroll to zoom; clicking a room selects it.
+ */
+export function MassingView({ layoutData, ceilingHeight, selectedRoomId, onRoomClick, className = '' }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const polygonsRef = useRef([])
+  const dragRef = useRef(null)
+  const [size, setSize] = useState(null)
+
+  const model = useMemo(() => buildMassingModel(layoutData, { ceilingHeight }), [layoutData, ceilingHeight])
+  const [camera, setCamera] = useState(() => MassingModelService.createCamera(model.bounds))
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      if (width && height) setSize({ width, height })
+    })
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [])
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const container = containerRef.current
+    const handleWheel = (e) => {
+      e.preventDefault()
+      setCamera(prev => MassingModelService.zoom(prev, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED)))
+    }
+    container.addEventListener('wheel', handleWheel, { passive: false })
+    return () => container.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  useEffect(() => {
+    if (!size) return
+    const canvas = canvasRef.current
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = size.width * ratio
+    canvas.height = size.height * ratio
+
+    const context = canvas.getContext('2d')
+    context.setTransform(ratio, 0, 0, ratio, 0, 0)
+    context.clearRect(0, 0, size.width, size.height)
+
+    const polygons = projectMassingModel(model, camera, size)
+    polygonsRef.current = polygons
+
+    polygons.forEach(polygon => {
+      const color = polygon.kind === 'corridor'
+        ? CORRIDOR_COLOR
+        : polygon.roomId === selectedRoomId ? SELECTED_ROOM_COLOR : ROOM_COLOR
+
+      context.beginPath()
+      polygon.points.forEach(([x, y], index) => index === 0 ? context.moveTo(x, y) : context.lineTo(x, y))
+      context.closePath()
+      context.fillStyle = shade(color, polygon.light)
+      context.fill()
+      context.strokeStyle = 'rgba(30, 41, 59, 0.35)'
+      context.lineWidth = 1
+      context.stroke()
+    })
+
+    // Room names on visible roofs
+    context.font = '12px sans-serif'
+    context.textAlign = 'center'
+    context.fillStyle = '#1f2937'
+    polygons
+      .filter(polygon => polygon.kind === 'room' && polygon.isRoof)
+      .forEach(polygon => {
+        const x = polygon.points.reduce((sum, [px]) => sum + px, 0) / polygon.points.length
+        const y = polygon.points.reduce((sum, [, py]) => sum + py, 0) / polygon.points.length
+        context.fillText(polygon.label, x, y)
+      })
+  }, [model, camera, size, selectedRoomId])
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      pan: e.shiftKey || e.button === 2
+    }
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag || !size) return
+    const dx = e.clientX - drag.x
+    const dy = e.clientY - drag.y
+    drag.x = e.clientX
+    drag.y = e.clientY
+
+    setCamera(prev => drag.pan
+      ? MassingModelService.pan(prev, dx, dy, size.height)
+      : MassingModelService.orbit(prev, -dx * ORBIT_SPEED, dy * ORBIT_SPEED))
+  }
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current
+    dragRef.current = null
+    if (!drag) return
+
+    const moved = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY)
+    if (moved < CLICK_THRESHOLD_PX && onRoomClick) {
+      const rect = containerRef.current.getBoundingClientRect()
+      const hit = MassingModelService.pick(polygonsRef.current, { x: e.clientX - rect.left, y: e.clientY - rect.top })
+      if (hit?.roomId) onRoomClick(hit.roomId)
+    }
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`touch-none cursor-move ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => { dragRef.current = null }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <canvas ref={canvasRef} className="w-full h-full block" />
+      <button
+        onPointerDown={(e) => e.stopPropagation()}
+        onClick={() => setCamera(MassingModelService.createCamera(model.bounds))}
+        className="absolute top-4 right-4 bg-surface rounded-lg shadow-card p-2 text-gray-500 hover:text-text"
+        title="Reset camera"
+      >
+        <Maximize className="w-4 h-4" />
+      </button>
+    </div>
+  )
+}
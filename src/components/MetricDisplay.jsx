@@ -1,6 +1,8 @@
 import React from 'react'
+import { getPerformanceMetricDefinitions } from '../services/performanceService'
+import { formatMetricValue } from '../services/metricRegistry'
 
-export function MetricDisplay({ label, value, unit = '', variant = 'number' }) {
+export function MetricDisplay({ label, value, unit = '', variant = 'number', range = [0, 100] }) {
   const getProgressColor = (value) => {
     if (value >= 80) return 'bg-green-500'
     if (value >= 60) return 'bg-yellow-500'
@@ -8,6 +10,9 @@ export function MetricDisplay({ label, value, unit = '', variant = 'number' }) {
   }
 
   if (variant === 'chart') {
+    const [min, max] = range
+    const percent = Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100)) || 0
+
     return (
       <div className="space-y-2">
         <div className="flex justify-between items-center">
@@ -16,8 +21,8 @@ export function MetricDisplay({ label, value, unit = '', variant = 'number' }) {
         </div>
         <div className="w-full bg-gray-200 rounded-full h-2">
           <div
-            className={`h-2 rounded-full transition-all duration-500 ${getProgressColor(value)}`}
-            style={{ width: `${Math.min(value, 100)}%` }}
+            className={`h-2 rounded-full transition-all duration-500 ${getProgressColor(percent)}`}
+            style={{ width: `${percent}%` }}
           />
         </div>
       </div>
@@ -32,4 +37,44 @@ export function MetricDisplay({ label, value, unit = '', variant = 'number' }) {
       </span>
     </div>
   )
-}
\ No newline at end of file
+}
+
+// One MetricDisplay per registered metric
+export function MetricDisplayList({ metrics = {} }) {
+  return (
+    <>
+      {getPerformanceMetricDefinitions().map(metric => (
+        <MetricDisplay
+          key={metric.id}
+          label={metric.label}
+          value={metrics[metric.id] ?? '—'}
+          unit={metrics[metric.id] !== undefined ? metric.unit : ''}
+          variant={metric.display}
+          range={metric.range}
+        />
+      ))}
+    </>
+  )
+}
+
+// Compact label/value grid of registered metrics for layout cards.
+// icons maps metric ids to { icon, color }; metrics without an entry render without one
+export function MetricSummaryGrid({ metrics = {}, icons = {}, className = 'grid grid-cols-3 gap-4 text-sm' }) {
+  return (
+    <div className={className}>
+      {getPerformanceMetricDefinitions().map(metric => {
+        const { icon: Icon, color = 'text-gray-500' } = icons[metric.id] || {}
+
+        return (
+          <div key={metric.id} className="flex items-center space-x-2">
+            {Icon && <Icon className={`w-4 h-4 ${color}`} />}
+            <div>
+              <div className="text-gray-500">{metric.shortLabel}</div>
+              <div className="font-medium">{formatMetricValue(metric.id, metrics[metric.id])}</div>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
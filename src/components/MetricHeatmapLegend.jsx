@@ -0,0 +1,62 @@
+import React from 'react'
+import { UnitService } from '../services/units'
+
+// Red for the weak end of a layer's range through yellow to green for the strong end
+const WORST_HUE = 0
+const BEST_HUE = 130
+const MISSING_COLORS = { fill: 'hsl(210, 10%, 92%)', stroke: 'hsl(210, 10%, 60%)' }
+
+const heatHue = (fraction) => WORST_HUE + (BEST_HUE - WORST_HUE) * fraction
+
+/**
+ * Where a value sits between the weak (0) and strong (1) end of a layer's range
+ * @param {Object} layer - ROOM_METRIC_LAYERS entry
+ * @param {number} value - Room value
+ * @returns {number} 0-1
+ */
+const getHeatFraction = (layer, value) => {
+  const [min, max] = layer.range
+  const fraction = Math.min(1, Math.max(0, (value - min) / (max - min)))
+  return layer.higherIsBetter ? fraction : 1 - fraction
+}
+
+// Room colours for the LayoutViewer heatmap; null values (e.g. no route to an exit) are grey
+export const getHeatmapColors = (layer, value) => {
+  if (value === null || value === undefined) return MISSING_COLORS
+  const hue = heatHue(getHeatFraction(layer, value))
+  return { fill: `hsl(${hue}, 75%, 86%)`, stroke: `hsl(${hue}, 65%, 38%)` }
+}
+
+// Layers measuring a length or area are shown in the display unit system
+const formatLayerValue = (layer, value, unitSystem) => {
+  if (layer.quantity) return UnitService.format(layer.quantity, value, layer.unit, unitSystem)
+  return `${value}${layer.unit === '%' ? '' : ' '}${layer.unit}`
+}
+
+export const formatHeatmapValue = (layer, value, unitSystem) =>
+  value === null || value === undefined ? 'No route' : formatLayerValue(layer, value, unitSystem)
+
+export function MetricHeatmapLegend({ layer, unitSystem, hasMissing = false }) {
+  const [min, max] = layer.range.map(value => formatLayerValue(layer, value, unitSystem))
+  const [weak, strong] = layer.higherIsBetter ? [min, max] : [max, min]
+  const gradient = [0, 0.5, 1].map(fraction => `hsl(${heatHue(fraction)}, 75%, 70%)`).join(', ')
+
+  return (
+    <div className="flex items-center space-x-3 text-xs">
+      <span className="text-gray-600">{layer.label}</span>
+      {/* Ranges are open-ended only on the weak side of lower-is-better layers */}
+      <span className="text-gray-500">{weak}{layer.higherIsBetter ? '' : '+'}</span>
+      <span className="inline-block w-24 h-3 rounded-sm" style={{ background: `linear-gradient(to right, ${gradient})` }} />
+      <span className="text-gray-500">{strong}</span>
+      {hasMissing && (
+        <span className="flex items-center space-x-1">
+          <span
+            className="inline-block w-3 h-3 rounded-sm border"
+            style={{ backgroundColor: MISSING_COLORS.fill, borderColor: MISSING_COLORS.stroke }}
+          />
+          <span className="text-gray-600">No route</span>
+        </span>
+      )}
+    </div>
+  )
+}
@@ -1,49 +1,79 @@
 import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { X, Upload, Building2, Loader2 } from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { useForm } from 'react-hook-form'
-import { generateLayoutFromSchedule } from '../services/aiService'
+import { requestLayoutGeneration } from '../services/apiClient'
+import { resolveProviderConfig } from '../services/llmProviders'
+import { PERFORMANCE_PRIORITIES } from '../services/performanceService'
+import { getAvailableBuildingCodes, getSupportedCountries, getCountryName } from '../services/buildingCodesService'
+import { getCodePackDefinition } from '../services/codePacks'
+import { getSustainabilityFrameworks } from '../services/sustainabilityService'
+
+// Countries with built-in code libraries
+const SUPPORTED_COUNTRIES = getSupportedCountries()
 
 export function ProjectUploader({ onClose }) {
   const [isGenerating, setIsGenerating] = useState(false)
-  const { addProject, addLayout } = useStore()
+  const navigate = useNavigate()
+  const { addProject, addLayout, aiSettings, getCodePacks } = useStore()
   const { register, handleSubmit, watch, formState: { errors } } = useForm()
 
   const watchedData = watch()
+  const codePacks = getCodePacks()
+  const country = watchedData.country || SUPPORTED_COUNTRIES[0].code
+  // Code packs may be written for jurisdictions without built-in codes
+  const countryOptions = [
+    ...SUPPORTED_COUNTRIES,
+    ...[...new Set(codePacks.map(pack => pack.country))]
+      .filter(code => !SUPPORTED_COUNTRIES.some(option => option.code === code))
+      .map(code => ({ code, name: getCountryName(code) }))
+  ]
 
   const onSubmit = async (data) => {
     setIsGenerating(true)
+    let projectId = null
     
     try {
-      // Create the project first
+      // Create the project first. Selected code packs are copied in, so the project is
+      // evaluated the same way wherever it goes and later edits to the pack do not change it.
+      // Checkboxes ticked under a previously selected country stay registered, so only the
+      // codes offered for the submitted country are kept (a lone checkbox submits a string)
+      const available = getAvailableBuildingCodes(data.country, codePacks).map(code => code.key)
+      const codes = [].concat(data.buildingCodes || []).filter(code => available.includes(code))
       const project = {
         name: data.projectName,
         scheduleData: data.scheduleData,
         normSettings: {
           country: data.country,
-          codes: data.buildingCodes || [],
+          codes,
+          codePacks: codePacks
+            .filter(pack => pack.country === data.country && codes.includes(pack.key))
+            .map(getCodePackDefinition),
           accessibility: data.accessibility || false,
         },
+        performanceSettings: {
+          priorities: data.performancePriorities || [],
+        },
+        sustainabilitySettings: {
+          frameworks: [].concat(data.sustainabilityFrameworks || []),
+        },
         layouts: [],
       }
       
-      addProject(project)
-      const projectId = `project-${Date.now()}`
+      projectId = addProject(project)
       
       // Generate initial layout using AI
-      const layoutData = await generateLayoutFromSchedule(data.scheduleData, project.normSettings)
+      const layoutData = await requestLayoutGeneration(data.scheduleData, project.normSettings, {
+        provider: resolveProviderConfig(aiSettings),
+        performanceSettings: project.performanceSettings
+      })
       
+      // Metrics and compliance are computed by the store's evaluation pipeline
       const layout = {
         projectId: projectId,
         name: 'AI Generated Layout',
         layoutData: layoutData,
-        version: 1,
-        performanceMetrics: {
-          circulationEfficiency: Math.round(Math.random() * 30 + 70), // Simulate realistic metrics
-          daylightHours: Math.round((Math.random() * 4 + 5) * 10) / 10,
-          energyEfficiency: Math.round(Math.random() * 25 + 70),
-        },
-        complianceStatus: Math.random() > 0.3 ? 'compliant' : 'warning',
       }
       
       addLayout(layout)
@@ -51,8 +81,9 @@ export function ProjectUploader({ onClose }) {
       onClose()
     } catch (error) {
       console.error('Error generating layout:', error)
-      // Still create the project even if AI generation fails
+      // The project is kept; its page shows why generation failed and can generate again
       onClose()
+      if (projectId) navigate(`/project/${projectId}`, { state: { generationError: error.message } })
     } finally {
       setIsGenerating(false)
     }
@@ -118,11 +149,9 @@ export function ProjectUploader({ onClose }) {
                 Country/Region
               </label>
               <select {...register('country')} className="input">
-                <option value="US">United States</option>
-                <option value="CA">Canada</option>
-                <option value="UK">United Kingdom</option>
-                <option value="EU">European Union</option>
-                <option value="AU">Australia</option>
+                {countryOptions.map(option => (
+                  <option key={option.code} value={option.code}>{option.name}</option>
+                ))}
               </select>
             </div>
 
@@ -131,33 +160,22 @@ export function ProjectUploader({ onClose }) {
                 Building Codes
               </label>
               <div className="space-y-2">
-                <label className="flex items-center">
-                  <input
-                    {...register('buildingCodes')}
-                    type="checkbox"
-                    value="ADA"
-                    className="mr-2"
-                  />
-                  <span className="text-sm">ADA Compliance</span>
-                </label>
-                <label className="flex items-center">
-                  <input
-                    {...register('buildingCodes')}
-                    type="checkbox"
-                    value="IBC"
-                    className="mr-2"
-                  />
-                  <span className="text-sm">International Building Code (IBC)</span>
-                </label>
-                <label className="flex items-center">
-                  <input
-                    {...register('buildingCodes')}
-                    type="checkbox"
-                    value="LEED"
-                    className="mr-2"
-                  />
-                  <span className="text-sm">LEED Standards</span>
-                </label>
+                {getAvailableBuildingCodes(country, codePacks).map(code => (
+                  <label key={code.id || code.key} className="flex items-center">
+                    <input
+                      {...register('buildingCodes')}
+                      type="checkbox"
+                      value={code.key}
+                      className="mr-2"
+                    />
+                    <span className="text-sm">
+                      {code.name} ({code.key})
+                      {code.custom && (
+                        <span className="text-gray-500"> · {code.amends ? `amends ${code.amends}` : 'custom'}</span>
+                      )}
+                    </span>
+                  </label>
+                ))}
               </div>
             </div>
           </div>
@@ -180,19 +198,42 @@ export function ProjectUploader({ onClose }) {
           <div>
             <h3 className="text-sm font-medium text-text mb-3">Performance Optimization (Optional)</h3>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <label className="flex items-center">
-                <input type="checkbox" className="mr-2" />
-                <span className="text-sm">Circulation Efficiency</span>
-              </label>
-              <label className="flex items-center">
-                <input type="checkbox" className="mr-2" />
-                <span className="text-sm">Natural Lighting</span>
-              </label>
-              <label className="flex items-center">
-                <input type="checkbox" className="mr-2" />
-                <span className="text-sm">Energy Efficiency</span>
-              </label>
+              {PERFORMANCE_PRIORITIES.map(priority => (
+                <label key={priority.id} className="flex items-center">
+                  <input
+                    {...register('performancePriorities')}
+                    type="checkbox"
+                    value={priority.id}
+                    className="mr-2"
+                  />
+                  <span className="text-sm">{priority.label}</span>
+                </label>
+              ))}
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              Selected targets count double in each layout's overall score.
+            </p>
+          </div>
+
+          {/* Sustainability */}
+          <div>
+            <h3 className="text-sm font-medium text-text mb-3">Sustainability Assessment (Optional)</h3>
+            <div className="space-y-2">
+              {getSustainabilityFrameworks().map(framework => (
+                <label key={framework.key} className="flex items-center">
+                  <input
+                    {...register('sustainabilityFrameworks')}
+                    type="checkbox"
+                    value={framework.key}
+                    className="mr-2"
+                  />
+                  <span className="text-sm">{framework.name} {framework.version}</span>
+                </label>
+              ))}
             </div>
+            <p className="mt-1 text-sm text-gray-500">
+              Estimates rating credits for each layout, separately from code compliance.
+            </p>
           </div>
 
           {/* Actions */}
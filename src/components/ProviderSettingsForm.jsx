@@ -0,0 +1,67 @@
+import React from 'react'
+import { getLLMProviders } from '../services/llmProviders'
+
+export function ProviderSettingsForm({ value = {}, onChange, allowInherit = false }) {
+  const providers = getLLMProviders()
+  const selected = providers.find(provider => provider.id === value.provider)
+
+  const handleProviderChange = (providerId) => {
+    // Model and base URL are provider-specific, so reset them on switch
+    onChange({ provider: providerId, model: '', baseURL: '' })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-text mb-2">
+          AI Provider
+        </label>
+        <select
+          value={value.provider || ''}
+          onChange={(e) => handleProviderChange(e.target.value)}
+          className="input"
+        >
+          {allowInherit && <option value="">Use account default</option>}
+          {providers.map(provider => (
+            <option key={provider.id} value={provider.id}>{provider.name}</option>
+          ))}
+        </select>
+        {selected?.id === 'mock' && (
+          <p className="mt-1 text-sm text-gray-500">
+            Returns canned layouts without any network access. Useful for demos and testing.
+          </p>
+        )}
+      </div>
+
+      {selected && selected.id !== 'mock' && (
+        <div>
+          <label className="block text-sm font-medium text-text mb-2">
+            Model
+          </label>
+          <input
+            type="text"
+            value={value.model || ''}
+            onChange={(e) => onChange({ ...value, model: e.target.value })}
+            placeholder={selected.defaultModel}
+            className="input"
+          />
+        </div>
+      )}
+
+      {selected?.configurableBaseURL && (
+        <div>
+          <label className="block text-sm font-medium text-text mb-2">
+            Base URL
+          </label>
+          <input
+            type="text"
+            value={value.baseURL || ''}
+            onChange={(e) => onChange({ ...value, baseURL: e.target.value })}
+            placeholder={selected.defaultBaseURL}
+            className="input"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react'
+import { Leaf } from 'lucide-react'
+import { MetricDisplay } from './MetricDisplay'
+import { SustainabilityService, assessSustainability } from '../services/sustainabilityService'
+
+/**
+ * Estimated rating credits of a layout for each of the project's sustainability `frameworks`,
+ * with the gaps to the next tier of each credit. Shown apart from compliance, which it does
+ * not affect.
+ */
+export function SustainabilityPanel({ layoutData, performanceMetrics, frameworks }) {
+  const assessments = useMemo(
+    () => frameworks
+      .filter(framework => SustainabilityService.getFramework(framework))
+      .map(framework => assessSustainability(layoutData, { framework, performanceMetrics })),
+    [layoutData, performanceMetrics, frameworks]
+  )
+
+  return (
+    <div className="space-y-6">
+      {assessments.map(assessment => (
+        <div key={assessment.framework} className="space-y-3">
+          <MetricDisplay
+            label={`${assessment.name} ${assessment.version}`}
+            value={assessment.earned}
+            unit={` of ${assessment.available} pts`}
+            variant="chart"
+            range={[0, assessment.available]}
+          />
+
+          <ul className="text-sm space-y-1">
+            {assessment.credits.map(credit => (
+              <li key={credit.id} className="flex justify-between" title={credit.category}>
+                <span className="flex items-center space-x-2 text-gray-600">
+                  <Leaf className={`w-3 h-3 ${credit.earned > 0 ? 'text-green-600' : 'text-gray-300'}`} />
+                  <span>{credit.name}</span>
+                </span>
+                <span className="text-text">{credit.earned}/{credit.available}</span>
+              </li>
+            ))}
+          </ul>
+
+          {assessment.gaps.length > 0 && (
+            <div className="p-3 border rounded-md bg-blue-50 border-blue-200">
+              <h4 className="text-sm font-medium mb-2 text-blue-800">
+                Gaps ({assessment.gaps.length}):
+              </h4>
+              <ul className="text-sm space-y-2 text-blue-700">
+                {assessment.gaps.map(gap => (
+                  <li key={gap.credit}>
+                    <div>{gap.message}</div>
+                    <div className="text-xs text-blue-600">{gap.recommendation}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-500">
+        Design-stage estimate from the plan for the credits it can inform; not a certification result.
+      </p>
+    </div>
+  )
+}
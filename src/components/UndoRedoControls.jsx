@@ -0,0 +1,58 @@
+import React, { useEffect } from 'react'
+import { Undo2, Redo2 } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { CommandStack } from '../store/commandStack'
+
+// Text fields keep the browser's own undo
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+export function UndoRedoControls({ scope }) {
+  const stack = useStore(state => CommandStack.get(state.commandStacks, scope))
+  const undo = useStore(state => state.undo)
+  const redo = useStore(state => state.redo)
+
+  const nextUndo = stack.undo[stack.undo.length - 1]
+  const nextRedo = stack.redo[stack.redo.length - 1]
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) return
+
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault()
+        undo(scope)
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault()
+        redo(scope)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [scope, undo, redo])
+
+  return (
+    <div className="flex items-center space-x-1">
+      <button
+        onClick={() => undo(scope)}
+        disabled={!nextUndo}
+        className="p-2 text-gray-500 hover:text-text disabled:opacity-40 disabled:hover:text-gray-500"
+        title={nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo'}
+      >
+        <Undo2 className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => redo(scope)}
+        disabled={!nextRedo}
+        className="p-2 text-gray-500 hover:text-text disabled:opacity-40 disabled:hover:text-gray-500"
+        title={nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+      >
+        <Redo2 className="w-4 h-4" />
+      </button>
+    </div>
+  )
+}
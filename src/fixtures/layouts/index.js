@@ -0,0 +1,17 @@
+/**
+ * Canned layouts served by the offline mock LLM provider.
+ * Add a fixture by creating a module next to this one and listing it below.
+ */
+import officeOpenPlan from './officeOpenPlan.js'
+import officeZoned from './officeZoned.js'
+import officeLinearCorridor from './officeLinearCorridor.js'
+import officeCourtyard from './officeCourtyard.js'
+import residentialCompact from './residentialCompact.js'
+
+export const LAYOUT_FIXTURES = [
+  officeOpenPlan,
+  officeZoned,
+  officeLinearCorridor,
+  officeCourtyard,
+  residentialCompact
+]
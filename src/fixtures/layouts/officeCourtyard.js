@@ -0,0 +1,24 @@
+export default {
+  id: 'office-courtyard',
+  name: 'Office - Courtyard',
+  keywords: ['office', 'meeting', 'reception', 'courtyard', 'atrium'],
+  layout: {
+    units: 'feet',
+    rooms: [
+      { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 150 },
+      { id: 'office1', name: 'North Office', area: 350, x: 350, y: 50, width: 400, height: 150 },
+      { id: 'office2', name: 'East Office', area: 350, x: 750, y: 50, width: 150, height: 500 },
+      { id: 'meeting1', name: 'Meeting Room', area: 180, x: 50, y: 200, width: 150, height: 350 },
+      { id: 'kitchen', name: 'Kitchen', area: 150, x: 200, y: 550, width: 300, height: 150 },
+      { id: 'office3', name: 'South Office', area: 300, x: 500, y: 550, width: 400, height: 150 }
+    ],
+    circulation: [
+      { from: 'reception', to: 'office1', width: 6 },
+      { from: 'reception', to: 'meeting1', width: 6 },
+      { from: 'office1', to: 'office2', width: 6 },
+      { from: 'office2', to: 'office3', width: 6 },
+      { from: 'office3', to: 'kitchen', width: 6 },
+      { from: 'kitchen', to: 'meeting1', width: 6 }
+    ]
+  }
+}
@@ -0,0 +1,25 @@
+export default {
+  id: 'office-linear-corridor',
+  name: 'Office - Linear Corridor',
+  keywords: ['office', 'meeting', 'reception', 'linear', 'corridor'],
+  layout: {
+    units: 'feet',
+    rooms: [
+      { id: 'reception', name: 'Reception', area: 180, x: 50, y: 50, width: 250, height: 200 },
+      { id: 'office1', name: 'Office Suite A', area: 300, x: 300, y: 50, width: 300, height: 200 },
+      { id: 'office2', name: 'Office Suite B', area: 300, x: 600, y: 50, width: 300, height: 200 },
+      { id: 'corridor', name: 'Main Corridor', area: 160, x: 50, y: 250, width: 850, height: 80 },
+      { id: 'meeting1', name: 'Meeting Room', area: 200, x: 50, y: 330, width: 300, height: 200 },
+      { id: 'kitchen', name: 'Kitchen', area: 140, x: 350, y: 330, width: 250, height: 200 },
+      { id: 'storage', name: 'Storage', area: 80, x: 600, y: 330, width: 300, height: 200 }
+    ],
+    circulation: [
+      { from: 'reception', to: 'corridor', width: 6 },
+      { from: 'office1', to: 'corridor', width: 6 },
+      { from: 'office2', to: 'corridor', width: 6 },
+      { from: 'meeting1', to: 'corridor', width: 6 },
+      { from: 'kitchen', to: 'corridor', width: 6 },
+      { from: 'storage', to: 'corridor', width: 4 }
+    ]
+  }
+}
@@ -0,0 +1,21 @@
+export default {
+  id: 'office-open-plan',
+  name: 'Office - Open Plan',
+  keywords: ['office', 'workspace', 'desk', 'meeting', 'reception', 'open plan'],
+  layout: {
+    units: 'feet',
+    rooms: [
+      { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
+      { id: 'office1', name: 'Open Office', area: 800, x: 400, y: 50, width: 600, height: 400 },
+      { id: 'meeting1', name: 'Meeting Room 1', area: 150, x: 50, y: 300, width: 250, height: 200 },
+      { id: 'meeting2', name: 'Meeting Room 2', area: 150, x: 50, y: 550, width: 250, height: 200 },
+      { id: 'kitchen', name: 'Kitchen', area: 120, x: 400, y: 500, width: 300, height: 150 }
+    ],
+    circulation: [
+      { from: 'reception', to: 'office1', width: 8 },
+      { from: 'office1', to: 'meeting1', width: 6 },
+      { from: 'office1', to: 'meeting2', width: 6 },
+      { from: 'office1', to: 'kitchen', width: 8 }
+    ]
+  }
+}
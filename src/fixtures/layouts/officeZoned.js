@@ -0,0 +1,21 @@
+export default {
+  id: 'office-zoned',
+  name: 'Office - Zoned Plan',
+  keywords: ['office', 'zone', 'zoned', 'department', 'meeting', 'reception'],
+  layout: {
+    units: 'feet',
+    rooms: [
+      { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
+      { id: 'office1', name: 'Office Zone A', area: 400, x: 400, y: 50, width: 400, height: 300 },
+      { id: 'office2', name: 'Office Zone B', area: 400, x: 400, y: 400, width: 400, height: 300 },
+      { id: 'meeting1', name: 'Meeting Room', area: 200, x: 50, y: 300, width: 300, height: 200 },
+      { id: 'kitchen', name: 'Kitchen', area: 150, x: 50, y: 550, width: 300, height: 150 }
+    ],
+    circulation: [
+      { from: 'reception', to: 'office1', width: 8 },
+      { from: 'reception', to: 'office2', width: 8 },
+      { from: 'reception', to: 'meeting1', width: 6 },
+      { from: 'meeting1', to: 'kitchen', width: 6 }
+    ]
+  }
+}
@@ -0,0 +1,25 @@
+export default {
+  id: 'residential-compact',
+  name: 'Residential - Compact',
+  keywords: ['apartment', 'residential', 'bedroom', 'bath', 'living', 'dining', 'home', 'house'],
+  layout: {
+    units: 'feet',
+    rooms: [
+      { id: 'living', name: 'Living Room', area: 300, x: 50, y: 50, width: 400, height: 250 },
+      { id: 'kitchen', name: 'Kitchen', area: 120, x: 500, y: 50, width: 200, height: 200 },
+      { id: 'dining', name: 'Dining', area: 150, x: 500, y: 300, width: 200, height: 200 },
+      { id: 'bedroom1', name: 'Master Bedroom', area: 200, x: 50, y: 350, width: 300, height: 200 },
+      { id: 'bedroom2', name: 'Bedroom 2', area: 150, x: 50, y: 600, width: 250, height: 180 },
+      { id: 'bath1', name: 'Master Bath', area: 80, x: 400, y: 350, width: 150, height: 120 },
+      { id: 'bath2', name: 'Bath 2', area: 60, x: 350, y: 600, width: 120, height: 100 }
+    ],
+    circulation: [
+      { from: 'living', to: 'kitchen', width: 4 },
+      { from: 'living', to: 'dining', width: 4 },
+      { from: 'living', to: 'bedroom1', width: 4 },
+      { from: 'living', to: 'bedroom2', width: 4 },
+      { from: 'bedroom1', to: 'bath1', width: 4 },
+      { from: 'bedroom2', to: 'bath2', width: 4 }
+    ]
+  }
+}
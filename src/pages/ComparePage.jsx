@@ -0,0 +1,180 @@
+import React, { useState } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import { ArrowLeft, ZoomIn, ZoomOut, Maximize, Move, Eye } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { ComplianceStatusBadge } from '../components/ComplianceStatusBadge'
+import { FloorPlanViewport } from '../components/FloorPlanViewport'
+import {
+  validateLayoutComparison,
+  buildMetricComparison,
+  buildComplianceComparison
+} from '../services/layoutComparison'
+import { getPlanBounds, zoomPlanView } from '../services/planViewport'
+
+const ZOOM_STEP = 1.2
+
+const GRID_COLUMNS = {
+  2: 'lg:grid-cols-2',
+  3: 'lg:grid-cols-3',
+  4: 'lg:grid-cols-2'
+}
+
+export function ComparePage() {
+  const [searchParams] = useSearchParams()
+  const { getLayout, getProject, getUnitSystem } = useStore()
+  // One view shared by every canvas, so zoom and pan stay linked
+  const [view, setView] = useState(null)
+  const [selectedRoomName, setSelectedRoomName] = useState(null)
+
+  const layoutIds = [...new Set((searchParams.get('layouts') || '').split(',').filter(Boolean))]
+  const layouts = layoutIds.map(id => getLayout(id)).filter(Boolean)
+  // Fit all plans at once so the same drawing area is visible in each
+  const bounds = getPlanBounds(layouts.map(layout => layout.layoutData))
+  const missing = layoutIds.length - layouts.length
+  const problem = validateLayoutComparison(layouts)
+  const project = layouts.length ? getProject(layouts[0].projectId) : null
+  const unitSystem = getUnitSystem(project?.id)
+
+  if (problem) {
+    return (
+      <div className="p-8 text-center">
+        <h1 className="text-2xl font-bold text-text mb-2">Cannot Compare Layouts</h1>
+        <p className="text-gray-600 mb-6">
+          {problem}
+          {missing > 0 && ` (${missing} layout${missing !== 1 ? 's' : ''} not found)`}
+        </p>
+        <Link to={project ? `/project/${project.id}` : '/'} className="btn-primary">
+          {project ? 'Back to Project' : 'Back to Dashboard'}
+        </Link>
+      </div>
+    )
+  }
+
+  const metricRows = buildMetricComparison(layouts)
+  const complianceRows = buildComplianceComparison(layouts)
+
+  const handleZoomIn = () => view && setView(zoomPlanView(view, ZOOM_STEP))
+  const handleZoomOut = () => view && setView(zoomPlanView(view, 1 / ZOOM_STEP))
+  const handleFitView = () => setView(null)
+
+  // Room ids differ between layouts, so the selection follows the room name
+  const selectedRoomIdIn = (layout) =>
+    layout.layoutData.rooms?.find(room => room.name === selectedRoomName)?.id
+
+  return (
+    <div className="min-h-screen bg-bg">
+      {/* Header */}
+      <div className="bg-surface border-b border-border px-4 py-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <Link to={`/project/${project.id}`} className="text-gray-500 hover:text-text">
+              <ArrowLeft className="w-6 h-6" />
+            </Link>
+            <div>
+              <h1 className="text-lg lg:text-xl font-semibold text-text">Compare Layouts</h1>
+              <p className="text-sm text-gray-600">{project.name}</p>
+            </div>
+          </div>
+
+          {/* Zoom Controls (shared by all canvases) */}
+          <div className="flex items-center space-x-1">
+            <button onClick={handleZoomOut} className="p-2 text-gray-500 hover:text-text">
+              <ZoomOut className="w-4 h-4" />
+            </button>
+            <span className="text-sm text-gray-600 min-w-[3rem] text-center">
+              {view ? Math.round(view.scale * 100) : 100}%
+            </span>
+            <button onClick={handleZoomIn} className="p-2 text-gray-500 hover:text-text">
+              <ZoomIn className="w-4 h-4" />
+            </button>
+            <button onClick={handleFitView} className="p-2 text-gray-500 hover:text-text" title="Fit to plans">
+              <Maximize className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4 lg:p-8 space-y-8">
+        {/* Synchronised canvases */}
+        <div className={`grid grid-cols-1 ${GRID_COLUMNS[layouts.length]} gap-4`}>
+          {layouts.map(layout => (
+            <div key={layout.id} className="card p-0 overflow-hidden">
+              <div className="flex items-center justify-between px-4 py-3 border-b border-border">
+                <div className="min-w-0">
+                  <h2 className="font-medium text-text truncate">{layout.name}</h2>
+                  <p className="text-xs text-gray-500">
+                    Overall score {layout.performanceMetrics.overallScore}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <ComplianceStatusBadge status={layout.complianceStatus} />
+                  <Link to={`/layout/${layout.id}`} className="p-2 text-gray-500 hover:text-primary">
+                    <Eye className="w-4 h-4" />
+                  </Link>
+                </div>
+              </div>
+              <FloorPlanViewport
+                className="relative h-72 bg-white"
+                view={view}
+                onViewChange={setView}
+                bounds={bounds}
+                layoutData={layout.layoutData}
+                unitSystem={unitSystem}
+                selectedRoomId={selectedRoomIdIn(layout)}
+                onRoomClick={(room) => setSelectedRoomName(prev => prev === room.name ? null : room.name)}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Move className="w-4 h-4" />
+          <span>Drag, scroll or pinch any plan to pan and zoom all of them; click a room to highlight it in every layout</span>
+        </div>
+
+        <ComparisonTable title="Performance Metrics" layouts={layouts} rows={metricRows} />
+        <ComparisonTable title="Building Code Compliance" layouts={layouts} rows={complianceRows} />
+      </div>
+    </div>
+  )
+}
+
+// One row per metric or check, one column per layout; the best value in a row is highlighted
+function ComparisonTable({ title, layouts, rows }) {
+  return (
+    <div className="card overflow-x-auto">
+      <h2 className="text-lg font-semibold text-text mb-4">{title}</h2>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-border">
+            <th className="py-2 pr-4 font-medium" />
+            {layouts.map(layout => (
+              <th key={layout.id} className="py-2 px-2 font-medium text-right">{layout.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id} className="border-b border-border">
+              <td className="py-2 pr-4 text-gray-600">{row.label}</td>
+              {row.display.map((value, index) => (
+                <td
+                  key={layouts[index].id}
+                  className={`py-2 px-2 text-right ${
+                    row.best.includes(index) ? 'font-semibold text-green-700' : 'text-text'
+                  }`}
+                  title={row.details?.[index].join('\n') || undefined}
+                >
+                  {row.id === 'status' ? (
+                    <span className="inline-flex justify-end">
+                      <ComplianceStatusBadge status={row.values[index]} />
+                    </span>
+                  ) : value}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -12,6 +12,7 @@ import {
 } from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { ProjectUploader } from '../components/ProjectUploader'
+import { MetricSummaryGrid } from '../components/MetricDisplay'
 import { formatDistanceToNow } from 'date-fns'
 
 export function Dashboard() {
@@ -25,9 +26,9 @@ export function Dashboard() {
   const stats = {
     totalProjects: projects.length,
     totalLayouts: layouts.length,
-    avgPerformance: Math.round(
-      layouts.reduce((sum, layout) => sum + layout.performanceMetrics.circulationEfficiency, 0) / layouts.length
-    ),
+    avgPerformance: layouts.length > 0
+      ? Math.round(layouts.reduce((sum, layout) => sum + layout.performanceMetrics.overallScore, 0) / layouts.length)
+      : 0,
     compliantLayouts: layouts.filter(layout => layout.complianceStatus === 'compliant').length,
   }
 
@@ -67,7 +68,7 @@ export function Dashboard() {
           </div>
           <div className="card text-center">
             <Clock className="w-8 h-8 text-blue-500 mx-auto mb-2" />
-            <div className="text-2xl font-bold text-text">{stats.avgPerformance}%</div>
+            <div className="text-2xl font-bold text-text">{stats.avgPerformance}</div>
             <div className="text-sm text-gray-600">Avg Performance</div>
           </div>
           <div className="card text-center">
@@ -152,26 +153,17 @@ export function Dashboard() {
                     </div>
                     <div className="text-right">
                       <div className="text-lg font-semibold text-text">
-                        {layout.performanceMetrics.circulationEfficiency}%
+                        {layout.performanceMetrics.overallScore}
                       </div>
-                      <div className="text-xs text-gray-500">Efficiency</div>
+                      <div className="text-xs text-gray-500">Overall</div>
                     </div>
                   </div>
-                  <div className="grid grid-cols-3 gap-4 text-xs">
-                    <div>
-                      <div className="text-gray-500">Daylight</div>
-                      <div className="font-medium">{layout.performanceMetrics.daylightHours}h</div>
-                    </div>
-                    <div>
-                      <div className="text-gray-500">Energy</div>
-                      <div className="font-medium">{layout.performanceMetrics.energyEfficiency}%</div>
-                    </div>
-                    <div>
-                      <div className="text-gray-500">Created</div>
-                      <div className="font-medium">
-                        {formatDistanceToNow(new Date(layout.createdAt), { addSuffix: true })}
-                      </div>
-                    </div>
+                  <MetricSummaryGrid
+                    metrics={layout.performanceMetrics}
+                    className="grid grid-cols-3 gap-4 text-xs mb-3"
+                  />
+                  <div className="text-xs text-gray-500">
+                    Created {formatDistanceToNow(new Date(layout.createdAt), { addSuffix: true })}
                   </div>
                 </Link>
               ))}
@@ -1,32 +1,183 @@
-import React, { useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { 
   ArrowLeft, 
   Download, 
   Share2, 
   Edit, 
-  RotateCcw,
+  Maximize,
   ZoomIn,
   ZoomOut,
   Move,
   CheckCircle2,
   AlertTriangle,
-  Info
+  Info,
+  GitCompare,
+  ShieldAlert,
+  Layers,
+  Ruler,
+  Trash2
 } from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { ComplianceStatusBadge } from '../components/ComplianceStatusBadge'
-import { MetricDisplay } from '../components/MetricDisplay'
+import { MetricDisplay, MetricDisplayList } from '../components/MetricDisplay'
+import { LayoutHistoryPanel } from '../components/LayoutHistoryPanel'
+import { UndoRedoControls } from '../components/UndoRedoControls'
+import { roomCenter } from '../components/FloorPlanCanvas'
+import { FloorPlanViewport } from '../components/FloorPlanViewport'
+import { MassingView } from '../components/MassingView'
+import { LayoutDiffPanel, DIFF_COLORS, getDiffColor } from '../components/LayoutDiffPanel'
+import { ComplianceIssueList, COMPLIANCE_COLORS } from '../components/ComplianceIssueList'
+import { MetricHeatmapLegend, getHeatmapColors, formatHeatmapValue } from '../components/MetricHeatmapLegend'
+import { DimensionLines } from '../components/DimensionLines'
+import { BuildingElementsPanel } from '../components/BuildingElementsPanel'
+import { SustainabilityPanel } from '../components/SustainabilityPanel'
+import { layoutScope } from '../store/commandStack'
+import { REVISION_REASONS, findLayoutRevision } from '../services/layoutHistory'
+import { diffLayouts, compareLayoutMetrics } from '../services/layoutDiff'
+import { evaluateLayout } from '../services/layoutEvaluation'
+import { RESIZE_HANDLES, moveRoom, resizeRoom, replaceRoom } from '../services/layoutEditing'
+import { PlanViewport, getPlanBounds, zoomPlanView } from '../services/planViewport'
+import { DEFAULT_CEILING_HEIGHT } from '../services/massingModel'
+import { ComplianceOverlayService, buildComplianceOverlay } from '../services/complianceOverlay'
+import { ROOM_METRIC_LAYERS, calculateRoomMetricBreakdowns } from '../services/performanceService'
+import { DimensionService, measureDimension, formatDimensionLength } from '../services/dimensions'
+import { ExportService, downloadLayoutFile } from '../services/exportService'
+import { formatLayoutValue } from '../services/units'
+
+// Screen pixels, so handles keep their size at any zoom
+const HANDLE_SIZE = 12
+const ZOOM_STEP = 1.2
+const HANDLE_CURSORS = { n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', ne: 'nesw-resize', sw: 'nesw-resize', nw: 'nwse-resize', se: 'nwse-resize' }
+
+const handlePosition = (room, handle) => ({
+  x: handle.includes('w') ? room.x : handle.includes('e') ? room.x + room.width : room.x + room.width / 2,
+  y: handle.includes('n') ? room.y : handle.includes('s') ? room.y + room.height : room.y + room.height / 2
+})
+
+const sameGeometry = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height
+
+const MEASURE_MODES = [
+  { id: 'point', label: 'Point to point', hint: 'Click two points · hold Alt to place freely' },
+  { id: 'wall', label: 'Wall to wall', hint: 'Click a wall, then the parallel wall to measure to' },
+  { id: 'chain', label: 'Chain', hint: 'Click each point · double-click or Enter to finish · Esc to cancel' }
+]
+// Screen distance within which measure points snap to room corners and walls
+const MEASURE_SNAP_PX = 10
+
+// Drop repeated points (a double-click lands the last point twice)
+const distinctPoints = (points) =>
+  points.filter((point, index) => index === 0 || point[0] !== points[index - 1][0] || point[1] !== points[index - 1][1])
+
+// Pointer position in drawing units, accounting for the current viewBox
+const toDrawingPoint = (svg, event) => {
+  const point = svg.createSVGPoint()
+  point.x = event.clientX
+  point.y = event.clientY
+  return point.matrixTransform(svg.getScreenCTM().inverse())
+}
+
+// Versions a layout can be diffed against: its own earlier revisions, the revision it
+// was branched from, and the other layouts of the project
+const getDiffBases = (layout, layouts) => {
+  if (!layout) return []
+
+  const revisions = [...(layout.revisions || [])]
+    .reverse()
+    .filter(revision => revision.id !== layout.currentRevisionId)
+    .map(revision => ({
+      key: `revision:${revision.id}`,
+      label: `v${revision.version} · ${REVISION_REASONS[revision.reason] || revision.reason}`,
+      layoutData: revision.layoutData
+    }))
+
+  const origin = layout.branchedFrom ? findLayoutRevision(layouts, layout.branchedFrom.revisionId) : null
+  const source = origin ? [{
+    key: `revision:${origin.revision.id}`,
+    label: `Source: ${origin.layout.name} v${origin.revision.version}`,
+    layoutData: origin.revision.layoutData
+  }] : []
+
+  const siblings = layouts
+    .filter(other => other.projectId === layout.projectId && other.id !== layout.id)
+    .map(other => ({ key: `layout:${other.id}`, label: other.name, layoutData: other.layoutData }))
+
+  return [...source, ...revisions, ...siblings]
+}
 
 export function LayoutViewer() {
   const { layoutId } = useParams()
-  const { getLayout, getProject } = useStore()
+  const { layouts, getLayout, getProject, getProjectLayouts, getUnitSystem, updateLayout, restoreRevision } = useStore()
   const [viewMode, setViewMode] = useState('2d') // '2d' or '3d'
-  const [zoom, setZoom] = useState(1)
-  const [pan, setPan] = useState({ x: 0, y: 0 })
-  const [selectedRoom, setSelectedRoom] = useState(null)
+  const [view, setView] = useState(null) // null fits the plan to the viewport
+  const [selectedRoomId, setSelectedRoomId] = useState(null)
+  const [editMode, setEditMode] = useState(false)
+  const [snapGuides, setSnapGuides] = useState(null) // walls the dragged room snapped to
+  const [dragPreview, setDragPreview] = useState(null) // the dragged room until the gesture ends
+  const [diffBaseKey, setDiffBaseKey] = useState(null) // null while the diff overlay is off
+  const [showIssueOverlay, setShowIssueOverlay] = useState(false)
+  const [focusedIssueKey, setFocusedIssueKey] = useState(null)
+  const [heatmapLayerId, setHeatmapLayerId] = useState(null) // ROOM_METRIC_LAYERS id, null for none
+  const [measureMode, setMeasureMode] = useState(null) // MEASURE_MODES id, null while not measuring
+  const [measureDraft, setMeasureDraft] = useState([]) // points placed so far
+  const [measureCursor, setMeasureCursor] = useState(null)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [exportDimensions, setExportDimensions] = useState(true)
+  const measureKeysRef = useRef(null)
 
   const layout = getLayout(layoutId)
   const project = layout ? getProject(layout.projectId) : null
+  const unitSystem = getUnitSystem(layout?.projectId)
+
+  const bounds = useMemo(() => getPlanBounds(layout?.layoutData), [layout?.layoutData])
+
+  // Open every layout fitted to its own extents
+  useEffect(() => {
+    setView(null)
+    setMeasureDraft([])
+  }, [layoutId])
+
+  // Enter finishes a chain and Escape cancels it; the handler is refreshed every render
+  useEffect(() => {
+    if (!measureMode) return
+    const handleKeyDown = (e) => measureKeysRef.current?.(e)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [measureMode])
+
+  const diffBases = useMemo(() => getDiffBases(layout, layouts), [layout, layouts])
+
+  const complianceOverlay = useMemo(
+    () => buildComplianceOverlay(layout?.complianceResults, layout?.layoutData),
+    [layout?.complianceResults, layout?.layoutData]
+  )
+
+  // Same options as the layout evaluation, so rooms add up to the metrics in the sidebar
+  const roomBreakdowns = useMemo(
+    () => layout && calculateRoomMetricBreakdowns(layout.layoutData, { accessibility: project?.normSettings }),
+    [layout?.layoutData, project?.normSettings]
+  )
+
+  // Issue keys are positional, so a re-evaluation invalidates the focused one
+  useEffect(() => setFocusedIssueKey(null), [layout?.complianceResults])
+
+  const comparison = useMemo(() => {
+    const base = diffBases.find(candidate => candidate.key === diffBaseKey)
+    if (!base || !layout || !project) return null
+
+    const baseMetrics = evaluateLayout(base.layoutData, project.normSettings, project.performanceSettings)
+      .performanceMetrics
+    const diff = diffLayouts(base.layoutData, layout.layoutData)
+
+    return {
+      base,
+      diff,
+      byRoomId: Object.fromEntries(diff.rooms.filter(room => room.after).map(room => [room.id, room])),
+      // Removed connections are keyed by current room ids but drawn at the old positions
+      baseRoomsById: Object.fromEntries(diff.rooms.filter(room => room.before).map(room => [room.id, room.before])),
+      metricDeltas: compareLayoutMetrics(baseMetrics, layout.performanceMetrics)
+    }
+  }, [diffBases, diffBaseKey, layout, project])
 
   if (!layout || !project) {
     return (
@@ -39,13 +190,245 @@ export function LayoutViewer() {
     )
   }
 
-  const handleZoomIn = () => setZoom(prev => Math.min(prev * 1.2, 3))
-  const handleZoomOut = () => setZoom(prev => Math.max(prev / 1.2, 0.3))
-  const handleResetView = () => {
-    setZoom(1)
-    setPan({ x: 0, y: 0 })
+  // The plan as drawn, with a room being dragged at its previewed position
+  const planData = dragPreview ? replaceRoom(layout.layoutData, dragPreview) : layout.layoutData
+  const selectedRoom = planData.rooms?.find(room => room.id === selectedRoomId) || null
+
+  // One drag or resize gesture: pointer moves only redraw the preview, and the result is
+  // committed and evaluated once on release as a single revision and undo step
+  const startRoomGesture = (room, event, handle = null) => {
+    if (event.button !== 0) return
+    event.preventDefault()
+    event.stopPropagation()
+    setSelectedRoomId(room.id)
+
+    const svg = event.currentTarget.ownerSVGElement
+    const start = toDrawingPoint(svg, event)
+    const others = layout.layoutData.rooms.filter(candidate => candidate.id !== room.id)
+    const historyOptions = {
+      reason: 'edit',
+      note: `${handle ? 'Resized' : 'Moved'} ${room.name}`
+    }
+    let edited = null
+
+    const handleMove = (moveEvent) => {
+      const point = toDrawingPoint(svg, moveEvent)
+      const options = { snap: !moveEvent.altKey }
+      const result = handle
+        ? resizeRoom(room, handle, point.x - start.x, point.y - start.y, others, options)
+        : moveRoom(room, point.x - start.x, point.y - start.y, others, options)
+      edited = result.room
+      setSnapGuides(result.guides)
+      setDragPreview(edited)
+    }
+    const handleUp = (upEvent) => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+      window.removeEventListener('pointercancel', handleUp)
+      setSnapGuides(null)
+      setDragPreview(null)
+      if (!edited || upEvent.type === 'pointercancel') return
+
+      const current = useStore.getState().getLayout(layout.id)
+      const currentRoom = current?.layoutData.rooms.find(candidate => candidate.id === room.id)
+      if (!currentRoom || sameGeometry(currentRoom, edited)) return
+      updateLayout(layout.id, { layoutData: replaceRoom(current.layoutData, edited) }, historyOptions)
+    }
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    window.addEventListener('pointercancel', handleUp)
+  }
+
+  // Measuring: every finished measurement is stored on the layout as a dimension
+  const addDimensions = (dimensions, note) => {
+    const current = useStore.getState().getLayout(layout.id)
+    updateLayout(layout.id, {
+      layoutData: { ...current.layoutData, dimensions: [...(current.layoutData.dimensions || []), ...dimensions] }
+    }, { reason: 'edit', note })
+  }
+
+  const removeDimension = (dimensionId) => {
+    const dimensions = (layout.layoutData.dimensions || []).filter(dimension => dimension.id !== dimensionId)
+    updateLayout(layout.id, { layoutData: { ...layout.layoutData, dimensions } }, { reason: 'edit', note: 'Removed dimension' })
+  }
+
+  const clearDimensions = () => {
+    updateLayout(layout.id, { layoutData: { ...layout.layoutData, dimensions: [] } }, { reason: 'edit', note: 'Cleared dimensions' })
+  }
+
+  // Door, window and wall thickness edits; typing into one field coalesces into one revision
+  const updateBuildingElements = (changes, note, coalesceKey) => {
+    const current = useStore.getState().getLayout(layout.id)
+    updateLayout(layout.id, { layoutData: { ...current.layoutData, ...changes } }, { reason: 'edit', note, coalesceKey })
+  }
+
+  const finishMeasurement = (points) => {
+    setMeasureDraft([])
+    const distinct = distinctPoints(points || [])
+    if (distinct.length < 2) return
+    addDimensions([{ id: `dimension-${Date.now()}`, points: distinct, offset: 0 }], 'Added dimension')
+  }
+
+  const toggleMeasure = () => {
+    setMeasureMode(prev => (prev ? null : 'point'))
+    setMeasureDraft([])
+    setMeasureCursor(null)
+    setEditMode(false)
+  }
+
+  const getMeasurePoint = (event) => {
+    const { x, y } = toDrawingPoint(event.currentTarget.ownerSVGElement, event)
+    if (event.altKey || measureMode === 'wall') return [x, y]
+    return DimensionService.snapPoint([x, y], layout.layoutData.rooms || [], MEASURE_SNAP_PX / (view?.scale || 1))
+  }
+
+  const getMeasurePoints = (cursor) => {
+    if (measureDraft.length === 0 || !cursor) return null
+    if (measureMode === 'wall') return DimensionService.measureWallToWall(measureDraft[0], cursor, layout.layoutData.rooms || [])
+    return [...measureDraft, cursor]
+  }
+
+  const handleMeasureClick = (event) => {
+    const point = getMeasurePoint(event)
+    if (measureMode === 'chain' || measureDraft.length === 0) {
+      setMeasureDraft(prev => [...prev, point])
+      return
+    }
+    finishMeasurement(getMeasurePoints(point))
+  }
+
+  measureKeysRef.current = (e) => {
+    if (e.key === 'Escape') {
+      if (measureDraft.length > 0) setMeasureDraft([])
+      else setMeasureMode(null)
+    } else if (e.key === 'Enter' && measureMode === 'chain') {
+      finishMeasurement(measureDraft)
+    }
+  }
+
+  const draftPoints = getMeasurePoints(measureCursor)
+  const measureHint = MEASURE_MODES.find(mode => mode.id === measureMode)?.hint
+
+  const handleExport = async (format) => {
+    setShowExportMenu(false)
+    await downloadLayoutFile(layout.layoutData, {
+      name: project.name,
+      layoutName: layout.name,
+      metrics: layout.performanceMetrics,
+      compliance: layout.complianceResults
+    }, format, { includeDimensions: exportDimensions, unitSystem })
+  }
+
+  const handleZoomIn = () => view && setView(zoomPlanView(view, ZOOM_STEP))
+  const handleZoomOut = () => view && setView(zoomPlanView(view, 1 / ZOOM_STEP))
+  const handleFitView = () => setView(null)
+  const visibleBox = view ? PlanViewport.getViewBox(view) : bounds
+  const handleSize = view ? HANDLE_SIZE / view.scale : HANDLE_SIZE
+
+  // Default to the parent of the current revision: the previous version, or the branch source
+  const toggleDiff = () => {
+    if (diffBaseKey) {
+      setDiffBaseKey(null)
+      return
+    }
+    const current = layout.revisions?.find(revision => revision.id === layout.currentRevisionId)
+    const parentKey = current?.parentId && `revision:${current.parentId}`
+    const initial = diffBases.find(base => base.key === parentKey) || diffBases[0]
+    if (initial) {
+      setDiffBaseKey(initial.key)
+      setShowIssueOverlay(false)
+      setHeatmapLayerId(null)
+    }
+  }
+
+  // The diff, issue and heatmap overlays all colour the rooms, so only one is shown at a time
+  const toggleIssueOverlay = () => {
+    if (!showIssueOverlay) {
+      setDiffBaseKey(null)
+      setHeatmapLayerId(null)
+    }
+    setShowIssueOverlay(prev => !prev)
+  }
+
+  const selectHeatmapLayer = (layerId) => {
+    setHeatmapLayerId(layerId || null)
+    if (layerId) {
+      setDiffBaseKey(null)
+      setShowIssueOverlay(false)
+    }
+  }
+
+  const heatmapLayer = ROOM_METRIC_LAYERS.find(layer => layer.id === heatmapLayerId) || null
+
+  const focusedIssue = complianceOverlay.entries.find(entry => entry.key === focusedIssueKey) || null
+
+  const handleIssueClick = (entry) => {
+    setFocusedIssueKey(entry.key)
+    if (entry.target.kind === 'room') setSelectedRoomId(entry.target.roomIds[0])
+
+    const targetBounds = ComplianceOverlayService.getTargetBounds(entry.target, layout.layoutData)
+    if (view && targetBounds && viewMode === '2d') setView(PlanViewport.fit(targetBounds, view))
+  }
+
+  // Diff overlay colours
+  const getRoomColors = (room) => {
+    const colors = getDiffColor(comparison.byRoomId[room.id]?.status)
+    return { fill: colors.fill, stroke: selectedRoom?.id === room.id ? 'hsl(210, 90%, 30%)' : colors.stroke }
+  }
+
+  const getCirculationStyle = (path) => {
+    const { added, changed } = comparison.diff.circulation
+    const matches = edge => [edge.from, edge.to].sort().join() === [path.from, path.to].sort().join()
+    if (added.some(matches)) return { stroke: DIFF_COLORS.added.stroke, opacity: 0.6 }
+    if (changed.some(matches)) return { stroke: DIFF_COLORS.changed.stroke, opacity: 0.6 }
+    return { stroke: DIFF_COLORS.unchanged.stroke, opacity: 0.6 }
+  }
+
+  // Issue overlay colours: every located issue with the overlay on, else just the focused one
+  const getIssueSeverity = (kind, matches) => {
+    if (showIssueOverlay) {
+      return { room: complianceOverlay.rooms, path: complianceOverlay.paths, door: complianceOverlay.doors }[kind][matches]
+    }
+    const target = focusedIssue?.target
+    if (target?.kind !== kind) return null
+    return (kind === 'room' ? target.roomIds.includes(matches) : target.index === matches) ? focusedIssue.severity : null
+  }
+
+  const getIssueRoomColors = (room) => {
+    const severity = getIssueSeverity('room', room.id)
+    return severity ? COMPLIANCE_COLORS[severity] : null
   }
 
+  const getIssueCirculationStyle = (path, index) => {
+    const severity = getIssueSeverity('path', index)
+    return severity ? { stroke: COMPLIANCE_COLORS[severity].stroke, opacity: 0.8 } : null
+  }
+
+  const getIssueDoorColor = (door, index) => {
+    const severity = getIssueSeverity('door', index)
+    return severity ? COMPLIANCE_COLORS[severity].stroke : null
+  }
+
+  // Heatmap colours, with a focused compliance issue still highlighted on top
+  const getHeatmapRoomColors = (room) =>
+    getIssueRoomColors(room) || getHeatmapColors(heatmapLayer, roomBreakdowns[heatmapLayer.id][room.id])
+
+  const heatmapLabels = heatmapLayer && planData.rooms?.map(room => (
+    <text
+      key={`heatmap-${room.id}`}
+      x={room.x + room.width / 2}
+      y={room.y + room.height / 2 + 24}
+      textAnchor="middle"
+      fontSize="12"
+      fontWeight="600"
+      fill={getHeatmapColors(heatmapLayer, roomBreakdowns[heatmapLayer.id][room.id]).stroke}
+      className="pointer-events-none"
+    >
+      {formatHeatmapValue(heatmapLayer, roomBreakdowns[heatmapLayer.id][room.id], unitSystem)}
+    </text>
+  ))
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'compliant':
@@ -95,7 +478,11 @@ export function LayoutViewer() {
                 2D
               </button>
               <button
-                onClick={() => setViewMode('3d')}
+                onClick={() => {
+                  setViewMode('3d')
+                  setEditMode(false)
+                  setMeasureMode(null)
+                }}
                 className={`px-3 py-1 text-sm rounded ${
                   viewMode === '3d' 
                     ? 'bg-white text-primary shadow-sm' 
@@ -106,43 +493,127 @@ export function LayoutViewer() {
               </button>
             </div>
             
-            {/* Zoom Controls */}
-            <div className="flex items-center space-x-1">
-              <button
-                onClick={handleZoomOut}
-                className="p-2 text-gray-500 hover:text-text"
+            <button
+              onClick={toggleDiff}
+              disabled={diffBases.length === 0}
+              className={`p-2 rounded disabled:opacity-40 ${
+                comparison ? 'bg-primary text-white' : 'text-gray-500 hover:text-text'
+              }`}
+              title={diffBases.length ? 'Show changes' : 'No other version to compare with'}
+            >
+              <GitCompare className="w-4 h-4" />
+            </button>
+            <button
+              onClick={toggleIssueOverlay}
+              disabled={complianceOverlay.entries.length === 0}
+              className={`p-2 rounded disabled:opacity-40 ${
+                showIssueOverlay ? 'bg-primary text-white' : 'text-gray-500 hover:text-text'
+              }`}
+              title={complianceOverlay.entries.length ? 'Highlight compliance issues' : 'No compliance issues'}
+            >
+              <ShieldAlert className="w-4 h-4" />
+            </button>
+            <div className="flex items-center space-x-1" title="Performance heatmap">
+              <Layers className={`w-4 h-4 ${heatmapLayer ? 'text-primary' : 'text-gray-500'}`} />
+              <select
+                value={heatmapLayerId || ''}
+                onChange={(e) => selectHeatmapLayer(e.target.value)}
+                className="input text-sm py-1"
               >
-                <ZoomOut className="w-4 h-4" />
-              </button>
-              <span className="text-sm text-gray-600 min-w-[3rem] text-center">
-                {Math.round(zoom * 100)}%
-              </span>
+                <option value="">No heatmap</option>
+                {ROOM_METRIC_LAYERS.map(layer => (
+                  <option key={layer.id} value={layer.id}>{layer.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <UndoRedoControls scope={layoutScope(layout.id)} />
+
+            {/* Zoom Controls (the 3D view has its own camera controls) */}
+            {viewMode === '2d' && (
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={handleZoomOut}
+                  className="p-2 text-gray-500 hover:text-text"
+                >
+                  <ZoomOut className="w-4 h-4" />
+                </button>
+                <span className="text-sm text-gray-600 min-w-[3rem] text-center">
+                  {view ? Math.round(view.scale * 100) : 100}%
+                </span>
+                <button
+                  onClick={handleZoomIn}
+                  className="p-2 text-gray-500 hover:text-text"
+                >
+                  <ZoomIn className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={handleFitView}
+                  className="p-2 text-gray-500 hover:text-text"
+                  title="Fit to plan"
+                >
+                  <Maximize className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+            
+            {/* Action Buttons */}
+            <div className="flex items-center space-x-2">
               <button
-                onClick={handleZoomIn}
-                className="p-2 text-gray-500 hover:text-text"
+                onClick={toggleMeasure}
+                disabled={viewMode === '3d'}
+                className={`${measureMode ? 'btn-primary' : 'btn-secondary'} p-2 disabled:opacity-40`}
+                title={viewMode === '3d' ? 'Switch to 2D to measure' : measureMode ? 'Stop measuring' : 'Measure'}
               >
-                <ZoomIn className="w-4 h-4" />
+                <Ruler className="w-4 h-4" />
               </button>
               <button
-                onClick={handleResetView}
-                className="p-2 text-gray-500 hover:text-text"
+                onClick={() => {
+                  setEditMode(prev => !prev)
+                  setMeasureMode(null)
+                }}
+                disabled={viewMode === '3d'}
+                className={`${editMode ? 'btn-primary' : 'btn-secondary'} p-2 disabled:opacity-40`}
+                title={viewMode === '3d' ? 'Switch to 2D to edit rooms' : editMode ? 'Finish editing' : 'Edit rooms'}
               >
-                <RotateCcw className="w-4 h-4" />
-              </button>
-            </div>
-            
-            {/* Action Buttons */}
-            <div className="flex items-center space-x-2">
-              <button className="btn-secondary p-2">
                 <Edit className="w-4 h-4" />
               </button>
               <button className="btn-secondary p-2">
                 <Share2 className="w-4 h-4" />
               </button>
-              <button className="btn-primary flex items-center space-x-2">
-                <Download className="w-4 h-4" />
-                <span className="hidden sm:inline">Export</span>
-              </button>
+              <div className="relative">
+                <button
+                  onClick={() => setShowExportMenu(prev => !prev)}
+                  className="btn-primary flex items-center space-x-2"
+                >
+                  <Download className="w-4 h-4" />
+                  <span className="hidden sm:inline">Export</span>
+                </button>
+                {showExportMenu && (
+                  <div className="fixed inset-0 z-10" onClick={() => setShowExportMenu(false)} />
+                )}
+                {showExportMenu && (
+                  <div className="absolute right-0 mt-2 w-56 bg-surface border border-border rounded-lg shadow-card py-1 z-20">
+                    {ExportService.getSupportedFormats().map(format => (
+                      <button
+                        key={format.key}
+                        onClick={() => handleExport(format.key)}
+                        className="w-full text-left px-3 py-2 text-sm text-text hover:bg-gray-50"
+                      >
+                        {format.name}
+                      </button>
+                    ))}
+                    <label className="flex items-center space-x-2 px-3 py-2 border-t border-border text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={exportDimensions}
+                        onChange={(e) => setExportDimensions(e.target.checked)}
+                      />
+                      <span>Include dimensions (DXF, SVG, PDF)</span>
+                    </label>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -151,139 +622,233 @@ export function LayoutViewer() {
       <div className="flex-1 flex">
         {/* Main Viewer */}
         <div className="flex-1 relative bg-white">
-          <div className="absolute inset-0 overflow-hidden">
-            <div 
-              className="w-full h-full"
-              style={{
-                transform: `scale(${zoom}) translate(${pan.x}px, ${pan.y}px)`,
-                transformOrigin: 'center center',
-                transition: 'transform 0.1s ease-out'
-              }}
-            >
-              {/* Floor Plan Canvas */}
-              <svg 
-                className="w-full h-full" 
-                viewBox="0 0 1200 800"
-                style={{ minWidth: '1200px', minHeight: '800px' }}
-              >
-                {/* Grid Background */}
-                <defs>
-                  <pattern 
-                    id="grid" 
-                    width="50" 
-                    height="50" 
-                    patternUnits="userSpaceOnUse"
-                  >
-                    <path 
-                      d="M 50 0 L 0 0 0 50" 
-                      fill="none" 
-                      stroke="#f3f4f6" 
-                      strokeWidth="1"
+          {/* Floor Plan Canvas */}
+          {viewMode === '2d' ? (
+            <FloorPlanViewport
+              className="absolute inset-0"
+              view={view}
+              onViewChange={setView}
+              bounds={bounds}
+              minimap
+              layoutData={planData}
+              selectedRoomId={selectedRoomId}
+              onRoomClick={(room) => setSelectedRoomId(room.id)}
+              onRoomPointerDown={editMode ? startRoomGesture : undefined}
+              getRoomColors={comparison ? getRoomColors : heatmapLayer ? getHeatmapRoomColors : getIssueRoomColors}
+              getCirculationStyle={comparison ? getCirculationStyle : getIssueCirculationStyle}
+              getDoorColor={comparison ? undefined : getIssueDoorColor}
+              unitSystem={unitSystem}
+              foreground={(
+                <>
+                  {heatmapLabels}
+                  <DimensionLines dimensions={planData.dimensions || []} layoutData={planData} unitSystem={unitSystem} />
+                  {selectedRoom && (
+                    <DimensionLines
+                      dimensions={DimensionService.getRoomDimensions(selectedRoom)}
+                      layoutData={planData}
+                      unitSystem={unitSystem}
+                      opacity={0.6}
                     />
-                  </pattern>
-                </defs>
-                <rect width="100%" height="100%" fill="url(#grid)" />
-                
-                {/* Circulation Paths */}
-                {layout.layoutData.circulation?.map((path, index) => {
-                  const fromRoom = layout.layoutData.rooms.find(r => r.id === path.from)
-                  const toRoom = layout.layoutData.rooms.find(r => r.id === path.to)
-                  
-                  if (!fromRoom || !toRoom) return null
-                  
-                  const fromCenter = {
-                    x: fromRoom.x + fromRoom.width / 2,
-                    y: fromRoom.y + fromRoom.height / 2
-                  }
-                  const toCenter = {
-                    x: toRoom.x + toRoom.width / 2,
-                    y: toRoom.y + toRoom.height / 2
-                  }
-                  
-                  return (
-                    <line
-                      key={`circulation-${index}`}
-                      x1={fromCenter.x}
-                      y1={fromCenter.y}
-                      x2={toCenter.x}
-                      y2={toCenter.y}
-                      stroke="hsl(210, 90%, 60%)"
-                      strokeWidth={path.width * 2}
-                      strokeOpacity="0.3"
-                      strokeDasharray="5,5"
+                  )}
+                  {draftPoints && (
+                    <DimensionLines
+                      dimensions={[{ id: 'draft', points: draftPoints }]}
+                      layoutData={planData}
+                      unitSystem={unitSystem}
+                      dashed
                     />
-                  )
-                })}
-                
-                {/* Rooms */}
-                {layout.layoutData.rooms?.map((room) => (
-                  <g key={room.id}>
+                  )}
+                  {measureMode && (
                     <rect
-                      x={room.x}
-                      y={room.y}
-                      width={room.width}
-                      height={room.height}
-                      fill={selectedRoom?.id === room.id ? "hsl(210, 90%, 95%)" : "hsl(210, 90%, 98%)"}
-                      stroke={selectedRoom?.id === room.id ? "hsl(210, 90%, 30%)" : "hsl(210, 30%, 85%)"}
-                      strokeWidth={selectedRoom?.id === room.id ? "3" : "2"}
-                      className="cursor-pointer transition-colors duration-150"
-                      onClick={() => setSelectedRoom(room)}
+                      x={visibleBox.x}
+                      y={visibleBox.y}
+                      width={visibleBox.width}
+                      height={visibleBox.height}
+                      fill="transparent"
+                      className="cursor-crosshair"
+                      onClick={handleMeasureClick}
+                      onDoubleClick={() => measureMode === 'chain' && finishMeasurement(measureDraft)}
+                      onPointerMove={(e) => setMeasureCursor(getMeasurePoint(e))}
+                      onPointerLeave={() => setMeasureCursor(null)}
                     />
-                    <text
-                      x={room.x + room.width / 2}
-                      y={room.y + room.height / 2 - 10}
-                      textAnchor="middle"
-                      className="fill-current text-text font-medium pointer-events-none"
-                      fontSize="14"
-                    >
-                      {room.name}
-                    </text>
-                    <text
-                      x={room.x + room.width / 2}
-                      y={room.y + room.height / 2 + 6}
-                      textAnchor="middle"
-                      className="fill-current text-gray-500 pointer-events-none"
-                      fontSize="12"
-                    >
-                      {room.area} sq ft
-                    </text>
-                  </g>
-                ))}
-              </svg>
-            </div>
-          </div>
+                  )}
+                  {editMode && (
+                    <>
+                      {snapGuides?.x.map(x => (
+                        <line key={`guide-x-${x}`} x1={x} y1={visibleBox.y} x2={x} y2={visibleBox.y + visibleBox.height} stroke="hsl(330, 80%, 55%)" strokeWidth="1" strokeDasharray="4,4" vectorEffect="non-scaling-stroke" />
+                      ))}
+                      {snapGuides?.y.map(y => (
+                        <line key={`guide-y-${y}`} x1={visibleBox.x} y1={y} x2={visibleBox.x + visibleBox.width} y2={y} stroke="hsl(330, 80%, 55%)" strokeWidth="1" strokeDasharray="4,4" vectorEffect="non-scaling-stroke" />
+                      ))}
+                      {selectedRoom && RESIZE_HANDLES.map(handle => {
+                        const position = handlePosition(selectedRoom, handle)
+                        return (
+                          <rect
+                            key={handle}
+                            x={position.x - handleSize / 2}
+                            y={position.y - handleSize / 2}
+                            width={handleSize}
+                            height={handleSize}
+                            fill="white"
+                            stroke="hsl(210, 90%, 30%)"
+                            strokeWidth="2"
+                            vectorEffect="non-scaling-stroke"
+                            style={{ cursor: HANDLE_CURSORS[handle] }}
+                            onPointerDown={(e) => startRoomGesture(selectedRoom, e, handle)}
+                          />
+                        )
+                      })}
+                    </>
+                  )}
+                </>
+              )}
+            >
+              {/* Diff overlay: removed connections, previous positions and removed rooms */}
+              {comparison && comparison.diff.circulation.removed.map(path => {
+                const fromRoom = comparison.baseRoomsById[path.from]
+                const toRoom = comparison.baseRoomsById[path.to]
+                if (!fromRoom || !toRoom) return null
+
+                const fromCenter = roomCenter(fromRoom)
+                const toCenter = roomCenter(toRoom)
+                return (
+                  <line
+                    key={`removed-circulation-${path.from}-${path.to}`}
+                    x1={fromCenter.x}
+                    y1={fromCenter.y}
+                    x2={toCenter.x}
+                    y2={toCenter.y}
+                    stroke={DIFF_COLORS.removed.stroke}
+                    strokeWidth={path.width * 2}
+                    strokeOpacity="0.4"
+                    strokeDasharray="2,6"
+                  />
+                )
+              })}
+              {comparison?.diff.rooms
+                .filter(room => room.before && room.status !== 'unchanged' && room.status !== 'renamed')
+                .map(room => {
+                  const colors = getDiffColor(room.status)
+                  return (
+                    <g key={`before-${room.status}-${room.id}`} className="pointer-events-none">
+                      <rect
+                        x={room.before.x}
+                        y={room.before.y}
+                        width={room.before.width}
+                        height={room.before.height}
+                        fill={room.status === 'removed' ? colors.fill : 'none'}
+                        stroke={colors.stroke}
+                        strokeWidth="2"
+                        strokeDasharray="6,4"
+                      />
+                      {room.status === 'removed' && (
+                        <text
+                          x={room.before.x + room.before.width / 2}
+                          y={room.before.y + room.before.height / 2}
+                          textAnchor="middle"
+                          fill={colors.stroke}
+                          fontSize="14"
+                        >
+                          {room.name}
+                        </text>
+                      )}
+                    </g>
+                  )
+                })}
+            </FloorPlanViewport>
+          ) : (
+            <MassingView
+              key={layout.id}
+              className="absolute inset-0"
+              layoutData={layout.layoutData}
+              ceilingHeight={project?.buildingSettings?.ceilingHeight ?? DEFAULT_CEILING_HEIGHT}
+              selectedRoomId={selectedRoomId}
+              onRoomClick={setSelectedRoomId}
+            />
+          )}
           
           {/* Floating Controls */}
+          {comparison && viewMode === '2d' && (
+            <div className="absolute top-4 left-4 bg-surface rounded-lg shadow-card px-3 py-2 flex items-center space-x-3 text-xs">
+              <span className="text-gray-600">Compared with {comparison.base.label}</span>
+              {[['added', 'Added'], ['removed', 'Removed'], ['changed', 'Moved / resized']].map(([status, label]) => (
+                <span key={status} className="flex items-center space-x-1">
+                  <span
+                    className="inline-block w-3 h-3 rounded-sm border"
+                    style={{ backgroundColor: DIFF_COLORS[status].fill, borderColor: DIFF_COLORS[status].stroke }}
+                  />
+                  <span className="text-gray-600">{label}</span>
+                </span>
+              ))}
+            </div>
+          )}
+          {heatmapLayer && viewMode === '2d' && (
+            <div className="absolute top-4 left-4 bg-surface rounded-lg shadow-card px-3 py-2">
+              <MetricHeatmapLegend
+                layer={heatmapLayer}
+                unitSystem={unitSystem}
+                hasMissing={Object.values(roomBreakdowns[heatmapLayer.id]).some(value => value === null)}
+              />
+            </div>
+          )}
+          {showIssueOverlay && viewMode === '2d' && (
+            <div className="absolute top-4 left-4 bg-surface rounded-lg shadow-card px-3 py-2 flex items-center space-x-3 text-xs">
+              <span className="text-gray-600">Compliance issues</span>
+              {[['critical', 'Critical'], ['warning', 'Warning']].map(([severity, label]) => (
+                <span key={severity} className="flex items-center space-x-1">
+                  <span
+                    className="inline-block w-3 h-3 rounded-sm border"
+                    style={{ backgroundColor: COMPLIANCE_COLORS[severity].fill, borderColor: COMPLIANCE_COLORS[severity].stroke }}
+                  />
+                  <span className="text-gray-600">{label}</span>
+                </span>
+              ))}
+            </div>
+          )}
+          {measureMode && viewMode === '2d' && (
+            <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-surface rounded-lg shadow-card p-1 flex items-center space-x-1 text-sm">
+              {MEASURE_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  onClick={() => {
+                    setMeasureMode(mode.id)
+                    setMeasureDraft([])
+                  }}
+                  className={`px-3 py-1 rounded ${
+                    measureMode === mode.id ? 'bg-primary text-white' : 'text-gray-600 hover:text-text'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          )}
           <div className="absolute bottom-4 left-4 bg-surface rounded-lg shadow-card p-2 flex items-center space-x-2">
             <Move className="w-4 h-4 text-gray-500" />
-            <span className="text-sm text-gray-600">Click and drag to pan</span>
+            <span className="text-sm text-gray-600">
+              {viewMode === '3d'
+                ? 'Drag to orbit · Shift-drag to pan · scroll to zoom'
+                : measureMode
+                  ? measureHint
+                  : editMode
+                    ? 'Drag rooms to move, handles to resize · hold Alt to turn off snapping'
+                    : 'Drag to pan · scroll or pinch to zoom'}
+            </span>
           </div>
         </div>
 
         {/* Sidebar */}
-        <div className="w-80 bg-surface border-l border-border flex flex-col">
+        <div className="w-80 bg-surface border-l border-border flex flex-col overflow-y-auto">
           {/* Performance Metrics */}
           <div className="p-6 border-b border-border">
             <h3 className="font-semibold text-text mb-4">Performance Metrics</h3>
             <div className="space-y-4">
               <MetricDisplay
-                label="Circulation Efficiency"
-                value={layout.performanceMetrics.circulationEfficiency}
-                unit="%"
-                variant="chart"
-              />
-              <MetricDisplay
-                label="Daylight Hours"
-                value={layout.performanceMetrics.daylightHours}
-                unit="h"
-                variant="number"
-              />
-              <MetricDisplay
-                label="Energy Efficiency"
-                value={layout.performanceMetrics.energyEfficiency}
-                unit="%"
+                label="Overall Score"
+                value={layout.performanceMetrics.overallScore}
                 variant="chart"
               />
+              <MetricDisplayList metrics={layout.performanceMetrics} />
             </div>
           </div>
 
@@ -294,10 +859,42 @@ export function LayoutViewer() {
               <div className="space-y-3">
                 <div>
                   <h4 className="font-medium text-text">{selectedRoom.name}</h4>
-                  <p className="text-sm text-gray-600">Area: {selectedRoom.area} sq ft</p>
                   <p className="text-sm text-gray-600">
-                    Dimensions: {selectedRoom.width}' × {selectedRoom.height}'
+                    Area: {formatLayoutValue(layout.layoutData, 'area', selectedRoom.area, unitSystem)}
                   </p>
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm text-gray-600">
+                      Dimensions: {DimensionService.getRoomDimensions(selectedRoom)
+                        .map(dimension => formatDimensionLength(measureDimension(dimension, layout.layoutData).total, unitSystem))
+                        .join(' × ')}
+                    </p>
+                    <button
+                      onClick={() => addDimensions(
+                        DimensionService.getRoomDimensions(selectedRoom)
+                          .map((dimension, index) => ({ ...dimension, id: `dimension-${Date.now()}-${index}` })),
+                        `Dimensioned ${selectedRoom.name}`
+                      )}
+                      className="text-xs text-primary hover:underline"
+                    >
+                      Add to drawing
+                    </button>
+                  </div>
+                </div>
+                <div className="pt-3 border-t border-border">
+                  <h5 className="text-sm font-medium text-text mb-2">Room Metrics</h5>
+                  {ROOM_METRIC_LAYERS.map(layer => (
+                    <button
+                      key={layer.id}
+                      onClick={() => selectHeatmapLayer(layer.id)}
+                      className={`w-full flex justify-between text-sm hover:text-text ${
+                        layer.id === heatmapLayerId ? 'text-text font-medium' : 'text-gray-600'
+                      }`}
+                      title="Show as heatmap"
+                    >
+                      <span>{layer.label}</span>
+                      <span>{formatHeatmapValue(layer, roomBreakdowns[layer.id][selectedRoom.id], unitSystem)}</span>
+                    </button>
+                  ))}
                 </div>
                 <div className="pt-3 border-t border-border">
                   <h5 className="text-sm font-medium text-text mb-2">Adjacencies</h5>
@@ -308,7 +905,7 @@ export function LayoutViewer() {
                       const connectedRoom = layout.layoutData.rooms.find(r => r.id === connectedRoomId)
                       return (
                         <div key={index} className="text-sm text-gray-600">
-                          → {connectedRoom?.name} ({path.width}' wide)
+                          → {connectedRoom?.name} ({formatLayoutValue(layout.layoutData, 'length', path.width, unitSystem)} wide)
                         </div>
                       )
                     })}
@@ -319,8 +916,60 @@ export function LayoutViewer() {
             )}
           </div>
 
+          {/* Walls, doors and windows */}
+          <div className="p-6 border-b border-border">
+            <h3 className="font-semibold text-text mb-4">Walls, Doors & Windows</h3>
+            <BuildingElementsPanel
+              layoutData={layout.layoutData}
+              room={selectedRoom}
+              unitSystem={unitSystem}
+              onChange={updateBuildingElements}
+            />
+          </div>
+
+          {/* Dimensions */}
+          {(layout.layoutData.dimensions?.length > 0 || measureMode) && (
+            <div className="p-6 border-b border-border">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-2">
+                  <Ruler className="w-4 h-4 text-gray-500" />
+                  <h3 className="font-semibold text-text">Dimensions</h3>
+                </div>
+                {layout.layoutData.dimensions?.length > 0 && (
+                  <button onClick={clearDimensions} className="text-xs text-gray-500 hover:text-red-600">
+                    Clear all
+                  </button>
+                )}
+              </div>
+              {layout.layoutData.dimensions?.length > 0 ? (
+                <ul className="space-y-1">
+                  {layout.layoutData.dimensions.map((dimension, index) => {
+                    const { segments, total } = measureDimension(dimension, layout.layoutData)
+                    return (
+                      <li key={dimension.id} className="flex items-center justify-between text-sm text-gray-600">
+                        <span>
+                          {index + 1}. {segments.map(segment => formatDimensionLength(segment.length, unitSystem)).join(' + ')}
+                          {segments.length > 1 && <span className="text-gray-500"> = {formatDimensionLength(total, unitSystem)}</span>}
+                        </span>
+                        <button
+                          onClick={() => removeDimension(dimension.id)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Remove dimension"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </li>
+                    )
+                  })}
+                </ul>
+              ) : (
+                <p className="text-gray-500 text-sm">Measurements you take are kept here and exported with the plan</p>
+              )}
+            </div>
+          )}
+
           {/* Compliance Status */}
-          <div className="p-6">
+          <div className="p-6 border-b border-border">
             <h3 className="font-semibold text-text mb-4">Compliance Status</h3>
             <div className="space-y-3">
               <div className="flex items-center space-x-3">
@@ -333,21 +982,63 @@ export function LayoutViewer() {
                     {layout.complianceStatus === 'compliant' && 'All requirements met'}
                     {layout.complianceStatus === 'warning' && 'Minor issues detected'}
                     {layout.complianceStatus === 'non-compliant' && 'Requires attention'}
+                    {layout.complianceStatus === 'error' && 'Building codes unavailable for this region'}
                   </div>
                 </div>
               </div>
               
-              {layout.complianceStatus !== 'compliant' && (
-                <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
-                  <h4 className="text-sm font-medium text-yellow-800 mb-2">Issues Found:</h4>
-                  <ul className="text-sm text-yellow-700 space-y-1">
-                    <li>• Corridor width below ADA minimum in 2 locations</li>
-                    <li>• Office space below recommended minimum area</li>
-                  </ul>
-                </div>
+              <ComplianceIssueList
+                entries={complianceOverlay.entries}
+                layoutData={layout.layoutData}
+                focusedKey={focusedIssueKey}
+                onIssueClick={handleIssueClick}
+              />
+
+              {layout.complianceResults && (
+                <p className="text-xs text-gray-500">
+                  {layout.complianceResults.summary.passed} of {layout.complianceResults.summary.totalChecks} checks passed
+                </p>
               )}
             </div>
           </div>
+
+          {/* Sustainability */}
+          {project.sustainabilitySettings?.frameworks?.length > 0 && (
+            <div className="p-6 border-b border-border">
+              <h3 className="font-semibold text-text mb-4">Sustainability</h3>
+              <SustainabilityPanel
+                layoutData={layout.layoutData}
+                performanceMetrics={layout.performanceMetrics}
+                frameworks={project.sustainabilitySettings.frameworks}
+              />
+            </div>
+          )}
+
+          {/* Changes against another version */}
+          {comparison && (
+            <div className="p-6 border-b border-border">
+              <LayoutDiffPanel
+                bases={diffBases}
+                baseKey={diffBaseKey}
+                onBaseChange={setDiffBaseKey}
+                diff={comparison.diff}
+                metricDeltas={comparison.metricDeltas}
+                layoutData={layout.layoutData}
+                unitSystem={unitSystem}
+              />
+            </div>
+          )}
+
+          {/* Revision History */}
+          <div className="p-6">
+            <LayoutHistoryPanel
+              layout={layout}
+              layouts={getProjectLayouts(layout.projectId)}
+              normSettings={project.normSettings}
+              performanceSettings={project.performanceSettings}
+              onRestore={(revisionId) => restoreRevision(layout.id, revisionId)}
+            />
+          </div>
         </div>
       </div>
     </div>
@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, useLocation, Link } from 'react-router-dom'
 import { 
   ArrowLeft, 
   Plus, 
@@ -11,17 +11,53 @@ import {
   TrendingUp,
   Sun,
   Zap,
-  Loader2
+  LayoutGrid,
+  Accessibility,
+  Loader2,
+  GitBranch,
+  Columns
 } from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { ParameterSlider } from '../components/ParameterSlider'
-import { generateLayoutFromSchedule, optimizeLayoutParameters } from '../services/aiService'
+import { ProviderSettingsForm } from '../components/ProviderSettingsForm'
+import { LayoutOptionsPanel } from '../components/LayoutOptionsPanel'
+import { MetricSummaryGrid } from '../components/MetricDisplay'
+import { UndoRedoControls } from '../components/UndoRedoControls'
+import { projectScope } from '../store/commandStack'
+import { requestLayoutGeneration, requestLayoutAlternatives, requestLayoutOptimization } from '../services/apiClient'
+import { resolveProviderConfig } from '../services/llmProviders'
+import { PERFORMANCE_PRIORITIES, getPerformanceMetricDefinitions } from '../services/performanceService'
+import { formatMetricValue } from '../services/metricRegistry'
+import { MAX_COMPARED_LAYOUTS, MIN_COMPARED_LAYOUTS } from '../services/layoutComparison'
+import { DEFAULT_CEILING_HEIGHT } from '../services/massingModel'
+import { UnitService, UNIT_SYSTEMS } from '../services/units'
+import { getSustainabilityFrameworks } from '../services/sustainabilityService'
+
+// Icons for the built-in metrics on layout cards; registered KPIs without one show text only
+const METRIC_ICONS = {
+  circulationEfficiency: { icon: TrendingUp, color: 'text-blue-500' },
+  daylightHours: { icon: Sun, color: 'text-yellow-500' },
+  energyEfficiency: { icon: Zap, color: 'text-green-500' },
+  spaceUtilization: { icon: LayoutGrid, color: 'text-purple-500' },
+  accessibilityScore: { icon: Accessibility, color: 'text-primary' },
+}
+
+// Ceiling height input step per display length unit; the height itself is stored in feet
+const CEILING_HEIGHT_STEP = { ft: 0.5, m: 0.1 }
 
 export function ProjectPage() {
   const { projectId } = useParams()
-  const { getProject, getProjectLayouts, addLayout, updateLayout } = useStore()
+  const location = useLocation()
+  const { getProject, getProjectLayouts, addLayout, updateLayout, updateProject, getUnitSystem, user, aiSettings } = useStore()
   const [isGenerating, setIsGenerating] = useState(false)
-  const [selectedLayout, setSelectedLayout] = useState(null)
+  const [showProjectSettings, setShowProjectSettings] = useState(false)
+  const [lastDiscarded, setLastDiscarded] = useState(0)
+  const [lastShortfall, setLastShortfall] = useState(0)
+  // Message of the last failed AI request, e.g. no provider key configured on the server. A
+  // failed first generation from the new project dialog arrives in the navigation state
+  const [generationError, setGenerationError] = useState(location.state?.generationError || null)
+  const [selectedLayoutId, setSelectedLayoutId] = useState(null)
+  const [compareIds, setCompareIds] = useState([])
   const [parameters, setParameters] = useState({
     roomSize: 1.0,
     circulationWidth: 1.0,
@@ -31,6 +67,9 @@ export function ProjectPage() {
 
   const project = getProject(projectId)
   const layouts = getProjectLayouts(projectId)
+  const lengthUnit = UnitService.getSystem(getUnitSystem(projectId)).length
+  const selectedLayout = layouts.find(layout => layout.id === selectedLayoutId) || null
+  const comparedIds = compareIds.filter(id => layouts.some(layout => layout.id === id))
 
   if (!project) {
     return (
@@ -43,12 +82,46 @@ export function ProjectPage() {
     )
   }
 
+  const priorities = project.performanceSettings?.priorities || []
+  const frameworks = project.sustainabilitySettings?.frameworks || []
+
+  // Assessments are estimated when a layout is viewed, so layouts need no re-evaluation
+  const toggleFramework = (framework) => {
+    updateProject(projectId, {
+      sustainabilitySettings: {
+        ...project.sustainabilitySettings,
+        frameworks: frameworks.includes(framework)
+          ? frameworks.filter(key => key !== framework)
+          : [...frameworks, framework]
+      }
+    })
+  }
+
+  const toggleCompare = (layoutId) => {
+    setCompareIds(prev => prev.includes(layoutId)
+      ? prev.filter(id => id !== layoutId)
+      : [...prev, layoutId].slice(-MAX_COMPARED_LAYOUTS))
+  }
+
+  // Re-weights the overall score of every layout in the project
+  const togglePriority = (priorityId) => {
+    updateProject(projectId, {
+      performanceSettings: {
+        ...project.performanceSettings,
+        priorities: priorities.includes(priorityId)
+          ? priorities.filter(id => id !== priorityId)
+          : [...priorities, priorityId]
+      }
+    })
+  }
+
   const handleGenerateVariation = async () => {
     if (!selectedLayout) return
     
     setIsGenerating(true)
+    setGenerationError(null)
     try {
-      const optimizedLayoutData = await optimizeLayoutParameters(
+      const optimizedLayoutData = await requestLayoutOptimization(
         selectedLayout.layoutData,
         parameters
       )
@@ -57,18 +130,17 @@ export function ProjectPage() {
         projectId: projectId,
         name: `${selectedLayout.name} - Variation ${layouts.length + 1}`,
         layoutData: optimizedLayoutData,
-        version: selectedLayout.version + 1,
-        performanceMetrics: {
-          circulationEfficiency: Math.round(selectedLayout.performanceMetrics.circulationEfficiency * (0.9 + Math.random() * 0.2)),
-          daylightHours: Math.round((selectedLayout.performanceMetrics.daylightHours * (0.9 + Math.random() * 0.2)) * 10) / 10,
-          energyEfficiency: Math.round(selectedLayout.performanceMetrics.energyEfficiency * (0.9 + Math.random() * 0.2)),
-        },
-        complianceStatus: Math.random() > 0.3 ? 'compliant' : 'warning',
       }
       
-      addLayout(newLayout)
+      // The variation is a branch of the selected layout's current revision
+      addLayout(newLayout, {
+        reason: 'variation',
+        note: Object.entries(parameters).map(([key, value]) => `${key} ${value}`).join(', '),
+        branchedFrom: { layoutId: selectedLayout.id, revisionId: selectedLayout.currentRevisionId },
+      })
     } catch (error) {
       console.error('Error generating variation:', error)
+      setGenerationError(error.message)
     } finally {
       setIsGenerating(false)
     }
@@ -76,28 +148,68 @@ export function ProjectPage() {
 
   const handleGenerateNewLayout = async () => {
     setIsGenerating(true)
+    setGenerationError(null)
     try {
-      const layoutData = await generateLayoutFromSchedule(
+      const layoutData = await requestLayoutGeneration(
         project.scheduleData,
-        project.normSettings
+        project.normSettings,
+        {
+          provider: resolveProviderConfig(aiSettings, project.aiSettings),
+          maxComplianceIterations: project.generationSettings?.maxComplianceIterations,
+          performanceSettings: project.performanceSettings
+        }
       )
       
       const newLayout = {
         projectId: projectId,
         name: `Layout Option ${layouts.length + 1}`,
         layoutData: layoutData,
-        version: 1,
-        performanceMetrics: {
-          circulationEfficiency: Math.round(Math.random() * 30 + 70),
-          daylightHours: Math.round((Math.random() * 4 + 5) * 10) / 10,
-          energyEfficiency: Math.round(Math.random() * 25 + 70),
-        },
-        complianceStatus: Math.random() > 0.3 ? 'compliant' : 'warning',
       }
       
       addLayout(newLayout)
     } catch (error) {
       console.error('Error generating new layout:', error)
+      setGenerationError(error.message)
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const handleGenerateOptions = async ({ count, strategies }) => {
+    setIsGenerating(true)
+    setGenerationError(null)
+    try {
+      const { alternatives, discarded, shortfall = 0 } = await requestLayoutAlternatives(
+        project.scheduleData,
+        project.normSettings,
+        {
+          count,
+          strategies,
+          provider: resolveProviderConfig(aiSettings, project.aiSettings),
+          maxComplianceIterations: project.generationSettings?.maxComplianceIterations,
+          performanceSettings: project.performanceSettings
+        }
+      )
+      const setId = `options-${Date.now()}`
+
+      alternatives.forEach((alternative) => {
+        addLayout({
+          projectId: projectId,
+          name: `Option ${String.fromCharCode(64 + alternative.rank)} - ${alternative.strategy.name}`,
+          layoutData: alternative.layout,
+          optionSet: {
+            id: setId,
+            rank: alternative.rank,
+            score: alternative.score,
+            strategy: alternative.strategy,
+          },
+        }, { note: alternative.strategy.name })
+      })
+      setLastDiscarded(discarded)
+      setLastShortfall(shortfall)
+    } catch (error) {
+      console.error('Error generating layout options:', error)
+      setGenerationError(error.message)
     } finally {
       setIsGenerating(false)
     }
@@ -116,6 +228,7 @@ export function ProjectPage() {
             <p className="text-gray-600 mt-1">{project.scheduleData}</p>
           </div>
           <div className="flex space-x-2">
+            <UndoRedoControls scope={projectScope(projectId)} />
             <button
               onClick={handleGenerateNewLayout}
               disabled={isGenerating}
@@ -128,20 +241,168 @@ export function ProjectPage() {
               )}
               <span className="hidden sm:inline">Generate Layout</span>
             </button>
-            <button className="btn-secondary">
+            <button
+              onClick={() => setShowProjectSettings(prev => !prev)}
+              className={`btn-secondary ${showProjectSettings ? 'ring-2 ring-primary' : ''}`}
+            >
               <Settings className="w-4 h-4" />
             </button>
           </div>
         </div>
 
+        {showProjectSettings && (
+          <div className="card mb-8">
+            <h2 className="text-lg font-semibold text-text mb-4">Project Settings</h2>
+            <div className="max-w-md space-y-4">
+              <ProviderSettingsForm
+                value={project.aiSettings || {}}
+                onChange={(next) => updateProject(projectId, { aiSettings: next }, { coalesceKey: 'ai-settings' })}
+                allowInherit
+              />
+              <div>
+                <label className="block text-sm font-medium text-text mb-2">
+                  Compliance Refinement Passes
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={5}
+                  value={project.generationSettings?.maxComplianceIterations || 1}
+                  onChange={(e) => updateProject(projectId, {
+                    generationSettings: {
+                      ...project.generationSettings,
+                      maxComplianceIterations: Math.min(5, Math.max(1, parseInt(e.target.value, 10) || 1))
+                    }
+                  }, { coalesceKey: 'compliance-passes' })}
+                  className="input"
+                />
+                <p className="mt-1 text-sm text-gray-500">
+                  Critical code issues are sent back to the AI and the layout is regenerated until it passes or this many passes are used.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-text mb-2">
+                  Display Units
+                </label>
+                <select
+                  value={project.unitSystem || ''}
+                  onChange={(e) => updateProject(projectId, { unitSystem: e.target.value || undefined })}
+                  className="input"
+                >
+                  <option value="">Use my default ({UnitService.getSystem(user?.unitSystem).label})</option>
+                  {Object.values(UNIT_SYSTEMS).map(system => (
+                    <option key={system.id} value={system.id}>{system.label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Areas, widths and dimensions of this project's layouts are shown and exported in these units.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-text mb-2">
+                  Ceiling Height ({UnitService.getUnitLabel(lengthUnit)})
+                </label>
+                <input
+                  type="number"
+                  min={UnitService.round(UnitService.convertLength(7, 'ft', lengthUnit), lengthUnit)}
+                  max={UnitService.round(UnitService.convertLength(30, 'ft', lengthUnit), lengthUnit)}
+                  step={CEILING_HEIGHT_STEP[lengthUnit]}
+                  value={UnitService.round(
+                    UnitService.convertLength(project.buildingSettings?.ceilingHeight ?? DEFAULT_CEILING_HEIGHT, 'ft', lengthUnit),
+                    lengthUnit
+                  )}
+                  onChange={(e) => {
+                    // Not clamped while typing, so "12" can be entered one digit at a time
+                    const height = parseFloat(e.target.value)
+                    if (!(height > 0)) return
+                    const ceilingHeight = UnitService.convertLength(height, lengthUnit, 'ft')
+                    updateProject(projectId, {
+                      buildingSettings: { ...project.buildingSettings, ceilingHeight }
+                    }, { coalesceKey: 'ceiling-height' })
+                  }}
+                  className="input"
+                />
+                <p className="mt-1 text-sm text-gray-500">
+                  Rooms are extruded to this height in the 3D massing view.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-text mb-2">
+                  Performance Priorities
+                </label>
+                <div className="space-y-2">
+                  {PERFORMANCE_PRIORITIES.map(priority => (
+                    <label key={priority.id} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={priorities.includes(priority.id)}
+                        onChange={() => togglePriority(priority.id)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm">{priority.label}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  Prioritised metrics count double in each layout's overall score.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-text mb-2">
+                  Sustainability Assessment
+                </label>
+                <div className="space-y-2">
+                  {getSustainabilityFrameworks().map(framework => (
+                    <label key={framework.key} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={frameworks.includes(framework.key)}
+                        onChange={() => toggleFramework(framework.key)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm">{framework.name} {framework.version}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  Layouts show an estimate of the rating credits they earn. This does not affect code compliance.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Layout List */}
           <div className="lg:col-span-2">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-xl font-semibold text-text">Generated Layouts</h2>
-              <span className="text-sm text-gray-500">{layouts.length} layout{layouts.length !== 1 ? 's' : ''}</span>
+              <div className="flex items-center space-x-4">
+                <span className="text-sm text-gray-500">{layouts.length} layout{layouts.length !== 1 ? 's' : ''}</span>
+                {layouts.length >= MIN_COMPARED_LAYOUTS && (
+                  comparedIds.length >= MIN_COMPARED_LAYOUTS ? (
+                    <Link
+                      to={`/compare?layouts=${comparedIds.join(',')}`}
+                      className="btn-secondary flex items-center space-x-2"
+                    >
+                      <Columns className="w-4 h-4" />
+                      <span>Compare ({comparedIds.length})</span>
+                    </Link>
+                  ) : (
+                    <span className="text-sm text-gray-500">
+                      Tick {MIN_COMPARED_LAYOUTS}–{MAX_COMPARED_LAYOUTS} layouts to compare
+                    </span>
+                  )
+                )}
+              </div>
             </div>
 
+            {generationError && (
+              <div className="mb-6 p-3 rounded-md text-sm bg-red-50 text-red-700">
+                Layout generation failed: {generationError}
+              </div>
+            )}
+
             {layouts.length === 0 ? (
               <div className="card text-center py-12">
                 <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -167,11 +428,14 @@ export function ProjectPage() {
                         ? 'ring-2 ring-primary shadow-lg' 
                         : 'hover:shadow-lg'
                     }`}
-                    onClick={() => setSelectedLayout(layout)}
+                    onClick={() => setSelectedLayoutId(layout.id)}
                   >
                     <div className="flex items-start justify-between mb-4">
                       <div className="flex-1">
                         <h3 className="font-medium text-text mb-1">{layout.name}</h3>
+                        {layout.branchedFrom && (
+                          <BranchOrigin layout={layout} layouts={layouts} />
+                        )}
                         <div className="flex items-center space-x-2">
                           {layout.complianceStatus === 'compliant' && (
                             <CheckCircle2 className="w-4 h-4 text-green-500" />
@@ -187,7 +451,18 @@ export function ProjectPage() {
                           </span>
                         </div>
                       </div>
-                      <div className="flex space-x-2">
+                      <div className="flex items-center space-x-2">
+                        <label
+                          className="flex items-center space-x-1 text-xs text-gray-500 cursor-pointer"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={comparedIds.includes(layout.id)}
+                            onChange={() => toggleCompare(layout.id)}
+                          />
+                          <span>Compare</span>
+                        </label>
                         <Link
                           to={`/layout/${layout.id}`}
                           className="p-2 text-gray-500 hover:text-primary"
@@ -201,29 +476,7 @@ export function ProjectPage() {
                       </div>
                     </div>
 
-                    <div className="grid grid-cols-3 gap-4 text-sm">
-                      <div className="flex items-center space-x-2">
-                        <TrendingUp className="w-4 h-4 text-blue-500" />
-                        <div>
-                          <div className="text-gray-500">Circulation</div>
-                          <div className="font-medium">{layout.performanceMetrics.circulationEfficiency}%</div>
-                        </div>
-                      </div>
-                      <div className="flex items-center space-x-2">
-                        <Sun className="w-4 h-4 text-yellow-500" />
-                        <div>
-                          <div className="text-gray-500">Daylight</div>
-                          <div className="font-medium">{layout.performanceMetrics.daylightHours}h</div>
-                        </div>
-                      </div>
-                      <div className="flex items-center space-x-2">
-                        <Zap className="w-4 h-4 text-green-500" />
-                        <div>
-                          <div className="text-gray-500">Energy</div>
-                          <div className="font-medium">{layout.performanceMetrics.energyEfficiency}%</div>
-                        </div>
-                      </div>
-                    </div>
+                    <MetricSummaryGrid metrics={layout.performanceMetrics} icons={METRIC_ICONS} />
 
                     {/* Simple layout preview */}
                     <div className="mt-4 h-32 bg-gray-50 rounded border relative overflow-hidden">
@@ -254,6 +507,16 @@ export function ProjectPage() {
 
           {/* Parameter Controls */}
           <div>
+            <div className="mb-8">
+              <LayoutOptionsPanel
+                layouts={layouts}
+                onGenerate={handleGenerateOptions}
+                isGenerating={isGenerating}
+                lastDiscarded={lastDiscarded}
+                lastShortfall={lastShortfall}
+              />
+            </div>
+
             <h2 className="text-xl font-semibold text-text mb-6">Design Parameters</h2>
             
             {selectedLayout ? (
@@ -313,17 +576,17 @@ export function ProjectPage() {
                   <h3 className="font-medium text-text mb-4">Performance Metrics</h3>
                   <div className="space-y-3">
                     <div className="flex justify-between">
-                      <span className="text-sm text-gray-600">Circulation Efficiency</span>
-                      <span className="font-medium">{selectedLayout.performanceMetrics.circulationEfficiency}%</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-sm text-gray-600">Daylight Hours</span>
-                      <span className="font-medium">{selectedLayout.performanceMetrics.daylightHours}h</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-sm text-gray-600">Energy Efficiency</span>
-                      <span className="font-medium">{selectedLayout.performanceMetrics.energyEfficiency}%</span>
+                      <span className="text-sm text-gray-600">Overall Score</span>
+                      <span className="font-medium">{selectedLayout.performanceMetrics.overallScore}</span>
                     </div>
+                    {getPerformanceMetricDefinitions().map(metric => (
+                      <div key={metric.id} className="flex justify-between">
+                        <span className="text-sm text-gray-600">{metric.label}</span>
+                        <span className="font-medium">
+                          {formatMetricValue(metric.id, selectedLayout.performanceMetrics[metric.id])}
+                        </span>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -337,4 +600,20 @@ export function ProjectPage() {
       </div>
     </div>
   )
-}
\ No newline at end of file
+}
+
+// "Variation of <source> (vN)" line for layouts branched from another layout
+function BranchOrigin({ layout, layouts }) {
+  const source = layouts.find(candidate => candidate.id === layout.branchedFrom.layoutId)
+  const revision = source?.revisions?.find(candidate => candidate.id === layout.branchedFrom.revisionId)
+
+  return (
+    <div className="flex items-center space-x-1 text-xs text-gray-500 mb-1">
+      <GitBranch className="w-3 h-3" />
+      <span>
+        Variation of {source ? source.name : 'a deleted layout'}
+        {revision && ` (v${revision.version})`}
+      </span>
+    </div>
+  )
+}
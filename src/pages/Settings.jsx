@@ -7,18 +7,44 @@ import {
   Building2,
   Crown,
   Check,
+  Cpu,
+  Database,
+  BookOpen,
   Settings as SettingsIcon
 } from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { BillingAndSubscriptionManager } from '../components/BillingAndSubscriptionManager'
+import { ProviderSettingsForm } from '../components/ProviderSettingsForm'
+import { CodePackManager } from '../components/CodePackManager'
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } from '../services/units'
+
+const STORAGE_BACKEND_LABELS = {
+  indexeddb: 'in this browser (IndexedDB)',
+  localstorage: 'in this browser (localStorage)',
+  memory: 'for this session only (browser storage is unavailable)',
+}
 
 export function Settings() {
-  const { user } = useStore()
+  const {
+    user,
+    updateUser,
+    aiSettings,
+    updateAiSettings,
+    projects,
+    layouts,
+    storageBackend,
+    storageError,
+    resetToDemoData,
+    clearAllData,
+  } = useStore()
   const [activeTab, setActiveTab] = useState('profile')
 
   const tabs = [
     { id: 'profile', name: 'Profile', icon: User },
     { id: 'subscription', name: 'Subscription', icon: CreditCard },
+    { id: 'ai', name: 'AI Provider', icon: Cpu },
+    { id: 'codes', name: 'Building Codes', icon: BookOpen },
+    { id: 'data', name: 'Data', icon: Database },
     { id: 'notifications', name: 'Notifications', icon: Bell },
     { id: 'security', name: 'Security', icon: Shield },
   ]
@@ -152,6 +178,27 @@ export function Settings() {
                     <button className="btn-primary">Save Changes</button>
                   </div>
                 </div>
+
+                <div className="card">
+                  <h2 className="text-xl font-semibold text-text mb-6">Preferences</h2>
+                  <div className="max-w-md">
+                    <label className="block text-sm font-medium text-text mb-2">
+                      Units
+                    </label>
+                    <select
+                      value={user.unitSystem || DEFAULT_UNIT_SYSTEM}
+                      onChange={(e) => updateUser({ unitSystem: e.target.value })}
+                      className="input"
+                    >
+                      {Object.values(UNIT_SYSTEMS).map(system => (
+                        <option key={system.id} value={system.id}>{system.label}</option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-sm text-gray-500">
+                      Used for areas, widths, dimensions and exports unless a project sets its own units.
+                    </p>
+                  </div>
+                </div>
               </div>
             )}
 
@@ -159,6 +206,71 @@ export function Settings() {
               <BillingAndSubscriptionManager />
             )}
 
+            {activeTab === 'ai' && (
+              <div className="space-y-6">
+                <div className="card">
+                  <h2 className="text-xl font-semibold text-text mb-2">AI Provider</h2>
+                  <p className="text-sm text-gray-600 mb-6">
+                    Default model used for layout generation. Individual projects can override this.
+                  </p>
+                  <ProviderSettingsForm
+                    value={aiSettings}
+                    onChange={updateAiSettings}
+                  />
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'codes' && (
+              <div className="space-y-6">
+                <CodePackManager />
+              </div>
+            )}
+
+            {activeTab === 'data' && (
+              <div className="space-y-6">
+                <div className="card">
+                  <h2 className="text-xl font-semibold text-text mb-2">Workspace Data</h2>
+                  <p className="text-sm text-gray-600 mb-6">
+                    {projects.length} project{projects.length !== 1 ? 's' : ''} and {layouts.length} layout{layouts.length !== 1 ? 's' : ''} saved
+                    {' '}{STORAGE_BACKEND_LABELS[storageBackend] || 'in this browser'}.
+                  </p>
+                  {storageError && (
+                    <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-700">
+                      Your saved workspace could not be loaded ({storageError}), so changes are not being saved.
+                      Resetting or clearing replaces the unreadable data.
+                    </div>
+                  )}
+                  <div className="space-y-4">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <h3 className="font-medium text-text">Reset to demo data</h3>
+                        <p className="text-sm text-gray-600">Replace all projects and layouts with the sample projects</p>
+                      </div>
+                      <button
+                        onClick={() => window.confirm('Replace all projects and layouts with the demo data?') && resetToDemoData()}
+                        className="btn-secondary"
+                      >
+                        Reset
+                      </button>
+                    </div>
+                    <div className="flex items-center justify-between border-t border-border pt-4">
+                      <div>
+                        <h3 className="font-medium text-text">Clear all data</h3>
+                        <p className="text-sm text-gray-600">Delete every project and layout in this browser</p>
+                      </div>
+                      <button
+                        onClick={() => window.confirm('Delete all projects and layouts? This cannot be undone.') && clearAllData()}
+                        className="btn-secondary text-red-600"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {activeTab === 'notifications' && (
               <div className="space-y-6">
                 <div className="card">
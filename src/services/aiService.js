@@ -1,24 +1,48 @@
-import OpenAI from 'openai'
-import { calculatePerformanceMetrics } from './performanceService'
-import { checkBuildingCodeCompliance } from './buildingCodesService'
+/**
+ * AI Service
+ * Layout generation and optimization. Runs server-side behind the /api proxy
+ * (see server/) so provider API keys never reach the browser.
+ */
 
-// Initialize OpenAI with your API key
-const openai = new OpenAI({
-  apiKey: process.env.VITE_OPENAI_API_KEY || 'your-api-key-here',
-  baseURL: "https://openrouter.ai/api/v1",
-  dangerouslyAllowBrowser: true,
-})
+import { evaluateLayout } from './layoutEvaluation.js'
+import { parseLayoutResponse, formatLayoutErrors } from './layoutSchema.js'
+import { withDefaultBuildingElements } from './buildingElements.js'
+import { completeChat, LLMProviderError } from './llmClients.js'
+import { LAYOUT_STRATEGIES, MIN_ALTERNATIVES, MAX_ALTERNATIVES } from './layoutStrategies.js'
+import { inferRoomType } from './codeRuleEngine.js'
 
-export async function generateLayoutFromSchedule(scheduleData, normSettings) {
-  try {
-    const prompt = `You are an expert architect. Generate a realistic architectural floor plan layout based on the following requirements:
+// Number of times an invalid response is sent back to the model for repair before giving up
+const MAX_REPAIR_ATTEMPTS = 2
+
+// Upper bound on generate -> compliance check -> critique rounds per request
+export const MAX_COMPLIANCE_ITERATIONS = 5
+
+// Layouts scoring above this similarity to an existing option count as near-copies
+const NEAR_DUPLICATE_SIMILARITY = 0.8
+
+/**
+ * Generate a layout from a project schedule
+ * @param {string} scheduleData - Natural language project requirements
+ * @param {Object} normSettings - Building code settings
+ * @param {Object} options - { provider, maxComplianceIterations, strategy, distinctFrom, performanceSettings }
+ *   provider: config from resolveProviderConfig
+ *   performanceSettings: project performance priorities used to weight the overall score
+ *   strategy: entry from LAYOUT_STRATEGIES steering the plan type
+ *   distinctFrom: short descriptions of existing options the new layout must differ from
+ *   maxComplianceIterations: regenerate with code-check critiques until compliant or this many passes (default 1)
+ * @returns {Promise<Object>} Layout data with performance metrics, compliance results and per-iteration complianceHistory
+ * @throws {LLMProviderError} If the provider is not configured, fails, or never returns a valid layout
+ */
+export async function generateLayoutFromSchedule(scheduleData, normSettings, options = {}) {
+  const prompt = `You are an expert architect. Generate a realistic architectural floor plan layout based on the following requirements:
 
 Project Requirements: ${scheduleData}
 
 Building Standards: ${JSON.stringify(normSettings)}
-
+${buildStrategyPrompt(options)}
 Return a JSON object with the following structure:
 {
+  "units": "feet",
   "rooms": [
     {
       "id": "unique_room_id",
@@ -36,13 +60,35 @@ Return a JSON object with the following structure:
       "to": "room_id", 
       "width": corridor_width_in_feet
     }
-  ]
+  ],
+  "doors": [
+    {
+      "id": "unique_door_id",
+      "from": "room_id",
+      "to": "room_id or exterior",
+      "width": clear_width_in_inches,
+      "swing": "left | right | double | sliding"
+    }
+  ],
+  "windows": [
+    {
+      "id": "unique_window_id",
+      "room": "room_id",
+      "side": "north | east | south | west",
+      "width": width_in_inches,
+      "height": height_in_inches,
+      "sill": sill_height_in_inches
+    }
+  ],
+  "wallThickness": { "exterior": inches, "interior": inches }
 }
 
 Guidelines:
 - Create realistic room sizes and proportions
 - Ensure proper adjacencies as described in requirements
 - Include circulation paths between rooms
+- Put a door wherever a circulation path joins two rooms that share a wall or face each other across a corridor, and at least one door to the exterior
+- Give habitable rooms windows on their exterior walls (north is the top of the plan)
 - Consider building codes and accessibility requirements
 - Position rooms on a coordinate system (0,0 is top-left)
 - Use reasonable dimensions (offices: 100-400 sqft, meeting rooms: 150-300 sqft, etc.)
@@ -50,142 +96,331 @@ Guidelines:
 
 Return only the JSON object, no other text.`
 
-    const response = await openai.chat.completions.create({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.7,
+  const messages = [
+    {
+      role: 'user',
+      content: prompt
+    }
+  ]
+
+  const fixtureHint = options.strategy ? `${scheduleData} ${options.strategy.name}` : scheduleData
+  const maxIterations = Math.min(
+    Math.max(1, Math.floor(options.maxComplianceIterations) || 1),
+    MAX_COMPLIANCE_ITERATIONS
+  )
+  const complianceHistory = []
+  let best = null
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const generated = await requestValidLayout(messages, fixtureHint, options)
+
+    if (!generated) break
+
+    const { performanceMetrics, complianceResults } = evaluateLayout(generated.layout, normSettings, options.performanceSettings)
+    const criticalIssues = complianceResults.issues.filter(issue => issue.severity === 'critical')
+
+    complianceHistory.push({
+      iteration,
+      status: complianceResults.status,
+      criticalIssues: criticalIssues.map(({ type, code, message, location }) => ({ type, code, message, location })),
+      summary: complianceResults.summary
     })
 
-    const responseText = response.choices[0].message.content.trim()
-    
-    // Try to parse the JSON response
-    try {
-      const layoutData = JSON.parse(responseText)
-      
-      // Calculate performance metrics for the generated layout
-      const performanceMetrics = calculatePerformanceMetrics(layoutData, {
-        buildingOrientation: { facing: 'south' },
-        accessibility: normSettings
-      })
-      
-      // Check building code compliance
-      const complianceResults = await checkBuildingCodeCompliance(layoutData, normSettings)
-      
-      return {
-        ...layoutData,
-        performanceMetrics,
-        complianceResults
-      }
-    } catch (parseError) {
-      console.error('Failed to parse AI response as JSON:', parseError)
-      
-      // Fallback to a default layout structure if parsing fails
-      return generateFallbackLayout(scheduleData, normSettings)
+    // Keep the layout with the fewest critical issues in case the budget runs out
+    if (!best || criticalIssues.length < best.criticalCount) {
+      best = { layout: generated.layout, performanceMetrics, complianceResults, criticalCount: criticalIssues.length }
     }
-    
-  } catch (error) {
-    console.error('Error calling OpenAI API:', error)
-    
-    // Fallback to a default layout if API fails
-    return generateFallbackLayout(scheduleData, normSettings)
+
+    if (criticalIssues.length === 0 || iteration === maxIterations) break
+
+    // Feed the critique back so the next generation can fix the violations
+    messages.push(
+      { role: 'assistant', content: generated.responseText },
+      { role: 'user', content: buildCompliancePrompt(criticalIssues) }
+    )
   }
-}
 
-async function generateFallbackLayout(scheduleData, normSettings = {}) {
-  // Generate a simple fallback layout based on common architectural patterns
-  const rooms = []
-  const circulation = []
-  
-  // Parse schedule data for room types (basic heuristic)
-  const text = scheduleData.toLowerCase()
-  
-  let currentX = 50
-  let currentY = 50
-  const roomSpacing = 50
-  
-  if (text.includes('office')) {
-    rooms.push({
-      id: 'office_main',
-      name: 'Main Office Space',
-      area: 600,
-      x: currentX,
-      y: currentY,
-      width: 500,
-      height: 400
+  if (!best) {
+    throw new LLMProviderError(`The model did not return a valid layout after ${MAX_REPAIR_ATTEMPTS + 1} attempts`, {
+      code: 'INVALID_MODEL_OUTPUT'
     })
-    currentX += 550
   }
-  
-  if (text.includes('meeting')) {
-    rooms.push({
-      id: 'meeting_room',
-      name: 'Meeting Room',
-      area: 200,
-      x: currentX,
-      y: currentY,
-      width: 300,
-      height: 250
-    })
-    currentY += 300
+
+  return {
+    ...best.layout,
+    performanceMetrics: best.performanceMetrics,
+    complianceResults: best.complianceResults,
+    complianceHistory
   }
-  
-  if (text.includes('kitchen') || text.includes('break')) {
-    rooms.push({
-      id: 'kitchen',
-      name: 'Kitchen/Break Room',
-      area: 150,
-      x: currentX,
-      y: currentY,
-      width: 250,
-      height: 200
-    })
+}
+
+/**
+ * Ask the model for a layout, sending schema errors back for repair
+ * @param {Array} messages - Conversation so far (extended in place with repair turns)
+ * @param {string} fixtureHint - Schedule (and strategy) text used by the mock provider
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object|null>} { layout, responseText } or null if every attempt was invalid
+ */
+async function requestValidLayout(messages, fixtureHint, options) {
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const responseText = (await completeChat(options.provider, {
+      messages,
+      maxTokens: 2000,
+      temperature: attempt === 0 ? 0.7 : 0.2,
+      fixtureHint,
+    })).trim()
+    const { valid, layout, errors } = parseLayoutResponse(responseText)
+
+    if (valid) {
+      // Older prompts and fixtures return rooms and circulation only
+      return { layout: withDefaultBuildingElements(layout), responseText }
+    }
+
+    console.warn(`AI layout failed validation (attempt ${attempt + 1}):`, errors)
+
+    // Send the errors back so the model can repair its own output
+    messages.push(
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    )
   }
-  
-  if (text.includes('reception')) {
-    rooms.push({
-      id: 'reception',
-      name: 'Reception',
-      area: 120,
-      x: 50,
-      y: currentY + 250,
-      width: 300,
-      height: 150
-    })
+
+  return null
+}
+
+function buildStrategyPrompt({ strategy, distinctFrom = [] }) {
+  let text = ''
+
+  if (strategy) {
+    text += `
+Design Strategy: ${strategy.name}. ${strategy.guidance}
+`
   }
-  
-  // Add basic circulation between rooms with accessibility-compliant widths
-  for (let i = 0; i < rooms.length - 1; i++) {
-    circulation.push({
-      from: rooms[i].id,
-      to: rooms[i + 1].id,
-      width: 6 // 6 feet to meet accessibility requirements
+
+  if (distinctFrom.length > 0) {
+    text += `
+The layout must differ substantially from these existing options (different room arrangement, not just resized rooms):
+${distinctFrom.map(description => `- ${description}`).join('\n')}
+`
+  }
+
+  return text
+}
+
+function buildCompliancePrompt(criticalIssues) {
+  const critique = criticalIssues.map(issue => {
+    const measured = issue.required !== undefined
+      ? ` (required ${issue.required} ${issue.unit}, actual ${issue.actual} ${issue.unit})`
+      : ''
+    return `- [${issue.code}] ${issue.location}: ${issue.message}${measured}`
+  }).join('\n')
+
+  return `The layout fails these building code checks:
+
+${critique}
+
+Revise the layout so every check passes. Widen circulation paths (widths are in feet) and doors (widths are in inches), and enlarge undersized rooms and windows while preserving the required adjacencies.
+
+Return only the corrected JSON object, no other text or code fences.`
+}
+
+function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required layout schema. Fix these problems:
+
+${formatLayoutErrors(errors)}
+
+Every circulation and door "from" and "to" and every window "room" must reference an existing room id (doors may also use "exterior"), room ids must be unique, and all dimensions must be positive numbers.
+
+Return only the corrected JSON object, no other text or code fences.`
+}
+
+/**
+ * Generate several distinct layout options in one request
+ * @param {string} scheduleData - Natural language project requirements
+ * @param {Object} normSettings - Building code settings
+ * @param {Object} options - { count, strategies, provider, maxComplianceIterations, performanceSettings }
+ *   count: number of options (clamped to MIN_ALTERNATIVES..MAX_ALTERNATIVES)
+ *   strategies: LAYOUT_STRATEGIES ids to try first, in order; the others follow. When an
+ *   option is discarded as a near-duplicate, the next strategy is tried in its place.
+ * @returns {Promise<Object>} { alternatives, discarded, requested, shortfall } with alternatives
+ *   ranked best first; shortfall is how many of the requested options could not be made
+ *   distinct once every strategy was tried
+ */
+export async function generateLayoutAlternatives(scheduleData, normSettings, options = {}) {
+  const count = Math.min(Math.max(Math.floor(options.count) || MIN_ALTERNATIVES, MIN_ALTERNATIVES), MAX_ALTERNATIVES)
+  const requested = (options.strategies || [])
+    .map(id => LAYOUT_STRATEGIES.find(strategy => strategy.id === id))
+    .filter(Boolean)
+  const remaining = LAYOUT_STRATEGIES.filter(strategy => !requested.includes(strategy))
+  const strategies = [...requested, ...remaining]
+
+  const alternatives = []
+  let discarded = 0
+
+  for (const strategy of strategies) {
+    if (alternatives.length === count) break
+
+    const generationOptions = {
+      provider: options.provider,
+      maxComplianceIterations: options.maxComplianceIterations,
+      performanceSettings: options.performanceSettings,
+      strategy
+    }
+    let layout = await generateLayoutFromSchedule(scheduleData, normSettings, generationOptions)
+    let nearest = findMostSimilar(layout, alternatives)
+
+    // Near-copy of an earlier option: retry once, telling the model what to avoid
+    if (nearest.similarity > NEAR_DUPLICATE_SIMILARITY) {
+      layout = await generateLayoutFromSchedule(scheduleData, normSettings, {
+        ...generationOptions,
+        distinctFrom: alternatives.map(describeAlternative)
+      })
+      nearest = findMostSimilar(layout, alternatives)
+    }
+
+    if (nearest.similarity > NEAR_DUPLICATE_SIMILARITY) {
+      discarded++
+      continue
+    }
+
+    alternatives.push({
+      strategy: { id: strategy.id, name: strategy.name },
+      layout,
+      score: scoreAlternative(layout),
+      similarityToNearest: Math.round(nearest.similarity * 100) / 100
     })
   }
-  
-  const layoutData = { rooms, circulation }
-  
-  // Calculate performance metrics for fallback layout
-  const performanceMetrics = calculatePerformanceMetrics(layoutData, {
-    buildingOrientation: { facing: 'south' },
-    accessibility: normSettings
-  })
-  
-  // Check building code compliance for fallback layout
-  const complianceResults = await checkBuildingCodeCompliance(layoutData, normSettings)
-  
+
+  alternatives.sort((a, b) => b.score - a.score)
+
   return {
-    ...layoutData,
-    performanceMetrics,
-    complianceResults
+    alternatives: alternatives.map((alternative, index) => ({ ...alternative, rank: index + 1 })),
+    discarded,
+    requested: count,
+    shortfall: count - alternatives.length
   }
 }
 
+/**
+ * Estimate how similar two layouts are (0 = unrelated, 1 = identical arrangement).
+ * Ids are arbitrary, so rooms are matched by type and position instead: after normalising
+ * each plan to its bounding box, rooms of the same type are paired by greatest overlap.
+ * Circulation is compared by the edges shared between paired rooms.
+ * @param {Object} layoutA - Layout data
+ * @param {Object} layoutB - Layout data
+ * @returns {number} Similarity score
+ */
+export function calculateLayoutSimilarity(layoutA, layoutB) {
+  const roomsA = normalizeRooms(layoutA.rooms || [])
+  const roomsB = normalizeRooms(layoutB.rooms || [])
+  const pairs = matchRooms(roomsA, roomsB)
+  // Paired rooms count once, unpaired rooms of either layout count with no overlap
+  const roomCount = roomsA.size + roomsB.size - pairs.length
+
+  if (roomCount === 0) return 1
+
+  const roomSimilarity = pairs.reduce((total, pair) => total + pair.overlap, 0) / roomCount
+
+  // Edges of A are renamed to the ids of their paired rooms in B; edges to unpaired rooms cannot match
+  const toB = new Map(pairs.map(pair => [pair.a, pair.b]))
+  const edgeKey = (from, to) => [from, to].sort().join('|')
+  const edgesA = new Set((layoutA.circulation || []).map(path =>
+    (toB.has(path.from) && toB.has(path.to) ? edgeKey(toB.get(path.from), toB.get(path.to)) : `a:${edgeKey(path.from, path.to)}`)))
+  const edgesB = new Set((layoutB.circulation || []).map(path => edgeKey(path.from, path.to)))
+  const edgeUnion = new Set([...edgesA, ...edgesB])
+  const sharedEdges = [...edgesA].filter(edge => edgesB.has(edge)).length
+  const edgeSimilarity = edgeUnion.size > 0 ? sharedEdges / edgeUnion.size : 1
+
+  return roomSimilarity * 0.7 + edgeSimilarity * 0.3
+}
+
+function findMostSimilar(layout, alternatives) {
+  return alternatives.reduce((nearest, alternative) => {
+    const similarity = calculateLayoutSimilarity(layout, alternative.layout)
+    return similarity > nearest.similarity ? { similarity, alternative } : nearest
+  }, { similarity: 0, alternative: null })
+}
+
+/**
+ * Pair rooms of two layouts: same type, greatest overlap first
+ * @param {Map} roomsA - Normalised rooms by id (see normalizeRooms)
+ * @param {Map} roomsB - Normalised rooms by id
+ * @returns {Array} { a, b, overlap } per pair, a and b being room ids
+ */
+function matchRooms(roomsA, roomsB) {
+  const candidates = []
+  roomsA.forEach((a, idA) => {
+    roomsB.forEach((b, idB) => {
+      if (a.type !== b.type) return
+      const overlap = rectangleIoU(a, b)
+      if (overlap > 0) candidates.push({ a: idA, b: idB, overlap })
+    })
+  })
+
+  const pairedA = new Set()
+  const pairedB = new Set()
+  return candidates
+    .sort((x, y) => y.overlap - x.overlap)
+    .filter((pair) => {
+      if (pairedA.has(pair.a) || pairedB.has(pair.b)) return false
+      pairedA.add(pair.a)
+      pairedB.add(pair.b)
+      return true
+    })
+}
+
+// "Office 2" and "Open Office" are both offices; unrecognised names compare without numbers
+function getRoomMatchType(name = '') {
+  const type = inferRoomType(name)
+  return type !== 'general' ? type : name.toLowerCase().replace(/[^a-z]+/g, ' ').trim()
+}
+
+function normalizeRooms(rooms) {
+  const normalized = new Map()
+  if (rooms.length === 0) return normalized
+
+  const minX = Math.min(...rooms.map(room => room.x))
+  const minY = Math.min(...rooms.map(room => room.y))
+  const spanX = Math.max(...rooms.map(room => room.x + room.width)) - minX || 1
+  const spanY = Math.max(...rooms.map(room => room.y + room.height)) - minY || 1
+
+  rooms.forEach(room => {
+    normalized.set(room.id, {
+      type: getRoomMatchType(room.name),
+      x: (room.x - minX) / spanX,
+      y: (room.y - minY) / spanY,
+      width: room.width / spanX,
+      height: room.height / spanY
+    })
+  })
+
+  return normalized
+}
+
+function rectangleIoU(a, b) {
+  const overlapX = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x))
+  const overlapY = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y))
+  const intersection = overlapX * overlapY
+  const union = a.width * a.height + b.width * b.height - intersection
+
+  return union > 0 ? intersection / union : 0
+}
+
+function describeAlternative(alternative) {
+  const rooms = alternative.layout.rooms
+    .map(room => `${room.name} at (${Math.round(room.x)}, ${Math.round(room.y)})`)
+    .join(', ')
+  return `${alternative.strategy.name}: ${rooms}`
+}
+
+function scoreAlternative(layout) {
+  const criticalIssues = (layout.complianceResults?.issues || [])
+    .filter(issue => issue.severity === 'critical').length
+
+  // Each critical code issue costs five points so compliant options rank first among equals
+  return Math.max(0, (layout.performanceMetrics?.overallScore || 0) - criticalIssues * 5)
+}
+
 export async function optimizeLayoutParameters(layoutData, parameters) {
   // This would integrate with AI to adjust the layout based on parameter changes
   // For now, return a modified version of the existing layout
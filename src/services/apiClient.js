@@ -0,0 +1,107 @@
+/**
+ * API Client
+ * Browser-side access to the ArchFlow AI server. All AI requests go through here so
+ * provider API keys stay on the server; compliance is evaluated in the browser.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api'
+
+export class ApiError extends Error {
+  constructor(message, { status, code, details } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+export class ApiClient {
+  /**
+   * POST a JSON body to the API
+   * @param {string} path - Endpoint path relative to the API base URL
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  static async post(path, body) {
+    let response
+
+    try {
+      response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+    } catch (error) {
+      throw new ApiError(`Could not reach the ArchFlow AI server: ${error.message}`, { code: 'NETWORK_ERROR' })
+    }
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new ApiError(data.error || `Request failed with status ${response.status}`, {
+        status: response.status,
+        code: data.code,
+        details: data.details
+      })
+    }
+
+    return data
+  }
+
+  /**
+   * Generate a layout from a project schedule
+   * @param {string} scheduleData - Natural language project requirements
+   * @param {Object} normSettings - Building code settings
+   * @param {Object} options - { provider, maxComplianceIterations, performanceSettings }
+   * @returns {Promise<Object>} Layout data with performance metrics, compliance results and complianceHistory
+   */
+  static generateLayout(scheduleData, normSettings, options = {}) {
+    return this.post('/layouts/generate', {
+      scheduleData,
+      normSettings,
+      provider: options.provider,
+      maxComplianceIterations: options.maxComplianceIterations,
+      performanceSettings: options.performanceSettings
+    })
+  }
+
+  /**
+   * Generate several distinct layout options, ranked best first
+   * @param {string} scheduleData - Natural language project requirements
+   * @param {Object} normSettings - Building code settings
+   * @param {Object} options - { count, strategies, provider, maxComplianceIterations, performanceSettings }
+   * @returns {Promise<Object>} { alternatives, discarded, requested, shortfall }
+   */
+  static generateAlternatives(scheduleData, normSettings, options = {}) {
+    return this.post('/layouts/alternatives', {
+      scheduleData,
+      normSettings,
+      provider: options.provider,
+      count: options.count,
+      strategies: options.strategies,
+      maxComplianceIterations: options.maxComplianceIterations,
+      performanceSettings: options.performanceSettings
+    })
+  }
+
+  /**
+   * Apply parameter changes to an existing layout
+   * @param {Object} layoutData - Layout data
+   * @param {Object} parameters - Design parameters
+   * @returns {Promise<Object>} Optimized layout data
+   */
+  static optimizeLayout(layoutData, parameters) {
+    return this.post('/layouts/optimize', { layoutData, parameters })
+  }
+}
+
+// Export convenience functions
+export const requestLayoutGeneration = (scheduleData, normSettings, options) =>
+  ApiClient.generateLayout(scheduleData, normSettings, options)
+
+export const requestLayoutAlternatives = (scheduleData, normSettings, options) =>
+  ApiClient.generateAlternatives(scheduleData, normSettings, options)
+
+export const requestLayoutOptimization = (layoutData, parameters) =>
+  ApiClient.optimizeLayout(layoutData, parameters)
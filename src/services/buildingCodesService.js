@@ -3,102 +3,394 @@
  * Handles building code compliance checking and validation
  */
 
-// Building code database (simplified - in production this would be a comprehensive API)
+import { BuildingElementsService, EXTERIOR } from './buildingElements.js'
+import { CodeRuleEngine } from './codeRuleEngine.js'
+import { UnitService } from './units.js'
+
+// Building code database (simplified - in production this would be a comprehensive API).
+// Each code is a list of declarative rules evaluated by codeRuleEngine.js; thresholds are in
+// the code's own units and layout values are converted into them before comparing.
 const BUILDING_CODES = {
   US: {
     IBC: { // International Building Code
       name: 'International Building Code',
       version: '2021',
-      rules: {
-        corridorWidth: {
-          minimum: 44, // inches (3.67 feet)
-          description: 'Minimum corridor width for egress'
+      rules: [
+        {
+          id: 'corridor-width',
+          description: 'Minimum corridor width for egress',
+          section: '1020.3',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 44, unit: 'in' },
+          severity: 'critical'
         },
-        exitWidth: {
-          minimum: 32, // inches
-          description: 'Minimum exit door width'
+        {
+          id: 'exit-width',
+          type: 'door_width',
+          code: 'DOOR_WIDTH',
+          description: 'Minimum exit door width',
+          section: '1010.1.1',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 32, unit: 'in' },
+          severity: 'critical'
         },
-        roomArea: {
-          office: { minimum: 80 }, // sq ft
-          meeting: { minimum: 120 },
-          restroom: { minimum: 30 }
+        ...[['office', 80], ['meeting', 120], ['restroom', 30]].map(([roomType, minimum]) => ({
+          id: `${roomType}-area`,
+          type: 'room_area',
+          code: 'ROOM_AREA',
+          description: `Minimum ${roomType} area`,
+          selector: { element: 'room', roomTypes: [roomType] },
+          quantity: 'area',
+          comparator: '>=',
+          threshold: { value: minimum, unit: 'sqft' },
+          severity: 'critical'
+        })),
+        {
+          id: 'accessible-route-width',
+          type: 'accessibility_route',
+          code: 'ACCESSIBLE_ROUTE',
+          label: 'Accessible route width',
+          description: 'Minimum accessible route width',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 36, unit: 'in' },
+          severity: 'critical'
         },
-        accessibility: {
-          doorWidth: 32, // inches
-          corridorWidth: 36, // inches
-          turningSpace: 60 // inches diameter
+        {
+          id: 'turning-space',
+          description: 'Wheelchair turning space (diameter)',
+          selector: { element: 'room', roomTypes: ['restroom', 'office', 'meeting'] },
+          quantity: 'clearWidth',
+          comparator: '>=',
+          threshold: { value: 60, unit: 'in' },
+          severity: 'warning',
+          recommendation: 'Ensure a 60" diameter wheelchair turning space is available'
         }
-      }
+      ]
     },
     ADA: { // Americans with Disabilities Act
       name: 'Americans with Disabilities Act',
       version: '2010',
-      rules: {
-        corridorWidth: {
-          minimum: 36, // inches
-          description: 'Minimum accessible route width'
-        },
-        doorWidth: {
-          minimum: 32, // inches
-          description: 'Minimum clear width for doorways'
+      rules: [
+        {
+          id: 'corridor-width',
+          description: 'Minimum accessible route width',
+          section: '403.5.1',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 36, unit: 'in' },
+          severity: 'critical'
         },
-        turningSpace: {
-          minimum: 60, // inches diameter
-          description: 'Wheelchair turning space'
+        {
+          id: 'door-width',
+          description: 'Minimum clear width for doorways',
+          section: '404.2.3',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 32, unit: 'in' },
+          severity: 'critical'
         },
-        reachRanges: {
-          high: 48, // inches
-          low: 15, // inches
-          description: 'Accessible reach ranges'
+        {
+          id: 'turning-space',
+          description: 'Wheelchair turning space (diameter)',
+          section: '304.3',
+          selector: { element: 'room', roomTypes: ['restroom', 'office', 'meeting'] },
+          quantity: 'clearWidth',
+          comparator: '>=',
+          threshold: { value: 60, unit: 'in' },
+          severity: 'warning',
+          recommendation: 'Ensure a 60" diameter wheelchair turning space is available'
         }
-      }
+      ]
     },
     IRC: { // International Residential Code
       name: 'International Residential Code',
       version: '2021',
-      rules: {
-        bedroomArea: {
-          minimum: 70 // sq ft
-        },
-        ceilingHeight: {
-          minimum: 90 // inches (7.5 feet)
+      rules: [
+        {
+          id: 'bedroom-area',
+          type: 'room_area',
+          code: 'ROOM_AREA',
+          description: 'Minimum habitable room area',
+          section: 'R304.1',
+          selector: { element: 'room', roomTypes: ['bedroom'] },
+          quantity: 'area',
+          comparator: '>=',
+          threshold: { value: 70, unit: 'sqft' },
+          severity: 'critical'
         },
-        windowArea: {
-          minimum: 0.08 // 8% of floor area
+        {
+          id: 'hallway-width',
+          type: 'corridor_width',
+          label: 'Hallway width',
+          description: 'Minimum hallway width',
+          section: 'R311.6',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 36, unit: 'in' },
+          severity: 'critical'
         },
-        hallwayWidth: {
-          minimum: 36 // inches
+        {
+          id: 'window-area',
+          description: 'Natural light: glazing of at least 8% of floor area',
+          section: 'R303.1',
+          selector: { element: 'room', habitable: true },
+          quantity: 'glazingRatio',
+          comparator: '>=',
+          threshold: { value: 8, unit: '%' },
+          severity: 'critical'
         }
-      }
+      ]
     }
   },
   CA: { // Canada
     NBC: { // National Building Code of Canada
       name: 'National Building Code of Canada',
       version: '2020',
-      rules: {
-        corridorWidth: {
-          minimum: 1100, // mm (43.3 inches)
-          description: 'Minimum corridor width'
+      rules: [
+        {
+          id: 'corridor-width',
+          description: 'Minimum corridor width',
+          section: '3.3.1.9',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1100, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'exit-width',
+          type: 'door_width',
+          code: 'DOOR_WIDTH',
+          description: 'Minimum exit width',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 850, unit: 'mm' },
+          severity: 'critical'
+        }
+      ]
+    }
+  },
+  UK: { // United Kingdom (England)
+    ADB: { // Approved Document B, Volume 2: buildings other than dwellings
+      name: 'Approved Document B (Fire safety)',
+      version: '2019',
+      rules: [
+        {
+          id: 'escape-route-width',
+          type: 'corridor_width',
+          label: 'Escape route width',
+          description: 'Minimum escape route width for up to 60 people',
+          section: 'Table 2.3',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 750, unit: 'mm' },
+          severity: 'critical'
         },
-        exitWidth: {
-          minimum: 850, // mm (33.5 inches)
-          description: 'Minimum exit width'
+        {
+          id: 'exit-width',
+          type: 'door_width',
+          code: 'DOOR_WIDTH',
+          description: 'Minimum exit width for up to 60 people',
+          section: 'Table 2.3',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 750, unit: 'mm' },
+          severity: 'critical'
         }
-      }
+      ]
+    },
+    ADM: { // Approved Document M, Volume 2: buildings other than dwellings
+      name: 'Approved Document M (Access to and use of buildings)',
+      version: '2015',
+      rules: [
+        {
+          id: 'corridor-width',
+          description: 'Minimum clear corridor width',
+          section: '3.14',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1200, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'door-width',
+          description: 'Minimum effective clear width of internal doors',
+          section: 'Table 2',
+          selector: { element: 'door', exterior: false },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 800, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'entrance-door-width',
+          type: 'door_width',
+          label: 'Entrance door width',
+          description: 'Minimum effective clear width of external doors used by the public',
+          section: 'Table 2',
+          selector: { element: 'door', exterior: true },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1000, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'turning-space',
+          description: 'Wheelchair turning circle (diameter)',
+          selector: { element: 'room', roomTypes: ['restroom', 'office', 'meeting'] },
+          quantity: 'clearWidth',
+          comparator: '>=',
+          threshold: { value: 1500, unit: 'mm' },
+          severity: 'warning',
+          recommendation: 'Ensure a 1500 mm diameter wheelchair turning circle is available'
+        }
+      ]
+    }
+  },
+  EU: { // European Union: a common accessibility baseline; fire escape rules are national
+    EN17210: {
+      name: 'EN 17210 Accessibility and usability of the built environment',
+      version: '2021',
+      rules: [
+        {
+          id: 'corridor-width',
+          description: 'Minimum unobstructed width of horizontal circulation',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1200, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'door-width',
+          description: 'Minimum clear width of doors',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 850, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'turning-space',
+          description: 'Wheelchair turning space (diameter)',
+          selector: { element: 'room', roomTypes: ['restroom', 'office', 'meeting'] },
+          quantity: 'clearWidth',
+          comparator: '>=',
+          threshold: { value: 1500, unit: 'mm' },
+          severity: 'warning',
+          recommendation: 'Ensure a 1500 mm diameter wheelchair turning space is available'
+        }
+      ]
+    }
+  },
+  AU: { // Australia
+    NCC: { // National Construction Code, Volume One
+      name: 'National Construction Code',
+      version: '2022',
+      rules: [
+        {
+          id: 'corridor-width',
+          label: 'Path of travel width',
+          description: 'Minimum unobstructed width of a path of travel to an exit',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1000, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'exit-width',
+          type: 'door_width',
+          code: 'DOOR_WIDTH',
+          description: 'Minimum width of a doorway in a path of travel (1 m less 250 mm)',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 750, unit: 'mm' },
+          severity: 'critical'
+        }
+      ]
+    },
+    AS1428: { // AS 1428.1 Design for access and mobility, referenced by the NCC
+      name: 'AS 1428.1 Design for access and mobility',
+      version: '2009',
+      rules: [
+        {
+          id: 'accessible-path-width',
+          type: 'accessibility_route',
+          code: 'ACCESSIBLE_ROUTE',
+          label: 'Accessible path width',
+          description: 'Minimum width of a continuous accessible path of travel',
+          section: '6.1',
+          selector: { element: 'circulation' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 1000, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'door-width',
+          description: 'Minimum clear opening of doorways',
+          section: '13.2',
+          selector: { element: 'door' },
+          quantity: 'width',
+          comparator: '>=',
+          threshold: { value: 850, unit: 'mm' },
+          severity: 'critical'
+        },
+        {
+          id: 'turning-space',
+          description: 'Space for a wheelchair to turn 180°',
+          selector: { element: 'room', roomTypes: ['restroom', 'office', 'meeting'] },
+          quantity: 'clearWidth',
+          comparator: '>=',
+          threshold: { value: 1540, unit: 'mm' },
+          severity: 'warning',
+          recommendation: 'Ensure a 1540 mm wide space is available for a wheelchair to turn 180°'
+        }
+      ]
     }
   }
 }
 
+// Custom code packs (see codePacks.js) are keyed like built-in codes, e.g. 'NYC-IBC'
+const CODE_PACK_KEY_PATTERN = /^[A-Z][A-Z0-9-]{1,31}$/
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
 export class BuildingCodesService {
   /**
    * Check layout compliance against specified building codes
    * @param {Object} layoutData - Layout data with rooms and circulation
    * @param {Object} codeSettings - Code settings (country, codes, etc.)
-   * @returns {Object} Compliance results
+   * @returns {Promise<Object>} Compliance results
    */
   static async checkCompliance(layoutData, codeSettings) {
-    const { country = 'US', codes = ['IBC', 'ADA'], accessibility = true } = codeSettings
+    return this.evaluateCompliance(layoutData, codeSettings)
+  }
+
+  /**
+   * Synchronous compliance evaluation used by checkCompliance and the layout evaluation pipeline
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @param {Object} codeSettings - Code settings (country, codes, codePacks, etc.)
+   * @returns {Object} Compliance results
+   */
+  static evaluateCompliance(layoutData, codeSettings = {}) {
+    const { country = 'US', codes = ['IBC', 'ADA'], codePacks = [], accessibility = true } = codeSettings
     const results = {
       status: 'compliant',
       issues: [],
@@ -111,8 +403,22 @@ export class BuildingCodesService {
       }
     }
 
-    // Get applicable codes
-    const applicableCodes = this.getApplicableCodes(country, codes)
+    // Get applicable codes; a code pack that is not valid is reported instead of checked
+    const validPacks = codePacks.filter((pack) => {
+      try {
+        this.validateCodePack(pack)
+        return true
+      } catch (error) {
+        results.issues.push({
+          type: 'configuration',
+          severity: 'error',
+          message: error.message,
+          code: 'CONFIG_ERROR'
+        })
+        return false
+      }
+    })
+    const applicableCodes = this.getApplicableCodes(country, codes, validPacks)
     
     if (applicableCodes.length === 0) {
       results.issues.push({
@@ -127,9 +433,12 @@ export class BuildingCodesService {
 
     // Run compliance checks
     for (const codeData of applicableCodes) {
-      await this.runCodeChecks(layoutData, codeData, results)
+      this.runCodeChecks(layoutData, codeData, results)
     }
 
+    // Doors and windows that do not fit the walls are a drawing problem, not a code one
+    this.checkElementPlacement(layoutData, results)
+
     // Determine overall status
     if (results.issues.length > 0) {
       const criticalIssues = results.issues.filter(issue => issue.severity === 'critical')
@@ -145,233 +454,235 @@ export class BuildingCodesService {
   /**
    * Get applicable building codes for a country and code list
    * @param {string} country - Country code
-   * @param {Array} codes - Array of code names
+   * @param {Array} codes - Array of code names, built-in or code pack keys
+   * @param {Array} codePacks - Valid code packs the code names may refer to
    * @returns {Array} Array of applicable code objects
    */
-  static getApplicableCodes(country, codes) {
-    const countryData = BUILDING_CODES[country]
-    if (!countryData) return []
+  static getApplicableCodes(country, codes, codePacks = []) {
+    const countryData = BUILDING_CODES[country] || {}
+    const packs = codePacks.filter(pack => pack.country === country && codes.includes(pack.key))
+    // An amendment stands in for the code it amends
+    const amended = packs.map(pack => pack.amends).filter(Boolean)
 
-    return codes
-      .filter(codeKey => countryData[codeKey])
-      .map(codeKey => ({
-        key: codeKey,
-        ...countryData[codeKey]
-      }))
+    return [
+      ...codes
+        .filter(codeKey => hasOwn(countryData, codeKey) && !amended.includes(codeKey))
+        .map(codeKey => ({
+          key: codeKey,
+          ...countryData[codeKey]
+        })),
+      ...packs.map(pack => this.resolveCodePack(pack))
+    ]
   }
 
   /**
-   * Run compliance checks for a specific building code
-   * @param {Object} layoutData - Layout data
-   * @param {Object} codeData - Building code data
-   * @param {Object} results - Results object to update
+   * Check a code pack: a new code ({ key, name, country, version, rules }) or an amendment to
+   * a built-in code of its country ({ ..., amends, rules, removes }), whose rules replace the
+   * fields of the built-in rules with the same id, or are added, and whose removes drop rules
+   * @param {Object} pack - Code pack
+   * @returns {Object} The pack
+   * @throws {Error} Describing the first problem found
    */
-  static async runCodeChecks(layoutData, codeData, results) {
-    const { rooms, circulation } = layoutData
-    const { key: codeKey, rules } = codeData
-
-    // Check corridor widths
-    if (rules.corridorWidth && circulation) {
-      circulation.forEach((path, index) => {
-        results.summary.totalChecks++
-        const pathWidthInches = path.width * 12 // convert feet to inches
-        
-        if (pathWidthInches < rules.corridorWidth.minimum) {
-          results.issues.push({
-            type: 'corridor_width',
-            severity: 'critical',
-            message: `Corridor width ${path.width}' (${pathWidthInches}") is below minimum ${rules.corridorWidth.minimum}" required by ${codeKey}`,
-            code: `${codeKey}_CORRIDOR_WIDTH`,
-            location: `Path ${index + 1}: ${path.from} → ${path.to}`,
-            required: rules.corridorWidth.minimum,
-            actual: pathWidthInches,
-            unit: 'inches'
-          })
-          results.summary.failed++
-        } else {
-          results.summary.passed++
-        }
-      })
+  static validateCodePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      throw new Error('Code pack must be an object')
     }
-
-    // Check room areas
-    if (rules.roomArea && rooms) {
-      rooms.forEach(room => {
-        const roomType = this.inferRoomType(room.name)
-        const areaRequirement = rules.roomArea[roomType]
-        
-        if (areaRequirement) {
-          results.summary.totalChecks++
-          
-          if (room.area < areaRequirement.minimum) {
-            results.issues.push({
-              type: 'room_area',
-              severity: 'critical',
-              message: `${room.name} area ${room.area} sq ft is below minimum ${areaRequirement.minimum} sq ft required by ${codeKey}`,
-              code: `${codeKey}_ROOM_AREA`,
-              location: room.name,
-              required: areaRequirement.minimum,
-              actual: room.area,
-              unit: 'sq ft'
-            })
-            results.summary.failed++
-          } else {
-            results.summary.passed++
-          }
-        }
-      })
+    const { key, name, version, country, amends, rules = [], removes = [] } = pack
+    const fail = (message) => {
+      throw new Error(`Code pack "${key}": ${message}`)
     }
 
-    // Check accessibility requirements
-    if (rules.accessibility && rooms) {
-      this.checkAccessibilityCompliance(layoutData, rules.accessibility, codeKey, results)
+    if (typeof key !== 'string' || !CODE_PACK_KEY_PATTERN.test(key)) {
+      throw new Error('Code pack key must be 2-32 capital letters, digits or hyphens starting with a letter, e.g. "NYC-IBC"')
     }
+    if (typeof name !== 'string' || name.trim() === '') fail('name is required')
+    if (version !== undefined && typeof version !== 'string' && typeof version !== 'number') fail('version must be text')
+    if (typeof country !== 'string' || !COUNTRY_CODE_PATTERN.test(country)) fail('country must be a two-letter country code, e.g. "US"')
+
+    const countryData = BUILDING_CODES[country] || {}
+    if (hasOwn(countryData, key)) fail(`${key} is already a built-in ${country} code`)
+    if (!Array.isArray(rules) || rules.some(rule => !rule || typeof rule !== 'object')) fail('rules must be a list of rules')
+    if (!Array.isArray(removes)) fail('removes must be a list of rule ids')
 
-    // Check door widths
-    if (rules.doorWidth || rules.exitWidth) {
-      this.checkDoorWidths(layoutData, rules, codeKey, results)
+    try {
+      if (amends === undefined) {
+        if (removes.length > 0) fail('only amendments can remove rules')
+        if (rules.length === 0) fail('has no rules')
+        CodeRuleEngine.validateRules(rules)
+      } else {
+        if (!hasOwn(countryData, amends)) fail(`amends ${amends}, which is not a built-in ${country} code`)
+        const baseIds = countryData[amends].rules.map(rule => rule.id)
+        const unknown = removes.filter(id => !baseIds.includes(id))
+        if (unknown.length > 0) fail(`removes rules ${amends} does not have: ${unknown.join(', ')}`)
+        CodeRuleEngine.validateRules(this.amendRules(countryData[amends].rules, pack))
+      }
+    } catch (error) {
+      if (error.message.startsWith('Code pack')) throw error
+      fail(error.message)
     }
+    return pack
   }
 
   /**
-   * Check accessibility compliance
-   * @param {Object} layoutData - Layout data
-   * @param {Object} accessibilityRules - Accessibility rules
-   * @param {string} codeKey - Code identifier
-   * @param {Object} results - Results object to update
+   * Building code data for a valid code pack, with an amendment applied to its base code
+   * @param {Object} pack - Code pack
+   * @returns {Object} { key, name, version, amends, custom, rules }
    */
-  static checkAccessibilityCompliance(layoutData, accessibilityRules, codeKey, results) {
-    const { rooms, circulation } = layoutData
-
-    // Check accessible routes
-    if (accessibilityRules.corridorWidth && circulation) {
-      circulation.forEach((path, index) => {
-        results.summary.totalChecks++
-        const pathWidthInches = path.width * 12
-        
-        if (pathWidthInches < accessibilityRules.corridorWidth) {
-          results.issues.push({
-            type: 'accessibility_route',
-            severity: 'critical',
-            message: `Accessible route width ${path.width}' (${pathWidthInches}") is below minimum ${accessibilityRules.corridorWidth}" required by ${codeKey}`,
-            code: `${codeKey}_ACCESSIBLE_ROUTE`,
-            location: `Path ${index + 1}: ${path.from} → ${path.to}`,
-            required: accessibilityRules.corridorWidth,
-            actual: pathWidthInches,
-            unit: 'inches'
-          })
-          results.summary.failed++
-        } else {
-          results.summary.passed++
-        }
-      })
+  static resolveCodePack(pack) {
+    const base = pack.amends ? BUILDING_CODES[pack.country][pack.amends] : null
+
+    return {
+      key: pack.key,
+      name: pack.name,
+      version: pack.version !== undefined ? String(pack.version) : base?.version,
+      amends: pack.amends,
+      custom: true,
+      rules: base ? this.amendRules(base.rules, pack) : pack.rules
     }
+  }
 
-    // Check turning spaces (simplified - assumes rooms have adequate turning space if area > threshold)
-    if (accessibilityRules.turningSpace && rooms) {
-      rooms.forEach(room => {
-        results.summary.totalChecks++
-        const minTurningArea = Math.pow(accessibilityRules.turningSpace / 12, 2) // convert to sq ft
-        
-        if (room.area < minTurningArea && this.requiresTurningSpace(room.name)) {
-          results.warnings.push({
-            type: 'turning_space',
-            severity: 'warning',
-            message: `${room.name} may not have adequate turning space for wheelchairs`,
-            code: `${codeKey}_TURNING_SPACE`,
-            location: room.name,
-            recommendation: `Ensure ${accessibilityRules.turningSpace}" diameter turning space is available`
-          })
-          results.summary.warnings++
-        } else {
-          results.summary.passed++
+  /**
+   * Apply an amendment's rules and removals to a built-in rule set. Threshold fields are
+   * merged one by one, so a changed threshold has to give its value (and a changed unit
+   * comes with the value in that unit).
+   * @param {Array} baseRules - Rules of the amended code
+   * @param {Object} amendment - { rules, removes }
+   * @returns {Array} Amended rules, in the base order with added rules last
+   * @throws {Error} If a rule changes its threshold without a numeric value
+   */
+  static amendRules(baseRules, { rules = [], removes = [] }) {
+    const changes = new Map(rules.map(rule => [rule.id, rule]))
+    const amended = baseRules
+      .filter(rule => !removes.includes(rule.id))
+      .map((rule) => {
+        const change = changes.get(rule.id)
+        if (!change) return rule
+
+        const threshold = change.threshold
+        if (threshold !== undefined) {
+          if (!threshold || typeof threshold !== 'object' || Array.isArray(threshold)) {
+            throw new Error(`rule ${rule.id} threshold must be an object such as { value: 60 }`)
+          }
+          if (typeof threshold.value !== 'number' || !Number.isFinite(threshold.value)) {
+            throw new Error(threshold.unit !== undefined && threshold.unit !== rule.threshold?.unit
+              ? `rule ${rule.id} changes the threshold unit to ${threshold.unit} without a value in that unit`
+              : `rule ${rule.id} changes the threshold without a numeric value`)
+          }
         }
+        return { ...rule, ...change, threshold: { ...rule.threshold, ...threshold } }
       })
-    }
+
+    return [...amended, ...rules.filter(rule => !baseRules.some(base => base.id === rule.id))]
   }
 
   /**
-   * Check door width compliance
+   * Run compliance checks for a specific building code
    * @param {Object} layoutData - Layout data
-   * @param {Object} rules - Building code rules
-   * @param {string} codeKey - Code identifier
+   * @param {Object} codeData - Building code data
    * @param {Object} results - Results object to update
    */
-  static checkDoorWidths(layoutData, rules, codeKey, results) {
-    const { rooms, circulation } = layoutData
-    
-    // Simplified door width checking - assumes each circulation path represents a door
-    circulation.forEach((path, index) => {
-      results.summary.totalChecks++
-      const doorWidthInches = Math.min(path.width * 12, 36) // assume max door width of 36"
-      const requiredWidth = rules.doorWidth?.minimum || rules.exitWidth?.minimum || 32
-      
-      if (doorWidthInches < requiredWidth) {
-        results.issues.push({
-          type: 'door_width',
-          severity: 'critical',
-          message: `Door width ${doorWidthInches}" is below minimum ${requiredWidth}" required by ${codeKey}`,
-          code: `${codeKey}_DOOR_WIDTH`,
-          location: `Door ${index + 1}: ${path.from} → ${path.to}`,
-          required: requiredWidth,
-          actual: doorWidthInches,
-          unit: 'inches'
-        })
-        results.summary.failed++
-      } else {
+  static runCodeChecks(layoutData, codeData, results) {
+    const { key: codeKey, rules } = codeData
+
+    CodeRuleEngine.evaluate(layoutData, rules).forEach(({ rule, location, actual, passed, message }) => {
+      if (passed) {
         results.summary.passed++
+        return
+      }
+
+      const { value: required, unit } = rule.threshold
+      const issue = {
+        type: rule.type,
+        severity: rule.severity,
+        message: `${message} required by ${codeKey}${rule.section ? ` ${rule.section}` : ''}`,
+        code: `${codeKey}_${rule.code}`,
+        location,
+        required,
+        actual,
+        unit: UnitService.getUnitLabel(unit),
+        rule: rule.id,
+        section: rule.section
+      }
+      if (rule.recommendation) issue.recommendation = rule.recommendation
+
+      if (rule.severity === 'warning') {
+        results.warnings.push(issue)
+        results.summary.warnings++
+      } else {
+        results.issues.push(issue)
+        results.summary.failed++
       }
     })
   }
 
   /**
-   * Infer room type from room name for code checking
-   * @param {string} roomName - Name of the room
-   * @returns {string} Inferred room type
+   * Warn about doors and windows that cannot be placed in a suitable wall, or do not fit it
+   * @param {Object} layoutData - Layout data
+   * @param {Object} results - Results object to update
    */
-  static inferRoomType(roomName) {
-    const name = roomName.toLowerCase()
-    
-    if (name.includes('office')) return 'office'
-    if (name.includes('meeting') || name.includes('conference')) return 'meeting'
-    if (name.includes('restroom') || name.includes('bathroom')) return 'restroom'
-    if (name.includes('bedroom')) return 'bedroom'
-    if (name.includes('kitchen')) return 'kitchen'
-    if (name.includes('living')) return 'living'
-    
-    return 'general'
-  }
+  static checkElementPlacement(layoutData, results) {
+    if (!BuildingElementsService.hasElements(layoutData)) return
+    const { doors, windows } = BuildingElementsService.getGeometry(layoutData)
+    const roomName = id => (id === EXTERIOR ? 'outside' : layoutData.rooms.find(room => room.id === id)?.name || id)
 
-  /**
-   * Check if a room type requires turning space
-   * @param {string} roomName - Name of the room
-   * @returns {boolean} Whether the room requires turning space
-   */
-  static requiresTurningSpace(roomName) {
-    const name = roomName.toLowerCase()
-    
-    // Rooms that typically require wheelchair turning space
-    return name.includes('restroom') || 
-           name.includes('bathroom') || 
-           name.includes('office') ||
-           name.includes('meeting') ||
-           name.includes('conference')
+    const warn = (type, location, message, recommendation) => {
+      results.warnings.push({ type, severity: 'warning', message, code: `GEOMETRY_${type.toUpperCase()}`, location, recommendation })
+      results.summary.warnings++
+    }
+
+    doors.forEach(({ door, index, wall, opening }) => {
+      const location = `Door ${index + 1}: ${door.from} → ${door.to}`
+      if (!wall) {
+        warn('door_placement', location, `Door between ${roomName(door.from)} and ${roomName(door.to)} has no wall to sit in`,
+          'Move the rooms together, or connect them through a room they both adjoin')
+      } else if (!opening.fits) {
+        warn('door_placement', location, `Door between ${roomName(door.from)} and ${roomName(door.to)} is wider than its wall`,
+          'Narrow the door or lengthen the wall')
+      } else {
+        results.summary.passed++
+      }
+    })
+
+    windows.forEach(({ window, wall, opening }) => {
+      const location = roomName(window.room)
+      if (!wall) {
+        warn('window_placement', location, `${location} has a ${window.side} window but no exterior wall on that side`,
+          'Move the window to an exterior wall')
+      } else if (!opening.fits) {
+        warn('window_placement', location, `${location} ${window.side} window is wider than its wall`,
+          'Narrow the window')
+      } else {
+        results.summary.passed++
+      }
+    })
   }
 
   /**
    * Get available building codes for a country
    * @param {string} country - Country code
-   * @returns {Array} Available building codes
+   * @param {Array} codePacks - Code packs to list after the built-in codes
+   * @returns {Array} Available building codes; code packs have custom, amends and id
    */
-  static getAvailableCodes(country) {
-    const countryData = BUILDING_CODES[country]
-    if (!countryData) return []
-
-    return Object.keys(countryData).map(codeKey => ({
-      key: codeKey,
-      name: countryData[codeKey].name,
-      version: countryData[codeKey].version
-    }))
+  static getAvailableCodes(country, codePacks = []) {
+    const countryData = BUILDING_CODES[country] || {}
+
+    return [
+      ...Object.keys(countryData).map(codeKey => ({
+        key: codeKey,
+        name: countryData[codeKey].name,
+        version: countryData[codeKey].version
+      })),
+      ...codePacks
+        .filter(pack => pack.country === country)
+        .map(pack => ({
+          key: pack.key,
+          name: pack.name,
+          version: pack.version !== undefined ? String(pack.version) : undefined,
+          custom: true,
+          amends: pack.amends,
+          id: pack.id
+        }))
+    ]
   }
 
   /**
@@ -396,6 +707,7 @@ export class BuildingCodesService {
       US: 'United States',
       CA: 'Canada',
       UK: 'United Kingdom',
+      EU: 'European Union',
       AU: 'Australia'
     }
     return names[countryCode] || countryCode
@@ -507,8 +819,17 @@ export class BuildingCodesService {
 export const checkBuildingCodeCompliance = (layoutData, codeSettings) =>
   BuildingCodesService.checkCompliance(layoutData, codeSettings)
 
-export const getAvailableBuildingCodes = (country) =>
-  BuildingCodesService.getAvailableCodes(country)
+export const evaluateBuildingCodeCompliance = (layoutData, codeSettings) =>
+  BuildingCodesService.evaluateCompliance(layoutData, codeSettings)
+
+export const getAvailableBuildingCodes = (country, codePacks) =>
+  BuildingCodesService.getAvailableCodes(country, codePacks)
+
+export const validateCodePack = (pack) =>
+  BuildingCodesService.validateCodePack(pack)
 
 export const getSupportedCountries = () =>
   BuildingCodesService.getSupportedCountries()
+
+export const getCountryName = (countryCode) =>
+  BuildingCodesService.getCountryName(countryCode)
@@ -0,0 +1,524 @@
+/**
+ * Building Elements Service
+ * Walls, doors and windows. Walls are derived from the room rectangles, so they follow rooms
+ * as the layout is edited: room edges that touch or face each other across a corridor are
+ * interior walls, the rest of each room's outline is exterior. Doors and windows are stored
+ * on layout data and reference rooms rather than coordinates:
+ *
+ *   doors:   [{ id, from, to, width, swing, position, side }]   `to` may be 'exterior'
+ *   windows: [{ id, room, side, width, height, sill, position }]
+ *
+ * Widths, heights and sills are in the layout's detail unit (inches for layouts in feet,
+ * millimetres for layouts in meters; see services/units.js); `position` is where the opening
+ * is centred along its wall (0-1); `side` is the compass side of the room, with north at the
+ * top of the plan. Wall thicknesses are `wallThickness: { exterior, interior }` in the same unit.
+ * The geometry built here is shared by the viewer, the DXF and SVG exports, compliance
+ * checks and the daylight metric.
+ */
+
+import { getFeetPerUnit } from './massingModel.js'
+import { UnitService } from './units.js'
+
+export const EXTERIOR = 'exterior'
+export const WALL_SIDES = ['north', 'east', 'south', 'west']
+export const DOOR_SWINGS = ['left', 'right', 'double', 'sliding']
+// Default sizes are keyed by detail unit, so metric layouts get metric sizes
+export const DEFAULT_WALL_THICKNESS = {
+  in: { exterior: 6, interior: 4.5 },
+  mm: { exterior: 150, interior: 115 }
+}
+
+// Rooms whose names suggest a way out of the building
+export const EXIT_ROOM_PATTERN = /entr|foyer|lobby|exit|vestibule|mudroom/i
+// Rooms that get no windows by default and are not held to window area rules
+const NON_HABITABLE_PATTERN = /bath|restroom|toilet|\bwc\b|closet|storage|utility|laundry|corridor|hall|stair|mechanical|server|pantry/i
+
+const DEFAULT_DOOR_WIDTH = { in: 36, mm: 900 }
+const DEFAULT_WINDOW = {
+  in: { width: 48, height: 48, sill: 36 },
+  mm: { width: 1200, height: 1200, sill: 900 }
+}
+const MIN_DEFAULT_WINDOW_WIDTH = { in: 24, mm: 600 }
+// Default window widths are rounded down to this step
+const WINDOW_WIDTH_STEP = { in: 6, mm: 100 }
+// Entrance doors sit towards one end of their wall, leaving the rest for a window
+const ENTRANCE_POSITION = 0.2
+const ENTRANCE_WINDOW_POSITION = 0.65
+// Edges closer than this (drawing units) are treated as the same wall
+const WALL_TOLERANCE = 1
+// Rooms facing each other across a gap up to this wide are taken to open onto a corridor
+// between them rather than onto the outside
+const MAX_CORRIDOR_GAP_FEET = 12
+
+// Each side of a room as a line: `at` is its x (vertical) or y (horizontal), from/to its extent
+const SIDES = {
+  north: { orientation: 'horizontal', opposite: 'south', line: room => ({ at: room.y, from: room.x, to: room.x + room.width }) },
+  south: { orientation: 'horizontal', opposite: 'north', line: room => ({ at: room.y + room.height, from: room.x, to: room.x + room.width }) },
+  west: { orientation: 'vertical', opposite: 'east', line: room => ({ at: room.x, from: room.y, to: room.y + room.height }) },
+  east: { orientation: 'vertical', opposite: 'west', line: room => ({ at: room.x + room.width, from: room.y, to: room.y + room.height }) }
+}
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]]
+const scale = (v, factor) => [v[0] * factor, v[1] * factor]
+const longest = walls => walls.reduce((best, wall) => (!best || wall.length > best.length ? wall : best), null)
+const toDegrees = ([x, y]) => ((Math.atan2(y, x) * 180 / Math.PI) + 360) % 360
+
+export class BuildingElementsService {
+  /**
+   * Wall thicknesses with defaults filled in
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} { exterior, interior } in the layout's detail unit
+   */
+  static getWallThickness(layoutData = {}) {
+    return { ...DEFAULT_WALL_THICKNESS[this.getDetailUnit(layoutData)], ...layoutData.wallThickness }
+  }
+
+  /**
+   * Unit door, window and wall sizes are stored in
+   * @param {Object} layoutData - Layout data
+   * @returns {string} 'in' or 'mm'
+   */
+  static getDetailUnit(layoutData) {
+    return UnitService.getLayoutSystem(layoutData).detail
+  }
+
+  /**
+   * Default door and window sizes for new elements, in the layout's detail unit
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} { doorWidth, window: { width, height, sill } }
+   */
+  static getDefaultSizes(layoutData) {
+    const detailUnit = this.getDetailUnit(layoutData)
+    return { doorWidth: DEFAULT_DOOR_WIDTH[detailUnit], window: DEFAULT_WINDOW[detailUnit] }
+  }
+
+  /**
+   * Converter from the layout's detail unit to drawing units
+   * @param {Object} layoutData - Layout data
+   * @returns {Function} value => drawing units
+   */
+  static getDetailScale(layoutData) {
+    const feetPerUnit = getFeetPerUnit(layoutData)
+    return value => UnitService.fromLayout(layoutData, 'detail', value, 'ft') / feetPerUnit
+  }
+
+  /**
+   * Walls derived from the room outlines. An edge shared with a neighbouring room is one interior
+   * wall, listed once from the room on its north or west side; an edge facing a neighbour across
+   * a corridor-sized gap is an interior wall of its own room; the rest is exterior.
+   * @param {Object} layoutData - Layout data with rooms
+   * @returns {Array} { id, type, rooms, adjoins, side, orientation, start, end, length, thickness }
+   *   where `rooms` are the rooms the wall bounds, `adjoins` the room on its other side (if any),
+   *   `side` is the side of rooms[0] it is on, length is in drawing units and thickness in the
+   *   layout's detail unit
+   */
+  static getWalls(layoutData = {}) {
+    const rooms = layoutData.rooms || []
+    const thickness = this.getWallThickness(layoutData)
+    const maxGap = MAX_CORRIDOR_GAP_FEET / getFeetPerUnit(layoutData)
+    const walls = []
+
+    rooms.forEach(room => {
+      WALL_SIDES.forEach(side => {
+        const { orientation, opposite } = SIDES[side]
+        const edge = SIDES[side].line(room)
+        // Distance from this edge out to a parallel edge, positive away from the room
+        const outward = side === 'north' || side === 'west' ? -1 : 1
+        const point = t => (orientation === 'horizontal' ? [t, edge.at] : [edge.at, t])
+        let count = 0
+        const push = (type, roomIds, adjoins, from, to) => walls.push({
+          id: `${room.id}-${side}-${count++}`,
+          type,
+          rooms: roomIds,
+          adjoins,
+          side,
+          orientation,
+          start: point(from),
+          end: point(to),
+          length: to - from,
+          thickness: thickness[type]
+        })
+
+        const neighbours = rooms
+          .filter(other => other !== room)
+          .map(other => {
+            const line = SIDES[opposite].line(other)
+            return { other, gap: (line.at - edge.at) * outward, from: Math.max(edge.from, line.from), to: Math.min(edge.to, line.to) }
+          })
+          .filter(span => span.gap >= -WALL_TOLERANCE && span.gap <= maxGap && span.to - span.from > WALL_TOLERANCE)
+          .sort((a, b) => a.from - b.from)
+
+        neighbours.forEach(span => {
+          if (span.gap > WALL_TOLERANCE) {
+            push('interior', [room.id], span.other.id, span.from, span.to)
+          } else if (side === 'east' || side === 'south') {
+            push('interior', [room.id, span.other.id], span.other.id, span.from, span.to)
+          }
+        })
+
+        // Whatever no neighbour covers is on the outside
+        let cursor = edge.from
+        neighbours.forEach(span => {
+          if (span.from - cursor > WALL_TOLERANCE) push('exterior', [room.id], null, cursor, span.from)
+          cursor = Math.max(cursor, span.to)
+        })
+        if (edge.to - cursor > WALL_TOLERANCE) push('exterior', [room.id], null, cursor, edge.to)
+      })
+    })
+
+    return walls
+  }
+
+  /**
+   * Wall a door sits in: the longest stretch of wall its two rooms share, else the longest wall of
+   * either room facing the other across a corridor (the `from` room first); for an exterior door,
+   * the longest exterior wall of its room (on `door.side` if given)
+   * @param {Object} door - Door
+   * @param {Array} walls - Result of getWalls
+   * @returns {Object|null} Wall
+   */
+  static findDoorWall(door, walls) {
+    if (door.from === EXTERIOR || door.to === EXTERIOR) {
+      const roomId = door.from === EXTERIOR ? door.to : door.from
+      return longest(walls.filter(wall =>
+        wall.type === 'exterior' && wall.rooms[0] === roomId && (!door.side || wall.side === door.side)))
+    }
+    const interior = walls.filter(wall => wall.type === 'interior')
+    return longest(interior.filter(wall => wall.rooms.includes(door.from) && wall.rooms.includes(door.to))) ||
+      longest(interior.filter(wall => wall.rooms[0] === door.from && wall.adjoins === door.to)) ||
+      longest(interior.filter(wall => wall.rooms[0] === door.to && wall.adjoins === door.from))
+  }
+
+  /**
+   * Wall a window sits in: the longest exterior wall on its room's side
+   * @param {Object} window - Window
+   * @param {Array} walls - Result of getWalls
+   * @returns {Object|null} Wall
+   */
+  static findWindowWall(window, walls) {
+    return longest(walls.filter(wall =>
+      wall.type === 'exterior' && wall.rooms[0] === window.room && wall.side === window.side))
+  }
+
+  /**
+   * Opening cut into a wall, kept within the wall's ends
+   * @param {Object} wall - Wall
+   * @param {number} requested - Opening width in drawing units
+   * @param {number} position - Centre along the wall, 0-1
+   * @returns {Object} { start, end, width, fits } with width in drawing units; fits is false
+   *   when the opening is wider than the wall and had to be cut short
+   */
+  static getOpening(wall, requested, position = 0.5) {
+    const width = Math.min(requested, wall.length)
+    const centre = Math.min(wall.length - width / 2, Math.max(width / 2, wall.length * position))
+    const direction = scale([wall.end[0] - wall.start[0], wall.end[1] - wall.start[1]], 1 / wall.length)
+
+    return {
+      start: add(wall.start, scale(direction, centre - width / 2)),
+      end: add(wall.start, scale(direction, centre + width / 2)),
+      width,
+      fits: requested <= wall.length + WALL_TOLERANCE
+    }
+  }
+
+  /**
+   * Everything needed to draw walls, doors and windows
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} { walls, doors, windows }. Walls carry `width` (thickness in drawing units)
+   *   and `segments`, the solid stretches left between openings, as [[x1, y1], [x2, y2]].
+   *   Doors carry { door, index, wall, opening, passage, leaves, arcs } and windows { window,
+   *   index, wall, opening, panes }; elements that cannot be placed have wall null and no
+   *   geometry. A door onto a corridor also cuts a `passage` { wall, start, end } through the
+   *   facing wall of the room it leads to. Arcs are { center, radius, from, to, startAngle,
+   *   endAngle }, running from `from` to `to` in the direction of increasing angle
+   *   (counterclockwise in DXF, sweep-flag 1 in SVG).
+   */
+  static getGeometry(layoutData = {}) {
+    const toUnits = this.getDetailScale(layoutData)
+    const rooms = layoutData.rooms || []
+    const walls = this.getWalls(layoutData).map(wall => ({ ...wall, width: toUnits(wall.thickness) }))
+
+    const doors = (layoutData.doors || []).map((door, index) => {
+      const wall = this.findDoorWall(door, walls)
+      if (!wall) return { door, index, wall: null }
+
+      const opening = this.getOpening(wall, toUnits(door.width), door.position ?? 0.5)
+      // Doors swing into the `from` room, or into the building for exterior doors
+      const intoId = door.from === EXTERIOR ? door.to : door.from
+      const into = rooms.find(room => room.id === intoId)
+      const normal = this.getInwardNormal(wall, into)
+      const passage = this.getPassage(wall, opening, walls)
+      return { door, index, wall, opening, passage, ...this.getDoorLeaves(door.swing, opening, normal, wall.width) }
+    })
+
+    const windows = (layoutData.windows || []).map((window, index) => {
+      const wall = this.findWindowWall(window, walls)
+      if (!wall) return { window, index, wall: null }
+
+      const opening = this.getOpening(wall, toUnits(window.width), window.position ?? 0.5)
+      const normal = this.getInwardNormal(wall, null)
+      const pane = offset => [add(opening.start, scale(normal, offset)), add(opening.end, scale(normal, offset))]
+      return { window, index, wall, opening, panes: [pane(-wall.width / 4), pane(wall.width / 4)] }
+    })
+
+    const openings = {}
+    const cut = (wall, opening) => { (openings[wall.id] = openings[wall.id] || []).push(opening) }
+    doors.forEach(({ wall, opening, passage }) => {
+      if (!wall) return
+      cut(wall, opening)
+      if (passage) cut(passage.wall, passage)
+    })
+    windows.forEach(({ wall, opening }) => wall && cut(wall, opening))
+
+    return {
+      walls: walls.map(wall => ({ ...wall, segments: this.cutOpenings(wall, openings[wall.id] || []) })),
+      doors,
+      windows
+    }
+  }
+
+  /**
+   * Where a door through a corridor-facing wall meets the facing wall of the room beyond
+   * @returns {Object|null} { wall, start, end }
+   */
+  static getPassage(wall, opening, walls) {
+    if (wall.rooms.length !== 1 || !wall.adjoins) return null
+    const axis = wall.orientation === 'horizontal' ? 0 : 1
+    const [from, to] = [opening.start[axis], opening.end[axis]].sort((a, b) => a - b)
+
+    const facing = walls.find(other =>
+      other.rooms[0] === wall.adjoins && other.adjoins === wall.rooms[0] && other.orientation === wall.orientation &&
+      Math.min(other.start[axis], other.end[axis]) < to && Math.max(other.start[axis], other.end[axis]) > from)
+    if (!facing) return null
+
+    const point = t => (axis === 0 ? [t, facing.start[1]] : [facing.start[0], t])
+    const start = Math.max(from, Math.min(facing.start[axis], facing.end[axis]))
+    const end = Math.min(to, Math.max(facing.start[axis], facing.end[axis]))
+    return { wall: facing, start: point(start), end: point(end) }
+  }
+
+  /**
+   * Solid stretches of a wall between its openings
+   * @param {Object} wall - Wall
+   * @param {Array} openings - { start, end } lying on the wall
+   * @returns {Array} Segments [[x1, y1], [x2, y2]]
+   */
+  static cutOpenings(wall, openings) {
+    const direction = scale([wall.end[0] - wall.start[0], wall.end[1] - wall.start[1]], 1 / wall.length)
+    const along = point => (point[0] - wall.start[0]) * direction[0] + (point[1] - wall.start[1]) * direction[1]
+    const at = t => add(wall.start, scale(direction, t))
+
+    const gaps = openings
+      .map(opening => [along(opening.start), along(opening.end)].sort((a, b) => a - b))
+      .sort((a, b) => a[0] - b[0])
+
+    const segments = []
+    let cursor = 0
+    gaps.forEach(([from, to]) => {
+      if (from > cursor) segments.push([at(cursor), at(from)])
+      cursor = Math.max(cursor, to)
+    })
+    if (cursor < wall.length) segments.push([at(cursor), at(wall.length)])
+    return segments
+  }
+
+  /**
+   * Unit vector across a wall, pointing into the room (or down/right without one)
+   */
+  static getInwardNormal(wall, room) {
+    if (wall.orientation === 'horizontal') {
+      return room && room.y + room.height / 2 < wall.start[1] ? [0, -1] : [0, 1]
+    }
+    return room && room.x + room.width / 2 < wall.start[0] ? [-1, 0] : [1, 0]
+  }
+
+  /**
+   * Door leaves and swing arcs. A left-hand door is hinged at the opening's start, a right-hand
+   * door at its end; double doors have a half-width leaf on each side; sliding doors draw one
+   * panel alongside the opening and no arc.
+   */
+  static getDoorLeaves(swing, opening, normal, wallWidth) {
+    if (swing === 'sliding') {
+      const offset = scale(normal, wallWidth / 2)
+      return { leaves: [[add(opening.start, offset), add(opening.end, offset)]], arcs: [] }
+    }
+
+    const hinges = swing === 'double'
+      ? [[opening.start, opening.end, opening.width / 2], [opening.end, opening.start, opening.width / 2]]
+      : swing === 'right'
+        ? [[opening.end, opening.start, opening.width]]
+        : [[opening.start, opening.end, opening.width]]
+
+    const leaves = []
+    const arcs = []
+    hinges.forEach(([hinge, towards, radius]) => {
+      const along = scale([towards[0] - hinge[0], towards[1] - hinge[1]], 1 / opening.width)
+      const closed = add(hinge, scale(along, radius))
+      const open = add(hinge, scale(normal, radius))
+      leaves.push([hinge, open])
+
+      // Order the arc ends so it always runs in the direction of increasing angle
+      const cross = along[0] * normal[1] - along[1] * normal[0]
+      const [from, to] = cross > 0 ? [closed, open] : [open, closed]
+      arcs.push({
+        center: hinge,
+        radius,
+        from,
+        to,
+        startAngle: toDegrees([from[0] - hinge[0], from[1] - hinge[1]]),
+        endAngle: toDegrees([to[0] - hinge[0], to[1] - hinge[1]])
+      })
+    })
+
+    return { leaves, arcs }
+  }
+
+  /**
+   * Sides of a room that have exterior wall
+   * @param {Object} layoutData - Layout data
+   * @param {string} roomId - Room id
+   * @returns {Array} Sides in WALL_SIDES order
+   */
+  static getExteriorSides(layoutData, roomId) {
+    const walls = this.getWalls(layoutData).filter(wall => wall.type === 'exterior' && wall.rooms[0] === roomId)
+    return WALL_SIDES.filter(side => walls.some(wall => wall.side === side))
+  }
+
+  /**
+   * Glazed area of a window
+   * @param {Object} window - Window
+   * @param {Object} layoutData - Layout data the window belongs to
+   * @returns {number} Area in the layout's area unit, like room areas
+   */
+  static getWindowArea(window, layoutData) {
+    // Squares of the layout's length unit are its area unit (ft → sq ft, m → m²)
+    const { length } = UnitService.getLayoutSystem(layoutData)
+    const height = window.height ?? DEFAULT_WINDOW[this.getDetailUnit(layoutData)].height
+    const toLength = value => UnitService.fromLayout(layoutData, 'detail', value, length)
+    return toLength(window.width) * toLength(height)
+  }
+
+  /**
+   * Whether a room is habitable (bedrooms, living spaces, offices) rather than a bathroom,
+   * closet, corridor or service space
+   * @param {Object} room - Room
+   * @returns {boolean}
+   */
+  static isHabitable(room) {
+    return !NON_HABITABLE_PATTERN.test(room.name || '')
+  }
+
+  /**
+   * Whether layout data has doors or windows of its own; layouts from before they existed
+   * are still checked and scored from their circulation and room positions
+   * @param {Object} layoutData - Layout data
+   * @returns {boolean}
+   */
+  static hasElements(layoutData = {}) {
+    return Array.isArray(layoutData.doors) || Array.isArray(layoutData.windows)
+  }
+
+  /**
+   * Reasonable doors and windows for a layout that has none: a door wherever a circulation path
+   * joins two rooms that share a wall, an entrance from outside, and a window on each exterior
+   * side of every habitable room
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @returns {Object} { doors, windows }
+   */
+  static generateDefaults(layoutData = {}) {
+    const rooms = layoutData.rooms || []
+    const circulation = layoutData.circulation || []
+    const walls = this.getWalls(layoutData)
+    const feetPerUnit = getFeetPerUnit(layoutData)
+    const { length: lengthUnit, detail: detailUnit } = UnitService.getLayoutSystem(layoutData)
+    const doorWidth = DEFAULT_DOOR_WIDTH[detailUnit]
+    const defaultWindow = DEFAULT_WINDOW[detailUnit]
+
+    const doors = []
+    const joined = new Set()
+    circulation.forEach(path => {
+      const pair = [path.from, path.to].sort().join('|')
+      if (joined.has(pair) || !this.findDoorWall(path, walls)) return
+      joined.add(pair)
+      doors.push({
+        id: `door-${doors.length + 1}`,
+        from: path.from,
+        to: path.to,
+        // Circulation widths stand in for door widths, as compliance checks used to assume
+        width: Math.min(Math.round(UnitService.convertLength(path.width, lengthUnit, detailUnit)), doorWidth),
+        swing: 'left',
+        position: 0.5
+      })
+    })
+
+    const hasExteriorWall = room => walls.some(wall => wall.type === 'exterior' && wall.rooms[0] === room.id)
+    const connections = room => circulation.filter(path => path.from === room.id || path.to === room.id).length
+    const perimeter = rooms.filter(hasExteriorWall)
+    const namedExits = perimeter.filter(room => EXIT_ROOM_PATTERN.test(room.name || ''))
+    const entrances = namedExits.length > 0
+      ? namedExits
+      : [...perimeter].sort((a, b) => connections(b) - connections(a)).slice(0, 1)
+    const entranceWalls = entrances.map(room => {
+      const wall = longest(walls.filter(candidate => candidate.type === 'exterior' && candidate.rooms[0] === room.id))
+      doors.push({
+        id: `door-${doors.length + 1}`,
+        from: room.id,
+        to: EXTERIOR,
+        width: doorWidth,
+        swing: 'left',
+        position: ENTRANCE_POSITION,
+        side: wall.side
+      })
+      return wall
+    })
+
+    const windows = []
+    rooms.filter(room => this.isHabitable(room)).forEach(room => {
+      WALL_SIDES.forEach(side => {
+        const wall = this.findWindowWall({ room: room.id, side }, walls)
+        if (!wall) return
+        // Up to half the wall, in whole steps
+        const step = WINDOW_WIDTH_STEP[detailUnit]
+        const wallLength = UnitService.convertLength(wall.length * feetPerUnit, 'ft', detailUnit)
+        const available = Math.floor(wallLength / 2 / step) * step
+        const width = Math.min(defaultWindow.width, available)
+        if (width < MIN_DEFAULT_WINDOW_WIDTH[detailUnit]) return
+        // Keep clear of an entrance door in the same wall
+        const position = entranceWalls.includes(wall) ? ENTRANCE_WINDOW_POSITION : 0.5
+        windows.push({ id: `window-${windows.length + 1}`, room: room.id, side, ...defaultWindow, width, position })
+      })
+    })
+
+    return { doors, windows }
+  }
+
+  /**
+   * Layout data with default doors and windows added if it has neither
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} Layout data
+   */
+  static withDefaults(layoutData) {
+    if (!layoutData || this.hasElements(layoutData)) return layoutData
+    return { ...layoutData, ...this.generateDefaults(layoutData) }
+  }
+
+  /**
+   * Next free id for a new door or window
+   * @param {Array} elements - Existing doors or windows
+   * @param {string} prefix - 'door' or 'window'
+   * @returns {string}
+   */
+  static nextId(elements = [], prefix) {
+    const taken = new Set(elements.map(element => element.id))
+    let number = elements.length + 1
+    while (taken.has(`${prefix}-${number}`)) number++
+    return `${prefix}-${number}`
+  }
+}
+
+// Export convenience functions
+export const getWalls = (layoutData) => BuildingElementsService.getWalls(layoutData)
+
+export const getBuildingElementGeometry = (layoutData) => BuildingElementsService.getGeometry(layoutData)
+
+export const withDefaultBuildingElements = (layoutData) => BuildingElementsService.withDefaults(layoutData)
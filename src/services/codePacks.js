@@ -0,0 +1,89 @@
+/**
+ * Code Pack Service
+ * Reads custom building code packs from JSON or YAML files: a new code, or local amendments
+ * to a built-in one (see validateCodePack in buildingCodesService.js for the format). Packs
+ * are stored per organisation and snapshotted into a project's normSettings when selected,
+ * so compliance is evaluated the same way in the browser and on the API server.
+ */
+
+import { validateCodePack } from './buildingCodesService.js'
+
+// File extensions accepted by the import dialog
+export const CODE_PACK_FILE_TYPES = ['.json', '.yaml', '.yml']
+
+// Fields of a pack that define its code; the rest of a stored record is bookkeeping
+const DEFINITION_FIELDS = ['key', 'name', 'version', 'country', 'amends', 'description', 'rules', 'removes']
+
+export class CodePackError extends Error {
+  constructor(message, cause) {
+    super(message)
+    this.name = 'CodePackError'
+    this.cause = cause
+  }
+}
+
+export class CodePackService {
+  /**
+   * Parse a code pack file
+   * @param {string} text - File contents
+   * @param {string} fileName - File name; .json files are read as JSON, others as YAML
+   * @returns {Promise<Object>} Parsed pack, not yet validated
+   * @throws {CodePackError} If the file cannot be parsed
+   */
+  static async parse(text, fileName = '') {
+    try {
+      // YAML is a superset of JSON, but JSON errors are clearer for .json files. The YAML
+      // parser is only loaded when needed, as it would add a fifth to the main bundle
+      if (fileName.toLowerCase().endsWith('.json')) return JSON.parse(text)
+      const { parse: parseYaml } = await import('yaml')
+      return parseYaml(text)
+    } catch (error) {
+      // YAML errors go on to quote the offending lines
+      throw new CodePackError(`Could not read ${fileName || 'code pack'}: ${error.message.split('\n')[0]}`, error)
+    }
+  }
+
+  /**
+   * The code definition of a pack, without anything else a file or record carries
+   * @param {Object} pack - Code pack or stored record
+   * @returns {Object} Pack definition
+   */
+  static toDefinition(pack) {
+    return Object.fromEntries(DEFINITION_FIELDS.filter(field => pack[field] !== undefined).map(field => [field, pack[field]]))
+  }
+
+  /**
+   * Parse and validate a code pack file into a record for an organisation's library
+   * @param {string} text - File contents
+   * @param {Object} options - { fileName, organizationId }
+   * @returns {Promise<Object>} Code pack record { id, organizationId, fileName, importedAt, ...definition }
+   * @throws {CodePackError} If the file cannot be parsed or the pack is not valid
+   */
+  static async importPack(text, { fileName, organizationId } = {}) {
+    const parsed = await this.parse(text, fileName)
+
+    try {
+      validateCodePack(parsed)
+    } catch (error) {
+      throw new CodePackError(error.message, error)
+    }
+
+    return {
+      id: `codepack-${Date.now()}`,
+      organizationId,
+      fileName,
+      importedAt: new Date().toISOString(),
+      ...this.toDefinition(parsed)
+    }
+  }
+}
+
+// Export convenience functions
+export const parseCodePack = (text, fileName) =>
+  CodePackService.parse(text, fileName)
+
+export const importCodePack = (text, options) =>
+  CodePackService.importPack(text, options)
+
+export const getCodePackDefinition = (pack) =>
+  CodePackService.toDefinition(pack)
@@ -0,0 +1,312 @@
+/**
+ * Code Rule Engine
+ * Building code requirements are data. A rule selects elements of a layout, measures a
+ * quantity on each and compares it with a threshold in the rule's own unit:
+ *
+ *   {
+ *     id: 'corridor-width',                  unique within its rule set
+ *     selector: { element: 'circulation' },  elements to check, with optional filters (ELEMENTS)
+ *     quantity: 'width',                     what is measured (QUANTITIES)
+ *     comparator: '>=',                      how the measured value must compare (COMPARATORS)
+ *     threshold: { value: 44, unit: 'in' }, in any unit of the quantity's kind
+ *     severity: 'critical',                  'critical' (an issue) or 'warning'
+ *     section: '1020.3',                     code section, quoted in messages (optional)
+ *     description, label, type, code, recommendation (optional, see normalizeRule)
+ *   }
+ *
+ * evaluate runs any list of rules against a layout, so a new code or amendment is a list of
+ * rules (see BUILDING_CODES in buildingCodesService.js) rather than new checks.
+ */
+
+import { BuildingElementsService, EXTERIOR } from './buildingElements.js'
+import { getFeetPerUnit } from './massingModel.js'
+import { UnitService } from './units.js'
+
+export const RULE_SEVERITIES = ['critical', 'warning']
+
+// Layouts from before doors existed treat each circulation path as a door this wide at most
+const LEGACY_DOOR_WIDTH = { value: 36, unit: 'in' }
+
+const ROOM_TYPE_PATTERNS = [
+  ['office', /office/],
+  ['meeting', /meeting|conference/],
+  ['restroom', /restroom|bathroom/],
+  ['bedroom', /bedroom/],
+  ['kitchen', /kitchen/],
+  ['living', /living/]
+]
+
+// Rules may come from imported files, so names are only looked up as own keys
+const lookup = (table, key) => (Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined)
+const isExterior = door => door.from === EXTERIOR || door.to === EXTERIOR
+
+/**
+ * Elements a rule can select. `list` returns { item, name, location } per element; `location`
+ * is what issues point at (see complianceOverlay.js). `filters` are the selector keys each
+ * element accepts besides `element`, with the values they take (`valid`, described by
+ * `expects`) and the test an element has to pass.
+ */
+const ELEMENTS = {
+  room: {
+    list: layoutData => (layoutData.rooms || []).map(room => ({ item: room, name: room.name, location: room.name })),
+    filters: {
+      roomTypes: {
+        expects: 'a room type or a list of room types',
+        valid: value => typeof value === 'string' || (Array.isArray(value) && value.every(type => typeof type === 'string')),
+        test: (room, roomTypes) => [].concat(roomTypes).includes(CodeRuleEngine.inferRoomType(room.name))
+      },
+      habitable: {
+        expects: 'true or false',
+        valid: value => typeof value === 'boolean',
+        test: (room, habitable) => BuildingElementsService.isHabitable(room) === habitable
+      }
+    }
+  },
+  circulation: {
+    list: layoutData => (layoutData.circulation || []).map((path, index) => ({
+      item: path,
+      name: 'Corridor',
+      location: `Path ${index + 1}: ${path.from} → ${path.to}`
+    })),
+    filters: {}
+  },
+  door: {
+    list: (layoutData) => {
+      const { length, detail } = UnitService.getLayoutSystem(layoutData)
+      const doors = Array.isArray(layoutData.doors)
+        ? layoutData.doors
+        : (layoutData.circulation || []).map(path => ({
+          from: path.from,
+          to: path.to,
+          width: Math.min(
+            UnitService.convertLength(path.width, length, detail),
+            UnitService.convertLength(LEGACY_DOOR_WIDTH.value, LEGACY_DOOR_WIDTH.unit, detail)
+          )
+        }))
+      return doors.map((door, index) => ({ item: door, name: 'Door', location: `Door ${index + 1}: ${door.from} → ${door.to}` }))
+    },
+    filters: {
+      exterior: {
+        expects: 'true or false',
+        valid: value => typeof value === 'boolean',
+        test: (door, exterior) => isExterior(door) === exterior
+      }
+    }
+  }
+}
+
+/**
+ * Measurable quantities, per element they apply to. `kind` is the kind of unit thresholds are
+ * given in; measure functions return the value in the requested unit. `applies` skips the
+ * rule for layouts without the data it needs.
+ */
+const QUANTITIES = {
+  width: {
+    label: 'width',
+    kind: 'length',
+    measure: {
+      circulation: (path, context, unit) => UnitService.fromLayout(context.layoutData, 'length', path.width, unit),
+      door: (door, context, unit) => UnitService.fromLayout(context.layoutData, 'detail', door.width, unit)
+    }
+  },
+  area: {
+    label: 'area',
+    kind: 'area',
+    measure: {
+      room: (room, context, unit) => UnitService.fromLayout(context.layoutData, 'area', room.area, unit)
+    }
+  },
+  // The shorter side of a room, e.g. for a turning circle
+  clearWidth: {
+    label: 'clear width',
+    kind: 'length',
+    measure: {
+      room: (room, context, unit) => UnitService.convertLength(Math.min(room.width, room.height) * context.getFeetPerUnit(), 'ft', unit)
+    }
+  },
+  // Area of windows in exterior walls as a percentage of floor area
+  glazingRatio: {
+    label: 'glazing-to-floor ratio',
+    kind: 'ratio',
+    applies: layoutData => Array.isArray(layoutData.windows),
+    measure: {
+      room: (room, context) => (room.area > 0 ? (context.getGlazedArea(room) / room.area) * 100 : 0)
+    }
+  }
+}
+
+const COMPARATORS = {
+  '>=': { test: (actual, required) => actual >= required, failure: 'is below minimum' },
+  '>': { test: (actual, required) => actual > required, failure: 'does not exceed' },
+  '<=': { test: (actual, required) => actual <= required, failure: 'exceeds maximum' },
+  '<': { test: (actual, required) => actual < required, failure: 'is not below' }
+}
+
+export class CodeRuleEngine {
+  /**
+   * Check a rule against the rule format
+   * @param {Object} rule - Rule definition
+   * @throws {Error} Describing the first problem found
+   */
+  static validateRule(rule) {
+    const { id, selector, quantity, comparator, threshold, severity } = rule || {}
+
+    if (typeof id !== 'string' || id === '') {
+      throw new Error('Rule requires a string id')
+    }
+    const element = lookup(ELEMENTS, selector?.element)
+    if (!element) {
+      throw new Error(`Rule "${id}" selects unknown element: ${selector?.element}`)
+    }
+    const unknownFilters = Object.keys(selector).filter(key => key !== 'element' && !lookup(element.filters, key))
+    if (unknownFilters.length > 0) {
+      throw new Error(`Rule "${id}" has unknown ${selector.element} filters: ${unknownFilters.join(', ')}`)
+    }
+    Object.entries(selector).forEach(([key, value]) => {
+      if (key !== 'element' && !element.filters[key].valid(value)) {
+        throw new Error(`Rule "${id}" filter ${key} must be ${element.filters[key].expects}`)
+      }
+    })
+    const definition = lookup(QUANTITIES, quantity)
+    if (!definition || !lookup(definition.measure, selector.element)) {
+      throw new Error(`Rule "${id}" measures ${quantity}, which ${selector.element} elements do not have`)
+    }
+    if (!lookup(COMPARATORS, comparator)) {
+      throw new Error(`Rule "${id}" has unknown comparator: ${comparator}`)
+    }
+    if (typeof threshold?.value !== 'number' || !Number.isFinite(threshold.value)) {
+      throw new Error(`Rule "${id}" requires a numeric threshold value`)
+    }
+    if (UnitService.getUnitKind(threshold.unit) !== definition.kind) {
+      throw new Error(`Rule "${id}" threshold unit ${threshold.unit} is not a unit of ${definition.kind}`)
+    }
+    if (!RULE_SEVERITIES.includes(severity)) {
+      throw new Error(`Rule "${id}" has unknown severity: ${severity}`)
+    }
+  }
+
+  /**
+   * Check a rule set: every rule, and that ids are unique
+   * @param {Array} rules - Rule definitions
+   * @returns {Array} The rules
+   * @throws {Error} Describing the first problem found
+   */
+  static validateRules(rules) {
+    if (!Array.isArray(rules)) throw new Error('Rules must be a list')
+
+    const ids = new Set()
+    rules.forEach(rule => {
+      this.validateRule(rule)
+      if (ids.has(rule.id)) throw new Error(`Rule id "${rule.id}" is used more than once`)
+      ids.add(rule.id)
+    })
+    return rules
+  }
+
+  /**
+   * Rule with its optional fields filled in
+   * @param {Object} rule - Valid rule definition
+   * @returns {Object} Rule with type (issue type, for grouping), code (issue code suffix) and
+   *   label (message subject, where {name} is the element's name)
+   */
+  static normalizeRule(rule) {
+    return {
+      type: rule.id.replace(/-/g, '_'),
+      code: rule.id.replace(/-/g, '_').toUpperCase(),
+      label: `{name} ${QUANTITIES[rule.quantity].label}`,
+      ...rule
+    }
+  }
+
+  /**
+   * Evaluate rules against a layout
+   * @param {Object} layoutData - Layout data
+   * @param {Array} rules - Rule definitions
+   * @returns {Array} Findings { rule, location, actual, passed, message } per selected element,
+   *   where actual is in the threshold's unit and message is set for failures
+   * @throws {Error} If a rule is invalid
+   */
+  static evaluate(layoutData, rules) {
+    const context = this.createContext(layoutData)
+
+    return rules.flatMap((definition) => {
+      this.validateRule(definition)
+      const rule = this.normalizeRule(definition)
+      const quantity = QUANTITIES[rule.quantity]
+      if (quantity.applies && !quantity.applies(layoutData)) return []
+
+      const { value: required, unit } = rule.threshold
+      const comparator = COMPARATORS[rule.comparator]
+      return this.select(layoutData, rule.selector).map(({ item, name, location }) => {
+        // Compared as shown, so unit conversion noise cannot fail a value that exactly meets it
+        const actual = UnitService.round(quantity.measure[rule.selector.element](item, context, unit), unit)
+        const passed = comparator.test(actual, required)
+        const message = passed
+          ? undefined
+          : `${rule.label.replace('{name}', name)} ${UnitService.formatValue(actual, unit)} ${comparator.failure} ${UnitService.formatValue(required, unit)}`
+        return { rule, location, actual, passed, message }
+      })
+    })
+  }
+
+  /**
+   * Elements of a layout matched by a selector
+   * @param {Object} layoutData - Layout data
+   * @param {Object} selector - { element, ...filters }
+   * @returns {Array} { item, name, location } per element
+   */
+  static select(layoutData, selector) {
+    const { element, ...filters } = selector
+    const { list, filters: available } = ELEMENTS[element]
+
+    return list(layoutData).filter(({ item }) =>
+      Object.entries(filters).every(([key, value]) => available[key].test(item, value))
+    )
+  }
+
+  /**
+   * Measurements shared by the rules of one evaluation, computed when first needed
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} { layoutData, getFeetPerUnit, getGlazedArea(room) }
+   */
+  static createContext(layoutData) {
+    let feetPerUnit
+    let placedWindows
+
+    return {
+      layoutData,
+      getFeetPerUnit: () => {
+        if (feetPerUnit === undefined) feetPerUnit = getFeetPerUnit(layoutData)
+        return feetPerUnit
+      },
+      // Only windows that sit in an exterior wall let light in; area in the layout's units
+      getGlazedArea: (room) => {
+        if (!placedWindows) placedWindows = BuildingElementsService.getGeometry(layoutData).windows
+        return placedWindows
+          .filter(({ window, wall }) => window.room === room.id && wall)
+          .reduce((total, { window }) => total + BuildingElementsService.getWindowArea(window, layoutData), 0)
+      }
+    }
+  }
+
+  /**
+   * Infer a room's type from its name, for rules that select room types
+   * @param {string} roomName - Name of the room
+   * @returns {string} 'office', 'meeting', 'restroom', 'bedroom', 'kitchen', 'living' or 'general'
+   */
+  static inferRoomType(roomName = '') {
+    const name = roomName.toLowerCase()
+    const match = ROOM_TYPE_PATTERNS.find(([, pattern]) => pattern.test(name))
+    return match ? match[0] : 'general'
+  }
+}
+
+// Export convenience functions
+export const evaluateCodeRules = (layoutData, rules) =>
+  CodeRuleEngine.evaluate(layoutData, rules)
+
+export const validateCodeRules = (rules) =>
+  CodeRuleEngine.validateRules(rules)
+
+export const inferRoomType = (roomName) =>
+  CodeRuleEngine.inferRoomType(roomName)
@@ -0,0 +1,140 @@
+/**
+ * Compliance Overlay Service
+ * Links compliance issues back to the plan. Issues only carry a human-readable `location`
+ * ("Kitchen", "Path 2: living → kitchen", "Door 1: ..."), so it is resolved here to the rooms,
+ * circulation path or door it refers to, for highlighting and zooming in the viewer.
+ */
+
+import { getBuildingElementGeometry } from './buildingElements.js'
+
+// Worst first; 'error' (configuration problems) counts as critical
+export const ISSUE_SEVERITIES = ['critical', 'warning']
+
+// Space left around a focused element, as a fraction of its larger side
+const FOCUS_MARGIN = 0.75
+// Smallest area (in drawing units) to zoom to, so short paths are not magnified absurdly
+const MIN_FOCUS_SIZE = 200
+
+const PATH_LOCATION = /^(Path|Door) (\d+):\s*(.+?)\s*→\s*(.+)$/
+
+const normalizeSeverity = (severity) => (severity === 'warning' ? 'warning' : 'critical')
+const worse = (a, b) => (!a ? b : ISSUE_SEVERITIES.indexOf(a) <= ISSUE_SEVERITIES.indexOf(b) ? a : b)
+
+export class ComplianceOverlayService {
+  /**
+   * Resolve an issue location to elements of the layout
+   * @param {string} location - Issue location
+   * @param {Object} layoutData - Layout data the issue was found in
+   * @returns {Object|null} { kind: 'room', roomIds }, { kind: 'path', index } or { kind: 'door', index }
+   */
+  static locate(location, layoutData = {}) {
+    if (!location) return null
+    const rooms = layoutData.rooms || []
+
+    const pathMatch = location.match(PATH_LOCATION)
+    if (pathMatch) {
+      const [, label, number, from, to] = pathMatch
+      // Door issues name circulation paths in layouts that predate doors
+      const [kind, list] = label === 'Door' && Array.isArray(layoutData.doors)
+        ? ['door', layoutData.doors]
+        : ['path', layoutData.circulation || []]
+      const index = Number(number) - 1
+      const sameEnds = item => item && item.from === from && item.to === to
+      if (sameEnds(list[index])) return { kind, index }
+
+      // Numbering is positional; fall back to the endpoints if the list has changed since
+      const byEnds = list.findIndex(sameEnds)
+      if (byEnds >= 0) return { kind, index: byEnds }
+      return list[index] ? { kind, index } : null
+    }
+
+    // Room names are not unique (two "Bedroom"s), so a location may point at several rooms
+    const name = location.trim().toLowerCase()
+    const roomIds = rooms.filter(room => room.name?.trim().toLowerCase() === name).map(room => room.id)
+    return roomIds.length > 0 ? { kind: 'room', roomIds } : null
+  }
+
+  /**
+   * Resolve every issue and warning, and the worst severity per room, path and door
+   * @param {Object} complianceResults - Result of checkBuildingCodeCompliance
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} { entries, rooms: { [roomId]: severity }, paths: { [index]: severity },
+   *   doors: { [index]: severity } }
+   */
+  static build(complianceResults, layoutData) {
+    const entries = [
+      ...(complianceResults?.issues || []).map((issue, index) => ({ key: `issue-${index}`, issue })),
+      ...(complianceResults?.warnings || []).map((issue, index) => ({ key: `warning-${index}`, issue }))
+    ].map(entry => ({
+      ...entry,
+      severity: normalizeSeverity(entry.issue.severity),
+      target: this.locate(entry.issue.location, layoutData)
+    }))
+
+    const rooms = {}
+    const paths = {}
+    const doors = {}
+    entries.forEach(({ severity, target }) => {
+      if (target?.kind === 'room') {
+        target.roomIds.forEach(roomId => { rooms[roomId] = worse(rooms[roomId], severity) })
+      } else if (target?.kind === 'path') {
+        paths[target.index] = worse(paths[target.index], severity)
+      } else if (target?.kind === 'door') {
+        doors[target.index] = worse(doors[target.index], severity)
+      }
+    })
+
+    return { entries, rooms, paths, doors }
+  }
+
+  /**
+   * Area to zoom to for a located issue, with some surrounding context
+   * @param {Object} target - Result of locate
+   * @param {Object} layoutData - Layout data
+   * @returns {Object|null} { x, y, width, height } in drawing units
+   */
+  static getTargetBounds(target, layoutData = {}) {
+    const rooms = layoutData.rooms || []
+    const center = room => [room.x + room.width / 2, room.y + room.height / 2]
+    let points = []
+
+    if (target?.kind === 'room') {
+      rooms
+        .filter(room => target.roomIds.includes(room.id))
+        .forEach(room => points.push([room.x, room.y], [room.x + room.width, room.y + room.height]))
+    } else if (target?.kind === 'path') {
+      const path = (layoutData.circulation || [])[target.index]
+      const ends = [path?.from, path?.to].map(id => rooms.find(room => room.id === id))
+      if (ends.every(Boolean)) points = ends.map(center)
+    } else if (target?.kind === 'door') {
+      const placed = getBuildingElementGeometry(layoutData).doors[target.index]
+      const door = placed?.door
+      // A door that fits no wall is shown between its rooms instead
+      points = placed?.opening
+        ? [placed.opening.start, placed.opening.end]
+        : rooms.filter(room => room.id === door?.from || room.id === door?.to).map(center)
+    }
+    if (points.length === 0) return null
+
+    const minX = Math.min(...points.map(([x]) => x))
+    const minY = Math.min(...points.map(([, y]) => y))
+    const width = Math.max(...points.map(([x]) => x)) - minX
+    const height = Math.max(...points.map(([, y]) => y)) - minY
+    const size = Math.max(width, height, MIN_FOCUS_SIZE / (1 + FOCUS_MARGIN * 2))
+    const margin = size * FOCUS_MARGIN
+
+    return {
+      x: minX + width / 2 - size / 2 - margin,
+      y: minY + height / 2 - size / 2 - margin,
+      width: size + margin * 2,
+      height: size + margin * 2
+    }
+  }
+}
+
+// Export convenience functions
+export const locateComplianceIssue = (location, layoutData) =>
+  ComplianceOverlayService.locate(location, layoutData)
+
+export const buildComplianceOverlay = (complianceResults, layoutData) =>
+  ComplianceOverlayService.build(complianceResults, layoutData)
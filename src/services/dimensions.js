@@ -0,0 +1,202 @@
+/**
+ * Dimension Service
+ * Measured dimensions are stored on layout data as `dimensions: [{ id, points, offset }]`:
+ * a chain of two or more points in drawing units, drawn `offset` drawing units to the left
+ * of its direction of travel. A point-to-point measurement is a chain of two points.
+ * The geometry built here is shared by the viewer and the DXF and SVG exports.
+ */
+
+import { getFeetPerUnit } from './massingModel.js'
+import { UnitService } from './units.js'
+
+// Length of the 45° ticks at each end of a dimension segment, in drawing units
+export const DIMENSION_TICK_SIZE = 8
+// Extension lines run this far past the dimension line
+const EXTENSION_OVERSHOOT = 6
+// Distance from the dimension line to the middle of its text
+const TEXT_GAP = 10
+// Offset of the automatic dimensions drawn outside a room's walls
+export const ROOM_DIMENSION_OFFSET = 30
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]]
+const scale = (v, factor) => [v[0] * factor, v[1] * factor]
+
+export class DimensionService {
+  /**
+   * Format a length in feet for display: feet and inches (12' 6") or meters (3.81 m)
+   * @param {number} feet - Length in feet
+   * @param {string} unitSystem - Display unit system id (see services/units.js)
+   * @returns {string}
+   */
+  static formatLength(feet, unitSystem) {
+    return UnitService.format('length', feet, 'ft', unitSystem)
+  }
+
+  /**
+   * Segment lengths of a dimension chain
+   * @param {Object} dimension - { points }
+   * @param {number} feetPerUnit - Scale from getFeetPerUnit
+   * @returns {Object} { segments: [{ from, to, length }], total } with lengths in feet
+   */
+  static measure(dimension, feetPerUnit) {
+    const segments = dimension.points.slice(1).map((to, index) => {
+      const from = dimension.points[index]
+      return { from, to, length: Math.hypot(to[0] - from[0], to[1] - from[1]) * feetPerUnit }
+    })
+    return { segments, total: segments.reduce((sum, segment) => sum + segment.length, 0) }
+  }
+
+  /**
+   * Lines and labels that draw a dimension chain
+   * @param {Object} dimension - { points, offset }
+   * @param {number} feetPerUnit - Scale from getFeetPerUnit
+   * @param {string} unitSystem - Display unit system id for the labels
+   * @returns {Array} Per segment { line, extensions, ticks, text: { position, angle, label } };
+   *   lines are [[x1, y1], [x2, y2]], text position is the centre of the label
+   */
+  static getGeometry(dimension, feetPerUnit, unitSystem) {
+    const offset = dimension.offset || 0
+
+    return this.measure(dimension, feetPerUnit).segments
+      .filter(segment => segment.length > 0)
+      .map(({ from, to, length }) => {
+        const span = Math.hypot(to[0] - from[0], to[1] - from[1])
+        const direction = [(to[0] - from[0]) / span, (to[1] - from[1]) / span]
+        const normal = [direction[1], -direction[0]]
+        const start = add(from, scale(normal, offset))
+        const end = add(to, scale(normal, offset))
+        const tick = scale([direction[0] + normal[0], direction[1] + normal[1]], DIMENSION_TICK_SIZE / Math.SQRT2)
+        const overshoot = scale(normal, Math.sign(offset) * EXTENSION_OVERSHOOT)
+
+        // Keep text readable: never upside down, and vertical text reads bottom to top
+        let angle = Math.atan2(direction[1], direction[0]) * 180 / Math.PI
+        if (angle >= 90) angle -= 180
+        if (angle < -90) angle += 180
+
+        return {
+          line: [start, end],
+          extensions: offset === 0 ? [] : [[from, add(start, overshoot)], [to, add(end, overshoot)]],
+          ticks: [start, end].map(point => [add(point, scale(tick, -0.5)), add(point, scale(tick, 0.5))]),
+          text: {
+            position: add(scale(add(start, end), 0.5), scale(normal, TEXT_GAP)),
+            angle,
+            label: this.formatLength(length, unitSystem)
+          }
+        }
+      })
+  }
+
+  /**
+   * Width and depth dimensions drawn outside the top and left walls of a room
+   * @param {Object} room - Room
+   * @returns {Array} Dimensions
+   */
+  static getRoomDimensions(room) {
+    return [
+      {
+        id: `${room.id}-width`,
+        points: [[room.x, room.y], [room.x + room.width, room.y]],
+        offset: ROOM_DIMENSION_OFFSET
+      },
+      {
+        id: `${room.id}-depth`,
+        points: [[room.x, room.y + room.height], [room.x, room.y]],
+        offset: ROOM_DIMENSION_OFFSET
+      }
+    ]
+  }
+
+  /**
+   * Snap a point to the nearest room corner, else the nearest wall, within a tolerance
+   * @param {Array} point - [x, y]
+   * @param {Array} rooms - Rooms
+   * @param {number} tolerance - Drawing units
+   * @returns {Array} [x, y]
+   */
+  static snapPoint(point, rooms, tolerance) {
+    const corners = rooms.flatMap(room => [
+      [room.x, room.y], [room.x + room.width, room.y],
+      [room.x, room.y + room.height], [room.x + room.width, room.y + room.height]
+    ])
+    const corner = this.nearest(corners, point)
+    if (corner && Math.hypot(corner[0] - point[0], corner[1] - point[1]) <= tolerance) return corner
+
+    const wall = this.findNearestWall(point, rooms, tolerance)
+    return wall ? wall.point : point
+  }
+
+  /**
+   * Nearest wall to a point
+   * @param {Array} point - [x, y]
+   * @param {Array} rooms - Rooms
+   * @param {number} tolerance - Maximum distance, in drawing units
+   * @param {string} orientation - Only consider 'vertical' or 'horizontal' walls
+   * @returns {Object|null} { orientation, position, point } where position is the wall's x
+   *   (vertical) or y (horizontal) and point is the foot of the perpendicular
+   */
+  static findNearestWall(point, rooms, tolerance = Infinity, orientation = null) {
+    const [x, y] = point
+    let best = null
+
+    const consider = (candidate, distance) => {
+      if (distance <= tolerance && (!best || distance < best.distance)) best = { ...candidate, distance }
+    }
+
+    rooms.forEach(room => {
+      const clampX = Math.min(room.x + room.width, Math.max(room.x, x))
+      const clampY = Math.min(room.y + room.height, Math.max(room.y, y))
+      if (orientation !== 'horizontal') {
+        ;[room.x, room.x + room.width].forEach(wallX => consider(
+          { orientation: 'vertical', position: wallX, point: [wallX, clampY] },
+          Math.hypot(x - wallX, y - clampY)
+        ))
+      }
+      if (orientation !== 'vertical') {
+        ;[room.y, room.y + room.height].forEach(wallY => consider(
+          { orientation: 'horizontal', position: wallY, point: [clampX, wallY] },
+          Math.hypot(x - clampX, y - wallY)
+        ))
+      }
+    })
+
+    if (!best) return null
+    const { distance, ...wall } = best
+    return wall
+  }
+
+  /**
+   * Perpendicular measurement between the wall nearest the start point and the parallel
+   * wall nearest the end point
+   * @param {Array} start - [x, y] near the first wall
+   * @param {Array} end - [x, y] near the second wall
+   * @param {Array} rooms - Rooms
+   * @returns {Array|null} Points [[x1, y1], [x2, y2]] of an axis-aligned dimension
+   */
+  static measureWallToWall(start, end, rooms) {
+    const first = this.findNearestWall(start, rooms)
+    if (!first) return null
+    const second = this.findNearestWall(end, rooms, Infinity, first.orientation)
+    if (!second) return null
+
+    const [x, y] = first.point
+    return first.orientation === 'vertical'
+      ? [[first.position, y], [second.position, y]]
+      : [[x, first.position], [x, second.position]]
+  }
+
+  static nearest(points, [x, y]) {
+    return points.reduce((best, candidate) =>
+      !best || Math.hypot(candidate[0] - x, candidate[1] - y) < Math.hypot(best[0] - x, best[1] - y)
+        ? candidate
+        : best, null)
+  }
+}
+
+// Export convenience functions
+export const getDimensionGeometry = (dimension, layoutData, unitSystem) =>
+  DimensionService.getGeometry(dimension, getFeetPerUnit(layoutData), unitSystem)
+
+export const measureDimension = (dimension, layoutData) =>
+  DimensionService.measure(dimension, getFeetPerUnit(layoutData))
+
+export const formatDimensionLength = (feet, unitSystem) => DimensionService.formatLength(feet, unitSystem)
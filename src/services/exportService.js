@@ -3,21 +3,54 @@
  * Handles exporting layouts to various formats (DXF, SVG, PDF, etc.)
  */
 
+import { getPerformanceMetricDefinitions } from './performanceService.js'
+import { formatMetricValue } from './metricRegistry.js'
+import { getDimensionGeometry } from './dimensions.js'
+import { BuildingElementsService, getBuildingElementGeometry } from './buildingElements.js'
+import { getFeetPerUnit } from './massingModel.js'
+import { UnitService } from './units.js'
+
+// Room for dimensions drawn outside the rooms when fitting the SVG viewBox
+const DIMENSION_MARGIN = 50
+
+// DXF drawing units: the length unit coordinates are written in, its $INSUNITS code and the
+// unit system its dimension labels default to
+export const DXF_UNITS = {
+  inches: { unit: 'in', code: 1, unitSystem: 'imperial' },
+  feet: { unit: 'ft', code: 2, unitSystem: 'imperial' },
+  millimeters: { unit: 'mm', code: 4, unitSystem: 'metric' },
+  meters: { unit: 'm', code: 6, unitSystem: 'metric' }
+}
+// Text heights, in drawing units like the room labels in the viewer
+const DXF_ROOM_TEXT_HEIGHT = 12
+const DXF_DIMENSION_TEXT_HEIGHT = 8
+
 export class ExportService {
   /**
    * Export layout to DXF format (AutoCAD)
    * @param {Object} layoutData - Layout data with rooms and circulation
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options; units is a DXF_UNITS key (defaults to the
+   *   layout's own units) and coordinates are written at real size in it, times scale;
+   *   unitSystem sets the dimension labels (defaults to the system of units);
+   *   includeDimensions adds layoutData.dimensions on a DIMENSIONS layer; includeElements
+   *   (on by default) adds walls, doors and windows, when the layout has them, on WALLS,
+   *   DOORS and WINDOWS layers
    * @returns {string} DXF file content
    */
   static exportToDXF(layoutData, options = {}) {
     const { 
-      units = 'feet',
-      scale = 1,
+      units = layoutData.units || 'feet',
+      scale: exportScale = 1,
       includeText = true,
-      includeDimensions = false 
+      includeDimensions = false,
+      includeElements = true
     } = options
 
+    const dxfUnits = DXF_UNITS[units]
+    if (!dxfUnits) throw new Error(`Unsupported DXF units: ${units}`)
+    const unitSystem = options.unitSystem || dxfUnits.unitSystem
+    // Drawing units to real-world units
+    const scale = exportScale * UnitService.convertLength(getFeetPerUnit(layoutData), 'ft', dxfUnits.unit)
     const { rooms, circulation } = layoutData
     
     // DXF header
@@ -32,7 +65,7 @@ AC1015
 9
 $INSUNITS
 70
-1
+${dxfUnits.code}
 0
 ENDSEC
 0
@@ -44,7 +77,7 @@ TABLE
 2
 LAYER
 70
-2
+7
 0
 LAYER
 2
@@ -76,6 +109,46 @@ TEXT
 6
 CONTINUOUS
 0
+LAYER
+2
+DIMENSIONS
+70
+0
+62
+3
+6
+CONTINUOUS
+0
+LAYER
+2
+WALLS
+70
+0
+62
+8
+6
+CONTINUOUS
+0
+LAYER
+2
+DOORS
+70
+0
+62
+4
+6
+CONTINUOUS
+0
+LAYER
+2
+WINDOWS
+70
+0
+62
+5
+6
+CONTINUOUS
+0
 ENDTAB
 0
 ENDSEC
@@ -134,7 +207,7 @@ ${x + width / 2}
 20
 ${y + height / 2}
 40
-12
+${DXF_ROOM_TEXT_HEIGHT * scale}
 1
 ${room.name}
 50
@@ -145,6 +218,21 @@ STANDARD
       }
     })
 
+    // Walls as polylines of their real thickness, broken at openings
+    if (includeElements && BuildingElementsService.hasElements(layoutData)) {
+      const { walls, doors, windows } = getBuildingElementGeometry(layoutData)
+      walls.forEach(wall => wall.segments.forEach(segment => {
+        dxf += this.formatDXFPolyline('WALLS', segment, wall.width, scale)
+      }))
+      doors.filter(({ wall }) => wall).forEach(({ leaves, arcs }) => {
+        leaves.forEach(leaf => { dxf += this.formatDXFLine('DOORS', leaf, scale) })
+        arcs.forEach(arc => { dxf += this.formatDXFArc('DOORS', arc, scale) })
+      })
+      windows.filter(({ wall }) => wall).forEach(({ panes }) => {
+        panes.forEach(pane => { dxf += this.formatDXFLine('WINDOWS', pane, scale) })
+      })
+    }
+
     // Export circulation paths as lines
     circulation.forEach(path => {
       const fromRoom = rooms.find(r => r.id === path.from)
@@ -172,6 +260,42 @@ ${y2}
       }
     })
 
+    // Dimensions as plain lines and text, which every DXF reader understands
+    if (includeDimensions) {
+      ;(layoutData.dimensions || []).forEach(dimension => {
+        getDimensionGeometry(dimension, layoutData, unitSystem).forEach(segment => {
+          ;[segment.line, ...segment.extensions, ...segment.ticks].forEach(line => {
+            dxf += this.formatDXFLine('DIMENSIONS', line, scale)
+          })
+
+          const [textX, textY] = segment.text.position
+          dxf += `0
+TEXT
+8
+DIMENSIONS
+10
+${textX * scale}
+20
+${textY * scale}
+40
+${DXF_DIMENSION_TEXT_HEIGHT * scale}
+1
+${segment.text.label}
+50
+${segment.text.angle}
+72
+1
+73
+2
+11
+${textX * scale}
+21
+${textY * scale}
+`
+        })
+      })
+    }
+
     // DXF footer
     dxf += `0
 ENDSEC
@@ -181,10 +305,91 @@ EOF`
     return dxf
   }
 
+  /**
+   * DXF LINE entity
+   * @param {string} layer - Layer name
+   * @param {Array} line - [[x1, y1], [x2, y2]] in drawing units
+   * @param {number} scale - Export scale
+   * @returns {string} DXF entity
+   */
+  static formatDXFLine(layer, [[x1, y1], [x2, y2]], scale = 1) {
+    return `0
+LINE
+8
+${layer}
+10
+${x1 * scale}
+20
+${y1 * scale}
+11
+${x2 * scale}
+21
+${y2 * scale}
+`
+  }
+
+  /**
+   * DXF LWPOLYLINE entity for a straight segment drawn at a constant width
+   * @param {string} layer - Layer name
+   * @param {Array} line - [[x1, y1], [x2, y2]] in drawing units
+   * @param {number} width - Line width in drawing units
+   * @param {number} scale - Export scale
+   * @returns {string} DXF entity
+   */
+  static formatDXFPolyline(layer, [[x1, y1], [x2, y2]], width, scale = 1) {
+    return `0
+LWPOLYLINE
+8
+${layer}
+90
+2
+70
+0
+43
+${width * scale}
+10
+${x1 * scale}
+20
+${y1 * scale}
+10
+${x2 * scale}
+20
+${y2 * scale}
+`
+  }
+
+  /**
+   * DXF ARC entity
+   * @param {string} layer - Layer name
+   * @param {Object} arc - { center, radius, startAngle, endAngle } with angles in degrees,
+   *   counterclockwise from start to end
+   * @param {number} scale - Export scale
+   * @returns {string} DXF entity
+   */
+  static formatDXFArc(layer, { center: [x, y], radius, startAngle, endAngle }, scale = 1) {
+    return `0
+ARC
+8
+${layer}
+10
+${x * scale}
+20
+${y * scale}
+40
+${radius * scale}
+50
+${startAngle}
+51
+${endAngle}
+`
+  }
+
   /**
    * Export layout to SVG format
    * @param {Object} layoutData - Layout data with rooms and circulation
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options; includeDimensions adds layoutData.dimensions,
+   *   labelled in unitSystem; includeElements (on by default) adds walls, doors and windows
+   *   when the layout has them
    * @returns {string} SVG content
    */
   static exportToSVG(layoutData, options = {}) {
@@ -196,13 +401,27 @@ EOF`
       backgroundColor = '#ffffff',
       roomColor = '#e5e7eb',
       roomStroke = '#374151',
-      circulationColor = '#3b82f6'
+      circulationColor = '#3b82f6',
+      dimensionColor = '#be185d',
+      wallColor = '#374151',
+      windowColor = '#0284c7',
+      includeDimensions = false,
+      includeElements = true,
+      unitSystem
     } = options
 
     const { rooms, circulation } = layoutData
+    const dimensions = includeDimensions ? layoutData.dimensions || [] : []
     
     // Calculate bounds
-    const bounds = this.calculateBounds(rooms)
+    const roomBounds = this.calculateBounds(rooms)
+    const margin = dimensions.length > 0 ? DIMENSION_MARGIN : 0
+    const bounds = {
+      minX: roomBounds.minX - margin,
+      minY: roomBounds.minY - margin,
+      maxX: roomBounds.maxX + margin,
+      maxY: roomBounds.maxY + margin
+    }
     const viewBox = `${bounds.minX * scale} ${bounds.minY * scale} ${(bounds.maxX - bounds.minX) * scale} ${(bounds.maxY - bounds.minY) * scale}`
 
     let svg = `<?xml version="1.0" encoding="UTF-8"?>
@@ -212,6 +431,13 @@ EOF`
       .room { fill: ${roomColor}; stroke: ${roomStroke}; stroke-width: 2; }
       .room-text { font-family: Arial, sans-serif; font-size: 14px; text-anchor: middle; dominant-baseline: middle; }
       .circulation { stroke: ${circulationColor}; stroke-width: 3; }
+      .wall { stroke: ${wallColor}; }
+      .wall-interior { stroke-opacity: 0.6; }
+      .door { stroke: ${wallColor}; stroke-width: 1.5; fill: none; }
+      .door-swing { stroke: ${wallColor}; stroke-width: 1; stroke-dasharray: 3,3; fill: none; }
+      .window { stroke: ${windowColor}; stroke-width: 1.5; }
+      .dimension { stroke: ${dimensionColor}; stroke-width: 1; }
+      .dimension-text { font-family: Arial, sans-serif; font-size: 11px; fill: ${dimensionColor}; text-anchor: middle; dominant-baseline: middle; }
     </style>
   </defs>
   <rect width="100%" height="100%" fill="${backgroundColor}"/>
@@ -231,6 +457,27 @@ EOF`
       }
     })
 
+    // Export walls, doors and windows
+    if (includeElements && BuildingElementsService.hasElements(layoutData)) {
+      const { walls, doors, windows } = getBuildingElementGeometry(layoutData)
+      const line = ([[x1, y1], [x2, y2]], attributes) =>
+        `  <line x1="${x1 * scale}" y1="${y1 * scale}" x2="${x2 * scale}" y2="${y2 * scale}" ${attributes}/>\n`
+
+      walls.forEach(wall => wall.segments.forEach(segment => {
+        svg += line(segment, `stroke-width="${wall.width * scale}" class="wall wall-${wall.type}"`)
+      }))
+      windows.filter(({ wall }) => wall).forEach(({ panes }) => {
+        panes.forEach(pane => { svg += line(pane, 'class="window"') })
+      })
+      doors.filter(({ wall }) => wall).forEach(({ leaves, arcs }) => {
+        leaves.forEach(leaf => { svg += line(leaf, 'class="door"') })
+        arcs.forEach(({ from, to, radius }) => {
+          const r = radius * scale
+          svg += `  <path d="M ${from[0] * scale} ${from[1] * scale} A ${r} ${r} 0 0 1 ${to[0] * scale} ${to[1] * scale}" class="door-swing"/>\n`
+        })
+      })
+    }
+
     // Export circulation paths
     circulation.forEach(path => {
       const fromRoom = rooms.find(r => r.id === path.from)
@@ -246,6 +493,17 @@ EOF`
       }
     })
 
+    // Export dimensions
+    dimensions.forEach(dimension => {
+      getDimensionGeometry(dimension, layoutData, unitSystem).forEach(segment => {
+        ;[segment.line, ...segment.extensions, ...segment.ticks].forEach(([[x1, y1], [x2, y2]]) => {
+          svg += `  <line x1="${x1 * scale}" y1="${y1 * scale}" x2="${x2 * scale}" y2="${y2 * scale}" class="dimension"/>\n`
+        })
+        const [x, y] = segment.text.position.map(value => value * scale)
+        svg += `  <text x="${x}" y="${y}" transform="rotate(${segment.text.angle} ${x} ${y})" class="dimension-text">${segment.text.label.replace(/"/g, '&quot;')}</text>\n`
+      })
+    })
+
     svg += '</svg>'
     return svg
   }
@@ -254,20 +512,25 @@ EOF`
    * Export layout to PDF format (simplified - generates HTML that can be printed to PDF)
    * @param {Object} layoutData - Layout data
    * @param {Object} projectInfo - Project information
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options; unitSystem sets the units areas and
+   *   dimensions are shown in
    * @returns {string} HTML content for PDF generation
    */
   static exportToPDF(layoutData, projectInfo = {}, options = {}) {
     const { 
       includeMetrics = true,
       includeCompliance = true,
-      includeRecommendations = true 
+      includeRecommendations = true,
+      includeDimensions = false,
+      unitSystem
     } = options
 
     const svg = this.exportToSVG(layoutData, { 
       width: 600, 
       height: 400,
-      backgroundColor: '#ffffff'
+      backgroundColor: '#ffffff',
+      includeDimensions,
+      unitSystem
     })
 
     let html = `<!DOCTYPE html>
@@ -299,7 +562,7 @@ EOF`
         <h2>Project Information</h2>
         <p><strong>Project Name:</strong> ${projectInfo.name || 'Untitled Project'}</p>
         <p><strong>Layout Name:</strong> ${projectInfo.layoutName || 'Layout'}</p>
-        <p><strong>Total Area:</strong> ${this.calculateTotalArea(layoutData.rooms)} sq ft</p>
+        <p><strong>Total Area:</strong> ${UnitService.formatLayoutValue(layoutData, 'area', this.calculateTotalArea(layoutData.rooms), unitSystem)}</p>
         <p><strong>Number of Rooms:</strong> ${layoutData.rooms?.length || 0}</p>
     </div>
 
@@ -314,18 +577,18 @@ EOF`
     <div class="section">
         <h3>Performance Metrics</h3>
         <div class="metrics">
+            ${projectInfo.metrics.overallScore !== undefined ? `
             <div class="metric-card">
-                <div class="metric-value">${projectInfo.metrics.circulationEfficiency}%</div>
-                <div class="metric-label">Circulation Efficiency</div>
-            </div>
-            <div class="metric-card">
-                <div class="metric-value">${projectInfo.metrics.daylightHours}h</div>
-                <div class="metric-label">Daylight Hours</div>
-            </div>
+                <div class="metric-value">${projectInfo.metrics.overallScore}</div>
+                <div class="metric-label">Overall Score</div>
+            </div>` : ''}
+            ${getPerformanceMetricDefinitions()
+              .filter(metric => projectInfo.metrics[metric.id] !== undefined)
+              .map(metric => `
             <div class="metric-card">
-                <div class="metric-value">${projectInfo.metrics.energyEfficiency}%</div>
-                <div class="metric-label">Energy Efficiency</div>
-            </div>
+                <div class="metric-value">${formatMetricValue(metric.id, projectInfo.metrics[metric.id])}</div>
+                <div class="metric-label">${metric.label}</div>
+            </div>`).join('')}
         </div>
     </div>`
     }
@@ -365,21 +628,35 @@ EOF`
 
   /**
    * Export room schedule as CSV
-   * @param {Array} rooms - Array of room objects
+   * @param {Object} layoutData - Layout data with rooms
+   * @param {Object} options - { unitSystem } for areas and sizes; positions stay in drawing units
    * @returns {string} CSV content
    */
-  static exportRoomScheduleToCSV(rooms) {
-    const headers = ['Room ID', 'Room Name', 'Area (sq ft)', 'Width (ft)', 'Height (ft)', 'X Position', 'Y Position']
+  static exportRoomScheduleToCSV(layoutData, options = {}) {
+    const system = UnitService.getSystem(options.unitSystem)
+    const feetPerUnit = getFeetPerUnit(layoutData)
+    const area = value => UnitService.round(UnitService.fromLayout(layoutData, 'area', value, system.area), system.area)
+    // Room sizes are in drawing units
+    const length = value => UnitService.round(UnitService.convertLength(value * feetPerUnit, 'ft', system.length), system.length)
+    const headers = [
+      'Room ID',
+      'Room Name',
+      `Area (${UnitService.getUnitLabel(system.area)})`,
+      `Width (${UnitService.getUnitLabel(system.length)})`,
+      `Height (${UnitService.getUnitLabel(system.length)})`,
+      'X Position',
+      'Y Position'
+    ]
     
     let csv = headers.join(',') + '\n'
     
-    rooms.forEach(room => {
+    ;(layoutData.rooms || []).forEach(room => {
       const row = [
         room.id,
         `"${room.name}"`,
-        room.area,
-        room.width,
-        room.height,
+        area(room.area),
+        length(room.width),
+        length(room.height),
         room.x,
         room.y
       ]
@@ -420,9 +697,10 @@ EOF`
    * @param {Object} layoutData - Layout data
    * @param {Object} projectInfo - Project information
    * @param {Array} formats - Array of format strings
+   * @param {Object} options - Options passed to the DXF, SVG, PDF and CSV exporters
    * @returns {Object} Export results
    */
-  static async exportMultipleFormats(layoutData, projectInfo, formats = ['svg', 'dxf', 'json']) {
+  static async exportMultipleFormats(layoutData, projectInfo, formats = ['svg', 'dxf', 'json'], options = {}) {
     const results = {}
     const timestamp = new Date().toISOString().slice(0, 10)
     const projectName = projectInfo.name?.replace(/[^a-zA-Z0-9]/g, '_') || 'layout'
@@ -433,19 +711,19 @@ EOF`
 
         switch (format.toLowerCase()) {
           case 'dxf':
-            content = this.exportToDXF(layoutData)
+            content = this.exportToDXF(layoutData, options)
             mimeType = 'application/dxf'
             extension = 'dxf'
             break
 
           case 'svg':
-            content = this.exportToSVG(layoutData)
+            content = this.exportToSVG(layoutData, options)
             mimeType = 'image/svg+xml'
             extension = 'svg'
             break
 
           case 'pdf':
-            content = this.exportToPDF(layoutData, projectInfo)
+            content = this.exportToPDF(layoutData, projectInfo, options)
             mimeType = 'text/html'
             extension = 'html'
             break
@@ -457,7 +735,7 @@ EOF`
             break
 
           case 'csv':
-            content = this.exportRoomScheduleToCSV(layoutData.rooms)
+            content = this.exportRoomScheduleToCSV(layoutData, options)
             mimeType = 'text/csv'
             extension = 'csv'
             break
@@ -576,8 +854,8 @@ export const exportLayoutToSVG = (layoutData, options) =>
 export const exportLayoutToPDF = (layoutData, projectInfo, options) => 
   ExportService.exportToPDF(layoutData, projectInfo, options)
 
-export const downloadLayoutFile = (layoutData, projectInfo, format) => {
-  const results = ExportService.exportMultipleFormats(layoutData, projectInfo, [format])
+export const downloadLayoutFile = async (layoutData, projectInfo, format, options) => {
+  const results = await ExportService.exportMultipleFormats(layoutData, projectInfo, [format], options)
   const result = results[format]
   
   if (result.success) {
@@ -0,0 +1,146 @@
+/**
+ * Layout Comparison Service
+ * Side-by-side tables for two to four layouts of one project, built from each record's
+ * performance metrics and compliance results.
+ */
+
+import { getMetrics, formatMetricValue } from './metricRegistry.js'
+
+export const MIN_COMPARED_LAYOUTS = 2
+export const MAX_COMPARED_LAYOUTS = 4
+
+const humanize = (type) => {
+  const text = type.replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+// Indices holding the best value; empty when every layout scores the same
+const bestIndices = (values, higherIsBetter = true) => {
+  const numbers = values.filter(value => typeof value === 'number')
+  if (numbers.length < 2) return []
+
+  const best = higherIsBetter ? Math.max(...numbers) : Math.min(...numbers)
+  if (numbers.every(value => value === best)) return []
+  return values.reduce((indices, value, index) => value === best ? [...indices, index] : indices, [])
+}
+
+export class LayoutComparisonService {
+  /**
+   * Check that a set of layouts can be compared
+   * @param {Array} layouts - Layout records
+   * @returns {string|null} Problem description, or null when comparable
+   */
+  static validate(layouts) {
+    if (layouts.length < MIN_COMPARED_LAYOUTS) {
+      return `Select at least ${MIN_COMPARED_LAYOUTS} layouts to compare`
+    }
+    if (layouts.length > MAX_COMPARED_LAYOUTS) {
+      return `At most ${MAX_COMPARED_LAYOUTS} layouts can be compared at once`
+    }
+    if (new Set(layouts.map(layout => layout.projectId)).size > 1) {
+      return 'Only layouts from the same project can be compared'
+    }
+    return null
+  }
+
+  /**
+   * Metric table: overall score plus every registered metric
+   * @param {Array} layouts - Layout records with performanceMetrics
+   * @returns {Array} { id, label, values, display, best }
+   */
+  static buildMetricTable(layouts) {
+    const rows = [
+      { id: 'overallScore', label: 'Overall Score', format: value => value ?? '—' },
+      ...getMetrics().map(metric => ({
+        id: metric.id,
+        label: metric.label,
+        format: value => formatMetricValue(metric.id, value)
+      }))
+    ]
+
+    return rows.map(({ id, label, format }) => {
+      const values = layouts.map(layout => layout.performanceMetrics?.[id])
+      return { id, label, values, display: values.map(format), best: bestIndices(values) }
+    })
+  }
+
+  /**
+   * Compliance table: status, checks passed, issue counts and a row per check type
+   * @param {Array} layouts - Layout records with complianceResults
+   * @returns {Array} { id, label, values, display, best, details }
+   */
+  static buildComplianceTable(layouts) {
+    const results = layouts.map(layout => layout.complianceResults || {
+      status: layout.complianceStatus,
+      issues: [],
+      warnings: [],
+      summary: { passed: 0, totalChecks: 0 }
+    })
+
+    const rate = summary => summary.totalChecks > 0
+      ? Math.round((summary.passed / summary.totalChecks) * 100)
+      : null
+
+    const rows = [
+      {
+        id: 'status',
+        label: 'Status',
+        values: results.map(result => result.status),
+        display: results.map(result => result.status || '—'),
+        best: []
+      },
+      {
+        id: 'passed',
+        label: 'Checks passed',
+        values: results.map(result => rate(result.summary)),
+        display: results.map(result => `${result.summary.passed} of ${result.summary.totalChecks}`),
+        best: bestIndices(results.map(result => rate(result.summary)))
+      },
+      {
+        id: 'issues',
+        label: 'Issues',
+        values: results.map(result => result.issues.length),
+        display: results.map(result => String(result.issues.length)),
+        best: bestIndices(results.map(result => result.issues.length), false)
+      },
+      {
+        id: 'warnings',
+        label: 'Warnings',
+        values: results.map(result => result.warnings.length),
+        display: results.map(result => String(result.warnings.length)),
+        best: bestIndices(results.map(result => result.warnings.length), false)
+      }
+    ]
+
+    // One row per kind of finding that occurs in any of the layouts
+    const findingsByType = results.map(result => [...result.issues, ...result.warnings].reduce((byType, finding) => {
+      byType[finding.type] = [...(byType[finding.type] || []), finding.message]
+      return byType
+    }, {}))
+    const types = [...new Set(findingsByType.flatMap(byType => Object.keys(byType)))]
+
+    types.forEach(type => {
+      const values = findingsByType.map(byType => (byType[type] || []).length)
+      rows.push({
+        id: `type:${type}`,
+        label: humanize(type),
+        values,
+        display: values.map(String),
+        best: bestIndices(values, false),
+        details: findingsByType.map(byType => byType[type] || [])
+      })
+    })
+
+    return rows
+  }
+}
+
+// Export convenience functions
+export const validateLayoutComparison = (layouts) =>
+  LayoutComparisonService.validate(layouts)
+
+export const buildMetricComparison = (layouts) =>
+  LayoutComparisonService.buildMetricTable(layouts)
+
+export const buildComplianceComparison = (layouts) =>
+  LayoutComparisonService.buildComplianceTable(layouts)
@@ -0,0 +1,215 @@
+/**
+ * Layout Diff Service
+ * Compares two versions of a layout (revisions or variations): which rooms were added,
+ * removed, moved or resized, how circulation changed, and the resulting area and metric deltas.
+ */
+
+import { getMetrics } from './metricRegistry.js'
+import { UnitService } from './units.js'
+
+// Geometry changes smaller than this (in layout units) are treated as unchanged
+const GEOMETRY_TOLERANCE = 0.5
+
+export const ROOM_CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  resized: 'Resized',
+  'moved-resized': 'Moved & resized',
+  renamed: 'Renamed',
+  unchanged: 'Unchanged'
+}
+
+const round = (value) => Math.round(value * 10) / 10
+const changed = (a, b) => Math.abs(a - b) > GEOMETRY_TOLERANCE
+const edgeKey = (path) => [path.from, path.to].sort().join('|')
+
+export class LayoutDiffService {
+  /**
+   * Diff two layouts
+   * @param {Object} baseLayout - Layout data to compare against
+   * @param {Object} targetLayout - Layout data being inspected
+   * @returns {Object} { rooms, circulation, summary }, with areas and widths in the target's units
+   */
+  static diff(baseLayout = {}, targetLayout = {}) {
+    baseLayout = UnitService.convertLayout(baseLayout, targetLayout.units)
+    const rooms = this.diffRooms(baseLayout.rooms || [], targetLayout.rooms || [])
+    const circulation = this.diffCirculation(
+      baseLayout.circulation || [],
+      targetLayout.circulation || [],
+      rooms
+    )
+
+    const count = status => rooms.filter(room => room.status === status).length
+    const areaBefore = (baseLayout.rooms || []).reduce((sum, room) => sum + room.area, 0)
+    const areaAfter = (targetLayout.rooms || []).reduce((sum, room) => sum + room.area, 0)
+
+    return {
+      rooms,
+      circulation,
+      summary: {
+        added: count('added'),
+        removed: count('removed'),
+        moved: count('moved') + count('moved-resized'),
+        resized: count('resized') + count('moved-resized'),
+        renamed: count('renamed'),
+        circulationChanges: circulation.added.length + circulation.removed.length + circulation.changed.length,
+        areaBefore: round(areaBefore),
+        areaAfter: round(areaAfter),
+        areaDelta: round(areaAfter - areaBefore),
+        hasChanges: rooms.some(room => room.status !== 'unchanged') ||
+          circulation.added.length + circulation.removed.length + circulation.changed.length > 0
+      }
+    }
+  }
+
+  /**
+   * Match rooms by id (falling back to name) and classify each change
+   * @param {Array} baseRooms - Rooms before
+   * @param {Array} targetRooms - Rooms after
+   * @returns {Array} { id, name, status, before, after, delta }
+   */
+  static diffRooms(baseRooms, targetRooms) {
+    const unmatchedBase = new Map(baseRooms.map(room => [room.id, room]))
+    const pairs = []
+
+    targetRooms.forEach(room => {
+      if (unmatchedBase.has(room.id)) {
+        pairs.push([unmatchedBase.get(room.id), room])
+        unmatchedBase.delete(room.id)
+      } else {
+        pairs.push([null, room])
+      }
+    })
+
+    // Regenerated layouts may renumber ids; pair leftovers with the same room name
+    pairs.forEach(pair => {
+      if (pair[0]) return
+      const name = pair[1].name?.toLowerCase()
+      const match = [...unmatchedBase.values()].find(room => room.name?.toLowerCase() === name)
+      if (match) {
+        pair[0] = match
+        unmatchedBase.delete(match.id)
+      }
+    })
+
+    const results = pairs.map(([before, after]) => this.classifyRoom(before, after))
+    unmatchedBase.forEach(room => results.push(this.classifyRoom(room, null)))
+
+    return results
+  }
+
+  /**
+   * Classify a single room change
+   * @param {Object|null} before - Room before
+   * @param {Object|null} after - Room after
+   * @returns {Object} Room change
+   */
+  static classifyRoom(before, after) {
+    const room = after || before
+
+    if (!before || !after) {
+      return {
+        id: room.id,
+        name: room.name,
+        status: before ? 'removed' : 'added',
+        before,
+        after,
+        delta: { x: 0, y: 0, width: 0, height: 0, area: round(after ? after.area : -before.area) }
+      }
+    }
+
+    const moved = changed(before.x, after.x) || changed(before.y, after.y)
+    const resized = changed(before.width, after.width) || changed(before.height, after.height) ||
+      changed(before.area, after.area)
+
+    let status = 'unchanged'
+    if (moved && resized) status = 'moved-resized'
+    else if (moved) status = 'moved'
+    else if (resized) status = 'resized'
+    else if (before.name !== after.name) status = 'renamed'
+
+    return {
+      id: after.id,
+      name: after.name,
+      status,
+      before,
+      after,
+      delta: {
+        x: round(after.x - before.x),
+        y: round(after.y - before.y),
+        width: round(after.width - before.width),
+        height: round(after.height - before.height),
+        area: round(after.area - before.area)
+      }
+    }
+  }
+
+  /**
+   * Compare circulation edges. Room ids are translated through the room matching so a
+   * renumbered room does not show up as a changed connection.
+   * @param {Array} baseCirculation - Paths before
+   * @param {Array} targetCirculation - Paths after
+   * @param {Array} roomChanges - Result of diffRooms
+   * @returns {Object} { added, removed, changed }
+   */
+  static diffCirculation(baseCirculation, targetCirculation, roomChanges) {
+    const baseToTargetId = new Map(
+      roomChanges.filter(room => room.before && room.after).map(room => [room.before.id, room.after.id])
+    )
+    const translate = path => ({
+      ...path,
+      from: baseToTargetId.get(path.from) || path.from,
+      to: baseToTargetId.get(path.to) || path.to
+    })
+
+    const baseEdges = new Map(baseCirculation.map(path => [edgeKey(translate(path)), path]))
+    const targetEdges = new Map(targetCirculation.map(path => [edgeKey(path), path]))
+
+    const added = [...targetEdges.entries()]
+      .filter(([key]) => !baseEdges.has(key))
+      .map(([, path]) => path)
+    const removed = [...baseEdges.entries()]
+      .filter(([key]) => !targetEdges.has(key))
+      .map(([, path]) => translate(path))
+    const changedEdges = [...targetEdges.entries()]
+      .filter(([key, path]) => baseEdges.has(key) && changed(baseEdges.get(key).width, path.width))
+      .map(([key, path]) => ({
+        from: path.from,
+        to: path.to,
+        before: baseEdges.get(key).width,
+        after: path.width,
+        delta: round(path.width - baseEdges.get(key).width)
+      }))
+
+    return { added, removed, changed: changedEdges }
+  }
+
+  /**
+   * Per-metric before/after values for registered metrics plus the overall score
+   * @param {Object} baseMetrics - performanceMetrics before
+   * @param {Object} targetMetrics - performanceMetrics after
+   * @returns {Array} { id, label, unit, before, after, delta }
+   */
+  static compareMetrics(baseMetrics = {}, targetMetrics = {}) {
+    const rows = [
+      { id: 'overallScore', label: 'Overall Score', unit: '' },
+      ...getMetrics().map(metric => ({ id: metric.id, label: metric.label, unit: metric.unit }))
+    ]
+
+    return rows.map(row => {
+      const before = baseMetrics[row.id]
+      const after = targetMetrics[row.id]
+      const comparable = typeof before === 'number' && typeof after === 'number'
+
+      return { ...row, before, after, delta: comparable ? round(after - before) : null }
+    })
+  }
+}
+
+// Export convenience functions
+export const diffLayouts = (baseLayout, targetLayout) =>
+  LayoutDiffService.diff(baseLayout, targetLayout)
+
+export const compareLayoutMetrics = (baseMetrics, targetMetrics) =>
+  LayoutDiffService.compareMetrics(baseMetrics, targetMetrics)
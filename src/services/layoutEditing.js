@@ -0,0 +1,162 @@
+/**
+ * Layout Editing Service
+ * Geometry for direct manipulation of rooms in the layout viewer: moving, resizing by
+ * handles, and snapping edges to the drawing grid and to the walls of neighbouring rooms.
+ */
+
+// Spacing of the grid drawn behind the floor plan
+export const GRID_SIZE = 50
+
+// Edges within this distance (in drawing units) of a wall or grid line snap to it
+export const SNAP_TOLERANCE = 12
+
+// Rooms cannot be resized below one grid cell
+export const MIN_ROOM_SIZE = GRID_SIZE
+
+export const RESIZE_HANDLES = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw']
+
+const NO_SNAP = { offset: 0, guide: null }
+
+export class LayoutEditingService {
+  /**
+   * Find the smallest adjustment that puts one of the moving edges on a wall, falling
+   * back to the grid. Walls win over the grid so rooms close up against each other.
+   * @param {Array<number>} edges - Positions of the moving edges on one axis
+   * @param {Array<number>} walls - Positions of neighbouring walls on the same axis
+   * @returns {Object} { offset, guide } - guide is the wall position snapped to, if any
+   */
+  static snapAxis(edges, walls) {
+    let best = null
+
+    edges.forEach(edge => {
+      walls.forEach(wall => {
+        const offset = wall - edge
+        if (Math.abs(offset) <= SNAP_TOLERANCE && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+          best = { offset, guide: wall }
+        }
+      })
+    })
+    if (best) return best
+
+    edges.forEach(edge => {
+      const offset = Math.round(edge / GRID_SIZE) * GRID_SIZE - edge
+      if (Math.abs(offset) <= SNAP_TOLERANCE && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, guide: null }
+      }
+    })
+
+    return best || NO_SNAP
+  }
+
+  /**
+   * Wall positions of the other rooms
+   * @param {Array} others - Rooms other than the one being edited
+   * @returns {Object} { x, y } - vertical wall x positions and horizontal wall y positions
+   */
+  static getWalls(others) {
+    return {
+      x: others.flatMap(room => [room.x, room.x + room.width]),
+      y: others.flatMap(room => [room.y, room.y + room.height])
+    }
+  }
+
+  /**
+   * Move a room by a pointer offset
+   * @param {Object} room - Room as it was when the gesture started
+   * @param {number} dx - Pointer offset in drawing units
+   * @param {number} dy - Pointer offset in drawing units
+   * @param {Array} others - Rooms other than the one being moved
+   * @param {Object} options - { snap } (default true)
+   * @returns {Object} { room, guides: { x, y } }
+   */
+  static moveRoom(room, dx, dy, others, { snap = true } = {}) {
+    let x = Math.round(room.x + dx)
+    let y = Math.round(room.y + dy)
+    const guides = { x: [], y: [] }
+
+    if (snap) {
+      const walls = this.getWalls(others)
+      const snapX = this.snapAxis([x, x + room.width], walls.x)
+      const snapY = this.snapAxis([y, y + room.height], walls.y)
+      x += snapX.offset
+      y += snapY.offset
+      if (snapX.guide !== null) guides.x.push(snapX.guide)
+      if (snapY.guide !== null) guides.y.push(snapY.guide)
+    }
+
+    return { room: { ...room, x, y }, guides }
+  }
+
+  /**
+   * Resize a room by dragging one of its handles; the opposite edges stay put
+   * @param {Object} room - Room as it was when the gesture started
+   * @param {string} handle - One of RESIZE_HANDLES
+   * @param {number} dx - Pointer offset in drawing units
+   * @param {number} dy - Pointer offset in drawing units
+   * @param {Array} others - Rooms other than the one being resized
+   * @param {Object} options - { snap } (default true)
+   * @returns {Object} { room, guides: { x, y } } - room area is kept in sync with its size
+   */
+  static resizeRoom(room, handle, dx, dy, others, { snap = true } = {}) {
+    let left = room.x
+    let right = room.x + room.width
+    let top = room.y
+    let bottom = room.y + room.height
+    const guides = { x: [], y: [] }
+    const walls = this.getWalls(others)
+
+    // Snap the dragged edge, then clamp it so the room keeps its minimum size
+    const moveEdge = (position, axis, clamp) => {
+      const moved = Math.round(position)
+      const snapped = snap ? this.snapAxis([moved], walls[axis]) : NO_SNAP
+      const edge = clamp(moved + snapped.offset)
+      if (snapped.guide === edge) guides[axis].push(edge)
+      return edge
+    }
+
+    if (handle.includes('w')) left = moveEdge(left + dx, 'x', edge => Math.min(edge, right - MIN_ROOM_SIZE))
+    if (handle.includes('e')) right = moveEdge(right + dx, 'x', edge => Math.max(edge, left + MIN_ROOM_SIZE))
+    if (handle.includes('n')) top = moveEdge(top + dy, 'y', edge => Math.min(edge, bottom - MIN_ROOM_SIZE))
+    if (handle.includes('s')) bottom = moveEdge(bottom + dy, 'y', edge => Math.max(edge, top + MIN_ROOM_SIZE))
+
+    const resized = { ...room, x: left, y: top, width: right - left, height: bottom - top }
+    return { room: this.syncArea(resized, room), guides }
+  }
+
+  /**
+   * Keep a room's area in step with width × height after a resize. Drawing units and
+   * area units differ in existing layouts, so the room's original area per drawing unit
+   * is preserved rather than assuming one drawing unit is one foot.
+   * @param {Object} room - Resized room
+   * @param {Object} original - Room before the resize
+   * @returns {Object} Room with updated area
+   */
+  static syncArea(room, original) {
+    const originalFootprint = original.width * original.height
+    const scale = originalFootprint > 0 && original.area > 0 ? original.area / originalFootprint : 1
+    return { ...room, area: Math.round(room.width * room.height * scale) }
+  }
+
+  /**
+   * Replace one room in layout data
+   * @param {Object} layoutData - Layout data
+   * @param {Object} room - Updated room (matched by id)
+   * @returns {Object} New layout data
+   */
+  static replaceRoom(layoutData, room) {
+    return {
+      ...layoutData,
+      rooms: layoutData.rooms.map(candidate => candidate.id === room.id ? room : candidate)
+    }
+  }
+}
+
+// Export convenience functions
+export const moveRoom = (room, dx, dy, others, options) =>
+  LayoutEditingService.moveRoom(room, dx, dy, others, options)
+
+export const resizeRoom = (room, handle, dx, dy, others, options) =>
+  LayoutEditingService.resizeRoom(room, handle, dx, dy, others, options)
+
+export const replaceRoom = (layoutData, room) =>
+  LayoutEditingService.replaceRoom(layoutData, room)
@@ -0,0 +1,80 @@
+/**
+ * Layout Evaluation Service
+ * The single pipeline every layout goes through when it is created or modified:
+ * computes performance metrics and the full compliance report for the layout record.
+ */
+
+import { calculatePerformanceMetrics } from './performanceService.js'
+import { evaluateBuildingCodeCompliance } from './buildingCodesService.js'
+
+// Derived data that AI responses attach to layout data but which belongs on the record
+const DERIVED_KEYS = ['performanceMetrics', 'complianceResults', 'complianceHistory']
+
+export class LayoutEvaluationService {
+  /**
+   * Evaluate layout geometry against performance metrics and building codes
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @param {Object} normSettings - Project building code settings
+   * @param {Object} performanceSettings - Project performance priorities ({ priorities })
+   * @returns {Object} { performanceMetrics, complianceResults, complianceStatus }
+   */
+  static evaluate(layoutData, normSettings = {}, performanceSettings = {}) {
+    const performanceMetrics = calculatePerformanceMetrics(layoutData, {
+      buildingOrientation: { facing: 'south' },
+      accessibility: normSettings,
+      priorities: performanceSettings.priorities
+    })
+    const complianceResults = evaluateBuildingCodeCompliance(layoutData, normSettings)
+
+    return {
+      performanceMetrics,
+      complianceResults,
+      complianceStatus: complianceResults.status
+    }
+  }
+
+  /**
+   * Split derived data off layout data, leaving only geometry
+   * @param {Object} layoutData - Layout data, possibly straight from the AI service
+   * @returns {Object} { layoutData, derived }
+   */
+  static separateDerivedData(layoutData = {}) {
+    const geometry = {}
+    const derived = {}
+
+    Object.entries(layoutData).forEach(([key, value]) => {
+      if (DERIVED_KEYS.includes(key)) {
+        derived[key] = value
+      } else {
+        geometry[key] = value
+      }
+    })
+
+    return { layoutData: geometry, derived }
+  }
+
+  /**
+   * Build a layout record with fresh evaluation results
+   * @param {Object} layout - Layout record (or new layout) with layoutData
+   * @param {Object} normSettings - Project building code settings
+   * @param {Object} performanceSettings - Project performance priorities ({ priorities })
+   * @returns {Object} Layout record with performanceMetrics, complianceResults and complianceStatus
+   */
+  static buildRecord(layout, normSettings, performanceSettings) {
+    const { layoutData, derived } = this.separateDerivedData(layout.layoutData)
+
+    return {
+      ...layout,
+      layoutData,
+      ...(derived.complianceHistory && { complianceHistory: derived.complianceHistory }),
+      ...this.evaluate(layoutData, normSettings, performanceSettings)
+    }
+  }
+}
+
+// Export convenience functions
+export const evaluateLayout = (layoutData, normSettings, performanceSettings) =>
+  LayoutEvaluationService.evaluate(layoutData, normSettings, performanceSettings)
+
+export const buildLayoutRecord = (layout, normSettings, performanceSettings) =>
+  LayoutEvaluationService.buildRecord(layout, normSettings, performanceSettings)
@@ -0,0 +1,184 @@
+/**
+ * Layout History Service
+ * Every change to a layout's geometry is recorded as an immutable revision. Revisions
+ * point at their parent revision; a variation's first revision points at the revision
+ * of the layout it was branched from, so branches form one tree across layouts.
+ */
+
+export const REVISION_REASONS = {
+  generation: 'AI generation',
+  variation: 'Parameter variation',
+  edit: 'Manual edit',
+  restore: 'Restored revision',
+}
+
+const createRevisionId = () => `rev-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
+
+export class LayoutHistoryService {
+  /**
+   * Create a revision
+   * @param {Object} params - { id, layoutData, parentId, version, author, reason, note, restoredFrom, coalesceKey, createdAt }
+   *   reason: key of REVISION_REASONS
+   *   author: { id, email } of the user who made the change
+   * @returns {Object} Frozen revision
+   */
+  static createRevision({ id = createRevisionId(), layoutData, parentId = null, version = 1, author = null, reason = 'edit', note = '', restoredFrom = null, coalesceKey = null, createdAt = new Date() }) {
+    return Object.freeze({
+      id,
+      parentId,
+      version,
+      layoutData,
+      author,
+      reason,
+      note,
+      restoredFrom,
+      coalesceKey,
+      createdAt,
+    })
+  }
+
+  /**
+   * Start the history of a new layout
+   * @param {Object} layout - New layout with layoutData
+   * @param {Object} options - { author, reason, note, branchedFrom }
+   *   branchedFrom: { layoutId, revisionId } of the source when the layout is a variation
+   * @returns {Object} Layout with revisions, currentRevisionId, version and branchedFrom
+   */
+  static startHistory(layout, { author = null, reason = 'generation', note = '', branchedFrom = null } = {}) {
+    const revision = this.createRevision({
+      layoutData: layout.layoutData,
+      parentId: branchedFrom?.revisionId || null,
+      author,
+      reason,
+      note,
+      createdAt: layout.createdAt || new Date(),
+    })
+
+    return {
+      ...layout,
+      revisions: [revision],
+      currentRevisionId: revision.id,
+      version: 1,
+      branchedFrom,
+    }
+  }
+
+  /**
+   * Record a geometry change as a new revision on top of the current one. Successive
+   * commits with the same coalesceKey (one drag, say) amend the current revision instead
+   * of stacking a revision per pointer move.
+   * @param {Object} layout - Layout record with history
+   * @param {Object} layoutData - New geometry
+   * @param {Object} options - { author, reason, note, restoredFrom, coalesceKey }
+   * @returns {Object} Layout with the new revision appended and made current
+   */
+  static commit(layout, layoutData, { author = null, reason = 'edit', note = '', restoredFrom = null, coalesceKey = null } = {}) {
+    const history = layout.revisions ? layout : this.startHistory(layout)
+    const current = this.getRevision(history, history.currentRevisionId)
+
+    if (coalesceKey && current?.coalesceKey === coalesceKey) {
+      const amended = this.createRevision({ ...current, layoutData, createdAt: new Date() })
+      return {
+        ...history,
+        layoutData,
+        revisions: history.revisions.map(revision => revision.id === current.id ? amended : revision),
+      }
+    }
+
+    const version = history.revisions.reduce((max, revision) => Math.max(max, revision.version), 0) + 1
+    const revision = this.createRevision({
+      layoutData,
+      parentId: history.currentRevisionId,
+      version,
+      author,
+      reason,
+      note,
+      restoredFrom,
+      coalesceKey,
+    })
+
+    return {
+      ...history,
+      layoutData,
+      revisions: [...history.revisions, revision],
+      currentRevisionId: revision.id,
+      version,
+    }
+  }
+
+  /**
+   * Restore an earlier revision. History stays append-only: the restored geometry
+   * becomes a new revision that records which revision it came from.
+   * @param {Object} layout - Layout record with history
+   * @param {string} revisionId - Revision to restore
+   * @param {Object} author - { id, email } of the user restoring
+   * @returns {Object|null} Updated layout, or null if the revision does not exist
+   */
+  static restore(layout, revisionId, author = null) {
+    const revision = this.getRevision(layout, revisionId)
+    if (!revision) return null
+
+    return this.commit(layout, revision.layoutData, {
+      author,
+      reason: 'restore',
+      note: `Restored v${revision.version}`,
+      restoredFrom: revision.id,
+    })
+  }
+
+  /**
+   * Find a revision of a layout
+   * @param {Object} layout - Layout record with history
+   * @param {string} revisionId - Revision id
+   * @returns {Object|undefined} Revision
+   */
+  static getRevision(layout, revisionId) {
+    return (layout.revisions || []).find(revision => revision.id === revisionId)
+  }
+
+  /**
+   * Find the layout and revision a revision id belongs to
+   * @param {Array} layouts - Layout records to search
+   * @param {string} revisionId - Revision id
+   * @returns {Object|null} { layout, revision }
+   */
+  static findRevision(layouts, revisionId) {
+    for (const layout of layouts) {
+      const revision = this.getRevision(layout, revisionId)
+      if (revision) return { layout, revision }
+    }
+    return null
+  }
+
+  /**
+   * Layouts branched from a layout, grouped by the source revision id
+   * @param {Array} layouts - Layout records to search
+   * @param {string} layoutId - Source layout id
+   * @returns {Object} { [revisionId]: layouts[] }
+   */
+  static getBranches(layouts, layoutId) {
+    return layouts
+      .filter(layout => layout.branchedFrom?.layoutId === layoutId)
+      .reduce((branches, layout) => {
+        const { revisionId } = layout.branchedFrom
+        branches[revisionId] = [...(branches[revisionId] || []), layout]
+        return branches
+      }, {})
+  }
+}
+
+// Export convenience functions
+export const startLayoutHistory = (layout, options) =>
+  LayoutHistoryService.startHistory(layout, options)
+
+export const commitLayoutRevision = (layout, layoutData, options) =>
+  LayoutHistoryService.commit(layout, layoutData, options)
+
+export const restoreLayoutRevision = (layout, revisionId, author) =>
+  LayoutHistoryService.restore(layout, revisionId, author)
+
+export const findLayoutRevision = (layouts, revisionId) =>
+  LayoutHistoryService.findRevision(layouts, revisionId)
+
+export const getLayoutBranches = (layouts, layoutId) =>
+  LayoutHistoryService.getBranches(layouts, layoutId)
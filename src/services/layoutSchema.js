@@ -0,0 +1,281 @@
+/**
+ * Layout Schema Service
+ * Defines the layout data contract and validates AI-generated layouts against it
+ */
+
+import { EXTERIOR, WALL_SIDES, DOOR_SWINGS } from './buildingElements.js'
+
+export const LAYOUT_UNITS = ['feet', 'meters']
+
+// Field definitions used both for validation and for describing the schema to the model
+const ROOM_FIELDS = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  area: { type: 'number', required: true, min: 0, exclusiveMin: true },
+  x: { type: 'number', required: true },
+  y: { type: 'number', required: true },
+  width: { type: 'number', required: true, min: 0, exclusiveMin: true },
+  height: { type: 'number', required: true, min: 0, exclusiveMin: true }
+}
+
+const CIRCULATION_FIELDS = {
+  from: { type: 'string', required: true },
+  to: { type: 'string', required: true },
+  width: { type: 'number', required: true, min: 0, exclusiveMin: true }
+}
+
+// Door and window sizes are in the layout's detail unit (in or mm, see
+// BuildingElementsService.getDetailUnit in services/buildingElements.js)
+const DOOR_FIELDS = {
+  id: { type: 'string', required: true },
+  from: { type: 'string', required: true },
+  to: { type: 'string', required: true },
+  width: { type: 'number', required: true, min: 0, exclusiveMin: true },
+  swing: { type: 'string', values: DOOR_SWINGS },
+  position: { type: 'number', min: 0, max: 1 },
+  side: { type: 'string', values: WALL_SIDES }
+}
+
+const WINDOW_FIELDS = {
+  id: { type: 'string', required: true },
+  room: { type: 'string', required: true },
+  side: { type: 'string', required: true, values: WALL_SIDES },
+  width: { type: 'number', required: true, min: 0, exclusiveMin: true },
+  height: { type: 'number', min: 0, exclusiveMin: true },
+  sill: { type: 'number', min: 0 },
+  position: { type: 'number', min: 0, max: 1 }
+}
+
+const WALL_THICKNESS_FIELDS = {
+  exterior: { type: 'number', min: 0, exclusiveMin: true },
+  interior: { type: 'number', min: 0, exclusiveMin: true }
+}
+
+export class LayoutSchema {
+  /**
+   * Strip markdown code fences and surrounding prose from a model response
+   * @param {string} responseText - Raw model output
+   * @returns {string} Text most likely to contain the JSON object
+   */
+  static stripCodeFences(responseText) {
+    if (typeof responseText !== 'string') return ''
+
+    let text = responseText.trim()
+
+    // Prefer the contents of a fenced block if one exists (```json ... ``` or ``` ... ```)
+    const fenceMatch = text.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/)
+    if (fenceMatch) {
+      text = fenceMatch[1].trim()
+    }
+
+    // Trim any leading/trailing prose around the outermost object
+    const start = text.indexOf('{')
+    const end = text.lastIndexOf('}')
+    if (start !== -1 && end > start) {
+      text = text.slice(start, end + 1)
+    }
+
+    return text
+  }
+
+  /**
+   * Parse and validate a raw model response
+   * @param {string} responseText - Raw model output
+   * @returns {Object} { valid, layout, errors }
+   */
+  static parseResponse(responseText) {
+    const jsonText = this.stripCodeFences(responseText)
+    let parsed
+
+    try {
+      parsed = JSON.parse(jsonText)
+    } catch (error) {
+      return {
+        valid: false,
+        layout: null,
+        errors: [{ path: '$', message: `Response is not valid JSON: ${error.message}` }]
+      }
+    }
+
+    return this.validate(parsed)
+  }
+
+  /**
+   * Validate layout data against the layout schema
+   * @param {Object} layoutData - Candidate layout data
+   * @returns {Object} { valid, layout, errors } where errors carry a field path
+   */
+  static validate(layoutData) {
+    const errors = []
+
+    if (!layoutData || typeof layoutData !== 'object' || Array.isArray(layoutData)) {
+      errors.push({ path: '$', message: 'Layout must be a JSON object' })
+      return { valid: false, layout: null, errors }
+    }
+
+    const { rooms, circulation, doors, windows, wallThickness, units } = layoutData
+
+    if (units !== undefined && !LAYOUT_UNITS.includes(units)) {
+      errors.push({ path: 'units', message: `Must be one of: ${LAYOUT_UNITS.join(', ')}` })
+    }
+
+    if (!Array.isArray(rooms)) {
+      errors.push({ path: 'rooms', message: 'Must be an array of room objects' })
+    } else if (rooms.length === 0) {
+      errors.push({ path: 'rooms', message: 'Must contain at least one room' })
+    } else {
+      const seenIds = new Set()
+      rooms.forEach((room, index) => {
+        const path = `rooms[${index}]`
+        this.validateFields(room, ROOM_FIELDS, path, errors)
+
+        if (room && typeof room.id === 'string') {
+          if (seenIds.has(room.id)) {
+            errors.push({ path: `${path}.id`, message: `Duplicate room id "${room.id}"` })
+          }
+          seenIds.add(room.id)
+        }
+      })
+    }
+
+    const roomIds = new Set(Array.isArray(rooms) ? rooms.map(room => room?.id) : [])
+
+    if (circulation !== undefined && !Array.isArray(circulation)) {
+      errors.push({ path: 'circulation', message: 'Must be an array of circulation paths' })
+    } else if (Array.isArray(circulation)) {
+      circulation.forEach((path, index) => {
+        const fieldPath = `circulation[${index}]`
+        this.validateFields(path, CIRCULATION_FIELDS, fieldPath, errors)
+
+        if (path && typeof path === 'object') {
+          ;['from', 'to'].forEach(key => {
+            if (typeof path[key] === 'string' && !roomIds.has(path[key])) {
+              errors.push({ path: `${fieldPath}.${key}`, message: `References unknown room id "${path[key]}"` })
+            }
+          })
+        }
+      })
+    }
+
+    const checkRoom = (value, fieldPath, allowExterior = false) => {
+      if (typeof value === 'string' && !roomIds.has(value) && !(allowExterior && value === EXTERIOR)) {
+        errors.push({ path: fieldPath, message: `References unknown room id "${value}"` })
+      }
+    }
+
+    if (doors !== undefined && !Array.isArray(doors)) {
+      errors.push({ path: 'doors', message: 'Must be an array of doors' })
+    } else if (Array.isArray(doors)) {
+      doors.forEach((door, index) => {
+        const fieldPath = `doors[${index}]`
+        this.validateFields(door, DOOR_FIELDS, fieldPath, errors)
+        if (door && typeof door === 'object') {
+          checkRoom(door.from, `${fieldPath}.from`, true)
+          checkRoom(door.to, `${fieldPath}.to`, true)
+          if (door.from === EXTERIOR && door.to === EXTERIOR) {
+            errors.push({ path: fieldPath, message: `At most one side of a door can be "${EXTERIOR}"` })
+          }
+        }
+      })
+    }
+
+    if (windows !== undefined && !Array.isArray(windows)) {
+      errors.push({ path: 'windows', message: 'Must be an array of windows' })
+    } else if (Array.isArray(windows)) {
+      windows.forEach((window, index) => {
+        const fieldPath = `windows[${index}]`
+        this.validateFields(window, WINDOW_FIELDS, fieldPath, errors)
+        if (window && typeof window === 'object') checkRoom(window.room, `${fieldPath}.room`)
+      })
+    }
+
+    if (wallThickness !== undefined) {
+      this.validateFields(wallThickness, WALL_THICKNESS_FIELDS, 'wallThickness', errors)
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, layout: null, errors }
+    }
+
+    return {
+      valid: true,
+      layout: {
+        ...layoutData,
+        units: units || 'feet',
+        circulation: circulation || []
+      },
+      errors: []
+    }
+  }
+
+  /**
+   * Validate an object's fields against a field definition map
+   * @param {Object} value - Object to validate
+   * @param {Object} fields - Field definitions
+   * @param {string} path - Path prefix for error reporting
+   * @param {Array} errors - Errors array to update
+   */
+  static validateFields(value, fields, path, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path, message: 'Must be an object' })
+      return
+    }
+
+    Object.entries(fields).forEach(([key, rule]) => {
+      const fieldValue = value[key]
+      const fieldPath = `${path}.${key}`
+
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        if (rule.required) {
+          errors.push({ path: fieldPath, message: 'Is required' })
+        }
+        return
+      }
+
+      if (rule.type === 'number' && (typeof fieldValue !== 'number' || !Number.isFinite(fieldValue))) {
+        errors.push({ path: fieldPath, message: `Must be a number, got ${JSON.stringify(fieldValue)}` })
+        return
+      }
+
+      if (rule.type === 'string' && typeof fieldValue !== 'string') {
+        errors.push({ path: fieldPath, message: `Must be a string, got ${JSON.stringify(fieldValue)}` })
+        return
+      }
+
+      if (rule.values && !rule.values.includes(fieldValue)) {
+        errors.push({ path: fieldPath, message: `Must be one of: ${rule.values.join(', ')}` })
+        return
+      }
+
+      if (rule.min !== undefined) {
+        const belowMin = rule.exclusiveMin ? fieldValue <= rule.min : fieldValue < rule.min
+        if (belowMin) {
+          errors.push({ path: fieldPath, message: `Must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}` })
+        }
+      }
+
+      if (rule.max !== undefined && fieldValue > rule.max) {
+        errors.push({ path: fieldPath, message: `Must be at most ${rule.max}` })
+      }
+    })
+  }
+
+  /**
+   * Format validation errors for feeding back to the model
+   * @param {Array} errors - Validation errors
+   * @returns {string} One error per line
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `- ${error.path}: ${error.message}`).join('\n')
+  }
+}
+
+// Export convenience functions
+export const parseLayoutResponse = (responseText) =>
+  LayoutSchema.parseResponse(responseText)
+
+export const validateLayout = (layoutData) =>
+  LayoutSchema.validate(layoutData)
+
+export const formatLayoutErrors = (errors) =>
+  LayoutSchema.formatErrors(errors)
@@ -0,0 +1,21 @@
+/**
+ * Layout Strategies
+ * Plan typologies used to steer multi-option generation. Browser-safe so the
+ * project page can offer the same list the server generates from.
+ */
+
+// Bounds on how many alternatives a single request may ask for
+export const MIN_ALTERNATIVES = 3
+export const MAX_ALTERNATIVES = 8
+
+// Plan typologies used to steer alternatives apart from each other
+export const LAYOUT_STRATEGIES = [
+  { id: 'open-plan', name: 'Open Plan', guidance: 'Minimise enclosed rooms: one large shared space with a few enclosed rooms along its edges and short, direct circulation.' },
+  { id: 'zoned', name: 'Zoned', guidance: 'Group rooms into distinct functional zones (public, work, support) with clear boundaries between the zones.' },
+  { id: 'linear-corridor', name: 'Linear Corridor', guidance: 'Arrange rooms on both sides of a single straight corridor running the length of the plan.' },
+  { id: 'courtyard', name: 'Courtyard', guidance: 'Wrap rooms around a central open courtyard or atrium and leave the centre of the plan empty.' },
+  { id: 'hub-and-spoke', name: 'Hub and Spoke', guidance: 'Place a central hub (reception or common space) with every other room connected directly to it.' },
+  { id: 'compact-core', name: 'Compact Core', guidance: 'Keep the footprint nearly square, with support spaces in a central core and occupied rooms around it.' },
+  { id: 'perimeter', name: 'Perimeter Daylight', guidance: 'Put every occupied room on the exterior perimeter; only storage and circulation in the interior.' },
+  { id: 'split-wing', name: 'Split Wing', guidance: 'Split the program into two wings joined by a short connector, separating quiet and active spaces.' }
+]
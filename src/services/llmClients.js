@@ -0,0 +1,221 @@
+/**
+ * LLM Client Service
+ * Executes chat completions against the configured provider. Server-only: reads
+ * provider API keys from the process environment and must never be bundled for the browser.
+ */
+
+import OpenAI from 'openai'
+import { LAYOUT_FIXTURES } from '../fixtures/layouts/index.js'
+import { getLLMProviders, resolveProviderConfig } from './llmProviders.js'
+
+const env = typeof process !== 'undefined' ? process.env : {}
+
+// Server-side credentials and endpoint overrides per provider
+const PROVIDER_CREDENTIALS = {
+  openai: { apiKey: () => env.OPENAI_API_KEY },
+  openrouter: { apiKey: () => env.OPENROUTER_API_KEY || env.OPENAI_API_KEY },
+  anthropic: { apiKey: () => env.ANTHROPIC_API_KEY, baseURL: () => env.ANTHROPIC_BASE_URL },
+  ollama: { apiKey: () => null, baseURL: () => env.OLLAMA_BASE_URL },
+  mock: { apiKey: () => null }
+}
+
+/**
+ * A provider call that failed, with the HTTP status and code the API answers with:
+ * 503 when the provider is not configured or is rate limiting, 502 when it failed or
+ * could not be reached
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { status = 502, code = 'PROVIDER_ERROR', cause } = {}) {
+    super(message)
+    this.name = 'LLMProviderError'
+    this.status = status
+    this.code = code
+    this.cause = cause
+  }
+}
+
+export class LLMClientService {
+  /**
+   * Run a chat completion against the configured provider
+   * @param {Object} config - Resolved provider config ({ provider, model, baseURL })
+   * @param {Object} request - { messages, maxTokens, temperature, fixtureHint }
+   * @returns {Promise<string>} Model response text
+   * @throws {LLMProviderError} If the provider is not configured or the call fails
+   */
+  static async complete(config, request) {
+    const resolved = resolveProviderConfig(config)
+    const id = resolved.provider
+    const provider = getLLMProviders().find(entry => entry.id === id)
+    const credentials = PROVIDER_CREDENTIALS[id]
+    const apiKey = credentials.apiKey()
+
+    // Client-supplied base URLs are ignored unless explicitly allowed, so the
+    // server cannot be pointed at arbitrary hosts with its own keys
+    const clientBaseURL = env.AI_ALLOW_CUSTOM_BASE_URL === 'true' && config?.baseURL
+    resolved.baseURL = clientBaseURL || credentials.baseURL?.() || provider.defaultBaseURL
+
+    if (provider.requiresApiKey && !apiKey) {
+      throw new LLMProviderError(`No API key configured for provider: ${provider.name}`, {
+        status: 503,
+        code: 'PROVIDER_NOT_CONFIGURED'
+      })
+    }
+
+    try {
+      switch (id) {
+        case 'openai':
+        case 'openrouter':
+          return await this.completeOpenAI(resolved, apiKey, request)
+        case 'anthropic':
+          return await this.completeAnthropic(resolved, apiKey, request)
+        case 'ollama':
+          return await this.completeOllama(resolved, request)
+        case 'mock':
+          return await this.completeMock(request)
+        default:
+          throw new LLMProviderError(`Unsupported LLM provider: ${id}`, { status: 503, code: 'PROVIDER_NOT_CONFIGURED' })
+      }
+    } catch (error) {
+      throw this.toProviderError(error, provider)
+    }
+  }
+
+  /**
+   * Classify a failed provider call by the HTTP status it returned, if any
+   * @param {Error} error - Error thrown by the call; HTTP failures carry `status`
+   * @param {Object} provider - Provider catalog entry
+   * @returns {LLMProviderError}
+   */
+  static toProviderError(error, provider) {
+    if (error instanceof LLMProviderError) return error
+
+    const { status } = error
+    const options = { cause: error }
+    if (status === undefined) {
+      return new LLMProviderError(`Could not reach ${provider.name}: ${error.message}`, { ...options, code: 'PROVIDER_UNREACHABLE' })
+    }
+    if (status === 429) {
+      return new LLMProviderError(`${provider.name} is rate limiting requests; try again later`, { ...options, status: 503, code: 'PROVIDER_RATE_LIMITED' })
+    }
+    if (status === 401 || status === 403) {
+      return new LLMProviderError(`${provider.name} rejected the configured API key`, { ...options, status: 503, code: 'PROVIDER_NOT_CONFIGURED' })
+    }
+    // Unknown models and malformed requests are 400/404; anything else is the provider's own failure
+    return new LLMProviderError(`${provider.name} request failed: ${error.message}`, options)
+  }
+
+  /**
+   * OpenAI-compatible chat completions (OpenAI, OpenRouter)
+   */
+  static async completeOpenAI(config, apiKey, { messages, maxTokens = 2000, temperature = 0.7 }) {
+    const client = new OpenAI({
+      apiKey,
+      baseURL: config.baseURL,
+    })
+
+    const response = await client.chat.completions.create({
+      model: config.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    })
+
+    return response.choices[0].message.content || ''
+  }
+
+  /**
+   * Anthropic Messages API (or any server implementing it)
+   */
+  static async completeAnthropic(config, apiKey, { messages, maxTokens = 2000, temperature = 0.7 }) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n')
+    const response = await fetch(`${config.baseURL.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system && { system }),
+        messages: messages.filter(message => message.role !== 'system')
+      })
+    })
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`${response.status} ${response.statusText}`), { status: response.status })
+    }
+
+    const data = await response.json()
+    return (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+  }
+
+  /**
+   * Ollama-style local HTTP chat endpoint
+   */
+  static async completeOllama(config, { messages, maxTokens = 2000, temperature = 0.7 }) {
+    const response = await fetch(`${config.baseURL.replace(/\/$/, '')}/api/chat`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        stream: false,
+        format: 'json',
+        options: { temperature, num_predict: maxTokens }
+      })
+    })
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`${response.status} ${response.statusText}`), { status: response.status })
+    }
+
+    const data = await response.json()
+    return data.message?.content || ''
+  }
+
+  /**
+   * Deterministic offline provider returning canned layouts from the fixture directory.
+   * The same prompt (or fixture hint, typically the schedule text) always yields the same fixture.
+   */
+  static async completeMock({ messages, fixtureHint }) {
+    const prompt = fixtureHint || messages.find(message => message.role === 'user')?.content || ''
+    const fixture = this.selectFixture(prompt)
+
+    return JSON.stringify(fixture.layout, null, 2)
+  }
+
+  /**
+   * Pick the fixture whose keywords best match the prompt, breaking ties by prompt hash
+   * @param {string} prompt - Prompt text
+   * @returns {Object} Layout fixture
+   */
+  static selectFixture(prompt) {
+    const text = prompt.toLowerCase()
+    const scored = LAYOUT_FIXTURES.map(fixture => ({
+      fixture,
+      score: fixture.keywords.filter(keyword => text.includes(keyword)).length
+    }))
+    const bestScore = Math.max(...scored.map(entry => entry.score))
+    const candidates = scored.filter(entry => entry.score === bestScore).map(entry => entry.fixture)
+
+    return candidates[this.hashString(text) % candidates.length]
+  }
+
+  static hashString(text) {
+    let hash = 0
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0
+    }
+    return Math.abs(hash)
+  }
+}
+
+// Export convenience functions
+export const completeChat = (config, request) =>
+  LLMClientService.complete(config, request)
@@ -0,0 +1,91 @@
+/**
+ * LLM Provider Catalog
+ * Describes the selectable chat-completion providers. Safe to import in the browser:
+ * API keys and the actual provider calls live server-side in llmClients.js
+ */
+
+const env = import.meta.env || {}
+
+// Provider registry (each entry describes one family of chat APIs)
+const LLM_PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseURL: 'https://api.openai.com/v1',
+    requiresApiKey: true
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    defaultModel: 'google/gemini-2.0-flash-001',
+    defaultBaseURL: 'https://openrouter.ai/api/v1',
+    requiresApiKey: true
+  },
+  anthropic: {
+    name: 'Anthropic-compatible',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseURL: 'https://api.anthropic.com',
+    requiresApiKey: true,
+    configurableBaseURL: true
+  },
+  ollama: {
+    name: 'Local (Ollama)',
+    defaultModel: 'llama3.1',
+    defaultBaseURL: 'http://localhost:11434',
+    requiresApiKey: false,
+    configurableBaseURL: true
+  },
+  mock: {
+    name: 'Offline Mock',
+    defaultModel: 'fixtures',
+    defaultBaseURL: null,
+    requiresApiKey: false
+  }
+}
+
+export const DEFAULT_PROVIDER = LLM_PROVIDERS[env.VITE_AI_PROVIDER] ? env.VITE_AI_PROVIDER : 'openrouter'
+
+export class LLMProviderService {
+  /**
+   * Get the list of selectable providers
+   * @returns {Array} Provider descriptors for settings UIs
+   */
+  static getProviders() {
+    return Object.entries(LLM_PROVIDERS).map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      defaultModel: provider.defaultModel,
+      defaultBaseURL: provider.defaultBaseURL,
+      requiresApiKey: provider.requiresApiKey,
+      configurableBaseURL: Boolean(provider.configurableBaseURL)
+    }))
+  }
+
+  /**
+   * Resolve layered provider settings (e.g. account defaults, then project overrides).
+   * The last layer naming a known provider wins; model and base URL only apply to
+   * the provider they were chosen for.
+   * @param {...Object} settingsList - Provider settings ({ provider, model, baseURL })
+   * @returns {Object} Fully resolved provider config
+   */
+  static resolveConfig(...settingsList) {
+    const layers = settingsList.filter(Boolean).reverse()
+    const selected = layers.find(settings => LLM_PROVIDERS[settings.provider])
+    const id = selected ? selected.provider : DEFAULT_PROVIDER
+    const provider = LLM_PROVIDERS[id]
+    const ownLayers = layers.filter(settings => settings.provider === id)
+    const pick = (key) => ownLayers.map(settings => settings[key]).find(Boolean)
+
+    return {
+      provider: id,
+      model: pick('model') || provider.defaultModel,
+      baseURL: pick('baseURL') || provider.defaultBaseURL
+    }
+  }
+}
+
+// Export convenience functions
+export const getLLMProviders = () =>
+  LLMProviderService.getProviders()
+
+export const resolveProviderConfig = (...settingsList) =>
+  LLMProviderService.resolveConfig(...settingsList)
@@ -0,0 +1,288 @@
+/**
+ * Massing Model Service
+ * Turns layout data into a simple 3D massing model (rooms extruded to the ceiling height,
+ * corridors as floor strips) and projects it with an orbit camera. Rendering is done on a
+ * 2D canvas with the painter's algorithm, so no GPU or WebGL is needed.
+ *
+ * Model space: x and z are the plan's x and y, y points up. Units are drawing units.
+ */
+
+import { UnitService } from './units.js'
+
+// Feet, used when a project has no ceiling height set
+export const DEFAULT_CEILING_HEIGHT = 10
+
+const CORRIDOR_THICKNESS = 0.02 // fraction of the ceiling height
+const FIELD_OF_VIEW = Math.PI / 4
+const NEAR_PLANE = 1
+const MIN_PITCH = 0.05
+const MAX_PITCH = Math.PI / 2 - 0.01
+const LIGHT_DIRECTION = normalize([0.4, 1, 0.6])
+
+function subtract(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]] }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] }
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+}
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]) || 1
+  return [v[0] / length, v[1] / length, v[2] / length]
+}
+
+export class MassingModelService {
+  /**
+   * Feet per drawing unit. Layout geometry is in drawing units while room areas are in the
+   * layout's area unit, so the scale is recovered from the rooms (median, to ignore outliers)
+   * and converted to feet from the layout's length unit.
+   * @param {Object} layoutData - Layout data with rooms
+   * @returns {number} Feet per drawing unit
+   */
+  static getFeetPerUnit(layoutData) {
+    const ratios = (layoutData.rooms || [])
+      .filter(room => room.area > 0 && room.width > 0 && room.height > 0)
+      .map(room => Math.sqrt(room.area / (room.width * room.height)))
+      .sort((a, b) => a - b)
+
+    if (ratios.length === 0) return 1
+    return UnitService.fromLayout(layoutData, 'length', ratios[Math.floor(ratios.length / 2)], 'ft')
+  }
+
+  /**
+   * Extrude a footprint into a prism
+   * @param {Array} footprint - Convex polygon [[x, z], ...] in either winding
+   * @param {number} bottom - Base height
+   * @param {number} top - Top height
+   * @param {Object} meta - Copied onto every face (kind, roomId, ...)
+   * @returns {Array} Faces { vertices, normal, isRoof, ...meta }
+   */
+  static extrude(footprint, bottom, top, meta) {
+    const faces = [{
+      ...meta,
+      isRoof: true,
+      vertices: footprint.map(([x, z]) => [x, top, z]),
+      normal: [0, 1, 0]
+    }]
+
+    const centerX = footprint.reduce((sum, [x]) => sum + x, 0) / footprint.length
+    const centerZ = footprint.reduce((sum, [, z]) => sum + z, 0) / footprint.length
+
+    footprint.forEach(([x1, z1], index) => {
+      const [x2, z2] = footprint[(index + 1) % footprint.length]
+      // Perpendicular to the wall, flipped to point away from the footprint centre
+      let normal = normalize([z2 - z1, 0, x1 - x2])
+      if (dot(normal, [(x1 + x2) / 2 - centerX, 0, (z1 + z2) / 2 - centerZ]) < 0) {
+        normal = [-normal[0], 0, -normal[2]]
+      }
+      faces.push({
+        ...meta,
+        vertices: [[x1, bottom, z1], [x2, bottom, z2], [x2, top, z2], [x1, top, z1]],
+        normal
+      })
+    })
+
+    return faces
+  }
+
+  /**
+   * Build the massing model for a layout
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @param {Object} options - { ceilingHeight } in feet
+   * @returns {Object} { faces, bounds: { min, max }, height }
+   */
+  static build(layoutData, { ceilingHeight = DEFAULT_CEILING_HEIGHT } = {}) {
+    const rooms = layoutData.rooms || []
+    const feetPerUnit = this.getFeetPerUnit(layoutData)
+    const height = ceilingHeight / feetPerUnit
+    const faces = []
+
+    rooms.forEach(room => {
+      const footprint = [
+        [room.x, room.y],
+        [room.x, room.y + room.height],
+        [room.x + room.width, room.y + room.height],
+        [room.x + room.width, room.y]
+      ]
+      faces.push(...this.extrude(footprint, 0, height, { kind: 'room', roomId: room.id, label: room.name }))
+    })
+
+    ;(layoutData.circulation || []).forEach((path, index) => {
+      const from = rooms.find(room => room.id === path.from)
+      const to = rooms.find(room => room.id === path.to)
+      if (!from || !to) return
+
+      const start = [from.x + from.width / 2, from.y + from.height / 2]
+      const end = [to.x + to.width / 2, to.y + to.height / 2]
+      const length = Math.hypot(end[0] - start[0], end[1] - start[1])
+      if (length === 0) return
+
+      const halfWidth = path.width / feetPerUnit / 2
+      const nx = -(end[1] - start[1]) / length * halfWidth
+      const nz = (end[0] - start[0]) / length * halfWidth
+      const footprint = [
+        [start[0] - nx, start[1] - nz],
+        [end[0] - nx, end[1] - nz],
+        [end[0] + nx, end[1] + nz],
+        [start[0] + nx, start[1] + nz]
+      ]
+      faces.push(...this.extrude(footprint, 0, height * CORRIDOR_THICKNESS, { kind: 'corridor', pathIndex: index }))
+    })
+
+    const xs = rooms.flatMap(room => [room.x, room.x + room.width])
+    const zs = rooms.flatMap(room => [room.y, room.y + room.height])
+    const bounds = rooms.length
+      ? { min: [Math.min(...xs), 0, Math.min(...zs)], max: [Math.max(...xs), height, Math.max(...zs)] }
+      : { min: [0, 0, 0], max: [1200, height, 800] }
+
+    return { faces, bounds, height }
+  }
+
+  /**
+   * Camera looking at the middle of the model from the south-east, far enough to see it all
+   * @param {Object} bounds - Model bounds { min, max }
+   * @returns {Object} Camera { target, yaw, pitch, distance }
+   */
+  static createCamera(bounds) {
+    const size = subtract(bounds.max, bounds.min)
+    return {
+      target: [bounds.min[0] + size[0] / 2, 0, bounds.min[2] + size[2] / 2],
+      yaw: Math.PI / 5,
+      pitch: Math.PI / 5,
+      distance: Math.max(size[0], size[2], size[1]) * 1.6
+    }
+  }
+
+  /**
+   * Rotate the camera around its target
+   * @param {Object} camera - Camera
+   * @param {number} deltaYaw - Radians
+   * @param {number} deltaPitch - Radians
+   * @returns {Object} Camera
+   */
+  static orbit(camera, deltaYaw, deltaPitch) {
+    return {
+      ...camera,
+      yaw: camera.yaw + deltaYaw,
+      pitch: Math.min(MAX_PITCH, Math.max(MIN_PITCH, camera.pitch + deltaPitch))
+    }
+  }
+
+  /**
+   * Slide the camera and its target across the ground plane
+   * @param {Object} camera - Camera
+   * @param {number} dx - Screen pixels
+   * @param {number} dy - Screen pixels
+   * @param {number} viewportHeight - Pixels, to scale pixel movement to the view
+   * @returns {Object} Camera
+   */
+  static pan(camera, dx, dy, viewportHeight) {
+    const { right, forward } = this.getBasis(camera)
+    const unitsPerPixel = (2 * camera.distance * Math.tan(FIELD_OF_VIEW / 2)) / viewportHeight
+    // Vertical drags move along the ground in the viewing direction, not up into the sky
+    const ahead = normalize([forward[0], 0, forward[2]])
+
+    return {
+      ...camera,
+      target: [
+        camera.target[0] - right[0] * dx * unitsPerPixel + ahead[0] * dy * unitsPerPixel,
+        camera.target[1],
+        camera.target[2] - right[2] * dx * unitsPerPixel + ahead[2] * dy * unitsPerPixel
+      ]
+    }
+  }
+
+  /**
+   * Move the camera towards (factor > 1) or away from its target
+   * @param {Object} camera - Camera
+   * @param {number} factor - Zoom factor
+   * @returns {Object} Camera
+   */
+  static zoom(camera, factor) {
+    return { ...camera, distance: Math.max(NEAR_PLANE * 10, camera.distance / factor) }
+  }
+
+  /**
+   * Camera position and orthonormal basis
+   * @param {Object} camera - Camera
+   * @returns {Object} { eye, right, up, forward }
+   */
+  static getBasis(camera) {
+    const eye = [
+      camera.target[0] + camera.distance * Math.cos(camera.pitch) * Math.sin(camera.yaw),
+      camera.target[1] + camera.distance * Math.sin(camera.pitch),
+      camera.target[2] + camera.distance * Math.cos(camera.pitch) * Math.cos(camera.yaw)
+    ]
+    const forward = normalize(subtract(camera.target, eye))
+    const right = normalize(cross(forward, [0, 1, 0]))
+    const up = cross(right, forward)
+    return { eye, right, up, forward }
+  }
+
+  /**
+   * Project the model into screen polygons, sorted back to front and flat shaded
+   * @param {Object} model - Result of build
+   * @param {Object} camera - Camera
+   * @param {Object} viewport - { width, height } in pixels
+   * @returns {Array} { points: [[x, y]], depth, light, ...face meta } in drawing order
+   */
+  static project(model, camera, viewport) {
+    const { eye, right, up, forward } = this.getBasis(camera)
+    const focal = viewport.height / 2 / Math.tan(FIELD_OF_VIEW / 2)
+
+    const polygons = []
+    model.faces.forEach(({ vertices, normal, ...meta }) => {
+      const center = vertices.reduce((sum, v) => [sum[0] + v[0], sum[1] + v[1], sum[2] + v[2]], [0, 0, 0])
+        .map(value => value / vertices.length)
+
+      // Back-face culling: every mesh is a closed prism
+      if (dot(normal, subtract(eye, center)) <= 0) return
+
+      const projected = vertices.map(vertex => {
+        const offset = subtract(vertex, eye)
+        const depth = dot(offset, forward)
+        return { depth, x: viewport.width / 2 + dot(offset, right) * focal / depth, y: viewport.height / 2 - dot(offset, up) * focal / depth }
+      })
+      if (projected.some(point => point.depth < NEAR_PLANE)) return
+
+      polygons.push({
+        ...meta,
+        points: projected.map(point => [point.x, point.y]),
+        depth: projected.reduce((sum, point) => sum + point.depth, 0) / projected.length,
+        light: 0.45 + 0.55 * Math.max(0, dot(normal, LIGHT_DIRECTION))
+      })
+    })
+
+    return polygons.sort((a, b) => b.depth - a.depth)
+  }
+
+  /**
+   * Front-most projected polygon under a screen point
+   * @param {Array} polygons - Result of project (back to front)
+   * @param {Object} point - { x, y } in pixels
+   * @returns {Object|null} Polygon
+   */
+  static pick(polygons, point) {
+    for (let index = polygons.length - 1; index >= 0; index--) {
+      const { points } = polygons[index]
+      let inside = false
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i]
+        const [xj, yj] = points[j]
+        if ((yi > point.y) !== (yj > point.y) && point.x < ((xj - xi) * (point.y - yi)) / (yj - yi) + xi) {
+          inside = !inside
+        }
+      }
+      if (inside) return polygons[index]
+    }
+    return null
+  }
+}
+
+// Export convenience functions
+export const buildMassingModel = (layoutData, options) =>
+  MassingModelService.build(layoutData, options)
+
+export const projectMassingModel = (model, camera, viewport) =>
+  MassingModelService.project(model, camera, viewport)
+
+export const getFeetPerUnit = (layoutData) =>
+  MassingModelService.getFeetPerUnit(layoutData)
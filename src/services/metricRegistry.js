@@ -0,0 +1,150 @@
+/**
+ * Metric Registry
+ * Performance metrics register here with their id, label, unit, range, inputs and
+ * compute function. Metric calculation, the metric panels, layout cards and the PDF
+ * export all iterate over the registry, so a new KPI only needs to be registered once.
+ */
+
+// Evaluation context values a metric may declare as inputs
+export const METRIC_INPUTS = ['layoutData', 'buildingOrientation', 'accessibility']
+
+const registry = new Map()
+
+export class MetricRegistry {
+  /**
+   * Register a metric (re-registering an id replaces the earlier definition)
+   * @param {Object} definition - Metric definition
+   *   id: key the value is stored under in performanceMetrics
+   *   label: display name; shortLabel is used on compact cards (defaults to label)
+   *   unit: suffix shown after the value ('%', 'h', ...)
+   *   range: [min, max] used to normalise the value onto 0-100 for scoring and charts
+   *   inputs: METRIC_INPUTS entries passed to compute
+   *   compute: (inputs) => number
+   *   display: 'chart' (progress bar) or 'number'
+   *   defaultWeight: weight in the overall score (0 keeps the metric informational)
+   *   recommend: optional (value, { prioritized }) => recommendation object, or a falsy value for none
+   * @returns {Object} The stored definition
+   */
+  static register(definition) {
+    const { id, label, range, inputs = [], compute } = definition || {}
+
+    if (typeof id !== 'string' || id === '') {
+      throw new Error('Metric definition requires a string id')
+    }
+    if (typeof label !== 'string' || label === '') {
+      throw new Error(`Metric "${id}" requires a label`)
+    }
+    if (typeof compute !== 'function') {
+      throw new Error(`Metric "${id}" requires a compute function`)
+    }
+    if (!Array.isArray(range) || range.length !== 2 || !(range[1] > range[0])) {
+      throw new Error(`Metric "${id}" requires a [min, max] range`)
+    }
+
+    const unknownInputs = inputs.filter(input => !METRIC_INPUTS.includes(input))
+    if (unknownInputs.length > 0) {
+      throw new Error(`Metric "${id}" declares unknown inputs: ${unknownInputs.join(', ')}`)
+    }
+
+    const metric = {
+      unit: '',
+      display: 'chart',
+      defaultWeight: 1,
+      ...definition,
+      shortLabel: definition.shortLabel || label,
+      inputs
+    }
+
+    registry.set(id, metric)
+    return metric
+  }
+
+  /**
+   * Remove a metric from the registry
+   * @param {string} metricId - Metric id
+   */
+  static unregister(metricId) {
+    registry.delete(metricId)
+  }
+
+  /**
+   * Get a single metric definition
+   * @param {string} metricId - Metric id
+   * @returns {Object|undefined} Metric definition
+   */
+  static get(metricId) {
+    return registry.get(metricId)
+  }
+
+  /**
+   * Get all metric definitions in registration order
+   * @returns {Array} Metric definitions
+   */
+  static list() {
+    return [...registry.values()]
+  }
+
+  /**
+   * Compute a metric from the evaluation context, passing only its declared inputs
+   * @param {Object} metric - Metric definition
+   * @param {Object} context - { layoutData, buildingOrientation, accessibility }
+   * @returns {number} Metric value
+   */
+  static compute(metric, context) {
+    const inputs = {}
+    metric.inputs.forEach(input => {
+      inputs[input] = context[input]
+    })
+
+    return metric.compute(inputs)
+  }
+
+  /**
+   * Scale a metric value onto 0-100 using the metric's range
+   * @param {string} metricId - Metric id
+   * @param {number} value - Raw metric value
+   * @returns {number} Normalised value, clamped to 0-100
+   */
+  static normalize(metricId, value) {
+    const metric = registry.get(metricId)
+    if (!metric || typeof value !== 'number') return 0
+
+    const [min, max] = metric.range
+    return Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100))
+  }
+
+  /**
+   * Format a metric value with its unit
+   * @param {string} metricId - Metric id
+   * @param {number} value - Metric value
+   * @returns {string} Display string
+   */
+  static format(metricId, value) {
+    const metric = registry.get(metricId)
+    if (value === undefined || value === null) return '—'
+
+    return `${value}${metric?.unit || ''}`
+  }
+}
+
+// Export convenience functions
+export const registerMetric = (definition) =>
+  MetricRegistry.register(definition)
+
+export const unregisterMetric = (metricId) =>
+  MetricRegistry.unregister(metricId)
+
+export const getMetric = (metricId) =>
+  MetricRegistry.get(metricId)
+
+export const getMetrics = () =>
+  MetricRegistry.list()
+
+export const computeMetric = (metric, context) =>
+  MetricRegistry.compute(metric, context)
+
+export const normalizeMetricValue = (metricId, value) =>
+  MetricRegistry.normalize(metricId, value)
+
+export const formatMetricValue = (metricId, value) =>
+  MetricRegistry.format(metricId, value)
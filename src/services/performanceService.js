@@ -3,18 +3,71 @@
  * Calculates various architectural performance metrics for generated layouts
  */
 
+import { registerMetric, getMetrics, getMetric, computeMetric, normalizeMetricValue } from './metricRegistry.js'
+import { getFeetPerUnit } from './massingModel.js'
+import { BuildingElementsService, EXIT_ROOM_PATTERN, EXTERIOR } from './buildingElements.js'
+import { UnitService } from './units.js'
+
+// Selectable project performance priorities and the metric each one boosts in the overall score
+export const PERFORMANCE_PRIORITIES = [
+  { id: 'circulation', label: 'Circulation Efficiency', metric: 'circulationEfficiency' },
+  { id: 'daylight', label: 'Natural Lighting', metric: 'daylightHours' },
+  { id: 'energy', label: 'Energy Efficiency', metric: 'energyEfficiency' }
+]
+
+const PRIORITY_WEIGHT_MULTIPLIER = 2
+
+// Per-room breakdowns that can be drawn as heatmaps; higherIsBetter sets the colour direction
+export const ROOM_METRIC_LAYERS = [
+  { id: 'daylightHours', label: 'Daylight', unit: 'h', range: [3, 12], higherIsBetter: true },
+  { id: 'accessibilityScore', label: 'Accessibility', unit: '%', range: [0, 100], higherIsBetter: true },
+  { id: 'adjacency', label: 'Adjacency', unit: '%', range: [0, 100], higherIsBetter: true },
+  // Lengths are in feet and shown in the display unit system (see services/units.js)
+  { id: 'exitDistance', label: 'Distance to exit', unit: 'ft', quantity: 'length', range: [0, 100], higherIsBetter: false }
+]
+
+const ORIENTATION_WEIGHTS = {
+  north: 0.3,
+  south: 1.0,
+  east: 0.7,
+  west: 0.7
+}
+
+// Glazing, as a share of floor area, that lights a room as well as a whole open side
+const FULL_DAYLIGHT_GLAZING = 0.1
+
 export class PerformanceMetricsCalculator {
+  /**
+   * Layout quantities in the units the metrics are calibrated in, whatever the layout's own
+   * units: circulation widths in feet and room areas in square feet. Drawing-unit geometry is
+   * left as is; multiply by feetPerUnit for feet.
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @returns {Object} { rooms, circulation, feetPerUnit }
+   */
+  static toImperial(layoutData) {
+    return {
+      rooms: (layoutData.rooms || []).map(room => ({
+        ...room,
+        area: UnitService.fromLayout(layoutData, 'area', room.area, 'sqft')
+      })),
+      circulation: (layoutData.circulation || []).map(path => ({
+        ...path,
+        width: UnitService.fromLayout(layoutData, 'length', path.width, 'ft')
+      })),
+      feetPerUnit: getFeetPerUnit(layoutData)
+    }
+  }
+
   /**
    * Calculate circulation efficiency based on layout geometry
    * @param {Object} layoutData - Layout data with rooms and circulation paths
    * @returns {number} Efficiency score (0-100)
    */
   static calculateCirculationEfficiency(layoutData) {
-    const { rooms, circulation } = layoutData
-    
-    if (!rooms || !circulation || rooms.length === 0) {
+    if (!layoutData.rooms || !layoutData.circulation || layoutData.rooms.length === 0) {
       return 0
     }
+    const { rooms, circulation, feetPerUnit } = this.toImperial(layoutData)
 
     // Calculate total circulation area
     const totalCirculationArea = circulation.reduce((total, path) => {
@@ -27,7 +80,7 @@ export class PerformanceMetricsCalculator {
       const distance = Math.sqrt(
         Math.pow(toRoom.x - fromRoom.x, 2) + 
         Math.pow(toRoom.y - fromRoom.y, 2)
-      )
+      ) * feetPerUnit
       
       return total + (distance * path.width)
     }, 0)
@@ -57,50 +110,88 @@ export class PerformanceMetricsCalculator {
       return 0
     }
 
-    // Calculate building bounds
-    const bounds = this.calculateBuildingBounds(rooms)
-    const buildingWidth = bounds.maxX - bounds.minX
-    const buildingHeight = bounds.maxY - bounds.minY
-    
+    const daylightScore = this.createDaylightScorer(layoutData)
     let totalDaylightScore = 0
     
     rooms.forEach(room => {
-      let roomDaylightScore = 0
-      
-      // Calculate distance from exterior walls (simplified)
-      const distanceFromNorth = room.y - bounds.minY
-      const distanceFromSouth = bounds.maxY - (room.y + room.height)
-      const distanceFromEast = bounds.maxX - (room.x + room.width)
-      const distanceFromWest = room.x - bounds.minX
-      
-      // Score based on proximity to exterior walls
-      const proximityScores = {
-        north: Math.max(0, 1 - (distanceFromNorth / buildingHeight)),
-        south: Math.max(0, 1 - (distanceFromSouth / buildingHeight)),
-        east: Math.max(0, 1 - (distanceFromEast / buildingWidth)),
-        west: Math.max(0, 1 - (distanceFromWest / buildingWidth))
-      }
-      
-      // Weight scores based on sun exposure (south-facing gets more daylight)
-      const orientationWeights = {
-        north: 0.3,
-        south: 1.0,
-        east: 0.7,
-        west: 0.7
-      }
-      
-      roomDaylightScore = Object.keys(proximityScores).reduce((score, direction) => {
-        return score + (proximityScores[direction] * orientationWeights[direction])
-      }, 0)
-      
       // Normalize by room area (larger rooms get proportionally more weight)
-      totalDaylightScore += roomDaylightScore * (room.area / 1000) // normalize by 1000 sqft
+      const areaSqFt = UnitService.fromLayout(layoutData, 'area', room.area, 'sqft')
+      totalDaylightScore += daylightScore(room) * (areaSqFt / 1000) // normalize by 1000 sqft
     })
     
     // Convert to hours (scale 0-12 hours based on score)
     const averageScore = totalDaylightScore / rooms.length
-    const daylightHours = Math.max(3, Math.min(12, averageScore * 8 + 4))
-    
+    return this.daylightScoreToHours(averageScore)
+  }
+
+  /**
+   * Daylight exposure of one room from its proximity to each exterior wall
+   * @param {Object} room - Room
+   * @param {Object} bounds - Building bounds from calculateBuildingBounds
+   * @returns {number} Orientation-weighted exposure score
+   */
+  static calculateRoomDaylightScore(room, bounds) {
+    const buildingWidth = bounds.maxX - bounds.minX
+    const buildingHeight = bounds.maxY - bounds.minY
+
+    // Calculate distance from exterior walls (simplified)
+    const distanceFromNorth = room.y - bounds.minY
+    const distanceFromSouth = bounds.maxY - (room.y + room.height)
+    const distanceFromEast = bounds.maxX - (room.x + room.width)
+    const distanceFromWest = room.x - bounds.minX
+
+    // Score based on proximity to exterior walls
+    const proximityScores = {
+      north: Math.max(0, 1 - (distanceFromNorth / buildingHeight)),
+      south: Math.max(0, 1 - (distanceFromSouth / buildingHeight)),
+      east: Math.max(0, 1 - (distanceFromEast / buildingWidth)),
+      west: Math.max(0, 1 - (distanceFromWest / buildingWidth))
+    }
+
+    // Weight scores based on sun exposure (south-facing gets more daylight)
+    return Object.keys(proximityScores).reduce((score, direction) => {
+      return score + (proximityScores[direction] * ORIENTATION_WEIGHTS[direction])
+    }, 0)
+  }
+
+  /**
+   * Daylight exposure of one room from its windows: each side counts in full once its glazing
+   * reaches FULL_DAYLIGHT_GLAZING of the floor area
+   * @param {Object} room - Room
+   * @param {Array} windows - The room's windows that sit in an exterior wall
+   * @param {Object} layoutData - Layout data, for its units
+   * @returns {number} Orientation-weighted exposure score, on the same scale as calculateRoomDaylightScore
+   */
+  static calculateRoomWindowScore(room, windows, layoutData) {
+    return Object.entries(ORIENTATION_WEIGHTS).reduce((score, [side, weight]) => {
+      const glazedArea = windows
+        .filter(window => window.side === side)
+        .reduce((total, window) => total + BuildingElementsService.getWindowArea(window, layoutData), 0)
+      return score + Math.min(1, glazedArea / (room.area * FULL_DAYLIGHT_GLAZING)) * weight
+    }, 0)
+  }
+
+  /**
+   * Per-room daylight scoring for a layout: from its windows when it has them, otherwise from
+   * each room's proximity to the building edges
+   * @param {Object} layoutData - Layout data
+   * @returns {Function} room => score
+   */
+  static createDaylightScorer(layoutData) {
+    const rooms = layoutData.rooms || []
+    if (!Array.isArray(layoutData.windows)) {
+      const bounds = this.calculateBuildingBounds(rooms)
+      return room => this.calculateRoomDaylightScore(room, bounds)
+    }
+
+    const placed = BuildingElementsService.getGeometry(layoutData).windows
+      .filter(({ wall }) => wall)
+      .map(({ window }) => window)
+    return room => this.calculateRoomWindowScore(room, placed.filter(window => window.room === room.id), layoutData)
+  }
+
+  static daylightScoreToHours(score) {
+    const daylightHours = Math.max(3, Math.min(12, score * 8 + 4))
     return Math.round(daylightHours * 10) / 10 // Round to 1 decimal
   }
 
@@ -110,22 +201,21 @@ export class PerformanceMetricsCalculator {
    * @returns {number} Energy efficiency score (0-100)
    */
   static calculateEnergyEfficiency(layoutData) {
-    const { rooms } = layoutData
-    
-    if (!rooms || rooms.length === 0) {
+    if (!layoutData.rooms || layoutData.rooms.length === 0) {
       return 0
     }
+    const { rooms, feetPerUnit } = this.toImperial(layoutData)
 
     // Calculate building compactness (surface area to volume ratio)
     const bounds = this.calculateBuildingBounds(rooms)
-    const buildingArea = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY)
+    const buildingArea = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY) * feetPerUnit ** 2
     const totalRoomArea = rooms.reduce((total, room) => total + room.area, 0)
     
     // Compactness ratio (higher is better for energy efficiency)
     const compactness = totalRoomArea / buildingArea
     
     // Calculate perimeter to area ratio (lower is better)
-    const perimeter = 2 * ((bounds.maxX - bounds.minX) + (bounds.maxY - bounds.minY))
+    const perimeter = 2 * ((bounds.maxX - bounds.minX) + (bounds.maxY - bounds.minY)) * feetPerUnit
     const perimeterToAreaRatio = perimeter / Math.sqrt(buildingArea)
     
     // Calculate room adjacency efficiency (rooms sharing walls save energy)
@@ -147,14 +237,13 @@ export class PerformanceMetricsCalculator {
    * @returns {number} Space utilization score (0-100)
    */
   static calculateSpaceUtilization(layoutData) {
-    const { rooms } = layoutData
-    
-    if (!rooms || rooms.length === 0) {
+    if (!layoutData.rooms || layoutData.rooms.length === 0) {
       return 0
     }
+    const { rooms, feetPerUnit } = this.toImperial(layoutData)
 
     const bounds = this.calculateBuildingBounds(rooms)
-    const totalBuildingArea = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY)
+    const totalBuildingArea = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY) * feetPerUnit ** 2
     const totalRoomArea = rooms.reduce((total, room) => total + room.area, 0)
     
     // Calculate utilization ratio
@@ -170,13 +259,13 @@ export class PerformanceMetricsCalculator {
    * @returns {number} Accessibility score (0-100)
    */
   static calculateAccessibilityScore(layoutData, accessibilitySettings = {}) {
-    const { rooms, circulation } = layoutData
     const minCorridorWidth = accessibilitySettings.minCorridorWidth || 4 // feet
     const minDoorWidth = accessibilitySettings.minDoorWidth || 3 // feet
     
-    if (!rooms || !circulation) {
+    if (!layoutData.rooms || !layoutData.circulation) {
       return 0
     }
+    const { rooms, circulation } = this.toImperial(layoutData)
 
     let accessibilityIssues = 0
     let totalChecks = 0
@@ -192,12 +281,7 @@ export class PerformanceMetricsCalculator {
     // Check room accessibility (simplified - assumes all rooms need to be accessible)
     rooms.forEach(room => {
       totalChecks++
-      // Check if room has adequate access (simplified check)
-      const hasAdequateAccess = circulation.some(path => 
-        (path.from === room.id || path.to === room.id) && path.width >= minCorridorWidth
-      )
-      
-      if (!hasAdequateAccess) {
+      if (!this.hasAdequateAccess(room, circulation, minCorridorWidth)) {
         accessibilityIssues++
       }
     })
@@ -209,71 +293,198 @@ export class PerformanceMetricsCalculator {
   }
 
   /**
-   * Calculate comprehensive performance metrics for a layout
+   * Per-room values behind the layout-wide metrics, for heatmaps (see ROOM_METRIC_LAYERS)
    * @param {Object} layoutData - Layout data with rooms and circulation
-   * @param {Object} options - Additional options for calculations
-   * @returns {Object} Complete performance metrics
+   * @param {Object} options - { buildingOrientation, accessibility }
+   * @returns {Object} { [layerId]: { [roomId]: value } }; exitDistance is null for rooms
+   *   without a route to an exit
    */
-  static calculateAllMetrics(layoutData, options = {}) {
+  static calculateRoomBreakdowns(layoutData, options = {}) {
+    const rooms = layoutData.rooms || []
+    const { circulation } = this.toImperial(layoutData)
+    const minCorridorWidth = options.accessibility?.minCorridorWidth || 4 // feet
+    const daylightScore = this.createDaylightScorer(layoutData)
+    const exitDistances = this.calculateExitDistances(layoutData)
+    const maxDaylightScore = Object.values(ORIENTATION_WEIGHTS).reduce((sum, weight) => sum + weight, 0)
+    const byRoom = (value) => Object.fromEntries(rooms.map(room => [room.id, value(room)]))
+
     return {
-      circulationEfficiency: this.calculateCirculationEfficiency(layoutData),
-      daylightHours: this.calculateDaylightHours(layoutData, options.buildingOrientation),
-      energyEfficiency: this.calculateEnergyEfficiency(layoutData),
-      spaceUtilization: this.calculateSpaceUtilization(layoutData),
-      accessibilityScore: this.calculateAccessibilityScore(layoutData, options.accessibility),
-      
-      // Additional derived metrics
-      overallScore: 0, // Will be calculated below
-      recommendations: this.generateRecommendations(layoutData)
+      // Exposure as a share of a room open on all four sides (the layout average instead
+      // weights raw scores by area, which would saturate or vanish for a single room)
+      daylightHours: byRoom(room => this.daylightScoreToHours(daylightScore(room) / maxDaylightScore)),
+      // Share of the room's connections that are wide enough
+      accessibilityScore: byRoom(room => {
+        const connections = circulation.filter(path => path.from === room.id || path.to === room.id)
+        if (connections.length === 0) return 0
+        const wide = connections.filter(path => path.width >= minCorridorWidth).length
+        return Math.round((wide / connections.length) * 100)
+      }),
+      // Share of the other rooms it shares a wall with
+      adjacency: byRoom(room => {
+        if (rooms.length < 2) return 0
+        const neighbours = rooms.filter(other => other !== room && this.areRoomsAdjacent(room, other)).length
+        return Math.round((neighbours / (rooms.length - 1)) * 100)
+      }),
+      exitDistance: byRoom(room => exitDistances[room.id] ?? null)
     }
   }
 
   /**
-   * Generate recommendations based on performance analysis
-   * @param {Object} layoutData - Layout data
-   * @returns {Array} Array of recommendation objects
+   * Walking distance from every room to the nearest exit room along the circulation paths
+   * (centre to centre), in feet
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @returns {Object} { [roomId]: feet }; unreachable rooms are left out
    */
-  static generateRecommendations(layoutData) {
-    const recommendations = []
-    const metrics = this.calculateAllMetrics(layoutData)
-    
-    if (metrics.circulationEfficiency < 70) {
-      recommendations.push({
-        type: 'circulation',
-        priority: 'high',
-        message: 'Consider reducing circulation paths or optimizing room adjacencies to improve efficiency.',
-        impact: 'Reduces wasted space and improves flow'
-      })
-    }
-    
-    if (metrics.daylightHours < 6) {
-      recommendations.push({
-        type: 'daylight',
-        priority: 'medium',
-        message: 'Position more rooms near exterior walls to increase natural light exposure.',
-        impact: 'Improves occupant wellbeing and reduces lighting costs'
+  static calculateExitDistances(layoutData) {
+    const rooms = layoutData.rooms || []
+    const circulation = layoutData.circulation || []
+    const feetPerUnit = getFeetPerUnit(layoutData)
+    const bounds = this.calculateBuildingBounds(rooms)
+
+    // Rooms with a door to the outside are the exits. Layouts without doors fall back to rooms
+    // named like entrances, else the best-connected room on the building perimeter.
+    const connections = room => circulation.filter(path => path.from === room.id || path.to === room.id).length
+    const exteriorDoors = (layoutData.doors || []).filter(door => door.from === EXTERIOR || door.to === EXTERIOR)
+    const doorExits = rooms.filter(room => exteriorDoors.some(door => door.from === room.id || door.to === room.id))
+    const namedExits = rooms.filter(room => EXIT_ROOM_PATTERN.test(room.name || ''))
+    const frontDoor = rooms
+      .filter(room =>
+        room.x === bounds.minX || room.y === bounds.minY ||
+        room.x + room.width === bounds.maxX || room.y + room.height === bounds.maxY)
+      .sort((a, b) => connections(b) - connections(a))[0]
+    const exits = doorExits.length > 0 ? doorExits : namedExits.length > 0 ? namedExits : [frontDoor].filter(Boolean)
+
+    const center = room => [room.x + room.width / 2, room.y + room.height / 2]
+    const roomsById = Object.fromEntries(rooms.map(room => [room.id, room]))
+    const distances = Object.fromEntries(exits.map(room => [room.id, 0]))
+    const pending = new Set(rooms.map(room => room.id))
+
+    // Dijkstra; layouts are small enough for a linear scan of the queue
+    while (pending.size > 0) {
+      const current = [...pending]
+        .filter(id => distances[id] !== undefined)
+        .sort((a, b) => distances[a] - distances[b])[0]
+      if (current === undefined) break
+      pending.delete(current)
+
+      circulation.forEach(path => {
+        const next = path.from === current ? path.to : path.to === current ? path.from : null
+        if (!next || !pending.has(next) || !roomsById[next]) return
+        const [x1, y1] = center(roomsById[current])
+        const [x2, y2] = center(roomsById[next])
+        const distance = distances[current] + Math.hypot(x2 - x1, y2 - y1) * feetPerUnit
+        if (distances[next] === undefined || distance < distances[next]) distances[next] = distance
       })
     }
-    
-    if (metrics.energyEfficiency < 60) {
-      recommendations.push({
-        type: 'energy',
-        priority: 'high',
-        message: 'Optimize building shape for better energy performance. Consider more compact design.',
-        impact: 'Reduces heating and cooling costs'
-      })
+
+    return Object.fromEntries(Object.entries(distances).map(([id, feet]) => [id, Math.round(feet)]))
+  }
+
+  /**
+   * Calculate comprehensive performance metrics for a layout.
+   * Each metric is computed exactly once; the overall score and recommendations
+   * are derived from those computed values.
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @param {Object} options - { buildingOrientation, accessibility, priorities, weights }
+   * @returns {Object} Complete performance metrics
+   */
+  static calculateAllMetrics(layoutData, options = {}) {
+    const metrics = this.calculateBaseMetrics(layoutData, options)
+    const weights = options.weights || this.resolveWeights(options.priorities)
+
+    return {
+      ...metrics,
+      overallScore: this.calculateOverallScore(metrics, weights),
+      weights,
+      recommendations: this.generateRecommendations(metrics, options.priorities)
     }
-    
-    if (metrics.accessibilityScore < 90) {
-      recommendations.push({
-        type: 'accessibility',
-        priority: 'critical',
-        message: 'Ensure all circulation paths meet minimum width requirements for accessibility.',
-        impact: 'Required for code compliance and universal access'
-      })
+  }
+
+  /**
+   * Calculate every registered metric
+   * @param {Object} layoutData - Layout data with rooms and circulation
+   * @param {Object} options - { buildingOrientation, accessibility }
+   * @returns {Object} Metric values keyed by metric id
+   */
+  static calculateBaseMetrics(layoutData, options = {}) {
+    const context = {
+      layoutData,
+      buildingOrientation: options.buildingOrientation,
+      accessibility: options.accessibility
     }
-    
-    return recommendations
+    const metrics = {}
+
+    getMetrics().forEach(metric => {
+      metrics[metric.id] = computeMetric(metric, context)
+    })
+
+    return metrics
+  }
+
+  /**
+   * Turn project performance priorities into metric weights
+   * @param {Array} priorities - Prioritised targets ('circulation', 'daylight', 'energy')
+   * @returns {Object} Weight per metric id
+   */
+  static resolveWeights(priorities = []) {
+    const prioritizedMetrics = this.getPrioritizedMetrics(priorities)
+    const weights = {}
+
+    getMetrics().forEach(metric => {
+      weights[metric.id] = prioritizedMetrics.includes(metric.id)
+        ? metric.defaultWeight * PRIORITY_WEIGHT_MULTIPLIER
+        : metric.defaultWeight
+    })
+
+    return weights
+  }
+
+  /**
+   * Map project performance priorities to the metric ids they boost
+   * @param {Array} priorities - Prioritised targets
+   * @returns {Array} Metric ids
+   */
+  static getPrioritizedMetrics(priorities = []) {
+    return PERFORMANCE_PRIORITIES
+      .filter(priority => priorities.includes(priority.id))
+      .map(priority => priority.metric)
+  }
+
+  /**
+   * Calculate a weighted overall score from computed metrics
+   * @param {Object} metrics - Metric values keyed by metric id
+   * @param {Object} weights - Weight per metric id
+   * @returns {number} Overall score (0-100)
+   */
+  static calculateOverallScore(metrics, weights = this.resolveWeights()) {
+    let weightedTotal = 0
+    let totalWeight = 0
+
+    Object.entries(weights).forEach(([metricId, weight]) => {
+      const value = metrics[metricId]
+      if (typeof value !== 'number' || !getMetric(metricId) || weight <= 0) return
+
+      // Metrics use different units, so each is scaled onto 0-100 by its declared range
+      weightedTotal += normalizeMetricValue(metricId, value) * weight
+      totalWeight += weight
+    })
+
+    return totalWeight > 0 ? Math.round(weightedTotal / totalWeight) : 0
+  }
+
+  /**
+   * Generate recommendations from computed metric values
+   * @param {Object} metrics - Metric values keyed by metric id
+   * @param {Array} priorities - Prioritised targets; their recommendations are escalated
+   * @returns {Array} Array of recommendation objects
+   */
+  static generateRecommendations(metrics, priorities = []) {
+    const prioritizedMetrics = this.getPrioritizedMetrics(priorities)
+
+    return getMetrics()
+      .filter(metric => metric.recommend && typeof metrics[metric.id] === 'number')
+      .map(metric => metric.recommend(metrics[metric.id], { prioritized: prioritizedMetrics.includes(metric.id) }))
+      .filter(Boolean)
   }
 
   // Helper methods
@@ -304,21 +515,7 @@ export class PerformanceMetricsCalculator {
       for (let j = i + 1; j < rooms.length; j++) {
         totalPossiblePairs++
         
-        const room1 = rooms[i]
-        const room2 = rooms[j]
-        
-        // Check if rooms are adjacent (share a wall)
-        const horizontallyAdjacent = (
-          (room1.x + room1.width === room2.x || room2.x + room2.width === room1.x) &&
-          !(room1.y + room1.height <= room2.y || room2.y + room2.height <= room1.y)
-        )
-        
-        const verticallyAdjacent = (
-          (room1.y + room1.height === room2.y || room2.y + room2.height === room1.y) &&
-          !(room1.x + room1.width <= room2.x || room2.x + room2.width <= room1.x)
-        )
-        
-        if (horizontallyAdjacent || verticallyAdjacent) {
+        if (this.areRoomsAdjacent(rooms[i], rooms[j])) {
           adjacentPairs++
         }
       }
@@ -326,11 +523,120 @@ export class PerformanceMetricsCalculator {
     
     return totalPossiblePairs > 0 ? adjacentPairs / totalPossiblePairs : 0
   }
+
+  // Whether two rooms share a wall
+  static areRoomsAdjacent(room1, room2) {
+    const horizontallyAdjacent = (
+      (room1.x + room1.width === room2.x || room2.x + room2.width === room1.x) &&
+      !(room1.y + room1.height <= room2.y || room2.y + room2.height <= room1.y)
+    )
+
+    const verticallyAdjacent = (
+      (room1.y + room1.height === room2.y || room2.y + room2.height === room1.y) &&
+      !(room1.x + room1.width <= room2.x || room2.x + room2.width <= room1.x)
+    )
+
+    return horizontallyAdjacent || verticallyAdjacent
+  }
+
+  // Whether a room is reached by at least one path of the minimum width
+  static hasAdequateAccess(room, circulation, minCorridorWidth) {
+    return circulation.some(path =>
+      (path.from === room.id || path.to === room.id) && path.width >= minCorridorWidth
+    )
+  }
 }
 
+// Built-in metrics, in display order
+registerMetric({
+  id: 'circulationEfficiency',
+  label: 'Circulation Efficiency',
+  shortLabel: 'Circulation',
+  unit: '%',
+  range: [0, 100],
+  inputs: ['layoutData'],
+  compute: ({ layoutData }) => PerformanceMetricsCalculator.calculateCirculationEfficiency(layoutData),
+  recommend: (value) => value < 70 && {
+    type: 'circulation',
+    priority: 'high',
+    message: 'Consider reducing circulation paths or optimizing room adjacencies to improve efficiency.',
+    impact: 'Reduces wasted space and improves flow'
+  }
+})
+
+registerMetric({
+  id: 'daylightHours',
+  label: 'Daylight Hours',
+  shortLabel: 'Daylight',
+  unit: 'h',
+  range: [0, 12],
+  inputs: ['layoutData', 'buildingOrientation'],
+  display: 'number',
+  compute: ({ layoutData, buildingOrientation }) =>
+    PerformanceMetricsCalculator.calculateDaylightHours(layoutData, buildingOrientation),
+  recommend: (value, { prioritized }) => value < 6 && {
+    type: 'daylight',
+    priority: prioritized ? 'high' : 'medium',
+    message: 'Position more rooms near exterior walls to increase natural light exposure.',
+    impact: 'Improves occupant wellbeing and reduces lighting costs'
+  }
+})
+
+registerMetric({
+  id: 'energyEfficiency',
+  label: 'Energy Efficiency',
+  shortLabel: 'Energy',
+  unit: '%',
+  range: [0, 100],
+  inputs: ['layoutData'],
+  compute: ({ layoutData }) => PerformanceMetricsCalculator.calculateEnergyEfficiency(layoutData),
+  recommend: (value) => value < 60 && {
+    type: 'energy',
+    priority: 'high',
+    message: 'Optimize building shape for better energy performance. Consider more compact design.',
+    impact: 'Reduces heating and cooling costs'
+  }
+})
+
+registerMetric({
+  id: 'spaceUtilization',
+  label: 'Space Utilization',
+  shortLabel: 'Utilization',
+  unit: '%',
+  range: [0, 100],
+  inputs: ['layoutData'],
+  compute: ({ layoutData }) => PerformanceMetricsCalculator.calculateSpaceUtilization(layoutData)
+})
+
+registerMetric({
+  id: 'accessibilityScore',
+  label: 'Accessibility Score',
+  shortLabel: 'Accessibility',
+  unit: '%',
+  range: [0, 100],
+  inputs: ['layoutData', 'accessibility'],
+  compute: ({ layoutData, accessibility }) =>
+    PerformanceMetricsCalculator.calculateAccessibilityScore(layoutData, accessibility),
+  recommend: (value) => value < 90 && {
+    type: 'accessibility',
+    priority: 'critical',
+    message: 'Ensure all circulation paths meet minimum width requirements for accessibility.',
+    impact: 'Required for code compliance and universal access'
+  }
+})
+
 // Export convenience functions
+export const getPerformanceMetricDefinitions = () =>
+  getMetrics()
+
 export const calculatePerformanceMetrics = (layoutData, options) => 
   PerformanceMetricsCalculator.calculateAllMetrics(layoutData, options)
 
-export const generateLayoutRecommendations = (layoutData) => 
-  PerformanceMetricsCalculator.generateRecommendations(layoutData)
+export const calculateRoomMetricBreakdowns = (layoutData, options) =>
+  PerformanceMetricsCalculator.calculateRoomBreakdowns(layoutData, options)
+
+export const generateLayoutRecommendations = (layoutData, options = {}) => 
+  PerformanceMetricsCalculator.generateRecommendations(
+    PerformanceMetricsCalculator.calculateBaseMetrics(layoutData, options),
+    options.priorities
+  )
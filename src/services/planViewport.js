@@ -0,0 +1,137 @@
+/**
+ * Plan Viewport Service
+ * The visible part of a floor plan is a view: the drawing-space point at the top-left of
+ * the viewport, a scale in screen pixels per drawing unit, and the viewport size in pixels.
+ * The SVG viewBox is derived from it, so plans are never clipped to a fixed canvas.
+ */
+
+export const MIN_SCALE = 0.05
+export const MAX_SCALE = 8
+
+// Screen-space margin left around the plan when fitting it to the viewport
+export const FIT_PADDING = 40
+
+// Area shown for layouts without rooms
+export const DEFAULT_BOUNDS = { x: 0, y: 0, width: 1200, height: 800 }
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale))
+
+export class PlanViewport {
+  /**
+   * Extents of the rooms of one or more layouts
+   * @param {Object|Array} layoutData - Layout data, or a list of them
+   * @returns {Object} { x, y, width, height }
+   */
+  static getBounds(layoutData) {
+    const rooms = [].concat(layoutData).flatMap(data => data?.rooms || [])
+    if (rooms.length === 0) return DEFAULT_BOUNDS
+
+    const minX = Math.min(...rooms.map(room => room.x))
+    const minY = Math.min(...rooms.map(room => room.y))
+    const maxX = Math.max(...rooms.map(room => room.x + room.width))
+    const maxY = Math.max(...rooms.map(room => room.y + room.height))
+
+    return { x: minX, y: minY, width: maxX - minX || 1, height: maxY - minY || 1 }
+  }
+
+  /**
+   * View that shows the whole of the bounds, centred
+   * @param {Object} bounds - { x, y, width, height } in drawing units
+   * @param {Object} size - { width, height } of the viewport in pixels
+   * @returns {Object} View
+   */
+  static fit(bounds, size) {
+    const availableWidth = Math.max(size.width - FIT_PADDING * 2, 1)
+    const availableHeight = Math.max(size.height - FIT_PADDING * 2, 1)
+    const scale = clampScale(Math.min(availableWidth / bounds.width, availableHeight / bounds.height))
+
+    return {
+      x: bounds.x + bounds.width / 2 - size.width / scale / 2,
+      y: bounds.y + bounds.height / 2 - size.height / scale / 2,
+      scale,
+      width: size.width,
+      height: size.height
+    }
+  }
+
+  /**
+   * Zoom by a factor, keeping the drawing point under the anchor where it is
+   * @param {Object} view - Current view
+   * @param {number} factor - > 1 zooms in
+   * @param {Object} anchor - { x, y } in viewport pixels (defaults to the centre)
+   * @returns {Object} View
+   */
+  static zoom(view, factor, anchor = { x: view.width / 2, y: view.height / 2 }) {
+    const scale = clampScale(view.scale * factor)
+    const pointX = view.x + anchor.x / view.scale
+    const pointY = view.y + anchor.y / view.scale
+
+    return { ...view, scale, x: pointX - anchor.x / scale, y: pointY - anchor.y / scale }
+  }
+
+  /**
+   * Move the view with the pointer
+   * @param {Object} view - Current view
+   * @param {number} dx - Pointer movement in pixels
+   * @param {number} dy - Pointer movement in pixels
+   * @returns {Object} View
+   */
+  static pan(view, dx, dy) {
+    return { ...view, x: view.x - dx / view.scale, y: view.y - dy / view.scale }
+  }
+
+  /**
+   * Centre the view on a drawing point (used by the minimap)
+   * @param {Object} view - Current view
+   * @param {Object} point - { x, y } in drawing units
+   * @returns {Object} View
+   */
+  static centerOn(view, point) {
+    return { ...view, x: point.x - view.width / view.scale / 2, y: point.y - view.height / view.scale / 2 }
+  }
+
+  /**
+   * Track a new viewport size, keeping the drawing point at the centre in place
+   * @param {Object} view - Current view
+   * @param {Object} size - { width, height } in pixels
+   * @returns {Object} View
+   */
+  static resize(view, size) {
+    const center = {
+      x: view.x + view.width / view.scale / 2,
+      y: view.y + view.height / view.scale / 2
+    }
+    return this.centerOn({ ...view, width: size.width, height: size.height }, center)
+  }
+
+  /**
+   * Visible area in drawing units, for the SVG viewBox
+   * @param {Object} view - Current view
+   * @returns {Object} { x, y, width, height }
+   */
+  static getViewBox(view) {
+    return { x: view.x, y: view.y, width: view.width / view.scale, height: view.height / view.scale }
+  }
+
+  /**
+   * Whether the bounds extend beyond the visible area
+   * @param {Object} view - Current view
+   * @param {Object} bounds - { x, y, width, height } in drawing units
+   * @returns {boolean}
+   */
+  static isClipped(view, bounds) {
+    const box = this.getViewBox(view)
+    return bounds.x < box.x || bounds.y < box.y ||
+      bounds.x + bounds.width > box.x + box.width ||
+      bounds.y + bounds.height > box.y + box.height
+  }
+}
+
+// Export convenience functions
+export const getPlanBounds = (layoutData) => PlanViewport.getBounds(layoutData)
+
+export const fitPlanView = (bounds, size) => PlanViewport.fit(bounds, size)
+
+export const zoomPlanView = (view, factor, anchor) => PlanViewport.zoom(view, factor, anchor)
+
+export const panPlanView = (view, dx, dy) => PlanViewport.pan(view, dx, dy)
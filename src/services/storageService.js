@@ -0,0 +1,354 @@
+/**
+ * Storage Service
+ * Persists the workspace (projects, layouts, code packs and account settings) in IndexedDB, falling
+ * back to localStorage where IndexedDB is unavailable. Every record carries the schema
+ * version it was written with and is migrated forward when loaded.
+ */
+
+import { startLayoutHistory } from './layoutHistory.js'
+import { withDefaultBuildingElements } from './buildingElements.js'
+
+export const STORAGE_SCHEMA_VERSION = 6
+
+// Upgrade steps keyed by the version they produce: { [version]: { projects, layouts, codePacks, settings } }
+// where each entry is (record) => record. Add a step whenever a persisted shape changes.
+const MIGRATIONS = {
+  // v2: layouts carry revision history; existing geometry becomes the first revision
+  2: {
+    layouts: (layout) => layout.revisions ? layout : startLayoutHistory(layout)
+  },
+  // v3: layouts have doors and windows; the current revision gets the same ones, older
+  // revisions keep their rooms-and-circulation form
+  3: {
+    layouts: (layout) => {
+      const layoutData = withDefaultBuildingElements(layout.layoutData)
+      if (layoutData === layout.layoutData) return layout
+      return {
+        ...layout,
+        layoutData,
+        revisions: layout.revisions?.map(revision =>
+          revision.id === layout.currentRevisionId ? { ...revision, layoutData } : revision)
+      }
+    }
+  },
+  // v4: layouts state their units; everything saved before was in feet
+  4: {
+    layouts: (layout) => {
+      const withUnits = layoutData => (layoutData && !layoutData.units ? { ...layoutData, units: 'feet' } : layoutData)
+      return {
+        ...layout,
+        layoutData: withUnits(layout.layoutData),
+        revisions: layout.revisions?.map(revision => ({ ...revision, layoutData: withUnits(revision.layoutData) }))
+      }
+    }
+  },
+  // v5: LEED is a sustainability framework of the project rather than one of its building codes
+  5: {
+    projects: (project) => {
+      const codes = project.normSettings?.codes
+      if (!codes?.includes('LEED')) return project
+      return {
+        ...project,
+        normSettings: { ...project.normSettings, codes: codes.filter(code => code !== 'LEED') },
+        sustainabilitySettings: { frameworks: ['LEED'] }
+      }
+    }
+  },
+  // v6: a project created with a single code or framework checkbox stored it as a string
+  // (or false); settings lists are always arrays
+  6: {
+    projects: (project) => {
+      const toList = value => [].concat(value || [])
+      return {
+        ...project,
+        normSettings: project.normSettings && { ...project.normSettings, codes: toList(project.normSettings.codes) },
+        sustainabilitySettings: project.sustainabilitySettings && {
+          ...project.sustainabilitySettings,
+          frameworks: toList(project.sustainabilitySettings.frameworks)
+        }
+      }
+    }
+  }
+}
+
+// Derived data is recomputed by the evaluation pipeline on load, so it is never persisted
+const DERIVED_LAYOUT_KEYS = ['performanceMetrics', 'complianceResults', 'complianceStatus']
+
+const DB_NAME = 'archflow'
+// v2: codePacks store
+const DB_VERSION = 2
+const STORES = ['projects', 'layouts', 'codePacks', 'settings']
+const LOCAL_STORAGE_KEY = 'archflow:workspace'
+const SETTINGS_KEY = 'workspace'
+
+export class StorageError extends Error {
+  constructor(message, cause) {
+    super(message)
+    this.name = 'StorageError'
+    this.cause = cause
+  }
+}
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+class IndexedDBBackend {
+  constructor(db) {
+    this.name = 'indexeddb'
+    this.db = db
+  }
+
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        STORES.forEach(store => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: store === 'settings' ? 'key' : 'id' })
+          }
+        })
+      }
+      request.onsuccess = () => resolve(new IndexedDBBackend(request.result))
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+    })
+  }
+
+  async load() {
+    const transaction = this.db.transaction(STORES, 'readonly')
+    const [projects, layouts, codePacks, settings] = await Promise.all(
+      STORES.map(store => requestToPromise(transaction.objectStore(store).getAll()))
+    )
+
+    return {
+      projects,
+      layouts,
+      codePacks,
+      settings: settings.find(record => record.key === SETTINGS_KEY) || null
+    }
+  }
+
+  // Replace the whole workspace in one transaction so a failed write leaves the previous copy intact
+  save(snapshot) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORES, 'readwrite')
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+
+      STORES.forEach(store => transaction.objectStore(store).clear())
+      snapshot.projects.forEach(record => transaction.objectStore('projects').put(record))
+      snapshot.layouts.forEach(record => transaction.objectStore('layouts').put(record))
+      snapshot.codePacks.forEach(record => transaction.objectStore('codePacks').put(record))
+      transaction.objectStore('settings').put({ ...snapshot.settings, key: SETTINGS_KEY })
+    })
+  }
+}
+
+class LocalStorageBackend {
+  constructor() {
+    this.name = 'localstorage'
+  }
+
+  async load() {
+    const raw = localStorage.getItem(LOCAL_STORAGE_KEY)
+    if (!raw) return { projects: [], layouts: [], codePacks: [], settings: null }
+
+    const parsed = JSON.parse(raw)
+    return {
+      projects: parsed.projects || [],
+      layouts: parsed.layouts || [],
+      codePacks: parsed.codePacks || [],
+      settings: parsed.settings || null
+    }
+  }
+
+  async save(snapshot) {
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(snapshot))
+  }
+}
+
+// Keeps the app usable (without persistence) where neither browser store is available
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory'
+    this.snapshot = null
+  }
+
+  async load() {
+    return this.snapshot || { projects: [], layouts: [], codePacks: [], settings: null }
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot
+  }
+}
+
+let backendPromise = null
+
+export class StorageService {
+  /**
+   * Resolve the storage backend: IndexedDB, then localStorage, then in-memory
+   * @returns {Promise<Object>} Backend with load and save
+   */
+  static getBackend() {
+    if (!backendPromise) {
+      backendPromise = this.openBackend()
+    }
+    return backendPromise
+  }
+
+  /**
+   * Open the best available backend
+   * @returns {Promise<Object>} Backend instance
+   */
+  static async openBackend() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        return await IndexedDBBackend.open()
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error)
+      }
+    }
+
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(`${LOCAL_STORAGE_KEY}:probe`, '1')
+        localStorage.removeItem(`${LOCAL_STORAGE_KEY}:probe`)
+        return new LocalStorageBackend()
+      }
+    } catch (error) {
+      console.warn('localStorage unavailable, workspace will not persist:', error)
+    }
+
+    return new MemoryBackend()
+  }
+
+  /**
+   * Load and migrate the persisted workspace
+   * @returns {Promise<Object|null>} { projects, layouts, codePacks, settings }, or null if nothing has been saved yet
+   */
+  static async loadWorkspace() {
+    const backend = await this.getBackend()
+    let stored
+
+    try {
+      stored = await backend.load()
+    } catch (error) {
+      throw new StorageError('Failed to read saved workspace', error)
+    }
+
+    if (!stored.settings) return null
+
+    return {
+      projects: this.migrateRecords('projects', stored.projects).map(this.deserializeProject),
+      layouts: this.migrateRecords('layouts', stored.layouts).map(this.deserializeLayout),
+      codePacks: this.migrateRecords('codePacks', stored.codePacks),
+      settings: this.migrateRecords('settings', [stored.settings])[0] || {}
+    }
+  }
+
+  /**
+   * Persist the workspace
+   * @param {Object} workspace - { projects, layouts, codePacks, settings }
+   * @returns {Promise<void>}
+   */
+  static async saveWorkspace({ projects, layouts, codePacks = [], settings }) {
+    const backend = await this.getBackend()
+    const stamp = record => ({ ...record, schemaVersion: STORAGE_SCHEMA_VERSION })
+
+    try {
+      await backend.save({
+        projects: projects.map(stamp),
+        layouts: layouts.map(layout => stamp(this.serializeLayout(layout))),
+        codePacks: codePacks.map(stamp),
+        settings: stamp(settings)
+      })
+    } catch (error) {
+      throw new StorageError('Failed to save workspace', error)
+    }
+  }
+
+  /**
+   * Name of the active backend ('indexeddb', 'localstorage' or 'memory')
+   * @returns {Promise<string>}
+   */
+  static async getBackendName() {
+    const backend = await this.getBackend()
+    return backend.name
+  }
+
+  /**
+   * Bring records of one type up to the current schema version. Records written by a
+   * newer version of the app are skipped rather than guessed at.
+   * @param {string} type - 'projects', 'layouts', 'codePacks' or 'settings'
+   * @param {Array} records - Stored records
+   * @returns {Array} Migrated records without their schemaVersion stamp
+   */
+  static migrateRecords(type, records) {
+    return records.reduce((migrated, record) => {
+      const { schemaVersion = 1, ...data } = record
+
+      if (schemaVersion > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Skipping ${type} record saved by a newer schema version (${schemaVersion})`)
+        return migrated
+      }
+
+      let upgraded = data
+      for (let version = schemaVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS[version]?.[type]
+        if (step) upgraded = step(upgraded)
+      }
+
+      migrated.push(upgraded)
+      return migrated
+    }, [])
+  }
+
+  /**
+   * Strip derived evaluation data from a layout before it is stored
+   * @param {Object} layout - Layout record
+   * @returns {Object} Storable layout record
+   */
+  static serializeLayout(layout) {
+    const record = { ...layout }
+    DERIVED_LAYOUT_KEYS.forEach(key => delete record[key])
+    return record
+  }
+
+  /**
+   * Restore a stored project (localStorage round-trips dates as strings)
+   * @param {Object} project - Stored project
+   * @returns {Object} Project record
+   */
+  static deserializeProject(project) {
+    return { ...project, createdAt: new Date(project.createdAt) }
+  }
+
+  /**
+   * Restore a stored layout; derived data is added back by the evaluation pipeline
+   * @param {Object} layout - Stored layout
+   * @returns {Object} Layout record without derived data
+   */
+  static deserializeLayout(layout) {
+    return {
+      ...layout,
+      createdAt: new Date(layout.createdAt),
+      revisions: (layout.revisions || []).map(revision => ({ ...revision, createdAt: new Date(revision.createdAt) }))
+    }
+  }
+}
+
+// Export convenience functions
+export const loadWorkspace = () =>
+  StorageService.loadWorkspace()
+
+export const saveWorkspace = (workspace) =>
+  StorageService.saveWorkspace(workspace)
+
+export const getStorageBackendName = () =>
+  StorageService.getBackendName()
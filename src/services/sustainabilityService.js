@@ -0,0 +1,204 @@
+/**
+ * Sustainability Service
+ * Estimates green building rating credits from a layout. Unlike building codes these are
+ * voluntary, so results never affect compliance status; they are a points estimate with the
+ * gaps to the next tier of each credit. Only credits a floor plan says something about are
+ * assessed, from the same measures as the performance metrics (see performanceService.js),
+ * so an estimate is a design-stage indication rather than a certification submission.
+ */
+
+import { calculatePerformanceMetrics, calculateRoomMetricBreakdowns } from './performanceService.js'
+import { BuildingElementsService } from './buildingElements.js'
+import { UnitService } from './units.js'
+
+// Daylight hours (see the daylightHours room breakdown) from which a room counts as daylit
+const DAYLIT_HOURS = 6
+
+/**
+ * Rating frameworks. Each credit is scored on one measure (MEASURES) by the highest tier whose
+ * `min` it reaches; `available` is the points the assessed tiers can earn.
+ */
+export const SUSTAINABILITY_FRAMEWORKS = {
+  LEED: {
+    name: 'LEED BD+C: New Construction',
+    version: 'v4.1',
+    credits: [
+      {
+        id: 'daylight',
+        name: 'Daylight',
+        category: 'Indoor Environmental Quality',
+        measure: 'daylitShare',
+        tiers: [{ min: 40, points: 1 }, { min: 55, points: 2 }, { min: 75, points: 3 }],
+        recommendation: 'Place regularly occupied rooms on exterior walls, favouring south, or add glazing'
+      },
+      {
+        id: 'quality-views',
+        name: 'Quality Views',
+        category: 'Indoor Environmental Quality',
+        measure: 'viewShare',
+        tiers: [{ min: 75, points: 1 }],
+        recommendation: 'Give regularly occupied rooms a window in an exterior wall'
+      },
+      {
+        id: 'compact-development',
+        name: 'Compact Development',
+        category: 'Location and Transportation',
+        measure: 'spaceUtilization',
+        tiers: [{ min: 85, points: 1 }],
+        recommendation: 'Reduce gaps and courtyards inside the building footprint'
+      },
+      {
+        // The layout only decides form and compactness; the remaining points of the credit
+        // depend on envelope and systems and are left to energy modelling
+        id: 'optimize-energy-performance',
+        name: 'Optimize Energy Performance',
+        category: 'Energy and Atmosphere',
+        measure: 'energyEfficiency',
+        tiers: [{ min: 60, points: 2 }, { min: 70, points: 4 }, { min: 80, points: 6 }],
+        recommendation: 'Make the building form more compact, with rooms sharing walls'
+      }
+    ]
+  }
+}
+
+/**
+ * Measures credits are scored on, as percentages. `measure` receives the shared context
+ * from createContext.
+ */
+const MEASURES = {
+  daylitShare: {
+    label: 'daylit share of regularly occupied floor area',
+    measure: context => context.getOccupiedShare(room => context.breakdowns.daylightHours[room.id] >= DAYLIT_HOURS)
+  },
+  viewShare: {
+    label: 'share of regularly occupied floor area with outside views',
+    measure: context => context.getOccupiedShare(room => context.hasView(room))
+  },
+  spaceUtilization: {
+    label: 'space utilization',
+    measure: context => context.performanceMetrics.spaceUtilization
+  },
+  energyEfficiency: {
+    label: 'energy efficiency score',
+    measure: context => context.performanceMetrics.energyEfficiency
+  }
+}
+
+export class SustainabilityService {
+  /**
+   * Estimate a framework's credits for a layout
+   * @param {Object} layoutData - Layout data
+   * @param {Object} options - { framework, performanceMetrics } where performanceMetrics are the
+   *   layout's own (calculated when not given) and framework defaults to 'LEED'
+   * @returns {Object} { framework, name, version, credits, earned, available, gaps }, where each
+   *   credit is { id, name, category, value, label, earned, available, next } and gaps are
+   *   { credit, points, message, recommendation } for credits below their top tier
+   * @throws {Error} If the framework is unknown
+   */
+  static assess(layoutData, { framework = 'LEED', performanceMetrics } = {}) {
+    const definition = this.getFramework(framework)
+    if (!definition) throw new Error(`Unknown sustainability framework: ${framework}`)
+
+    const context = this.createContext(layoutData, performanceMetrics)
+    const credits = definition.credits.map(credit => this.scoreCredit(credit, context))
+
+    return {
+      framework,
+      name: definition.name,
+      version: definition.version,
+      credits,
+      earned: credits.reduce((total, credit) => total + credit.earned, 0),
+      available: credits.reduce((total, credit) => total + credit.available, 0),
+      gaps: credits
+        .filter(credit => credit.next)
+        .map((credit) => {
+          const points = credit.next.points - credit.earned
+          return {
+            credit: credit.id,
+            points,
+            message: `${credit.name}: raise ${credit.label} from ${UnitService.formatValue(credit.value, '%')} to ${UnitService.formatValue(credit.next.min, '%')} for ${points} more point${points === 1 ? '' : 's'}`,
+            recommendation: credit.recommendation
+          }
+        })
+    }
+  }
+
+  /**
+   * Score one credit
+   * @param {Object} credit - Credit definition
+   * @param {Object} context - Context from createContext
+   * @returns {Object} { id, name, category, value, label, earned, available, next, recommendation }
+   *   where next is the tier above the one reached, if any
+   */
+  static scoreCredit(credit, context) {
+    const { label, measure } = MEASURES[credit.measure]
+    const value = UnitService.round(measure(context) || 0, '%')
+    const reached = credit.tiers.filter(tier => value >= tier.min)
+
+    return {
+      id: credit.id,
+      name: credit.name,
+      category: credit.category,
+      value,
+      label,
+      earned: reached.length > 0 ? reached[reached.length - 1].points : 0,
+      available: Math.max(...credit.tiers.map(tier => tier.points)),
+      next: credit.tiers.find(tier => value < tier.min),
+      recommendation: credit.recommendation
+    }
+  }
+
+  /**
+   * Measurements shared by the credits of one assessment
+   * @param {Object} layoutData - Layout data
+   * @param {Object} performanceMetrics - The layout's performance metrics, if already calculated
+   * @returns {Object} { layoutData, performanceMetrics, breakdowns, hasView(room), getOccupiedShare(test) }
+   */
+  static createContext(layoutData, performanceMetrics = calculatePerformanceMetrics(layoutData)) {
+    const occupied = (layoutData.rooms || []).filter(room => BuildingElementsService.isHabitable(room))
+    const occupiedArea = occupied.reduce((total, room) => total + room.area, 0)
+    // Windows in an exterior wall where the layout has them, otherwise any exterior wall
+    const glazedRooms = Array.isArray(layoutData.windows)
+      ? new Set(BuildingElementsService.getGeometry(layoutData).windows.filter(({ wall }) => wall).map(({ window }) => window.room))
+      : null
+
+    return {
+      layoutData,
+      performanceMetrics,
+      breakdowns: calculateRoomMetricBreakdowns(layoutData),
+      hasView: room => (glazedRooms
+        ? glazedRooms.has(room.id)
+        : BuildingElementsService.getExteriorSides(layoutData, room.id).length > 0),
+      // Percentage of regularly occupied floor area in rooms that pass the test
+      getOccupiedShare: test => (occupiedArea > 0
+        ? (occupied.filter(test).reduce((total, room) => total + room.area, 0) / occupiedArea) * 100
+        : 0)
+    }
+  }
+
+  /**
+   * Get a framework definition
+   * @param {string} framework - Framework key, e.g. 'LEED'
+   * @returns {Object|undefined} Framework definition
+   */
+  static getFramework(framework) {
+    return Object.prototype.hasOwnProperty.call(SUSTAINABILITY_FRAMEWORKS, framework)
+      ? SUSTAINABILITY_FRAMEWORKS[framework]
+      : undefined
+  }
+
+  /**
+   * Get available sustainability frameworks
+   * @returns {Array} { key, name, version } per framework
+   */
+  static getFrameworks() {
+    return Object.entries(SUSTAINABILITY_FRAMEWORKS).map(([key, { name, version }]) => ({ key, name, version }))
+  }
+}
+
+// Export convenience functions
+export const assessSustainability = (layoutData, options) =>
+  SustainabilityService.assess(layoutData, options)
+
+export const getSustainabilityFrameworks = () =>
+  SustainabilityService.getFrameworks()
@@ -0,0 +1,277 @@
+/**
+ * Unit Service
+ * Every layout declares the units its real-world quantities are in with `units`:
+ *
+ *   'feet'    lengths (circulation widths) in ft, areas in sq ft, details in inches
+ *   'meters'  lengths in m, areas in m², details in mm
+ *
+ * "Details" are the small dimensions of doors, windows and walls (widths, heights, sills and
+ * thicknesses). Room geometry (x, y, width, height) is in drawing units whatever the layout
+ * units; its scale is recovered from the room areas (see getFeetPerUnit in massingModel.js).
+ *
+ * Services convert layout quantities into the unit they work in (building code rules carry
+ * their own unit), and the UI shows everything in the user's or project's display system.
+ */
+
+export const UNIT_SYSTEMS = {
+  imperial: { id: 'imperial', label: 'Imperial (ft, in, sq ft)', layoutUnits: 'feet', length: 'ft', detail: 'in', area: 'sqft' },
+  metric: { id: 'metric', label: 'Metric (m, mm, m²)', layoutUnits: 'meters', length: 'm', detail: 'mm', area: 'm2' }
+}
+
+export const DEFAULT_UNIT_SYSTEM = 'imperial'
+
+const METERS_PER_UNIT = { in: 0.0254, ft: 0.3048, mm: 0.001, cm: 0.01, m: 1 }
+const SQUARE_METERS_PER_UNIT = { sqin: 0.00064516, sqft: 0.09290304, mm2: 0.000001, m2: 1 }
+
+const UNIT_LABELS = { in: 'in', ft: 'ft', mm: 'mm', cm: 'cm', m: 'm', sqin: 'sq in', sqft: 'sq ft', mm2: 'mm²', m2: 'm²', '%': '%' }
+// Decimal places worth showing for a value in each unit
+const UNIT_PRECISION = { in: 1, ft: 1, mm: 0, cm: 0, m: 2, sqin: 0, sqft: 0, mm2: 0, m2: 1, '%': 1 }
+
+const isAreaUnit = unit => Object.prototype.hasOwnProperty.call(SQUARE_METERS_PER_UNIT, unit)
+const isLengthUnit = unit => Object.prototype.hasOwnProperty.call(METERS_PER_UNIT, unit)
+
+export class UnitService {
+  /**
+   * Convert a length between units
+   * @param {number} value - Length
+   * @param {string} from - 'in', 'ft', 'mm', 'cm' or 'm'
+   * @param {string} to - Target unit
+   * @returns {number}
+   */
+  static convertLength(value, from, to) {
+    if (from === to) return value
+    if (!METERS_PER_UNIT[from] || !METERS_PER_UNIT[to]) throw new Error(`Unknown length unit: ${METERS_PER_UNIT[from] ? to : from}`)
+    return (value * METERS_PER_UNIT[from]) / METERS_PER_UNIT[to]
+  }
+
+  /**
+   * Convert an area between units
+   * @param {number} value - Area
+   * @param {string} from - 'sqin', 'sqft', 'mm2' or 'm2'
+   * @param {string} to - Target unit
+   * @returns {number}
+   */
+  static convertArea(value, from, to) {
+    if (from === to) return value
+    if (!SQUARE_METERS_PER_UNIT[from] || !SQUARE_METERS_PER_UNIT[to]) throw new Error(`Unknown area unit: ${SQUARE_METERS_PER_UNIT[from] ? to : from}`)
+    return (value * SQUARE_METERS_PER_UNIT[from]) / SQUARE_METERS_PER_UNIT[to]
+  }
+
+  /**
+   * Convert a length or an area, depending on the units
+   * @param {number} value - Value in `from`
+   * @param {string} from - Unit of value
+   * @param {string} to - Target unit of the same kind
+   * @returns {number}
+   */
+  static convert(value, from, to) {
+    return isAreaUnit(from) ? this.convertArea(value, from, to) : this.convertLength(value, from, to)
+  }
+
+  /**
+   * What a unit measures
+   * @param {string} unit - Unit
+   * @returns {string|null} 'length', 'area', 'ratio' (for '%') or null if unknown
+   */
+  static getUnitKind(unit) {
+    if (unit === '%') return 'ratio'
+    if (isAreaUnit(unit)) return 'area'
+    return isLengthUnit(unit) ? 'length' : null
+  }
+
+  /**
+   * Unit system by id, falling back to the default
+   * @param {string} systemId - 'imperial' or 'metric'
+   * @returns {Object} UNIT_SYSTEMS entry
+   */
+  static getSystem(systemId) {
+    return UNIT_SYSTEMS[systemId] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM]
+  }
+
+  /**
+   * Unit system a layout's quantities are stored in
+   * @param {Object} layoutData - Layout data
+   * @returns {Object} UNIT_SYSTEMS entry; layouts without `units` are in feet
+   */
+  static getLayoutSystem(layoutData) {
+    return Object.values(UNIT_SYSTEMS).find(system => system.layoutUnits === layoutData?.units) ||
+      UNIT_SYSTEMS.imperial
+  }
+
+  /**
+   * Display system from a project override and the user's default
+   * @param {Object} project - Project with optional unitSystem
+   * @param {Object} user - User with optional unitSystem
+   * @returns {string} Unit system id
+   */
+  static resolveDisplaySystem(project, user) {
+    return [project?.unitSystem, user?.unitSystem].find(id => UNIT_SYSTEMS[id]) || DEFAULT_UNIT_SYSTEM
+  }
+
+  /**
+   * Convert a layout quantity into a given unit
+   * @param {Object} layoutData - Layout data the value comes from
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in the layout's units
+   * @param {string} unit - Target unit
+   * @returns {number}
+   */
+  static fromLayout(layoutData, kind, value, unit) {
+    return this.convert(value, this.getLayoutSystem(layoutData)[kind], unit)
+  }
+
+  /**
+   * Convert a value into a layout's units
+   * @param {Object} layoutData - Layout data the value is for
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in `unit`
+   * @param {string} unit - Unit of value
+   * @returns {number}
+   */
+  static toLayout(layoutData, kind, value, unit) {
+    return this.convert(value, unit, this.getLayoutSystem(layoutData)[kind])
+  }
+
+  /**
+   * Layout data restated in other units. Areas, circulation widths and door, window and wall
+   * sizes are converted; room geometry stays in drawing units.
+   * @param {Object} layoutData - Layout data
+   * @param {string} units - Target layout units ('feet' or 'meters')
+   * @returns {Object} Layout data, unchanged if it is already in those units
+   */
+  static convertLayout(layoutData, units) {
+    const from = this.getLayoutSystem(layoutData)
+    const to = this.getLayoutSystem({ units })
+    if (from === to) return layoutData
+
+    const convert = kind => value => (typeof value === 'number' ? this.convert(value, from[kind], to[kind]) : value)
+    const [area, length, detail] = [convert('area'), convert('length'), convert('detail')]
+    const converted = {
+      ...layoutData,
+      units: to.layoutUnits,
+      rooms: (layoutData.rooms || []).map(room => ({ ...room, area: area(room.area) })),
+      circulation: (layoutData.circulation || []).map(path => ({ ...path, width: length(path.width) }))
+    }
+    if (layoutData.doors) converted.doors = layoutData.doors.map(door => ({ ...door, width: detail(door.width) }))
+    if (layoutData.windows) {
+      converted.windows = layoutData.windows.map(window => ({
+        ...window,
+        width: detail(window.width),
+        height: detail(window.height),
+        sill: detail(window.sill)
+      }))
+    }
+    if (layoutData.wallThickness) {
+      converted.wallThickness = Object.fromEntries(
+        Object.entries(layoutData.wallThickness).map(([type, thickness]) => [type, detail(thickness)])
+      )
+    }
+    return converted
+  }
+
+  /**
+   * Round a value to the precision worth showing in its unit
+   * @param {number} value - Value
+   * @param {string} unit - Unit of value
+   * @returns {number}
+   */
+  static round(value, unit) {
+    const factor = Math.pow(10, UNIT_PRECISION[unit] ?? 1)
+    return Math.round(value * factor) / factor
+  }
+
+  /**
+   * Short label for a unit, for input labels and table headers
+   * @param {string} unit - Unit
+   * @returns {string} e.g. 'sq ft', 'mm'
+   */
+  static getUnitLabel(unit) {
+    return UNIT_LABELS[unit] || unit
+  }
+
+  /**
+   * Format a value in its own unit; feet are shown as feet and inches (12' 6")
+   * @param {number} value - Value
+   * @param {string} unit - Unit of value
+   * @returns {string}
+   */
+  static formatValue(value, unit) {
+    if (unit === 'ft') {
+      const totalInches = Math.round(Math.abs(value) * 12)
+      const feet = Math.floor(totalInches / 12)
+      const inches = totalInches % 12
+      const sign = value < 0 && totalInches > 0 ? '-' : ''
+      return inches === 0 ? `${sign}${feet}'` : `${sign}${feet}' ${inches}"`
+    }
+    if (unit === 'in') return `${this.round(value, unit)}"`
+    if (unit === '%') return `${this.round(value, unit)}%`
+    return `${this.round(value, unit)} ${this.getUnitLabel(unit)}`
+  }
+
+  /**
+   * Format a quantity in a display system
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in `unit`
+   * @param {string} unit - Unit of value
+   * @param {string} systemId - Display system id
+   * @returns {string}
+   */
+  static format(kind, value, unit, systemId) {
+    const target = this.getSystem(systemId)[kind]
+    return this.formatValue(this.convert(value, unit, target), target)
+  }
+
+  /**
+   * Format a layout quantity in a display system
+   * @param {Object} layoutData - Layout data the value comes from
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in the layout's units
+   * @param {string} systemId - Display system id
+   * @returns {string}
+   */
+  static formatLayoutValue(layoutData, kind, value, systemId) {
+    return this.format(kind, value, this.getLayoutSystem(layoutData)[kind], systemId)
+  }
+
+  /**
+   * Layout quantity as a number in a display system, for form inputs
+   * @param {Object} layoutData - Layout data the value comes from
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in the layout's units
+   * @param {string} systemId - Display system id
+   * @returns {number}
+   */
+  static toDisplay(layoutData, kind, value, systemId) {
+    const unit = this.getSystem(systemId)[kind]
+    return this.round(this.fromLayout(layoutData, kind, value, unit), unit)
+  }
+
+  /**
+   * Value entered in a display system, in the layout's units
+   * @param {Object} layoutData - Layout data the value is for
+   * @param {string} kind - 'length', 'detail' or 'area'
+   * @param {number} value - Value in the display system
+   * @param {string} systemId - Display system id
+   * @returns {number}
+   */
+  static fromDisplay(layoutData, kind, value, systemId) {
+    const layoutUnit = this.getLayoutSystem(layoutData)[kind]
+    return this.round(this.toLayout(layoutData, kind, value, this.getSystem(systemId)[kind]), layoutUnit)
+  }
+}
+
+// Export convenience functions
+export const convertLength = (value, from, to) =>
+  UnitService.convertLength(value, from, to)
+
+export const convertArea = (value, from, to) =>
+  UnitService.convertArea(value, from, to)
+
+export const getLayoutUnitSystem = (layoutData) =>
+  UnitService.getLayoutSystem(layoutData)
+
+export const resolveUnitSystem = (project, user) =>
+  UnitService.resolveDisplaySystem(project, user)
+
+export const formatLayoutValue = (layoutData, kind, value, systemId) =>
+  UnitService.formatLayoutValue(layoutData, kind, value, systemId)
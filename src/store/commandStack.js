@@ -0,0 +1,97 @@
+/**
+ * Command Stack
+ * Undo/redo bookkeeping for store mutations. Each undoable mutation records a command
+ * holding the before/after snapshot of the entity it changed. Commands are kept on one
+ * stack per scope, so undoing in one layout never reverts changes made in another.
+ */
+
+export const MAX_UNDO_STEPS = 100
+
+export const layoutScope = (layoutId) => `layout:${layoutId}`
+export const projectScope = (projectId) => `project:${projectId}`
+
+const EMPTY_STACK = { undo: [], redo: [] }
+
+export class CommandStack {
+  /**
+   * Get the stack for a scope
+   * @param {Object} stacks - Stacks keyed by scope
+   * @param {string} scope - Scope key
+   * @returns {Object} { undo, redo }
+   */
+  static get(stacks, scope) {
+    return stacks[scope] || EMPTY_STACK
+  }
+
+  /**
+   * Record a command and clear the scope's redo stack. A command with the same
+   * coalesceKey as the top of the stack (e.g. successive moves of one drag) is merged
+   * into it, keeping the original "before" snapshot so the whole gesture undoes at once.
+   * @param {Object} stacks - Stacks keyed by scope
+   * @param {Object} command - { scope, label, entity, id, before, after, coalesceKey }
+   *   entity: 'layout' or 'project'; before/after: entity record, or null when absent
+   * @returns {Object} Updated stacks
+   */
+  static push(stacks, command) {
+    const stack = this.get(stacks, command.scope)
+    const top = stack.undo[stack.undo.length - 1]
+    const coalesce = command.coalesceKey && top?.coalesceKey === command.coalesceKey
+
+    const undo = coalesce
+      ? [...stack.undo.slice(0, -1), { ...command, before: top.before }]
+      : [...stack.undo, command].slice(-MAX_UNDO_STEPS)
+
+    return { ...stacks, [command.scope]: { undo, redo: [] } }
+  }
+
+  /**
+   * Take the most recent command to undo. The caller passes the entity's current
+   * record, which becomes the command's "after" so redo restores exactly what was undone.
+   * @param {Object} stacks - Stacks keyed by scope
+   * @param {string} scope - Scope key
+   * @param {Function} getCurrent - (command) => current entity record or null
+   * @returns {Object|null} { command, stacks }, or null if there is nothing to undo
+   */
+  static undo(stacks, scope, getCurrent) {
+    const stack = this.get(stacks, scope)
+    const command = stack.undo[stack.undo.length - 1]
+    if (!command) return null
+
+    const undone = { ...command, after: getCurrent(command) }
+    return {
+      command: undone,
+      stacks: { ...stacks, [scope]: { undo: stack.undo.slice(0, -1), redo: [...stack.redo, undone] } }
+    }
+  }
+
+  /**
+   * Take the most recently undone command to redo
+   * @param {Object} stacks - Stacks keyed by scope
+   * @param {string} scope - Scope key
+   * @param {Function} getCurrent - (command) => current entity record or null
+   * @returns {Object|null} { command, stacks }, or null if there is nothing to redo
+   */
+  static redo(stacks, scope, getCurrent) {
+    const stack = this.get(stacks, scope)
+    const command = stack.redo[stack.redo.length - 1]
+    if (!command) return null
+
+    // Never coalesce into a redone command: a new gesture must start its own step
+    const redone = { ...command, before: getCurrent(command), coalesceKey: null }
+    return {
+      command: redone,
+      stacks: { ...stacks, [scope]: { undo: [...stack.undo, redone], redo: stack.redo.slice(0, -1) } }
+    }
+  }
+
+  /**
+   * Forget a scope's stack (e.g. when its layout is removed)
+   * @param {Object} stacks - Stacks keyed by scope
+   * @param {string} scope - Scope key
+   * @returns {Object} Updated stacks
+   */
+  static drop(stacks, scope) {
+    const { [scope]: dropped, ...rest } = stacks
+    return rest
+  }
+}
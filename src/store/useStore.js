@@ -1,4 +1,187 @@
 import { create } from 'zustand'
+import { DEFAULT_PROVIDER } from '../services/llmProviders'
+import { buildLayoutRecord } from '../services/layoutEvaluation'
+import { loadWorkspace, saveWorkspace, getStorageBackendName } from '../services/storageService'
+import { startLayoutHistory, commitLayoutRevision, restoreLayoutRevision } from '../services/layoutHistory'
+import { withDefaultBuildingElements } from '../services/buildingElements'
+import { DEFAULT_UNIT_SYSTEM, resolveUnitSystem } from '../services/units'
+import { CommandStack, layoutScope, projectScope } from './commandStack'
+
+// Delay before state changes are written to storage, so bursts of edits save once
+const SAVE_DEBOUNCE_MS = 300
+
+// Demo seed data
+const SEED_PROJECTS = [
+  {
+    id: 'project-1',
+    name: 'Modern Office Complex',
+    createdAt: new Date('2024-01-15'),
+    scheduleData: 'Open office spaces with meeting rooms, kitchen, reception area',
+    normSettings: {
+      country: 'US',
+      codes: ['ADA', 'IBC'],
+      accessibility: true,
+    },
+    sustainabilitySettings: {
+      frameworks: ['LEED'],
+    },
+    layouts: ['layout-1', 'layout-2'],
+  },
+  {
+    id: 'project-2',
+    name: 'Residential Apartment',
+    createdAt: new Date('2024-01-10'),
+    scheduleData: '2BR/2BA apartment with living room, kitchen, dining area',
+    normSettings: {
+      country: 'US',
+      codes: ['ADA', 'IRC'],
+      accessibility: true,
+    },
+    layouts: ['layout-3'],
+  },
+]
+
+const SEED_LAYOUTS = [
+  {
+    id: 'layout-1',
+    projectId: 'project-1',
+    name: 'Option A - Open Plan',
+    layoutData: {
+      units: 'feet',
+      rooms: [
+        { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
+        { id: 'office1', name: 'Open Office', area: 800, x: 400, y: 50, width: 600, height: 400 },
+        { id: 'meeting1', name: 'Meeting Room 1', area: 150, x: 50, y: 300, width: 250, height: 200 },
+        { id: 'meeting2', name: 'Meeting Room 2', area: 150, x: 50, y: 550, width: 250, height: 200 },
+        { id: 'kitchen', name: 'Kitchen', area: 120, x: 400, y: 500, width: 300, height: 150 },
+      ],
+      circulation: [
+        { from: 'reception', to: 'office1', width: 8 },
+        { from: 'office1', to: 'meeting1', width: 6 },
+        { from: 'office1', to: 'meeting2', width: 6 },
+        { from: 'office1', to: 'kitchen', width: 8 },
+      ]
+    },
+    version: 1,
+    createdAt: new Date('2024-01-15'),
+  },
+  {
+    id: 'layout-2',
+    projectId: 'project-1',
+    name: 'Option B - Zoned Plan',
+    layoutData: {
+      units: 'feet',
+      rooms: [
+        { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
+        { id: 'office1', name: 'Office Zone A', area: 400, x: 400, y: 50, width: 400, height: 300 },
+        { id: 'office2', name: 'Office Zone B', area: 400, x: 400, y: 400, width: 400, height: 300 },
+        { id: 'meeting1', name: 'Meeting Room', area: 200, x: 50, y: 300, width: 300, height: 200 },
+        { id: 'kitchen', name: 'Kitchen', area: 150, x: 50, y: 550, width: 300, height: 150 },
+      ],
+      circulation: [
+        { from: 'reception', to: 'office1', width: 8 },
+        { from: 'reception', to: 'office2', width: 8 },
+        { from: 'reception', to: 'meeting1', width: 6 },
+        { from: 'meeting1', to: 'kitchen', width: 6 },
+      ]
+    },
+    version: 1,
+    createdAt: new Date('2024-01-15'),
+  },
+  {
+    id: 'layout-3',
+    projectId: 'project-2',
+    name: 'Compact Layout',
+    layoutData: {
+      units: 'feet',
+      rooms: [
+        { id: 'living', name: 'Living Room', area: 300, x: 50, y: 50, width: 400, height: 250 },
+        { id: 'kitchen', name: 'Kitchen', area: 120, x: 500, y: 50, width: 200, height: 200 },
+        { id: 'dining', name: 'Dining', area: 150, x: 500, y: 300, width: 200, height: 200 },
+        { id: 'bedroom1', name: 'Master Bedroom', area: 200, x: 50, y: 350, width: 300, height: 200 },
+        { id: 'bedroom2', name: 'Bedroom 2', area: 150, x: 50, y: 600, width: 250, height: 180 },
+        { id: 'bath1', name: 'Master Bath', area: 80, x: 400, y: 350, width: 150, height: 120 },
+        { id: 'bath2', name: 'Bath 2', area: 60, x: 350, y: 600, width: 120, height: 100 },
+      ],
+      circulation: [
+        { from: 'living', to: 'kitchen', width: 4 },
+        { from: 'living', to: 'dining', width: 4 },
+        { from: 'living', to: 'bedroom1', width: 4 },
+        { from: 'living', to: 'bedroom2', width: 4 },
+      ]
+    },
+    version: 1,
+    createdAt: new Date('2024-01-10'),
+  },
+]
+
+// Evaluate a layout against its project's code settings and performance priorities
+const buildProjectLayoutRecord = (layout, projects) => {
+  const project = projects.find(candidate => candidate.id === layout.projectId) || {}
+  return buildLayoutRecord(layout, project.normSettings, project.performanceSettings)
+}
+
+// Current record of the entity a command targets (null if it no longer exists)
+const getCommandEntity = (state, command) => {
+  const records = command.entity === 'project' ? state.projects : state.layouts
+  return records.find(record => record.id === command.id) || null
+}
+
+// Put an entity snapshot back into state, re-evaluating affected layouts against current settings.
+// Revision history is append-only, so a layout keeps its current revisions and snapshot geometry
+// that differs from the current one is committed as a new revision. action: 'Undo' or 'Redo'
+const applyCommandEntity = (state, command, record, action) => {
+  if (command.entity === 'project') {
+    const projects = state.projects.map(project => project.id === command.id ? record : project)
+    return {
+      projects,
+      layouts: state.layouts.map(layout =>
+        layout.projectId === command.id ? buildProjectLayoutRecord(layout, projects) : layout
+      )
+    }
+  }
+
+  if (!record) {
+    return {
+      layouts: state.layouts.filter(layout => layout.id !== command.id),
+      commandStacks: CommandStack.drop(state.commandStacks, layoutScope(command.id))
+    }
+  }
+
+  const current = state.layouts.find(layout => layout.id === command.id)
+  if (!current) return { layouts: [...state.layouts, buildProjectLayoutRecord(record, state.projects)] }
+
+  const history = {
+    ...record,
+    revisions: current.revisions,
+    currentRevisionId: current.currentRevisionId,
+    version: current.version
+  }
+  const restored = JSON.stringify(record.layoutData) === JSON.stringify(current.layoutData)
+    ? { ...history, layoutData: current.layoutData }
+    : commitLayoutRevision(history, record.layoutData, {
+      author: getAuthor(state.user),
+      reason: 'restore',
+      note: `${action}: ${command.label}`,
+      restoredFrom: record.currentRevisionId
+    })
+  const rebuilt = buildProjectLayoutRecord(restored, state.projects)
+  return { layouts: state.layouts.map(layout => layout.id === command.id ? rebuilt : layout) }
+}
+
+// Revision author for changes made by the signed-in user
+const getAuthor = (user) => ({ id: user.id, email: user.email })
+
+const createDemoWorkspace = () => ({
+  projects: SEED_PROJECTS,
+  layouts: SEED_LAYOUTS.map(layout => startLayoutHistory(buildProjectLayoutRecord(
+    { ...layout, layoutData: withDefaultBuildingElements(layout.layoutData) },
+    SEED_PROJECTS
+  ))),
+})
+
+let hydration = null
+let saveTimer = null
 
 export const useStore = create((set, get) => ({
   // User state
@@ -6,146 +189,212 @@ export const useStore = create((set, get) => ({
     id: 'demo-user',
     email: 'demo@archflow.ai',
     subscriptionTier: 'pro',
+    organizationId: 'demo-org', // owns the custom code packs the user can select
+    unitSystem: DEFAULT_UNIT_SYSTEM, // default display units; projects may override
+  },
+
+  // Account-wide AI provider settings (projects may override via project.aiSettings)
+  aiSettings: {
+    provider: DEFAULT_PROVIDER,
+    model: '',
+    baseURL: '',
   },
 
   // Projects state
-  projects: [
-    {
-      id: 'project-1',
-      name: 'Modern Office Complex',
-      createdAt: new Date('2024-01-15'),
-      scheduleData: 'Open office spaces with meeting rooms, kitchen, reception area',
-      normSettings: {
-        country: 'US',
-        codes: ['ADA', 'IBC'],
-        accessibility: true,
-      },
-      layouts: ['layout-1', 'layout-2'],
-    },
-    {
-      id: 'project-2',
-      name: 'Residential Apartment',
-      createdAt: new Date('2024-01-10'),
-      scheduleData: '2BR/2BA apartment with living room, kitchen, dining area',
-      normSettings: {
-        country: 'US',
-        codes: ['ADA', 'IRC'],
-        accessibility: true,
-      },
-      layouts: ['layout-3'],
-    },
-  ],
-
-  // Generated layouts state
-  layouts: [
-    {
-      id: 'layout-1',
-      projectId: 'project-1',
-      name: 'Option A - Open Plan',
-      layoutData: {
-        rooms: [
-          { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
-          { id: 'office1', name: 'Open Office', area: 800, x: 400, y: 50, width: 600, height: 400 },
-          { id: 'meeting1', name: 'Meeting Room 1', area: 150, x: 50, y: 300, width: 250, height: 200 },
-          { id: 'meeting2', name: 'Meeting Room 2', area: 150, x: 50, y: 550, width: 250, height: 200 },
-          { id: 'kitchen', name: 'Kitchen', area: 120, x: 400, y: 500, width: 300, height: 150 },
-        ],
-        circulation: [
-          { from: 'reception', to: 'office1', width: 8 },
-          { from: 'office1', to: 'meeting1', width: 6 },
-          { from: 'office1', to: 'meeting2', width: 6 },
-          { from: 'office1', to: 'kitchen', width: 8 },
-        ]
-      },
-      version: 1,
-      performanceMetrics: {
-        circulationEfficiency: 85,
-        daylightHours: 7.2,
-        energyEfficiency: 78,
-      },
-      complianceStatus: 'compliant',
-      createdAt: new Date('2024-01-15'),
-    },
-    {
-      id: 'layout-2',
-      projectId: 'project-1',
-      name: 'Option B - Zoned Plan',
-      layoutData: {
-        rooms: [
-          { id: 'reception', name: 'Reception', area: 200, x: 50, y: 50, width: 300, height: 200 },
-          { id: 'office1', name: 'Office Zone A', area: 400, x: 400, y: 50, width: 400, height: 300 },
-          { id: 'office2', name: 'Office Zone B', area: 400, x: 400, y: 400, width: 400, height: 300 },
-          { id: 'meeting1', name: 'Meeting Room', area: 200, x: 50, y: 300, width: 300, height: 200 },
-          { id: 'kitchen', name: 'Kitchen', area: 150, x: 50, y: 550, width: 300, height: 150 },
-        ],
-        circulation: [
-          { from: 'reception', to: 'office1', width: 8 },
-          { from: 'reception', to: 'office2', width: 8 },
-          { from: 'reception', to: 'meeting1', width: 6 },
-          { from: 'meeting1', to: 'kitchen', width: 6 },
-        ]
-      },
-      version: 1,
-      performanceMetrics: {
-        circulationEfficiency: 72,
-        daylightHours: 8.1,
-        energyEfficiency: 82,
-      },
-      complianceStatus: 'warning',
-      createdAt: new Date('2024-01-15'),
-    },
-    {
-      id: 'layout-3',
-      projectId: 'project-2',
-      name: 'Compact Layout',
-      layoutData: {
-        rooms: [
-          { id: 'living', name: 'Living Room', area: 300, x: 50, y: 50, width: 400, height: 250 },
-          { id: 'kitchen', name: 'Kitchen', area: 120, x: 500, y: 50, width: 200, height: 200 },
-          { id: 'dining', name: 'Dining', area: 150, x: 500, y: 300, width: 200, height: 200 },
-          { id: 'bedroom1', name: 'Master Bedroom', area: 200, x: 50, y: 350, width: 300, height: 200 },
-          { id: 'bedroom2', name: 'Bedroom 2', area: 150, x: 50, y: 600, width: 250, height: 180 },
-          { id: 'bath1', name: 'Master Bath', area: 80, x: 400, y: 350, width: 150, height: 120 },
-          { id: 'bath2', name: 'Bath 2', area: 60, x: 350, y: 600, width: 120, height: 100 },
-        ],
-        circulation: [
-          { from: 'living', to: 'kitchen', width: 4 },
-          { from: 'living', to: 'dining', width: 4 },
-          { from: 'living', to: 'bedroom1', width: 4 },
-          { from: 'living', to: 'bedroom2', width: 4 },
-        ]
-      },
-      version: 1,
-      performanceMetrics: {
-        circulationEfficiency: 88,
-        daylightHours: 6.5,
-        energyEfficiency: 75,
-      },
-      complianceStatus: 'compliant',
-      createdAt: new Date('2024-01-10'),
-    },
-  ],
+  projects: [],
+
+  // Generated layouts state (metrics and compliance come from the evaluation pipeline)
+  layouts: [],
+
+  // Imported building code packs of every organisation (see services/codePacks). Projects keep
+  // a copy of the packs they use in normSettings.codePacks
+  codePacks: [],
+
+  // Persistence state: the workspace is loaded from storage by hydrate() on startup
+  hydrated: false,
+  storageBackend: null,
+  storageError: null,
+
+  // Load the saved workspace, or the demo seed on first run. Safe to call more than once
+  hydrate: () => {
+    if (!hydration) {
+      hydration = (async () => {
+        const storageBackend = await getStorageBackendName()
+
+        try {
+          const saved = await loadWorkspace()
+
+          if (saved) {
+            set((state) => ({
+              user: { ...state.user, ...saved.settings.user },
+              aiSettings: { ...state.aiSettings, ...saved.settings.aiSettings },
+              projects: saved.projects,
+              layouts: saved.layouts.map(layout => buildProjectLayoutRecord(layout, saved.projects)),
+              codePacks: saved.codePacks,
+              hydrated: true,
+              storageBackend,
+            }))
+          } else {
+            set({ ...createDemoWorkspace(), hydrated: true, storageBackend })
+            get().saveNow()
+          }
+        } catch (error) {
+          // Leave whatever is stored untouched: saving the seed here would overwrite the user's work
+          console.error('Error loading saved workspace:', error)
+          set({ ...createDemoWorkspace(), hydrated: true, storageBackend, storageError: error.message })
+        }
+      })()
+    }
+    return hydration
+  },
+
+  saveNow: async () => {
+    clearTimeout(saveTimer)
+    const { projects, layouts, codePacks, user, aiSettings, storageError } = get()
+
+    // A failed load disables saving for the session
+    if (storageError) return
+
+    try {
+      await saveWorkspace({ projects, layouts, codePacks, settings: { user, aiSettings } })
+    } catch (error) {
+      console.error('Error saving workspace:', error)
+    }
+  },
+
+  resetToDemoData: () => set({ ...createDemoWorkspace(), commandStacks: {}, storageError: null }),
+
+  clearAllData: () => set({ projects: [], layouts: [], commandStacks: {}, storageError: null }),
 
   // Actions
-  addProject: (project) => set((state) => ({
-    projects: [...state.projects, { ...project, id: `project-${Date.now()}`, createdAt: new Date() }]
-  })),
+  addProject: (project) => {
+    const id = `project-${Date.now()}`
+    set((state) => ({
+      projects: [...state.projects, { ...project, id, createdAt: new Date() }]
+    }))
+    return id
+  },
 
-  updateProject: (projectId, updates) => set((state) => ({
-    projects: state.projects.map(project => 
-      project.id === projectId ? { ...project, ...updates } : project
-    )
-  })),
+  // Undo/redo stacks keyed by scope (see commandStack). Not persisted
+  commandStacks: {},
 
-  addLayout: (layout) => set((state) => ({
-    layouts: [...state.layouts, { ...layout, id: `layout-${Date.now()}`, createdAt: new Date() }]
-  })),
+  // Changing a project's norms or performance priorities re-evaluates its layouts.
+  // commandOptions: { coalesceKey } merges successive changes (e.g. typing) into one undo step
+  updateProject: (projectId, updates, commandOptions = {}) => set((state) => {
+    const before = state.projects.find(project => project.id === projectId)
+    if (!before) return {}
 
-  updateLayout: (layoutId, updates) => set((state) => ({
-    layouts: state.layouts.map(layout => 
-      layout.id === layoutId ? { ...layout, ...updates } : layout
-    )
-  })),
+    const after = { ...before, ...updates }
+    const projects = state.projects.map(project => project.id === projectId ? after : project)
+    const commandStacks = CommandStack.push(state.commandStacks, {
+      scope: projectScope(projectId),
+      label: 'Update project settings',
+      entity: 'project',
+      id: projectId,
+      before,
+      after,
+      coalesceKey: commandOptions.coalesceKey
+    })
+
+    if (!updates.normSettings && !updates.performanceSettings) return { projects, commandStacks }
+
+    return {
+      projects,
+      commandStacks,
+      layouts: state.layouts.map(layout =>
+        layout.projectId === projectId ? buildProjectLayoutRecord(layout, projects) : layout
+      )
+    }
+  }),
+
+  // Every new layout goes through the evaluation pipeline and starts its revision history.
+  // historyOptions: { reason, note, branchedFrom: { layoutId, revisionId } } (see layoutHistory).
+  // Random suffix keeps ids unique when several layouts are added in the same millisecond
+  addLayout: (layout, historyOptions = {}) => {
+    const id = `layout-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
+    set((state) => {
+      const record = buildProjectLayoutRecord({ ...layout, id, createdAt: new Date() }, state.projects)
+      const tracked = startLayoutHistory(record, { ...historyOptions, author: getAuthor(state.user) })
+      return {
+        layouts: [...state.layouts, tracked],
+        commandStacks: CommandStack.push(state.commandStacks, {
+          scope: projectScope(layout.projectId),
+          label: `Add ${tracked.name}`,
+          entity: 'layout',
+          id,
+          before: null,
+          after: tracked
+        })
+      }
+    })
+    return id
+  },
+
+  // Geometry changes are committed as a new revision; other updates (e.g. name) are not.
+  // historyOptions.coalesceKey merges a gesture (such as one drag) into one revision and one undo step
+  updateLayout: (layoutId, updates, historyOptions = {}) => set((state) => {
+    const before = state.layouts.find(layout => layout.id === layoutId)
+    if (!before) return {}
+
+    let after = { ...before, ...updates }
+    if (updates.layoutData) {
+      const record = buildProjectLayoutRecord(after, state.projects)
+      after = commitLayoutRevision(record, record.layoutData, { ...historyOptions, author: getAuthor(state.user) })
+    }
+
+    return {
+      layouts: state.layouts.map(layout => layout.id === layoutId ? after : layout),
+      commandStacks: CommandStack.push(state.commandStacks, {
+        scope: layoutScope(layoutId),
+        label: updates.layoutData ? 'Edit layout' : 'Update layout',
+        entity: 'layout',
+        id: layoutId,
+        before,
+        after,
+        coalesceKey: historyOptions.coalesceKey
+      })
+    }
+  }),
+
+  // Restoring appends a copy of the chosen revision, so history is never rewritten
+  restoreRevision: (layoutId, revisionId) => set((state) => {
+    const before = state.layouts.find(layout => layout.id === layoutId)
+    const restored = before && restoreLayoutRevision(before, revisionId, getAuthor(state.user))
+    if (!restored) return {}
+
+    const after = buildProjectLayoutRecord(restored, state.projects)
+    return {
+      layouts: state.layouts.map(layout => layout.id === layoutId ? after : layout),
+      commandStacks: CommandStack.push(state.commandStacks, {
+        scope: layoutScope(layoutId),
+        label: `Restore v${after.revisions.find(revision => revision.id === revisionId).version}`,
+        entity: 'layout',
+        id: layoutId,
+        before,
+        after
+      })
+    }
+  }),
+
+  undo: (scope) => set((state) => {
+    const taken = CommandStack.undo(state.commandStacks, scope, command => getCommandEntity(state, command))
+    if (!taken) return {}
+
+    return {
+      commandStacks: taken.stacks,
+      ...applyCommandEntity({ ...state, commandStacks: taken.stacks }, taken.command, taken.command.before, 'Undo')
+    }
+  }),
+
+  redo: (scope) => set((state) => {
+    const taken = CommandStack.redo(state.commandStacks, scope, command => getCommandEntity(state, command))
+    if (!taken) return {}
+
+    return {
+      commandStacks: taken.stacks,
+      ...applyCommandEntity({ ...state, commandStacks: taken.stacks }, taken.command, taken.command.after, 'Redo')
+    }
+  }),
 
   getProjectLayouts: (projectId) => {
     const state = get()
@@ -162,7 +411,47 @@ export const useStore = create((set, get) => ({
     return state.layouts.find(layout => layout.id === layoutId)
   },
 
+  // Display unit system for a project: its own setting, else the user's default
+  getUnitSystem: (projectId) => {
+    const state = get()
+    return resolveUnitSystem(state.getProject(projectId), state.user)
+  },
+
   updateUser: (updates) => set((state) => ({
     user: { ...state.user, ...updates }
   })),
+
+  updateAiSettings: (updates) => set((state) => ({
+    aiSettings: { ...state.aiSettings, ...updates }
+  })),
+
+  // Code packs of the user's organisation
+  getCodePacks: () => {
+    const state = get()
+    return state.codePacks.filter(pack => pack.organizationId === state.user.organizationId)
+  },
+
+  // Importing a pack with the key of an existing one replaces it; projects keep their copy
+  saveCodePack: (pack) => set((state) => ({
+    codePacks: [
+      ...state.codePacks.filter(existing =>
+        existing.organizationId !== pack.organizationId || existing.key !== pack.key),
+      pack
+    ]
+  })),
+
+  removeCodePack: (packId) => set((state) => ({
+    codePacks: state.codePacks.filter(pack => pack.id !== packId)
+  })),
 }))
+
+// Persist workspace changes once hydration has finished
+useStore.subscribe((state, previous) => {
+  if (!state.hydrated || !previous.hydrated) return
+
+  const changed = ['projects', 'layouts', 'codePacks', 'user', 'aiSettings'].some(key => state[key] !== previous[key])
+  if (!changed) return
+
+  clearTimeout(saveTimer)
+  saveTimer = setTimeout(() => state.saveNow(), SAVE_DEBOUNCE_MS)
+})
@@ -3,4 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  server: {
+    proxy: {
+      // AI and compliance requests go through the local API server (npm run dev:server)
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })
\ No newline at end of file